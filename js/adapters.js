@@ -0,0 +1,334 @@
+// js/adapters.js
+/**
+ * @file Built-in adapters for the open-position responses of common derivatives exchanges.
+ * Each adapter turns one exchange's raw response into Position objects (see api.js), normalizing
+ * side, size sign, entry price, leverage, unrealized PnL and update time. Sizes counted in contracts
+ * are converted to the base asset and coin-margined (inverse) PnL to the quote asset, so positions of
+ * all adapters can be priced alike. Empty (zero-size) positions are skipped, and error envelopes are
+ * turned into exceptions.
+ * Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * An exchange response format.
+ * @typedef {Object} ExchangeAdapter
+ * @property {string} id - Stored as `DataSource.adapter` (e.g., "binance-usdm").
+ * @property {string} name - Display name (e.g., "Binance USDⓈ-M Futures").
+ * @property {string} defaultUrl - Open-positions endpoint suggested when the adapter is picked.
+ * @property {AuthConfig} [auth] - Authentication preset suggested when the adapter is picked.
+ * @property {string} [markPriceUrl] - Public mark-price endpoint suggested when the adapter is picked (see markprices.js).
+ * @property {function(*): Array<Object>} extractItems - Returns the raw position items of a response.
+ * @property {function(Object): (Position|null)} parsePosition - Converts one raw item; null skips it.
+ */
+
+/**
+ * Quote assets recognized at the end of concatenated symbols such as "BTCUSDT", longest first.
+ * @type {Array<string>}
+ */
+const KNOWN_QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'USD', 'BTC', 'ETH'];
+
+/**
+ * USD value of one Binance COIN-M contract: 100 for BTC, 10 for every other coin.
+ * @type {Object<string, number>}
+ */
+const BINANCE_COINM_CONTRACT_VALUES = { BTC: 100, default: 10 };
+
+/**
+ * Registered adapters, in display order.
+ * @type {Array<ExchangeAdapter>}
+ */
+const exchangeAdapterRegistry = [];
+
+/**
+ * Parses a numeric field that exchanges often send as a string.
+ * @private
+ * @param {*} value
+ * @returns {number|undefined} Undefined for missing or non-numeric values.
+ */
+function toAdapterNumber(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Splits a concatenated symbol ("BTCUSDT") into base and quote assets.
+ * @private
+ * @param {string} symbol
+ * @returns {{baseAsset: (string|undefined), quoteAsset: (string|undefined)}}
+ */
+function splitConcatenatedSymbol(symbol) {
+    const upper = String(symbol || '').toUpperCase().split('_')[0]; // "BTCUSD_PERP" → "BTCUSD"
+    const quoteAsset = KNOWN_QUOTE_ASSETS.find(quote => upper.length > quote.length && upper.endsWith(quote));
+    return quoteAsset ? { baseAsset: upper.slice(0, -quoteAsset.length), quoteAsset } : { baseAsset: undefined, quoteAsset: undefined };
+}
+
+/**
+ * Picks the side from an explicit side field, falling back to the sign of the size (one-way mode).
+ * @private
+ * @param {string} explicitSide - Exchange side value ("LONG", "Buy", "short", "BOTH", "net", ...).
+ * @param {number} signedSize
+ * @returns {'long'|'short'}
+ */
+function resolveAdapterSide(explicitSide, signedSize) {
+    const side = positionDiff.normalizePositionSide(explicitSide);
+    if (side !== 'unknown') return side;
+    return signedSize < 0 ? 'short' : 'long';
+}
+
+/**
+ * Converts an inverse (coin-margined) position, sized in USD and with its PnL in the base coin, to the
+ * terms of a linear one: the base quantity its USD value bought at the entry price, and the PnL in USD.
+ * The linear PnL formula, (mark - entry) × amount, then equals the inverse one,
+ * (1/entry - 1/mark) × value × mark, at any mark price.
+ * @private
+ * @param {number} usdValue - Value of the position in USD (contracts × contract value).
+ * @param {number|undefined} entryPrice
+ * @param {number|undefined} coinPnl - Unrealized PnL in the base coin.
+ * @param {number|undefined} markPrice
+ * @returns {{amount: (number|undefined), pnl: (number|undefined), inverse: true}}
+ */
+function toLinearTerms(usdValue, entryPrice, coinPnl, markPrice) {
+    return {
+        amount: entryPrice ? Math.abs(usdValue) / entryPrice : undefined,
+        pnl: coinPnl !== undefined && markPrice !== undefined ? coinPnl * markPrice : undefined,
+        inverse: true
+    };
+}
+
+/**
+ * Removes undefined fields so optional Position fields are left out rather than set to undefined.
+ * @private
+ * @param {Object} position
+ * @returns {Position}
+ */
+function withoutUndefinedFields(position) {
+    Object.keys(position).forEach(key => {
+        if (position[key] === undefined) delete position[key];
+    });
+    return position;
+}
+
+/**
+ * Registers (or replaces) an exchange adapter.
+ * @param {ExchangeAdapter} adapter
+ */
+function registerExchangeAdapter(adapter) {
+    const existingIndex = exchangeAdapterRegistry.findIndex(a => a.id === adapter.id);
+    if (existingIndex >= 0) exchangeAdapterRegistry.splice(existingIndex, 1, adapter);
+    else exchangeAdapterRegistry.push(adapter);
+}
+
+/**
+ * Binance-style position risk items (USDⓈ-M and COIN-M share the format).
+ * @private
+ */
+function parseBinancePosition(item) {
+    const signedSize = toAdapterNumber(item.positionAmt);
+    if (!signedSize) return null;
+    return withoutUndefinedFields({
+        symbol: item.symbol,
+        type: resolveAdapterSide(item.positionSide, signedSize),
+        entryPrice: toAdapterNumber(item.entryPrice),
+        amount: Math.abs(signedSize),
+        ...splitConcatenatedSymbol(item.symbol),
+        leverage: toAdapterNumber(item.leverage),
+        pnl: toAdapterNumber(item.unRealizedProfit),
+        markPrice: toAdapterNumber(item.markPrice),
+        timestamp: toAdapterNumber(item.updateTime) || undefined
+    });
+}
+
+/** @private */
+function extractBinanceItems(response) {
+    if (response && !Array.isArray(response) && response.code !== undefined && response.msg !== undefined) {
+        throw new Error(`Binance error ${response.code}: ${response.msg}`);
+    }
+    return response;
+}
+
+registerExchangeAdapter({
+    id: 'binance-usdm',
+    name: 'Binance USDⓈ-M Futures',
+    defaultUrl: 'https://fapi.binance.com/fapi/v2/positionRisk',
+    auth: { type: 'hmac', apiKeyHeader: 'X-MBX-APIKEY', recvWindow: 5000 },
+    markPriceUrl: 'https://fapi.binance.com/fapi/v1/premiumIndex',
+    extractItems: extractBinanceItems,
+    parsePosition: parseBinancePosition
+});
+
+registerExchangeAdapter({
+    id: 'binance-coinm',
+    name: 'Binance COIN-M Futures',
+    defaultUrl: 'https://dapi.binance.com/dapi/v1/positionRisk',
+    auth: { type: 'hmac', apiKeyHeader: 'X-MBX-APIKEY', recvWindow: 5000 },
+    markPriceUrl: 'https://dapi.binance.com/dapi/v1/premiumIndex',
+    extractItems: extractBinanceItems,
+    parsePosition(item) {
+        const position = parseBinancePosition(item);
+        if (!position) return null;
+        // Sizes are in contracts and PnL in the base coin
+        const contractValue = BINANCE_COINM_CONTRACT_VALUES[position.baseAsset] || BINANCE_COINM_CONTRACT_VALUES.default;
+        return withoutUndefinedFields({
+            ...position,
+            ...toLinearTerms(position.amount * contractValue, position.entryPrice, position.pnl, position.markPrice)
+        });
+    }
+});
+
+registerExchangeAdapter({
+    id: 'bybit-v5',
+    name: 'Bybit (V5 Linear / Inverse)',
+    defaultUrl: 'https://api.bybit.com/v5/position/list?category=linear&settleCoin=USDT',
+    extractItems(response) {
+        if (!response || response.retCode !== 0) {
+            throw new Error(`Bybit error ${response?.retCode}: ${response?.retMsg || 'unexpected response'}`);
+        }
+        return response.result?.list;
+    },
+    parsePosition(item) {
+        const size = toAdapterNumber(item.size);
+        if (!size || !item.side) return null; // Bybit lists empty positions with side ""
+        const entryPrice = toAdapterNumber(item.avgPrice);
+        const pnl = toAdapterNumber(item.unrealisedPnl);
+        const markPrice = toAdapterNumber(item.markPrice);
+        const assets = splitConcatenatedSymbol(item.symbol);
+        return withoutUndefinedFields({
+            symbol: item.symbol,
+            type: resolveAdapterSide(item.side, size),
+            entryPrice,
+            amount: Math.abs(size),
+            ...assets,
+            leverage: toAdapterNumber(item.leverage),
+            pnl,
+            markPrice,
+            timestamp: toAdapterNumber(item.updatedTime),
+            // Inverse contracts ("BTCUSD") are sized in USD, with PnL in the base coin
+            ...(assets.quoteAsset === 'USD' ? toLinearTerms(size, entryPrice, pnl, markPrice) : {})
+        });
+    }
+});
+
+/**
+ * Converts an OKX linear size from contracts to the base asset. The positions endpoint leaves out the
+ * contract value, so it is recovered from the USD notional at the mark price and rounded to the power
+ * of ten it is for every OKX contract (e.g., 0.01 BTC), which also cancels the USDT/USD rate.
+ * @private
+ * @param {number} contracts
+ * @param {number|undefined} usdValue - Notional in USD at the mark price.
+ * @param {number|undefined} markPrice
+ * @returns {number|undefined} Undefined if the notional or mark price is missing.
+ */
+function toOkxBaseAmount(contracts, usdValue, markPrice) {
+    if (!usdValue || !markPrice) return undefined;
+    const contractValue = Math.pow(10, Math.round(Math.log10(Math.abs(usdValue / markPrice / contracts))));
+    return Number((Math.abs(contracts) * contractValue).toPrecision(12));
+}
+
+registerExchangeAdapter({
+    id: 'okx-v5',
+    name: 'OKX (V5 Swap / Futures)',
+    defaultUrl: 'https://www.okx.com/api/v5/account/positions',
+    extractItems(response) {
+        if (!response || String(response.code) !== '0') {
+            throw new Error(`OKX error ${response?.code}: ${response?.msg || 'unexpected response'}`);
+        }
+        return response.data;
+    },
+    parsePosition(item) {
+        const signedSize = toAdapterNumber(item.pos);
+        if (!signedSize) return null;
+        const [baseAsset, quoteAsset] = String(item.instId || '').split('-'); // "BTC-USDT-SWAP"
+        const entryPrice = toAdapterNumber(item.avgPx);
+        const pnl = toAdapterNumber(item.upl);
+        const markPrice = toAdapterNumber(item.markPx);
+        const usdValue = toAdapterNumber(item.notionalUsd);
+        const isInverse = quoteAsset === 'USD'; // "BTC-USD-SWAP": contracts worth a fixed USD value, with PnL in the base coin
+        return withoutUndefinedFields({
+            symbol: item.instId,
+            type: resolveAdapterSide(item.posSide, signedSize), // "net" mode: the sign of pos is the side
+            entryPrice,
+            amount: isInverse ? undefined : toOkxBaseAmount(signedSize, usdValue, markPrice),
+            baseAsset: baseAsset || undefined,
+            quoteAsset: quoteAsset || undefined,
+            leverage: toAdapterNumber(item.lever),
+            pnl,
+            markPrice,
+            timestamp: toAdapterNumber(item.uTime),
+            ...(isInverse && usdValue !== undefined ? toLinearTerms(usdValue, entryPrice, pnl, markPrice) : {})
+        });
+    }
+});
+
+registerExchangeAdapter({
+    id: 'bitget-v2',
+    name: 'Bitget (V2 Futures)',
+    defaultUrl: 'https://api.bitget.com/api/v2/mix/position/all-position?productType=USDT-FUTURES&marginCoin=USDT',
+    extractItems(response) {
+        if (!response || String(response.code) !== '00000') {
+            throw new Error(`Bitget error ${response?.code}: ${response?.msg || 'unexpected response'}`);
+        }
+        return response.data;
+    },
+    parsePosition(item) {
+        const size = toAdapterNumber(item.total);
+        if (!size) return null;
+        const { baseAsset, quoteAsset } = splitConcatenatedSymbol(item.symbol);
+        return withoutUndefinedFields({
+            symbol: item.symbol,
+            type: resolveAdapterSide(item.holdSide, size),
+            entryPrice: toAdapterNumber(item.openPriceAvg),
+            amount: Math.abs(size),
+            baseAsset,
+            quoteAsset: item.marginCoin || quoteAsset,
+            leverage: toAdapterNumber(item.leverage),
+            pnl: toAdapterNumber(item.unrealizedPL),
+            markPrice: toAdapterNumber(item.markPrice),
+            timestamp: toAdapterNumber(item.uTime)
+        });
+    }
+});
+
+/**
+ * Returns all registered adapters, in display order.
+ * @returns {Array<ExchangeAdapter>}
+ */
+function listExchangeAdapters() {
+    return exchangeAdapterRegistry.slice();
+}
+
+/**
+ * Returns the adapter with the given id, or null.
+ * @param {string} id
+ * @returns {ExchangeAdapter|null}
+ */
+function getExchangeAdapter(id) {
+    return exchangeAdapterRegistry.find(adapter => adapter.id === id) || null;
+}
+
+/**
+ * Converts a raw exchange response into positions.
+ * @param {string} id - Adapter id.
+ * @param {*} response - Parsed JSON response.
+ * @returns {Array<Position>}
+ * @throws {Error} If the adapter is unknown, the exchange reported an error or the response has an unexpected shape.
+ */
+function applyExchangeAdapter(id, response) {
+    const adapter = getExchangeAdapter(id);
+    if (!adapter) throw new Error(`Unknown exchange adapter: ${id}`);
+    const items = adapter.extractItems(response);
+    if (!Array.isArray(items)) throw new Error(`Unexpected ${adapter.name} response: no list of positions found.`);
+    return items
+        .filter(item => item && typeof item === 'object')
+        .map(item => adapter.parsePosition(item))
+        .filter(Boolean);
+}
+
+globalThis.exchangeAdapters = {
+    register: registerExchangeAdapter,
+    list: listExchangeAdapters,
+    get: getExchangeAdapter,
+    apply: applyExchangeAdapter
+};
@@ -0,0 +1,506 @@
+// js/alertpanel.js
+/**
+ * @file Alert rules for OpenPos.
+ * Keeps the alert rules (see alerts.js) in localStorage, edits them in the alerts panel, evaluates them
+ * after every refresh of the active data source, and reports each alert as a toast and, once the user
+ * allows it, as a system notification shown through the Service Worker registration. Raised alerts are
+ * kept in a log in the panel. While no tab is visible, the Service Worker takes over the evaluation (see
+ * backgroundrefresh.js); its alerts and state are handed back through applyBackgroundResult.
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * Keys for storing the rules, the alert log and the running cooldowns in localStorage.
+ * @const {string}
+ */
+const ALERT_RULES_KEY = 'openPosAlertRules';
+const ALERT_LOG_KEY = 'openPosAlertLog';
+const ALERT_COOLDOWNS_KEY = 'openPosAlertCooldowns';
+
+/**
+ * Number of alerts kept in the log.
+ * @const {number}
+ */
+const ALERT_LOG_LIMIT = 100;
+
+/**
+ * @namespace alertRules
+ * @description Global namespace for alert rules, their panel and their notifications.
+ */
+window.alertRules = {};
+
+// --- DOM Element Getters ---
+const alertsButtonElement = document.getElementById('alerts-button');
+const alertsPanelElement = document.getElementById('alerts-panel');
+const alertsCloseButton = document.getElementById('alerts-close-button');
+const alertRulesListElement = document.getElementById('alert-rules-list');
+const alertRuleFormElement = document.getElementById('alert-rule-form');
+const alertRuleIdInput = document.getElementById('alert-rule-id');
+const alertRuleNameInput = document.getElementById('alert-rule-name');
+const alertRuleEventSelect = document.getElementById('alert-rule-event');
+const alertRuleConditionInput = document.getElementById('alert-rule-condition');
+const alertRuleCooldownInput = document.getElementById('alert-rule-cooldown');
+const alertRuleErrorElement = document.getElementById('alert-rule-error');
+const alertRuleSubmitButton = document.getElementById('alert-rule-submit');
+const alertRuleCancelButton = document.getElementById('alert-rule-cancel');
+const alertNotificationsStatusElement = document.getElementById('alert-notifications-status');
+const alertNotificationsEnableButton = document.getElementById('alert-notifications-enable');
+const alertLogListElement = document.getElementById('alert-log-list');
+const alertLogClearButton = document.getElementById('alert-log-clear');
+
+let alertSourceId = null; // Data source whose refreshes are evaluated
+let alertState = null; // AlertState of the evaluation, created on the first refresh
+let alertEvaluatedAt = 0; // Time of the last evaluation (of the page or the Service Worker)
+const alertChangeListeners = [];
+
+/** @private */
+function getAlertLocale() {
+    return window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US';
+}
+
+/**
+ * Reads a JSON value from localStorage.
+ * @private
+ * @param {string} key
+ * @param {*} fallback - Returned if nothing (or nothing readable) is stored.
+ * @returns {*}
+ */
+function loadAlertStorage(key, fallback) {
+    try {
+        const saved = localStorage.getItem(key);
+        if (saved) return JSON.parse(saved);
+    } catch (error) {
+        console.error(`Error loading ${key}:`, error);
+    }
+    return fallback;
+}
+
+/** @private */
+function saveAlertStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+        console.error(`Error saving ${key}:`, error);
+    }
+}
+
+/** @private */
+function notifyAlertRulesChanged() {
+    alertChangeListeners.forEach(listener => listener());
+}
+
+/** @private */
+function generateAlertRuleId() {
+    return `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Returns the stored rules, leaving out any that are no longer valid.
+ * @function getAll
+ * @memberof alertRules
+ * @returns {Array<AlertRule>}
+ */
+window.alertRules.getAll = function() {
+    const rules = loadAlertStorage(ALERT_RULES_KEY, []);
+    return Array.isArray(rules) ? rules.filter(rule => rule && rule.id && positionAlerts.validateAlertRule(rule).isValid) : [];
+};
+
+/**
+ * Adds a rule, or updates the rule with the same id.
+ * @function save
+ * @memberof alertRules
+ * @param {{id?: string, name: string, event: string, condition: string, cooldownMinutes: number, enabled?: boolean}} settings
+ * @returns {AlertRule|null} The saved rule, or null if the settings are invalid.
+ */
+window.alertRules.save = function(settings) {
+    const rule = {
+        id: settings.id || generateAlertRuleId(),
+        name: String(settings.name || '').trim(),
+        event: settings.event,
+        condition: String(settings.condition || '').trim(),
+        cooldownMinutes: settings.cooldownMinutes,
+        enabled: settings.enabled !== false
+    };
+    if (!positionAlerts.validateAlertRule(rule).isValid) return null;
+    const rules = window.alertRules.getAll();
+    const index = rules.findIndex(existing => existing.id === rule.id);
+    if (index === -1) rules.push(rule);
+    else rules[index] = rule;
+    saveAlertStorage(ALERT_RULES_KEY, rules);
+    notifyAlertRulesChanged();
+    return rule;
+};
+
+/**
+ * Turns a rule on or off.
+ * @function setEnabled
+ * @memberof alertRules
+ * @param {string} id
+ * @param {boolean} enabled
+ */
+window.alertRules.setEnabled = function(id, enabled) {
+    saveAlertStorage(ALERT_RULES_KEY, window.alertRules.getAll().map(rule => (rule.id === id ? { ...rule, enabled } : rule)));
+    notifyAlertRulesChanged();
+};
+
+/**
+ * Deletes a rule.
+ * @function remove
+ * @memberof alertRules
+ * @param {string} id
+ */
+window.alertRules.remove = function(id) {
+    saveAlertStorage(ALERT_RULES_KEY, window.alertRules.getAll().filter(rule => rule.id !== id));
+    notifyAlertRulesChanged();
+};
+
+/**
+ * Registers a listener called whenever a rule is added, changed or deleted.
+ * @function onChange
+ * @memberof alertRules
+ * @param {function(): void} listener
+ */
+window.alertRules.onChange = function(listener) {
+    alertChangeListeners.push(listener);
+};
+
+/**
+ * Returns the alert log, newest first.
+ * @function getLog
+ * @memberof alertRules
+ * @returns {Array<AlertLogEntry>}
+ */
+window.alertRules.getLog = function() {
+    const log = loadAlertStorage(ALERT_LOG_KEY, []);
+    return Array.isArray(log) ? log : [];
+};
+
+/**
+ * Shows a system notification through the Service Worker registration, if the user allowed notifications.
+ * @private
+ * @param {{title: string, body: string, tag: string}} notification - From positionAlerts.buildAlertNotifications.
+ */
+function showAlertNotification({ title, body, tag }) {
+    if (!('Notification' in window) || Notification.permission !== 'granted' || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.showNotification(title, { body, tag, icon: 'assets/images/icons/icon-192x192.png' }))
+        .catch(error => console.warn('Could not show an alert notification:', error));
+}
+
+/**
+ * Reports the alerts of a refresh as toasts and notifications, and adds them to the log.
+ * @private
+ * @param {Array<PositionAlert>} alerts
+ */
+function reportAlerts(alerts) {
+    addAlertLogEntries(alerts.map(positionAlerts.createAlertLogEntry));
+    positionAlerts.buildAlertNotifications(alerts, translate).forEach(showAlertNotification);
+
+    const showLogAction = { textKey: 'alertsShowLog', callback: () => window.alertRules.openPanel() };
+    if (alerts.length > positionAlerts.ALERT_REPORT_LIMIT) {
+        window.ui.showToast('alertsMany', 'warning', 8000, showLogAction, { count: alerts.length });
+        return;
+    }
+    alerts.forEach(alert => {
+        const { key, vars } = positionAlerts.describeAlert(positionAlerts.createAlertLogEntry(alert), translate);
+        window.ui.showToast(key, 'warning', 8000, showLogAction, vars);
+    });
+}
+
+/**
+ * Adds entries to the alert log, skipping any already in it, and keeps the log newest first.
+ * @private
+ * @param {Array<AlertLogEntry>} entries
+ */
+function addAlertLogEntries(entries) {
+    const identify = entry => [entry.time, entry.ruleName, entry.event, entry.symbol, entry.side, entry.user].join('|');
+    const log = window.alertRules.getLog();
+    const logged = new Set(log.map(identify));
+    const added = entries.filter(entry => !logged.has(identify(entry)));
+    if (added.length === 0) return;
+    saveAlertStorage(ALERT_LOG_KEY, [...added, ...log].sort((a, b) => b.time - a.time).slice(0, ALERT_LOG_LIMIT));
+    if (alertsPanelElement && alertsPanelElement.open) renderAlertLog();
+}
+
+/**
+ * Evaluates the rules against a refresh of a data source's positions and reports the alerts.
+ * A different data source starts over (no opened/closed alerts at its first refresh).
+ * @function evaluate
+ * @memberof alertRules
+ * @param {string} sourceId
+ * @param {Array<Position>} positions - Validated positions.
+ */
+window.alertRules.evaluate = function(sourceId, positions) {
+    if (!alertState || sourceId !== alertSourceId) {
+        alertState = positionAlerts.createAlertState(alertState ? alertState.lastAlertAt : loadAlertStorage(ALERT_COOLDOWNS_KEY, {}));
+        alertSourceId = sourceId;
+    }
+    alertEvaluatedAt = Date.now();
+    const { alerts, state } = positionAlerts.evaluateAlertRules(window.alertRules.getAll(), positions, alertState, alertEvaluatedAt);
+    alertState = state;
+    saveAlertStorage(ALERT_COOLDOWNS_KEY, state.lastAlertAt);
+    if (alerts.length > 0) reportAlerts(alerts);
+};
+
+/**
+ * Returns where the evaluation stands, for the Service Worker to carry on from while no tab is visible.
+ * @function getState
+ * @memberof alertRules
+ * @returns {{sourceId: string, state: AlertState, evaluatedAt: number}|null} Null before the first evaluation.
+ */
+window.alertRules.getState = function() {
+    return alertState ? { sourceId: alertSourceId, state: alertState, evaluatedAt: alertEvaluatedAt } : null;
+};
+
+/**
+ * Takes over the result of the Service Worker's evaluations: adds their alerts to the log (they were
+ * already notified) and carries on from their state if it's newer than the page's.
+ * @function applyBackgroundResult
+ * @memberof alertRules
+ * @param {Array<AlertLogEntry>} entries
+ * @param {{sourceId: string, state: AlertState, evaluatedAt: number}|null} record
+ */
+window.alertRules.applyBackgroundResult = function(entries, record) {
+    addAlertLogEntries(entries);
+    if (!record || record.evaluatedAt <= alertEvaluatedAt) return;
+    alertSourceId = record.sourceId;
+    alertState = record.state;
+    alertEvaluatedAt = record.evaluatedAt;
+    saveAlertStorage(ALERT_COOLDOWNS_KEY, record.state.lastAlertAt);
+};
+
+/**
+ * Summarizes a rule for the list, e.g. "When opened · user:"Trader X" · 15 min cooldown".
+ * @private
+ * @param {AlertRule} rule
+ * @returns {string}
+ */
+function describeAlertRule(rule) {
+    return translate('alertRuleSummary', {
+        event: translate(`alertEvent${rule.event[0].toUpperCase()}${rule.event.slice(1)}`),
+        condition: rule.condition || translate('alertAnyPosition'),
+        cooldown: rule.cooldownMinutes.toLocaleString(getAlertLocale())
+    });
+}
+
+/** @private */
+function renderAlertRules() {
+    const rules = window.alertRules.getAll();
+    alertRulesListElement.innerHTML = '';
+    if (rules.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'data-source-empty';
+        emptyItem.textContent = translate('alertRulesEmpty');
+        alertRulesListElement.appendChild(emptyItem);
+        return;
+    }
+    rules.forEach(rule => {
+        const item = document.createElement('li');
+        item.className = 'data-source-item alert-rule-item';
+        if (!rule.enabled) item.classList.add('disabled');
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = rule.enabled;
+        checkbox.setAttribute('aria-label', translate('alertRuleEnabledLabel', { name: rule.name }));
+        checkbox.addEventListener('change', () => {
+            window.alertRules.setEnabled(rule.id, checkbox.checked);
+            renderAlertRules();
+        });
+        label.appendChild(checkbox);
+        const details = document.createElement('span');
+        details.className = 'data-source-details';
+        const nameElement = document.createElement('strong');
+        nameElement.textContent = rule.name;
+        const summaryElement = document.createElement('small');
+        summaryElement.textContent = describeAlertRule(rule);
+        details.appendChild(nameElement);
+        details.appendChild(summaryElement);
+        label.appendChild(details);
+        item.appendChild(label);
+
+        const actions = document.createElement('div');
+        actions.className = 'data-source-actions';
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.textContent = translate('dataSourceEdit');
+        editButton.addEventListener('click', () => startEditingAlertRule(rule));
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'danger';
+        deleteButton.textContent = translate('dataSourceDelete');
+        deleteButton.addEventListener('click', () => {
+            if (!window.confirm(translate('alertRuleDeleteConfirm', { name: rule.name }))) return;
+            window.alertRules.remove(rule.id);
+            if (alertRuleIdInput.value === rule.id) resetAlertRuleForm();
+            renderAlertRules();
+        });
+        actions.appendChild(editButton);
+        actions.appendChild(deleteButton);
+        item.appendChild(actions);
+        alertRulesListElement.appendChild(item);
+    });
+}
+
+/** @private */
+function renderAlertLog() {
+    const log = window.alertRules.getLog();
+    alertLogListElement.innerHTML = '';
+    alertLogClearButton.disabled = log.length === 0;
+    if (log.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'alert-log-empty';
+        emptyItem.textContent = translate('alertLogEmpty');
+        alertLogListElement.appendChild(emptyItem);
+        return;
+    }
+    log.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `alert-log-item alert-log-${entry.event}`;
+        const timeElement = document.createElement('time');
+        timeElement.dateTime = new Date(entry.time).toISOString();
+        timeElement.textContent = new Date(entry.time).toLocaleString(getAlertLocale(), {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+        const { key, vars } = positionAlerts.describeAlert(entry, translate);
+        item.appendChild(timeElement);
+        item.appendChild(document.createTextNode(` ${translate(key, vars)}`));
+        alertLogListElement.appendChild(item);
+    });
+}
+
+/**
+ * Shows whether system notifications are on, and offers to turn them on while the browser hasn't asked yet.
+ * @private
+ */
+function renderAlertNotificationsStatus() {
+    let statusKey = 'alertNotificationsUnsupported';
+    if ('Notification' in window && 'serviceWorker' in navigator) {
+        statusKey = { granted: 'alertNotificationsOn', denied: 'alertNotificationsBlocked' }[Notification.permission] || 'alertNotificationsOff';
+    }
+    alertNotificationsStatusElement.textContent = translate(statusKey);
+    alertNotificationsEnableButton.hidden = statusKey !== 'alertNotificationsOff';
+}
+
+/** @private */
+function resetAlertRuleForm() {
+    alertRuleFormElement.reset();
+    alertRuleIdInput.value = '';
+    alertRuleCooldownInput.value = String(positionAlerts.DEFAULT_ALERT_COOLDOWN_MINUTES);
+    alertRuleErrorElement.textContent = '';
+    alertRuleConditionInput.setAttribute('aria-invalid', 'false');
+    alertRuleSubmitButton.textContent = translate('alertRuleAdd');
+    alertRuleCancelButton.hidden = true;
+}
+
+/** @private */
+function startEditingAlertRule(rule) {
+    alertRuleIdInput.value = rule.id;
+    alertRuleNameInput.value = rule.name;
+    alertRuleEventSelect.value = rule.event;
+    alertRuleConditionInput.value = rule.condition;
+    alertRuleCooldownInput.value = String(rule.cooldownMinutes);
+    alertRuleErrorElement.textContent = '';
+    alertRuleSubmitButton.textContent = translate('alertRuleSave');
+    alertRuleCancelButton.hidden = false;
+    alertRuleNameInput.focus();
+}
+
+/** @private */
+function handleAlertRuleFormSubmit(event) {
+    event.preventDefault();
+    const existing = window.alertRules.getAll().find(rule => rule.id === alertRuleIdInput.value);
+    const settings = {
+        id: existing ? existing.id : undefined,
+        name: alertRuleNameInput.value,
+        event: alertRuleEventSelect.value,
+        condition: alertRuleConditionInput.value.trim(),
+        cooldownMinutes: Number(alertRuleCooldownInput.value),
+        enabled: existing ? existing.enabled : true
+    };
+    const { errors, conditionError } = positionAlerts.validateAlertRule({ ...settings, name: settings.name.trim() });
+    alertRuleConditionInput.setAttribute('aria-invalid', String(Boolean(conditionError)));
+    if (errors.includes('name')) {
+        alertRuleErrorElement.textContent = translate('alertRuleNameRequired', { max: positionAlerts.ALERT_RULE_LIMITS.nameMaxLength });
+        return;
+    }
+    if (conditionError) {
+        const errorKey = `searchError${conditionError.code[0].toUpperCase()}${conditionError.code.slice(1)}`;
+        alertRuleErrorElement.textContent = translate('searchErrorAt', { message: translate(errorKey, conditionError.vars), column: conditionError.start + 1 });
+        return;
+    }
+    if (errors.includes('cooldownMinutes')) {
+        const { min, max } = positionAlerts.ALERT_RULE_LIMITS.cooldownMinutes;
+        alertRuleErrorElement.textContent = translate('alertRuleCooldownInvalid', { min, max });
+        return;
+    }
+    window.alertRules.save(settings);
+    resetAlertRuleForm();
+    renderAlertRules();
+}
+
+/**
+ * Opens the alerts panel.
+ * @function openPanel
+ * @memberof alertRules
+ */
+window.alertRules.openPanel = function() {
+    if (!alertsPanelElement) return;
+    renderAlertRules();
+    renderAlertNotificationsStatus();
+    renderAlertLog();
+    if (typeof alertsPanelElement.showModal === 'function') {
+        if (!alertsPanelElement.open) alertsPanelElement.showModal();
+    } else {
+        alertsPanelElement.setAttribute('open', '');
+    }
+};
+
+/**
+ * Closes the alerts panel.
+ * @function closePanel
+ * @memberof alertRules
+ */
+window.alertRules.closePanel = function() {
+    if (!alertsPanelElement) return;
+    if (typeof alertsPanelElement.close === 'function') {
+        alertsPanelElement.close();
+    } else {
+        alertsPanelElement.removeAttribute('open');
+    }
+};
+
+/**
+ * Wires up the alerts button and panel. Call once after translations are loaded.
+ * @function init
+ * @memberof alertRules
+ */
+window.alertRules.init = function() {
+    if (!alertsPanelElement) return;
+    if (alertsButtonElement) alertsButtonElement.addEventListener('click', window.alertRules.openPanel);
+    alertsCloseButton.addEventListener('click', window.alertRules.closePanel);
+    alertRuleFormElement.addEventListener('submit', handleAlertRuleFormSubmit);
+    alertRuleCancelButton.addEventListener('click', resetAlertRuleForm);
+    alertNotificationsEnableButton.addEventListener('click', async () => {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Could not ask for notification permission:', error);
+        }
+        renderAlertNotificationsStatus();
+    });
+    alertLogClearButton.addEventListener('click', () => {
+        saveAlertStorage(ALERT_LOG_KEY, []);
+        renderAlertLog();
+    });
+    resetAlertRuleForm();
+    window.addEventListener('openpos:languagechange', () => {
+        alertRuleSubmitButton.textContent = translate(alertRuleIdInput.value ? 'alertRuleSave' : 'alertRuleAdd');
+        if (!alertsPanelElement.open) return;
+        renderAlertRules();
+        renderAlertNotificationsStatus();
+        renderAlertLog();
+    });
+};
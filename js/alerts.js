@@ -0,0 +1,235 @@
+// js/alerts.js
+/**
+ * @file Alert rules.
+ * A rule watches the positions for an event: a position matching a condition (written in the search
+ * query language, see searchquery.js, e.g. `btc pnl<-500` or `leverage>25`), or a matching position being
+ * opened or closed. Rules are evaluated against each refresh of the positions; a position raises an alert
+ * when it starts matching (or is opened or closed), and not again for the same rule within the rule's
+ * cooldown. Also describes alerts for toasts, notifications and the alert log. Pure functions with no DOM
+ * dependencies (also loaded in the Service Worker, see backgroundrefresh.js).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * An alert rule.
+ * @typedef {Object} AlertRule
+ * @property {string} id - Unique identifier generated on creation.
+ * @property {string} name - Display name chosen by the user (e.g., "BTC drawdown").
+ * @property {string} event - One of ALERT_EVENTS.
+ * @property {string} condition - Search query the positions must match; empty matches every position.
+ * @property {number} cooldownMinutes - Time before the same position can raise the rule again.
+ * @property {boolean} enabled
+ */
+
+/**
+ * What a rule watches for: a position that matches its condition, or a matching position that was opened
+ * or closed since the previous refresh.
+ * @const {Array<string>}
+ */
+const ALERT_EVENTS = ['matches', 'opened', 'closed'];
+
+/**
+ * Cooldown of new rules, in minutes.
+ * @const {number}
+ */
+const DEFAULT_ALERT_COOLDOWN_MINUTES = 15;
+
+/**
+ * Limits of the rule settings.
+ * @const {{nameMaxLength: number, cooldownMinutes: {min: number, max: number}}}
+ */
+const ALERT_RULE_LIMITS = { nameMaxLength: 60, cooldownMinutes: { min: 0, max: 1440 } };
+
+/**
+ * Alerts of one refresh reported one by one; beyond that, a single message counts them.
+ * @const {number}
+ */
+const ALERT_REPORT_LIMIT = 3;
+
+/**
+ * Translation keys used to describe alerts, e.g. for contexts that get their message templates from the page.
+ * @const {Array<string>}
+ */
+const ALERT_MESSAGE_KEYS = [
+    'alertMessageMatches', 'alertMessageOpened', 'alertMessageClosed', 'alertPosition', 'alertPositionWithUser',
+    'positionCard.long', 'positionCard.short', 'positionCard.unknown', 'positionCard.na',
+    'alertNotificationTitle', 'alertNotificationTitleMany', 'alertsMany'
+];
+
+/**
+ * What the evaluation remembers between refreshes. Plain data, so that it can be stored.
+ * @typedef {Object} AlertState
+ * @property {Array<Position>|null} positions - Positions of the previous refresh (null before the first one).
+ * @property {Object<string, Array<string>>} matching - Keys of the positions each rule matched at the previous refresh.
+ * @property {Object<string, number>} lastAlertAt - Time of the last alert by `<rule id>|<position key>`.
+ */
+
+/**
+ * An alert raised by a rule.
+ * @typedef {Object} PositionAlert
+ * @property {string} ruleId
+ * @property {string} ruleName
+ * @property {string} event - One of ALERT_EVENTS.
+ * @property {string} key - Position identity (see positionDiff.indexPositionsByKey).
+ * @property {Position} position - The position (as it was before it closed, for `closed`).
+ * @property {number} time - Unix ms.
+ */
+
+/**
+ * Checks an alert rule.
+ * @param {*} rule
+ * @returns {{isValid: boolean, errors: Array<string>, conditionError: (SearchQueryError|null)}} `errors` lists
+ *   the names of invalid settings; `conditionError` tells what's wrong with the condition.
+ */
+function validateAlertRule(rule) {
+    const errors = [];
+    const name = rule && typeof rule.name === 'string' ? rule.name.trim() : '';
+    if (!name || name.length > ALERT_RULE_LIMITS.nameMaxLength) errors.push('name');
+    if (!rule || !ALERT_EVENTS.includes(rule.event)) errors.push('event');
+    let conditionError = null;
+    if (!rule || typeof rule.condition !== 'string') {
+        errors.push('condition');
+    } else {
+        conditionError = searchQuery.parseSearchQuery(rule.condition).error;
+        if (conditionError) errors.push('condition');
+    }
+    const cooldown = rule ? rule.cooldownMinutes : undefined;
+    const { min, max } = ALERT_RULE_LIMITS.cooldownMinutes;
+    if (!Number.isInteger(cooldown) || cooldown < min || cooldown > max) errors.push('cooldownMinutes');
+    return { isValid: errors.length === 0, errors, conditionError };
+}
+
+/**
+ * Returns the state before any refresh was evaluated.
+ * @param {Object<string, number>} [lastAlertAt={}] - Alert times kept from earlier (e.g., stored), so that
+ *   cooldowns last across page loads.
+ * @returns {AlertState}
+ */
+function createAlertState(lastAlertAt = {}) {
+    return { positions: null, matching: {}, lastAlertAt: { ...lastAlertAt } };
+}
+
+/**
+ * Evaluates the rules against a refresh of the positions.
+ * Positions raise a `matches` alert when they start matching (including at the first refresh), and
+ * `opened`/`closed` alerts compare with the previous refresh (so there are none at the first one).
+ * Disabled rules and rules with an invalid condition raise nothing.
+ * @param {Array<AlertRule>} rules
+ * @param {Array<Position>} positions - Current positions.
+ * @param {AlertState} state - From createAlertState or the previous evaluation.
+ * @param {number} [now=Date.now()]
+ * @returns {{alerts: Array<PositionAlert>, state: AlertState}} The alerts in rule order, and the new state.
+ */
+function evaluateAlertRules(rules, positions, state, now = Date.now()) {
+    const current = positionDiff.indexPositionsByKey(positions);
+    const previous = state.positions ? positionDiff.indexPositionsByKey(state.positions) : null;
+    const nextState = { positions, matching: {}, lastAlertAt: {} };
+    const alerts = [];
+
+    rules.forEach(rule => {
+        if (!rule.enabled) return;
+        const { query, error } = searchQuery.parseSearchQuery(rule.condition);
+        if (error) return;
+        const matches = position => searchQuery.matchesSearchQuery(query, position, now);
+        let candidates = [];
+        if (rule.event === 'matches') {
+            const matchingKeys = Array.from(current.keys()).filter(key => matches(current.get(key)));
+            const wasMatching = new Set(state.matching[rule.id] || []);
+            nextState.matching[rule.id] = matchingKeys;
+            candidates = matchingKeys.filter(key => !wasMatching.has(key)).map(key => [key, current.get(key)]);
+        } else if (previous && rule.event === 'opened') {
+            candidates = Array.from(current).filter(([key, position]) => !previous.has(key) && matches(position));
+        } else if (previous && rule.event === 'closed') {
+            candidates = Array.from(previous).filter(([key, position]) => !current.has(key) && matches(position));
+        }
+
+        candidates.forEach(([key, position]) => {
+            const cooldownKey = `${rule.id}|${key}`;
+            const lastTime = state.lastAlertAt[cooldownKey];
+            if (lastTime !== undefined && now - lastTime < rule.cooldownMinutes * 60 * 1000) return;
+            state = { ...state, lastAlertAt: { ...state.lastAlertAt, [cooldownKey]: now } };
+            alerts.push({ ruleId: rule.id, ruleName: rule.name, event: rule.event, key, position, time: now });
+        });
+    });
+
+    // Keep only the alert times whose cooldown is still running
+    const cooldownsByRule = new Map(rules.map(rule => [rule.id, rule.cooldownMinutes * 60 * 1000]));
+    Object.entries(state.lastAlertAt).forEach(([cooldownKey, time]) => {
+        const cooldown = cooldownsByRule.get(cooldownKey.slice(0, cooldownKey.indexOf('|')));
+        if (cooldown !== undefined && now - time < cooldown) nextState.lastAlertAt[cooldownKey] = time;
+    });
+    return { alerts, state: nextState };
+}
+
+/**
+ * An entry of the alert log: what's needed to describe an alert later, in any language.
+ * @typedef {Object} AlertLogEntry
+ * @property {number} time - Unix ms.
+ * @property {string} ruleName
+ * @property {string} event - One of ALERT_EVENTS.
+ * @property {string} symbol
+ * @property {string} side - 'long', 'short' or 'unknown'.
+ * @property {string} user
+ */
+
+/**
+ * Returns the log entry of an alert.
+ * @param {PositionAlert} alert
+ * @returns {AlertLogEntry}
+ */
+function createAlertLogEntry(alert) {
+    return {
+        time: alert.time,
+        ruleName: alert.ruleName,
+        event: alert.event,
+        symbol: String(alert.position.symbol || ''),
+        side: positionDiff.normalizePositionSide(alert.position.type),
+        user: alert.position.user ? String(alert.position.user) : ''
+    };
+}
+
+/**
+ * Describes an alert, e.g. "BTCUSDT Long of TraderX was opened (rule "Whales")".
+ * @param {AlertLogEntry} entry
+ * @param {function(string, Object=): string} translate
+ * @returns {{key: string, vars: Object<string, string>}} Translation key and variables of the message.
+ */
+function describeAlert(entry, translate) {
+    const sideKey = entry.side === 'long' || entry.side === 'short' ? `positionCard.${entry.side}` : 'positionCard.unknown';
+    const positionVars = { symbol: entry.symbol || translate('positionCard.na'), side: translate(sideKey), user: entry.user };
+    const position = translate(entry.user ? 'alertPositionWithUser' : 'alertPosition', positionVars);
+    return { key: `alertMessage${entry.event[0].toUpperCase()}${entry.event.slice(1)}`, vars: { position, rule: entry.ruleName } };
+}
+
+/**
+ * Builds the system notifications of the alerts of one refresh: one per alert, or a single one counting
+ * them beyond ALERT_REPORT_LIMIT.
+ * @param {Array<PositionAlert>} alerts
+ * @param {function(string, Object=): string} translate
+ * @returns {Array<{title: string, body: string, tag: string}>} `tag` lets a notification replace an earlier
+ *   one about the same rule and position.
+ */
+function buildAlertNotifications(alerts, translate) {
+    if (alerts.length > ALERT_REPORT_LIMIT) {
+        return [{ title: translate('alertNotificationTitleMany'), body: translate('alertsMany', { count: alerts.length }), tag: 'openpos-alerts' }];
+    }
+    return alerts.map(alert => {
+        const { key, vars } = describeAlert(createAlertLogEntry(alert), translate);
+        return { title: translate('alertNotificationTitle', { rule: alert.ruleName }), body: translate(key, vars), tag: `openpos-alert-${alert.ruleId}-${alert.key}` };
+    });
+}
+
+globalThis.positionAlerts = {
+    ALERT_EVENTS,
+    DEFAULT_ALERT_COOLDOWN_MINUTES,
+    ALERT_RULE_LIMITS,
+    ALERT_REPORT_LIMIT,
+    ALERT_MESSAGE_KEYS,
+    validateAlertRule,
+    createAlertState,
+    evaluateAlertRules,
+    createAlertLogEntry,
+    describeAlert,
+    buildAlertNotifications
+};
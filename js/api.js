@@ -1,9 +1,9 @@
 // js/api.js
 /**
  * @file API communication module for fetching open positions.
- * Includes retry mechanism for network requests.
+ * Includes retry mechanism for network requests and per-source authentication (see auth.js).
  * @author GeekNeuron
- * @version 1.1.0
+ * @version 1.4.0
  */
 
 /**
@@ -12,11 +12,14 @@
  * @property {string} symbol - Trading symbol (e.g., "BTCUSDT").
  * @property {string} type - Position type ("long", "short", "buy", "sell").
  * @property {number} entryPrice - The price at which the position was entered.
- * @property {number} amount - The size of the position.
+ * @property {number} amount - The size of the position, in the base asset.
  * @property {string} [baseAsset] - The base asset (e.g., "BTC").
  * @property {string} [quoteAsset] - The quote asset (e.g., "USDT").
  * @property {number} [leverage] - Leverage used for the position.
  * @property {number} [pnl] - Profit and Loss for the position.
+ * @property {number} [markPrice] - Current mark price, if the source reports it (e.g., exchange adapters).
+ * @property {boolean} [inverse] - Coin-margined (inverse) contract, as converted by the exchange adapters:
+ *   `amount` is the base quantity of its USD value at the entry price and `pnl` is in USD.
  * @property {string} [user] - Identifier for the user who opened the position.
  * @property {number} [timestamp] - Timestamp of when the position was opened (Unix ms).
  */
@@ -28,15 +31,24 @@
  * @param {string} apiUrl - The full API endpoint URL.
  * @param {number} [maxRetries=3] - Maximum number of retry attempts.
  * @param {number} [retryDelayMs=2000] - Delay in milliseconds between retries.
+ * @param {Object} [options={}] - Additional request options.
+ * @param {AuthConfig|null} [options.auth=null] - Authentication applied to every attempt (credentials are never logged).
+ * @param {function(*): *} [options.transform=null] - Reshapes the parsed response before the array check (e.g., a field mapping from mapping.js).
+ * @param {function(string, Response): void} [options.onResponse=null] - Gets a copy of each successful response with its
+ *   request URL (e.g., for the Service Worker to cache it, since its own requests don't pass its fetch handler).
  * @returns {Promise<Array<Position>>} - A promise that resolves to an array of position objects.
  * @throws {Error} If the API request fails after all retries or if the response is malformed or a client error (4xx) occurs.
  */
-async function fetchOpenPositions(apiUrl, maxRetries = 3, retryDelayMs = 2000) {
+async function fetchOpenPositions(apiUrl, maxRetries = 3, retryDelayMs = 2000, options = {}) {
     let attempts = 0;
     while (attempts < maxRetries) {
         try {
             console.log(`Attempt ${attempts + 1} to fetch from ${apiUrl}`);
-            const response = await fetch(apiUrl, {
+            // Signed requests carry a timestamp, so credentials are applied fresh on every attempt.
+            // Only the unsigned apiUrl is ever logged.
+            const request = await authStrategies.applyAuth(apiUrl, options.auth || null);
+            const response = await fetch(request.url, {
+                headers: request.headers,
                 signal: AbortSignal.timeout(10000) // 10 second timeout for each request
             });
 
@@ -46,14 +58,26 @@ async function fetchOpenPositions(apiUrl, maxRetries = 3, retryDelayMs = 2000) {
                 } else { // Client errors (4xx) or other non-server errors
                     let errorData;
                     try { errorData = await response.json(); } catch (e) { /* ignore if not json */ }
-                    const clientErrorMessage = errorData?.message || response.statusText || `Client Error ${response.status}`;
+                    const clientErrorMessage = errorData?.message || errorData?.msg || response.statusText || `Client Error ${response.status}`;
                     const clientError = new Error(`API Client Error: ${response.status} ${clientErrorMessage}`);
                     clientError.isClientError = true; // Flag for app.js to not retry or show generic retry message
                     throw clientError; // Stop retrying for client errors
                 }
             }
 
-            const data = await response.json();
+            if (typeof options.onResponse === 'function') options.onResponse(request.url, response.clone());
+            const responseData = await response.json();
+            // Non-conforming payloads are reshaped first; mapping errors are configuration errors, so don't retry them
+            let data = responseData;
+            if (typeof options.transform === 'function') {
+                try {
+                    data = options.transform(responseData);
+                } catch (mappingError) {
+                    const transformError = new Error(`Invalid API response format: ${mappingError.message}`);
+                    transformError.isClientError = true;
+                    throw transformError;
+                }
+            }
             // Basic validation already done in validator.js, but an initial array check is good.
             if (!Array.isArray(data)) {
                 console.error('API response is not an array:', data);
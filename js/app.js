@@ -2,74 +2,336 @@
 /**
  * @file Main application logic for OpenPos.
  * Initializes the application, including theme, internationalization, and UI settings.
- * Fetches position data from the API, validates it, and coordinates with the UI module
- * to display the data. Also handles Service Worker registration and updates.
+ * Fetches position data from the active data source, validates it, and coordinates with the UI module
+ * to display the data, or shows positions imported from a file instead (offline analysis mode).
+ * Every successful fetch is recorded in the position history (see timeline.js) and checked against the
+ * alert rules (see alertpanel.js).
+ * Also handles Service Worker registration and updates, and hands the refresh over to the Service Worker
+ * while no tab is visible (see backgroundrefresh.js).
  * @author GeekNeuron
- * @version 1.3.0
+ * @version 1.12.0
  */
 
 /**
- * The API endpoint URL for fetching open positions.
- * !!! IMPORTANT: Replace this with your actual API endpoint.
- * @type {string}
- * @constant
+ * Sends a message to the active Service Worker, once there is one.
+ * @function postServiceWorkerMessage
+ * @param {Object} message
+ * @param {string} description - What the message does, for the warning if it can't be sent.
  */
-const API_URL = 'YOUR_API_ENDPOINT_HERE'; // مثال: 'https://api.coingecko.com/api/v3/derivatives/exchanges/binance_futures?include_tickers=unexpired';
-// const API_URL = 'sample_data.json'; // برای تست محلی
+function postServiceWorkerMessage(message, description) {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => {
+            if (registration.active) registration.active.postMessage(message);
+        })
+        .catch(error => console.warn(`Could not ${description}:`, error));
+}
 
 /**
- * Main application function. Orchestrates initialization and data fetching.
+ * Tells the Service Worker which URL belongs to the active data source,
+ * so its network-first API cache strategy follows the user's choice.
+ * @function syncServiceWorkerApiSource
+ * @param {DataSource|null} source - The active data source.
+ */
+function syncServiceWorkerApiSource(source) {
+    const message = { type: 'SET_API_SOURCE', url: source ? window.dataSources.resolveUrl(source) : null };
+    postServiceWorkerMessage(message, 'sync API source with Service Worker');
+}
+
+/**
+ * Gives the Service Worker what it needs to refresh on its own while no tab is visible: the active data
+ * source (with its credentials, which the worker keeps in the origin's Cache Storage, like the page keeps
+ * them in localStorage), the alert rules, their messages in the current language, and where the page's
+ * alert evaluation stands, so the worker carries on from it.
+ * @function syncServiceWorkerBackgroundConfig
+ */
+function syncServiceWorkerBackgroundConfig() {
+    const source = window.dataSources.getActive();
+    const messageTemplates = {};
+    positionAlerts.ALERT_MESSAGE_KEYS.forEach(key => { messageTemplates[key] = translate(key); });
+    const config = {
+        source: source ? {
+            id: source.id,
+            url: window.dataSources.resolveUrl(source),
+            auth: source.auth || null,
+            adapter: source.adapter,
+            mapping: source.mapping
+        } : null,
+        rules: window.alertRules.getAll(),
+        messageTemplates,
+        alertState: window.alertRules.getState()
+    };
+    postServiceWorkerMessage({ type: 'SET_BACKGROUND_CONFIG', config }, 'sync background refresh with Service Worker');
+}
+
+/**
+ * Takes over what the Service Worker's background refreshes did: shows when the active source was last
+ * refreshed in the background, and adds their alerts to the log (then tells the worker they were received).
+ * @function applyBackgroundRefreshStatus
+ * @param {{time?: number, sourceId?: string, entries: Array<AlertLogEntry>, record: (AlertStateRecord|null)}} status
+ */
+function applyBackgroundRefreshStatus(status) {
+    const source = window.dataSources.getActive();
+    if (status.time && source && status.sourceId === source.id) window.autoRefresh.markBackgroundUpdated(new Date(status.time));
+    window.alertRules.applyBackgroundResult(status.entries, status.record);
+    if (status.entries.length > 0) {
+        const until = Math.max(...status.entries.map(entry => entry.time));
+        postServiceWorkerMessage({ type: 'BACKGROUND_ALERTS_RECEIVED', until }, 'acknowledge background alerts');
+    }
+}
+
+/**
+ * Asks the browser to wake the Service Worker periodically to refresh in the background (Periodic
+ * Background Sync, e.g. Chromium with the app installed). Does nothing where the API or the permission
+ * is missing.
  * @async
- * @function mainApp
+ * @function registerPeriodicBackgroundRefresh
+ * @param {ServiceWorkerRegistration} registration
  */
-async function mainApp() {
-    initTheme();
-    await initI18n(); // Must be awaited for translations to be ready
+async function registerPeriodicBackgroundRefresh(registration) {
+    if (!('periodicSync' in registration) || !navigator.permissions) return;
+    try {
+        const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (state !== 'granted') return;
+        await registration.periodicSync.register(backgroundRefresh.BACKGROUND_REFRESH_TAG, {
+            minInterval: backgroundRefresh.BACKGROUND_REFRESH_MIN_INTERVAL_MS
+        });
+    } catch (error) {
+        console.warn('Could not register the periodic background refresh:', error);
+    }
+}
 
-    if (window.ui && typeof window.ui.loadAndApplyUiSettings === 'function') {
-        window.ui.loadAndApplyUiSettings();
+/**
+ * Asks for a single background refresh once the connection is back (Background Sync), which runs even
+ * if the app was closed in the meantime. Does nothing where the API is missing.
+ * @function requestBackgroundRefresh
+ */
+function requestBackgroundRefresh() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => {
+            if ('sync' in registration) return registration.sync.register(backgroundRefresh.BACKGROUND_REFRESH_TAG);
+        })
+        .catch(error => console.warn('Could not request a background refresh:', error));
+}
+
+/**
+ * Connects the page to the Service Worker's background refresh: keeps its configuration current, hands
+ * the alert evaluation over whenever the page is hidden, and takes over the results.
+ * @function initBackgroundRefresh
+ */
+function initBackgroundRefresh() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'BACKGROUND_REFRESH_STATUS') applyBackgroundRefreshStatus(event.data.status);
+    });
+    window.alertRules.onChange(syncServiceWorkerBackgroundConfig);
+    window.addEventListener('openpos:languagechange', syncServiceWorkerBackgroundConfig);
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) syncServiceWorkerBackgroundConfig();
+    });
+    window.addEventListener('pagehide', syncServiceWorkerBackgroundConfig);
+    syncServiceWorkerBackgroundConfig();
+    postServiceWorkerMessage({ type: 'GET_BACKGROUND_STATUS' }, 'read the background refresh status');
+}
+
+/**
+ * The live position stream of the active data source, if it has one.
+ * @type {{close: function(): void, getState: function(): string}|null}
+ */
+let activePositionStream = null;
+
+/**
+ * Closes the live position stream, if any, and returns the scheduler to plain polling.
+ * @function stopPositionStream
+ */
+function stopPositionStream() {
+    if (activePositionStream) {
+        activePositionStream.close();
+        activePositionStream = null;
+    }
+    window.autoRefresh.setStreamState(null);
+}
+
+/**
+ * Displays positions of the active data source, unless the history timeline shows a past snapshot:
+ * then they're held until the user goes back to live data.
+ * @function displayLivePositions
+ * @param {Array<Position>} validatedPositions
+ * @param {{isRefresh?: boolean}} [options={}] - As for ui.displayPositions.
+ */
+function displayLivePositions(validatedPositions, options = {}) {
+    if (window.historyTimeline.isViewingPast()) window.historyTimeline.setLivePositions(validatedPositions);
+    else window.ui.displayPositions(validatedPositions, options);
+}
+
+/**
+ * Validates (in the list worker) and displays the positions delivered by the live stream.
+ * The worker answers in order, so updates are displayed in the order they arrived.
+ * @async
+ * @function applyStreamPositions
+ * @param {Array<Object>} rawPositions - All current positions after the last stream message.
+ */
+async function applyStreamPositions(rawPositions) {
+    const stream = activePositionStream;
+    const { validatedPositions, errors: validationErrors } = await window.positionWorker.validatePositions(rawPositions);
+    if (stream !== activePositionStream) return; // The stream was closed (e.g., the source changed) meanwhile
+    if (validationErrors.length > 0) {
+        console.warn('Validation Issues Encountered in stream update:', validationErrors.join('\n'));
     }
+    displayLivePositions(validatedPositions, { isRefresh: true });
+    window.autoRefresh.markUpdated();
+    const source = window.dataSources.getActive();
+    if (source) window.alertRules.evaluate(source.id, validatedPositions);
+}
+
+/**
+ * Opens the live stream of a data source configured with the `stream` transport.
+ * REST polling takes over whenever the stream is down (see autoRefresh.setStreamState).
+ * @function startPositionStream
+ * @param {DataSource} source - The active data source.
+ */
+function startPositionStream(source) {
+    stopPositionStream();
+    if (source.transport !== 'stream' || !source.streamUrl) return;
+    activePositionStream = positionStream.createPositionStream({
+        url: new URL(source.streamUrl, window.location.href).href,
+        subscribeMessage: source.subscribeMessage || null,
+        transformPosition: source.mapping ? item => positionMapping.mapPosition(item, source.mapping) : null,
+        initialPositions: window.currentPositionsData || [],
+        onStateChange: state => window.autoRefresh.setStreamState(state),
+        onPositions: applyStreamPositions
+    });
+}
 
-    window.ui.setLoading(true);
+/**
+ * Serializes everything about a data source that affects loading (all but its name),
+ * so that a reload happens only when one of those settings actually changes.
+ * @function getSourceLoadSignature
+ * @param {DataSource|null} source
+ * @returns {string|null}
+ */
+function getSourceLoadSignature(source) {
+    if (!source) return null;
+    const { name, ...loadSettings } = source;
+    return JSON.stringify(loadSettings);
+}
+
+/**
+ * Load signature of the data source the current positions were loaded from.
+ * @type {string|null}
+ */
+let loadedSourceSignature = null;
+let loadRequestCounter = 0; // Lets a newer load (e.g., after switching sources) supersede one still in flight
+let importedFileName = null; // Name of the file whose positions are shown instead of the data source's, if any
+
+/**
+ * Shows positions imported from a file instead of the data source's (offline analysis mode): the stream,
+ * the mark-price feed and any load in flight are stopped, and background refreshes are skipped until
+ * the user goes back to live data or the data source changes.
+ * @function showImportedPositions
+ * @param {Array<Position>} positions - Validated positions.
+ * @param {string} fileName
+ */
+function showImportedPositions(positions, fileName) {
+    loadRequestCounter++; // Supersedes a load still in flight
+    importedFileName = fileName;
+    stopPositionStream();
+    window.markPriceFeed.stop();
+    window.historyTimeline.setSource(null);
+    window.ui.setLoading(false);
+    window.ui.displayPositions(positions);
+    window.importPanel.setImportedFile(fileName, positions.length);
+    window.ui.showToast('importDone', 'success', 3000);
+}
+
+/**
+ * Fetches, validates, records (see historyTimeline.record), checks against the alert rules (see
+ * alertRules.evaluate) and displays positions from the active data source.
+ * Opens the settings panel if no data source has been configured yet. A foreground load leaves the
+ * offline analysis mode (see showImportedPositions) and returns the history timeline to live data.
+ * @async
+ * @function loadPositions
+ * @param {{background?: boolean}} [options={}] - A background load (auto-refresh) keeps the current
+ * positions on screen, highlights what changed, and reports failures as a toast instead of an error page.
+ */
+async function loadPositions(options = {}) {
+    const isBackground = options.background === true;
+    if (importedFileName !== null) {
+        if (isBackground) return; // Imported positions aren't refreshed
+        importedFileName = null;
+        window.importPanel.setImportedFile(null);
+    }
+    const requestId = ++loadRequestCounter;
+    const source = window.dataSources.getActive();
+    loadedSourceSignature = getSourceLoadSignature(source);
+    if (!isBackground) window.historyTimeline.setSource(source ? source.id : null);
+    if (!source) {
+        if (isBackground) return;
+        stopPositionStream();
+        window.markPriceFeed.stop();
+        window.ui.displayError('errorNoDataSource');
+        window.dataSources.openSettingsPanel();
+        return;
+    }
+
+    if (!isBackground) window.ui.setLoading(true);
     let rawPositions = [];
 
     try {
         // Fetch positions with retry logic
-        rawPositions = await fetchOpenPositions(API_URL, 3, 2500); // 3 retries, 2.5s delay
+        rawPositions = await fetchOpenPositions(window.dataSources.resolveUrl(source), isBackground ? 1 : 3, 2500, {
+            auth: source.auth,
+            transform: backgroundRefresh.getResponseTransform(source)
+        }); // 3 retries, 2.5s delay (next poll retries in the background)
+        if (requestId !== loadRequestCounter) return; // A newer load has started
 
-        // Validate the structure of each position object
-        const { validatedPositions, errors: validationErrors } = validatePositionsArray(rawPositions); // from validator.js
+        // Validate the structure of each position object (in the list worker, so large payloads don't block the page)
+        const { validatedPositions, errors: validationErrors } = await window.positionWorker.validatePositions(rawPositions);
+        if (requestId !== loadRequestCounter) return;
 
         if (validationErrors.length > 0) {
             console.warn('Validation Issues Encountered:', validationErrors.join('\n'));
-            if (validatedPositions.length > 0) { // If some data is still good, show a non-critical toast
+            if (validatedPositions.length > 0 && !isBackground) { // If some data is still good, show a non-critical toast
                 window.ui.showToast('somePositionsInvalid', 'warning', 4000);
             }
         }
+        window.autoRefresh.markUpdated();
+        if (validatedPositions.length > 0 || rawPositions.length === 0) { // Not when all of the data was invalid
+            window.historyTimeline.record(source.id, validatedPositions);
+            window.alertRules.evaluate(source.id, validatedPositions);
+        }
 
         // Decide what to display
         if (validatedPositions.length === 0) { // No valid positions to show
             if (rawPositions.length > 0) { // Data was fetched, but none of it was valid
                 window.ui.displayError('noPositionsAfterValidation', validationErrors.join('\n'));
             } else { // API returned empty or fetch failed completely before validation
-                window.ui.displayPositions([]); // ui.js will show "no positions" message
+                displayLivePositions([], { isRefresh: isBackground }); // ui.js will show "no positions" message
             }
         } else {
-            window.ui.displayPositions(validatedPositions);
+            displayLivePositions(validatedPositions, { isRefresh: isBackground });
         }
 
     } catch (error) {
+        if (requestId !== loadRequestCounter) return;
+        if (!error.isClientError) requestBackgroundRefresh(); // Retried by the Service Worker once the connection is back
+        if (isBackground) { // Keep showing the last good data; the next poll will try again
+            console.warn('Background refresh failed:', error.message);
+            window.ui.showToast('refreshFailed', 'warning', 4000);
+            return;
+        }
         console.error('Main application error (after retries, if any):', error);
         let errorMessageKey = 'errorMessageDefault';
         let errorDetail = error.message;
 
-        if (error.isClientError) {
+        if (error.message.includes('Invalid API response format')) { // Also raised (without retries) by a failing field mapping or adapter
+            errorMessageKey = 'errorInvalidResponse';
+        } else if (error.isClientError) {
             errorDetail = error.message.substring('API Client Error: '.length);
             if (error.message.includes('401') || error.message.includes('403')) errorMessageKey = 'errorUnauthorized';
             else if (error.message.includes('404')) errorMessageKey = 'errorNotFound';
             else errorMessageKey = 'errorClientGeneric';
-        } else if (error.message.includes('Invalid API response format')) {
-            errorMessageKey = 'errorInvalidResponse';
         } else if (error.message.startsWith('Server Error:')) {
             errorMessageKey = 'errorServerGeneric';
             errorDetail = error.message.substring('Server Error: '.length);
@@ -77,9 +339,57 @@ async function mainApp() {
             errorMessageKey = 'errorFailedToFetch';
         }
         window.ui.displayError(errorMessageKey, errorDetail);
+        if (errorMessageKey === 'errorUnauthorized') {
+            window.ui.showToast('errorUnauthorizedToast', 'error', 0, {
+                textKey: 'editCredentialsButton',
+                callback: () => window.dataSources.editCredentials(source.id)
+            });
+        }
     } finally {
-        window.ui.setLoading(false);
+        if (requestId === loadRequestCounter && !isBackground) window.ui.setLoading(false);
+    }
+
+    // Start streaming on top of the REST snapshot (even if it failed, the stream may still deliver one)
+    if (requestId === loadRequestCounter && !isBackground) {
+        startPositionStream(source);
+        window.markPriceFeed.start(source, prices => window.ui.updateLiveMetrics(prices.keys()));
+    }
+}
+
+/**
+ * Main application function. Orchestrates initialization and data fetching.
+ * @async
+ * @function mainApp
+ */
+async function mainApp() {
+    initTheme();
+    await initI18n(); // Must be awaited for translations to be ready
+
+    if (window.ui && typeof window.ui.loadAndApplyUiSettings === 'function') {
+        window.ui.loadAndApplyUiSettings();
     }
+
+    window.savedViews.init();
+    window.importPanel.init();
+    window.importPanel.onImport(showImportedPositions);
+    window.importPanel.onLeave(() => loadPositions());
+    window.importPanel.onCompare(window.diffPanel.compareWithFile);
+    window.dataSources.initSettingsPanel();
+    window.marginTiers.initSettingsSection();
+    window.historyTimeline.init();
+    window.diffPanel.init();
+    window.positionChart.init();
+    window.alertRules.init();
+    initBackgroundRefresh();
+    window.dataSources.onChange(source => {
+        syncServiceWorkerApiSource(source);
+        syncServiceWorkerBackgroundConfig();
+        if (getSourceLoadSignature(source) !== loadedSourceSignature) loadPositions();
+    });
+    syncServiceWorkerApiSource(window.dataSources.getActive());
+
+    await loadPositions();
+    window.autoRefresh.init(() => loadPositions({ background: true }));
 }
 
 document.addEventListener('DOMContentLoaded', mainApp);
@@ -90,6 +400,7 @@ if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('./sw.js')
             .then(registration => {
                 console.log('Service Worker registered successfully with scope:', registration.scope);
+                registerPeriodicBackgroundRefresh(registration);
                 registration.onupdatefound = () => {
                     const installingWorker = registration.installing;
                     if (installingWorker == null) return;
@@ -0,0 +1,107 @@
+// js/auth.js
+/**
+ * @file Pluggable authentication strategies for data source requests.
+ * Each strategy takes the request URL and headers and returns them with credentials applied.
+ * Built in: static header, bearer token and exchange-style HMAC-SHA256 query signing (WebCrypto).
+ * Has no DOM dependencies so it can also be loaded in workers.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Authentication settings attached to a data source.
+ * @typedef {Object} AuthConfig
+ * @property {'none'|'header'|'bearer'|'hmac'} type - Strategy name.
+ * @property {string} [headerName] - `header`: name of the header to send (e.g., "X-API-Key").
+ * @property {string} [headerValue] - `header`: value of that header.
+ * @property {string} [token] - `bearer`: token sent as `Authorization: Bearer <token>`.
+ * @property {string} [apiKey] - `hmac`: public API key.
+ * @property {string} [apiSecret] - `hmac`: secret used to sign the query string.
+ * @property {string} [apiKeyHeader='X-MBX-APIKEY'] - `hmac`: header carrying the API key.
+ * @property {number} [recvWindow] - `hmac`: validity window in ms, added as `recvWindow` if set.
+ * @property {string} [timestampParam='timestamp'] - `hmac`: query parameter for the timestamp.
+ * @property {string} [signatureParam='signature'] - `hmac`: query parameter for the signature.
+ */
+
+/**
+ * A request being prepared for fetch.
+ * @typedef {Object} AuthRequest
+ * @property {URL} url - Request URL (query parameters may be added).
+ * @property {Object<string, string>} headers - Request headers.
+ */
+
+/**
+ * Registered strategies, keyed by `AuthConfig.type`.
+ * Strategies receive the request, the config and the current time in ms.
+ * @type {Object<string, function(AuthRequest, AuthConfig, number): Promise<AuthRequest>>}
+ */
+const authStrategyRegistry = {};
+
+/**
+ * Computes an HMAC-SHA256 signature and returns it as lowercase hex.
+ * @async
+ * @param {string} secret - Signing secret.
+ * @param {string} message - Message to sign.
+ * @returns {Promise<string>}
+ */
+async function hmacSha256Hex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return Array.from(new Uint8Array(signature)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Registers (or replaces) an authentication strategy.
+ * @param {string} type - Strategy name used in `AuthConfig.type`.
+ * @param {function(AuthRequest, AuthConfig, number): Promise<AuthRequest>} applyFn - Applies credentials to the request.
+ */
+function registerAuthStrategy(type, applyFn) {
+    authStrategyRegistry[type] = applyFn;
+}
+
+registerAuthStrategy('none', async request => request);
+
+registerAuthStrategy('header', async (request, config) => {
+    if (config.headerName) request.headers[config.headerName] = config.headerValue || '';
+    return request;
+});
+
+registerAuthStrategy('bearer', async (request, config) => {
+    if (config.token) request.headers['Authorization'] = `Bearer ${config.token}`;
+    return request;
+});
+
+registerAuthStrategy('hmac', async (request, config, now) => {
+    const timestampParam = config.timestampParam || 'timestamp';
+    const signatureParam = config.signatureParam || 'signature';
+    const params = request.url.searchParams;
+    params.delete(signatureParam);
+    if (config.recvWindow) params.set('recvWindow', String(config.recvWindow));
+    params.set(timestampParam, String(now));
+    // The signature covers the exact query string sent and must be appended last
+    const signature = await hmacSha256Hex(config.apiSecret || '', params.toString());
+    params.append(signatureParam, signature);
+    if (config.apiKey) request.headers[config.apiKeyHeader || 'X-MBX-APIKEY'] = config.apiKey;
+    return request;
+});
+
+/**
+ * Applies the configured authentication strategy to a request URL.
+ * A fresh result must be built for every attempt, since signed requests carry a timestamp.
+ * @async
+ * @param {string} url - Absolute request URL.
+ * @param {AuthConfig|null} [authConfig=null] - Authentication settings; `null` means no authentication.
+ * @param {number} [now=Date.now()] - Current time in ms, used by signing strategies.
+ * @returns {Promise<{url: string, headers: Object<string, string>}>} The URL and headers to pass to fetch.
+ * @throws {Error} If the strategy type is not registered.
+ */
+async function applyAuth(url, authConfig = null, now = Date.now()) {
+    const type = authConfig?.type || 'none';
+    const strategy = authStrategyRegistry[type];
+    if (!strategy) throw new Error(`Unknown authentication strategy: ${type}`);
+    const request = await strategy({ url: new URL(url), headers: {} }, authConfig || {}, now);
+    return { url: request.url.href, headers: request.headers };
+}
+
+globalThis.authStrategies = { applyAuth, registerAuthStrategy, hmacSha256Hex };
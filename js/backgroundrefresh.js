@@ -0,0 +1,98 @@
+// js/backgroundrefresh.js
+/**
+ * @file Background refresh of the active data source.
+ * While no tab of the app is visible, the Service Worker (sw.js) refetches the positions on Periodic
+ * Background Sync and Background Sync events and evaluates the alert rules against them, carrying on
+ * from where the page left off. Runs the same functions as the page (api.js, validator.js, alerts.js);
+ * pure functions with no DOM dependencies (usable in the Service Worker and tests).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Tag of the periodic and one-off sync registrations.
+ * @const {string}
+ */
+const BACKGROUND_REFRESH_TAG = 'openpos-background-refresh';
+
+/**
+ * Interval asked for the periodic sync; browsers may run it less often (e.g., depending on site engagement).
+ * @const {number}
+ */
+const BACKGROUND_REFRESH_MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * What the Service Worker needs to refresh a data source on its own: the parts of the DataSource used
+ * for the request and the response, with the URL resolved against the page.
+ * @typedef {Object} BackgroundSource
+ * @property {string} id
+ * @property {string} url - Absolute URL.
+ * @property {AuthConfig|null} [auth]
+ * @property {string} [adapter] - Exchange adapter id (see adapters.js).
+ * @property {FieldMapping} [mapping] - Field mapping (see mapping.js).
+ */
+
+/**
+ * Where an alert evaluation stands (see alertRules.getState).
+ * @typedef {Object} AlertStateRecord
+ * @property {string} sourceId - Data source the state belongs to.
+ * @property {AlertState} state
+ * @property {number} evaluatedAt - Unix ms.
+ */
+
+/**
+ * Returns the function that reshapes a source's raw response into positions: the built-in exchange
+ * adapter if one is selected, otherwise the field mapping, otherwise none. Shared by the page (app.js).
+ * @param {DataSource|BackgroundSource} source
+ * @returns {(function(*): *)|null}
+ */
+function getResponseTransform(source) {
+    if (source.adapter) return data => exchangeAdapters.apply(source.adapter, data);
+    if (source.mapping) return data => positionMapping.applyMapping(data, source.mapping);
+    return null;
+}
+
+/**
+ * Refetches a data source's positions and evaluates the alert rules against them.
+ * The evaluation carries on from `record` if it belongs to the same source, and otherwise starts over
+ * (keeping the cooldowns). Like on the page, rules are not evaluated when all of the data was invalid.
+ * @async
+ * @param {BackgroundSource} source
+ * @param {Array<AlertRule>} rules
+ * @param {AlertStateRecord|null} record - The last evaluation, of the page or of an earlier background refresh.
+ * @param {Object} [options={}]
+ * @param {number} [options.now=Date.now()]
+ * @param {function(string, Response): void} [options.onResponse] - Gets each successful response (e.g., to cache it).
+ * @returns {Promise<{time: number, positionCount: number, alerts: Array<PositionAlert>, record: (AlertStateRecord|null)}>}
+ *   `record` is the new evaluation state (unchanged if rules were not evaluated).
+ * @throws {Error} If the positions could not be fetched (see fetchOpenPositions).
+ */
+async function runBackgroundRefresh(source, rules, record, options = {}) {
+    const rawPositions = await fetchOpenPositions(source.url, 1, 0, {
+        auth: source.auth || null,
+        transform: getResponseTransform(source),
+        onResponse: options.onResponse
+    });
+    const time = options.now ?? Date.now();
+    const { validatedPositions } = validatePositionsArray(rawPositions);
+    if (validatedPositions.length === 0 && rawPositions.length > 0) {
+        return { time, positionCount: 0, alerts: [], record };
+    }
+    const state = record && record.sourceId === source.id
+        ? record.state
+        : positionAlerts.createAlertState(record ? record.state.lastAlertAt : {});
+    const result = positionAlerts.evaluateAlertRules(rules, validatedPositions, state, time);
+    return {
+        time,
+        positionCount: validatedPositions.length,
+        alerts: result.alerts,
+        record: { sourceId: source.id, state: result.state, evaluatedAt: time }
+    };
+}
+
+globalThis.backgroundRefresh = {
+    BACKGROUND_REFRESH_TAG,
+    BACKGROUND_REFRESH_MIN_INTERVAL_MS,
+    getResponseTransform,
+    runBackgroundRefresh
+};
@@ -0,0 +1,409 @@
+// js/chartpanel.js
+/**
+ * @file Position history charts for OpenPos.
+ * Keeps the PnL and mark price of each position across the recent snapshots of the active data source
+ * (see history.js and timeline.js), draws a small SVG sparkline on each card, and shows a larger chart in a
+ * detail view, with the value under the pointer (or chosen with the arrow keys), a reference line at the
+ * entry price (or break-even for PnL) and a time axis. Geometry is in charts.js; colours come from the
+ * theme's CSS variables (see the "Position Charts" section of style.css).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Number of most recent snapshots charted.
+ * @const {number}
+ */
+const CHART_MAX_SNAPSHOTS = 200;
+
+/**
+ * Key for storing the value shown by the card sparklines in localStorage.
+ * @const {string}
+ */
+const SPARKLINE_METRIC_KEY = 'openPosSparklineMetric';
+
+/**
+ * Size of the card sparklines and of the detail chart (its viewBox), in SVG units.
+ * @const {{width: number, height: number}}
+ */
+const SPARKLINE_SIZE = { width: 120, height: 32 };
+const DETAIL_CHART_SIZE = { width: 640, height: 280 };
+
+/**
+ * Space around the detail chart's plot area for the axis labels: `start` is left in left-to-right
+ * layouts and right in right-to-left ones.
+ * @const {{top: number, bottom: number, start: number, end: number}}
+ */
+const DETAIL_CHART_MARGINS = { top: 16, bottom: 36, start: 72, end: 16 };
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Translation key of the label of each chart metric.
+ * @const {Object<string, string>}
+ */
+const CHART_METRIC_LABEL_KEYS = { pnl: 'positionCard.pnl', markPrice: 'positionCard.markPrice' };
+
+/**
+ * @namespace positionChart
+ * @description Global namespace for position sparklines and the detail chart.
+ */
+window.positionChart = {};
+
+// --- DOM Element Getters ---
+const chartPanelElement = document.getElementById('chart-panel');
+const chartTitleElement = document.getElementById('chart-title');
+const chartCloseButton = document.getElementById('chart-close-button');
+const chartMetricButtons = document.querySelectorAll('#chart-panel button[data-chart-metric]');
+const chartContainerElement = document.getElementById('chart-container');
+const chartHoverValueElement = document.getElementById('chart-hover-value');
+const chartEmptyElement = document.getElementById('chart-empty');
+const sparklineMetricSelect = document.getElementById('sparkline-metric');
+
+let chartSourceId = null; // Data source whose snapshots are charted
+let chartSnapshots = []; // {id, takenAt, values: SnapshotValues} of the recent snapshots, oldest first
+let chartSeriesCache = new Map(); // `${metric}|${key}` -> Array<ChartPoint>
+let chartLoadCounter = 0; // Lets a newer snapshot list supersede one still being read
+let sparklineMetric = null; // Loaded lazily
+let detailChart = null; // {position, metric, points, scale, activeIndex} while the detail view is open
+
+/** @private */
+function getChartLocale() {
+    return window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US';
+}
+
+/** @private */
+function isRightToLeft() {
+    return document.body.getAttribute('dir') === 'rtl';
+}
+
+/** @private */
+function getSparklineMetric() {
+    if (!sparklineMetric) {
+        const saved = localStorage.getItem(SPARKLINE_METRIC_KEY);
+        sparklineMetric = positionCharts.CHART_METRICS.includes(saved) ? saved : 'pnl';
+    }
+    return sparklineMetric;
+}
+
+/** @private */
+function createSvgElement(tagName, attributes = {}) {
+    const element = document.createElementNS(SVG_NAMESPACE, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, String(value)));
+    return element;
+}
+
+/**
+ * Returns the series of a position across the charted snapshots.
+ * @private
+ * @param {Position} position
+ * @param {string} metric - One of positionCharts.CHART_METRICS.
+ * @returns {Array<ChartPoint>}
+ */
+function getChartSeries(position, metric) {
+    const key = positionDiff.getPositionKey(position);
+    const cacheKey = `${metric}|${key}`;
+    if (!chartSeriesCache.has(cacheKey)) chartSeriesCache.set(cacheKey, positionCharts.buildPositionSeries(chartSnapshots, key, metric));
+    return chartSeriesCache.get(cacheKey);
+}
+
+/** @private */
+function formatChartValue(value) {
+    return value.toLocaleString(getChartLocale(), { maximumFractionDigits: Math.abs(value) >= 100 ? 2 : 6 });
+}
+
+/**
+ * Formats a time axis label, with as much detail as the span of the axis needs.
+ * @private
+ * @param {number} time
+ * @param {number} minTime - Start of the axis.
+ * @param {number} maxTime - End of the axis.
+ * @returns {string}
+ */
+function formatChartTime(time, minTime, maxTime) {
+    const options = { hour: '2-digit', minute: '2-digit' };
+    if (new Date(minTime).toDateString() !== new Date(maxTime).toDateString()) Object.assign(options, { month: 'short', day: 'numeric' });
+    else if (maxTime - minTime < 10 * 60 * 1000) options.second = '2-digit';
+    return new Date(time).toLocaleString(getChartLocale(), options);
+}
+
+/**
+ * Reads the values of the recent snapshots of a data source. Snapshots already read are kept, so that
+ * only new ones are read after each fetch.
+ * @private
+ * @async
+ * @param {string|null} sourceId
+ * @param {Array<SnapshotMeta>} snapshots - Oldest first.
+ */
+async function updateChartSnapshots(sourceId, snapshots) {
+    const requestId = ++chartLoadCounter;
+    const known = sourceId === chartSourceId ? new Map(chartSnapshots.map(snapshot => [snapshot.id, snapshot])) : new Map();
+    const loaded = [];
+    for (const snapshot of snapshots.slice(-CHART_MAX_SNAPSHOTS)) {
+        let entry = known.get(snapshot.id);
+        if (!entry) {
+            let positions = null;
+            try {
+                positions = await positionHistory.getSnapshotPositions(snapshot.id);
+            } catch (error) {
+                console.warn('Could not read a snapshot for the charts:', error);
+            }
+            if (requestId !== chartLoadCounter) return; // A newer list arrived meanwhile
+            if (!positions) continue;
+            entry = { id: snapshot.id, takenAt: snapshot.takenAt, values: positionCharts.extractSnapshotValues(positions) };
+        }
+        loaded.push(entry);
+    }
+    chartSourceId = sourceId;
+    chartSnapshots = loaded;
+    chartSeriesCache = new Map();
+    window.ui.updateSparklines();
+    if (detailChart) renderDetailChart();
+}
+
+/**
+ * Builds the sparkline of a position for its card: a button that opens the detail view, or null if there
+ * are fewer than two points to draw.
+ * @function createSparkline
+ * @memberof positionChart
+ * @param {Position} position
+ * @returns {HTMLButtonElement|null}
+ */
+window.positionChart.createSparkline = function(position) {
+    const metric = getSparklineMetric();
+    const points = getChartSeries(position, metric);
+    if (points.length < 2) return null;
+    const { width, height } = SPARKLINE_SIZE;
+    const { min, max } = positionCharts.getValueExtent(points);
+    const scale = positionCharts.createChartScale({
+        minTime: points[0].time, maxTime: points[points.length - 1].time, minValue: min, maxValue: max,
+        left: 3, right: width - 3, top: 3, bottom: height - 3, rightToLeft: isRightToLeft()
+    });
+    const lastPoint = points[points.length - 1];
+    const trendClass = metric === 'pnl' ? (lastPoint.value >= 0 ? 'pnl-positive' : 'pnl-negative') : 'price-line';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `card-sparkline ${trendClass}`;
+    const label = translate('chartOpenLabel', { symbol: position.symbol || '', metric: translate(CHART_METRIC_LABEL_KEYS[metric]) });
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, width, height, 'aria-hidden': 'true', focusable: 'false' });
+    if (metric === 'pnl' && min < 0 && max > 0) {
+        svg.appendChild(createSvgElement('line', { class: 'sparkline-zero', x1: 0, x2: width, y1: scale.y(0), y2: scale.y(0) }));
+    }
+    svg.appendChild(createSvgElement('path', { class: 'sparkline-line', d: positionCharts.buildLinePath(points, scale) }));
+    svg.appendChild(createSvgElement('circle', { class: 'sparkline-dot', cx: scale.x(lastPoint.time), cy: scale.y(lastPoint.value), r: 2.5 }));
+    button.appendChild(svg);
+    button.addEventListener('click', () => window.positionChart.open(position));
+    return button;
+};
+
+/**
+ * Draws the detail chart of the open detail view.
+ * @private
+ */
+function renderDetailChart() {
+    const { position, metric } = detailChart;
+    const points = getChartSeries(position, metric);
+    chartMetricButtons.forEach(button => button.setAttribute('aria-pressed', String(button.dataset.chartMetric === metric)));
+    chartTitleElement.textContent = translate('chartTitle', { symbol: position.symbol || translate('positionCard.na') });
+    chartContainerElement.innerHTML = '';
+    chartHoverValueElement.textContent = '';
+    chartEmptyElement.hidden = points.length > 0;
+    detailChart.points = points;
+    detailChart.activeIndex = -1;
+    if (points.length === 0) return;
+
+    const { width, height } = DETAIL_CHART_SIZE;
+    const rightToLeft = isRightToLeft();
+    const left = rightToLeft ? DETAIL_CHART_MARGINS.end : DETAIL_CHART_MARGINS.start;
+    const right = width - (rightToLeft ? DETAIL_CHART_MARGINS.start : DETAIL_CHART_MARGINS.end);
+    const top = DETAIL_CHART_MARGINS.top;
+    const bottom = height - DETAIL_CHART_MARGINS.bottom;
+    const referenceValue = metric === 'markPrice' ? Number(position.entryPrice) : 0;
+    const hasReference = Number.isFinite(referenceValue);
+    const { min, max } = positionCharts.getValueExtent(points, hasReference ? [referenceValue] : []);
+    const minTime = points[0].time;
+    const maxTime = points[points.length - 1].time;
+    const scale = positionCharts.createChartScale({ minTime, maxTime, minValue: min, maxValue: max, left, right, top, bottom, rightToLeft });
+    detailChart.scale = scale;
+
+    const svg = createSvgElement('svg', {
+        class: 'detail-chart', viewBox: `0 0 ${width} ${height}`, role: 'img', tabindex: 0,
+        'aria-label': translate('chartLabel', {
+            symbol: position.symbol || '', metric: translate(CHART_METRIC_LABEL_KEYS[metric]), count: points.length.toLocaleString(getChartLocale())
+        })
+    });
+
+    // Value axis: grid lines with labels on the start side
+    positionCharts.getNiceTicks(min, max, 5).forEach(tick => {
+        const y = scale.y(tick);
+        svg.appendChild(createSvgElement('line', { class: 'chart-grid', x1: left, x2: right, y1: y, y2: y }));
+        const label = createSvgElement('text', {
+            class: 'chart-axis-label', x: rightToLeft ? right + 6 : left - 6, y, 'text-anchor': rightToLeft ? 'start' : 'end', 'dominant-baseline': 'middle'
+        });
+        label.textContent = formatChartValue(tick);
+        svg.appendChild(label);
+    });
+
+    // Time axis
+    svg.appendChild(createSvgElement('line', { class: 'chart-axis', x1: left, x2: right, y1: bottom, y2: bottom }));
+    positionCharts.getTimeTicks(minTime, maxTime, 4).forEach(time => {
+        const x = scale.x(time);
+        svg.appendChild(createSvgElement('line', { class: 'chart-axis', x1: x, x2: x, y1: bottom, y2: bottom + 4 }));
+        const anchor = x <= left + 1 ? 'start' : (x >= right - 1 ? 'end' : 'middle');
+        const label = createSvgElement('text', { class: 'chart-axis-label', x, y: bottom + 18, 'text-anchor': anchor });
+        label.textContent = formatChartTime(time, minTime, maxTime);
+        svg.appendChild(label);
+    });
+
+    if (hasReference) {
+        const y = scale.y(referenceValue);
+        svg.appendChild(createSvgElement('line', { class: 'chart-reference', x1: left, x2: right, y1: y, y2: y }));
+        const label = createSvgElement('text', {
+            class: 'chart-reference-label', x: rightToLeft ? left + 4 : right - 4, y: y - 5, 'text-anchor': rightToLeft ? 'start' : 'end'
+        });
+        label.textContent = translate(metric === 'markPrice' ? 'positionCard.entryPrice' : 'chartBreakEven');
+        svg.appendChild(label);
+    }
+
+    const lastPoint = points[points.length - 1];
+    const trendClass = metric === 'pnl' ? (lastPoint.value >= 0 ? 'pnl-positive' : 'pnl-negative') : 'price-line';
+    svg.appendChild(createSvgElement('path', { class: `chart-line ${trendClass}`, d: positionCharts.buildLinePath(points, scale) }));
+    if (points.length === 1) {
+        svg.appendChild(createSvgElement('circle', { class: `chart-point ${trendClass}`, cx: scale.x(lastPoint.time), cy: scale.y(lastPoint.value), r: 3 }));
+    }
+
+    // Pointer guide, moved by setActiveChartPoint
+    svg.appendChild(createSvgElement('line', { class: 'chart-guide', x1: 0, x2: 0, y1: top, y2: bottom, visibility: 'hidden' }));
+    svg.appendChild(createSvgElement('circle', { class: `chart-marker ${trendClass}`, cx: 0, cy: 0, r: 4, visibility: 'hidden' }));
+
+    svg.addEventListener('pointermove', event => {
+        const bounds = svg.getBoundingClientRect();
+        if (!bounds.width) return;
+        const x = ((event.clientX - bounds.left) / bounds.width) * width;
+        setActiveChartPoint(positionCharts.findNearestPointIndex(points, scale.timeAt(x)));
+    });
+    svg.addEventListener('keydown', handleChartKeydown);
+    chartContainerElement.appendChild(svg);
+}
+
+/**
+ * Highlights a point of the detail chart and shows its time and value.
+ * @private
+ * @param {number} index
+ */
+function setActiveChartPoint(index) {
+    if (!detailChart || index < 0 || index >= detailChart.points.length) return;
+    detailChart.activeIndex = index;
+    const point = detailChart.points[index];
+    const x = detailChart.scale.x(point.time);
+    const y = detailChart.scale.y(point.value);
+    const guide = chartContainerElement.querySelector('.chart-guide');
+    const marker = chartContainerElement.querySelector('.chart-marker');
+    guide.setAttribute('x1', x);
+    guide.setAttribute('x2', x);
+    guide.setAttribute('visibility', 'visible');
+    marker.setAttribute('cx', x);
+    marker.setAttribute('cy', y);
+    marker.setAttribute('visibility', 'visible');
+    chartHoverValueElement.textContent = translate('chartPointValue', {
+        time: new Date(point.time).toLocaleString(getChartLocale(), {
+            year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }),
+        metric: translate(CHART_METRIC_LABEL_KEYS[detailChart.metric]),
+        value: formatChartValue(point.value)
+    });
+}
+
+/**
+ * Moves between the points of the detail chart with the arrow keys (towards later times in the reading
+ * direction), Home and End.
+ * @private
+ * @param {KeyboardEvent} event
+ */
+function handleChartKeydown(event) {
+    const lastIndex = detailChart.points.length - 1;
+    const laterKey = isRightToLeft() ? 'ArrowLeft' : 'ArrowRight';
+    const earlierKey = isRightToLeft() ? 'ArrowRight' : 'ArrowLeft';
+    const current = detailChart.activeIndex === -1 ? lastIndex : detailChart.activeIndex;
+    let index = null;
+    if (event.key === laterKey) index = Math.min(lastIndex, detailChart.activeIndex === -1 ? lastIndex : current + 1);
+    else if (event.key === earlierKey) index = Math.max(0, current - (detailChart.activeIndex === -1 ? 0 : 1));
+    else if (event.key === 'Home') index = 0;
+    else if (event.key === 'End') index = lastIndex;
+    if (index === null) return;
+    event.preventDefault();
+    setActiveChartPoint(index);
+}
+
+/**
+ * Opens the detail view with the chart of a position.
+ * @function open
+ * @memberof positionChart
+ * @param {Position} position
+ */
+window.positionChart.open = function(position) {
+    if (!chartPanelElement) return;
+    detailChart = { position, metric: getSparklineMetric(), points: [], scale: null, activeIndex: -1 };
+    if (typeof chartPanelElement.showModal === 'function') {
+        if (!chartPanelElement.open) chartPanelElement.showModal();
+    } else {
+        chartPanelElement.setAttribute('open', '');
+    }
+    renderDetailChart();
+};
+
+/**
+ * Closes the detail view.
+ * @function close
+ * @memberof positionChart
+ */
+window.positionChart.close = function() {
+    if (!chartPanelElement) return;
+    if (typeof chartPanelElement.close === 'function') {
+        chartPanelElement.close();
+    } else {
+        chartPanelElement.removeAttribute('open');
+    }
+    detailChart = null;
+};
+
+/**
+ * Follows the snapshots of the history timeline and wires up the detail view and the sparkline setting.
+ * Call once after translations are loaded.
+ * @function init
+ * @memberof positionChart
+ */
+window.positionChart.init = function() {
+    window.historyTimeline.onChange(updateChartSnapshots);
+    if (chartPanelElement) {
+        chartCloseButton.addEventListener('click', window.positionChart.close);
+        chartPanelElement.addEventListener('close', () => { detailChart = null; }); // Also closed with Escape
+        chartMetricButtons.forEach(button => button.addEventListener('click', () => {
+            if (!detailChart) return;
+            detailChart.metric = button.dataset.chartMetric;
+            renderDetailChart();
+        }));
+        chartContainerElement.addEventListener('pointerleave', () => {
+            if (detailChart && detailChart.activeIndex === -1) chartHoverValueElement.textContent = '';
+        });
+    }
+    if (sparklineMetricSelect) {
+        sparklineMetricSelect.value = getSparklineMetric();
+        sparklineMetricSelect.addEventListener('change', () => {
+            sparklineMetric = sparklineMetricSelect.value;
+            try {
+                localStorage.setItem(SPARKLINE_METRIC_KEY, sparklineMetric);
+            } catch (error) {
+                console.error('Error saving the sparkline setting:', error);
+            }
+            window.ui.updateSparklines();
+        });
+    }
+    window.addEventListener('openpos:languagechange', () => {
+        window.ui.updateSparklines(); // Labels and the direction of time follow the language
+        if (detailChart) renderDetailChart();
+    });
+};
@@ -0,0 +1,206 @@
+// js/charts.js
+/**
+ * @file Position history charts.
+ * Turns the stored snapshots (see history.js) into a value series per position (PnL or mark price) and
+ * computes the geometry of the SVG sparklines and detail chart: scales, line paths and axis ticks.
+ * Time runs right to left in right-to-left layouts. Pure functions with no DOM dependencies.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Position values that can be charted.
+ * @const {Array<string>}
+ */
+const CHART_METRICS = ['pnl', 'markPrice'];
+
+/**
+ * Chartable values of the positions of one snapshot, by position identity (see positionDiff.indexPositionsByKey).
+ * @typedef {Map<string, {pnl: number|null, markPrice: number|null}>} SnapshotValues
+ */
+
+/**
+ * A point of a series.
+ * @typedef {Object} ChartPoint
+ * @property {number} time - Unix ms.
+ * @property {number} value
+ */
+
+/**
+ * Maps times and values to SVG coordinates.
+ * @typedef {Object} ChartScale
+ * @property {function(number): number} x - Time to x.
+ * @property {function(number): number} y - Value to y.
+ * @property {function(number): number} timeAt - x to time (the inverse of `x`), e.g. under the pointer.
+ */
+
+/** @private */
+function toChartNumber(value) {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+/**
+ * Reads the chartable values of a snapshot's positions. The PnL is the API's (or computed from a `markPrice`
+ * field), and a missing mark price is implied from the PnL: entry + PnL / (amount × direction).
+ * @param {Array<Position>} positions
+ * @returns {SnapshotValues}
+ */
+function extractSnapshotValues(positions) {
+    const values = new Map();
+    positionDiff.indexPositionsByKey(positions).forEach((position, key) => {
+        const metrics = positionPricing.computePositionMetrics(position);
+        let markPrice = metrics.markPrice;
+        const entryPrice = toChartNumber(position.entryPrice);
+        const amount = toChartNumber(position.amount);
+        const direction = positionPricing.getPositionDirection(position.type);
+        if (markPrice === null && metrics.pnl !== null && entryPrice !== null && amount && direction) {
+            markPrice = entryPrice + metrics.pnl / (Math.abs(amount) * direction);
+        }
+        values.set(key, { pnl: metrics.pnl, markPrice });
+    });
+    return values;
+}
+
+/**
+ * Collects the series of one position across snapshots.
+ * @param {Array<{takenAt: number, values: SnapshotValues}>} snapshots - Oldest first.
+ * @param {string} key - Position identity (see positionDiff.getPositionKey).
+ * @param {string} metric - One of CHART_METRICS.
+ * @returns {Array<ChartPoint>} Oldest first; snapshots without the position or the value are skipped.
+ */
+function buildPositionSeries(snapshots, key, metric) {
+    const points = [];
+    snapshots.forEach(snapshot => {
+        const values = snapshot.values.get(key);
+        const value = values ? toChartNumber(values[metric]) : null;
+        if (value !== null) points.push({ time: snapshot.takenAt, value });
+    });
+    return points;
+}
+
+/**
+ * Returns the range of values to show: that of the points and any extra values (e.g. a reference line),
+ * widened when it is a single value so that a flat line is drawn in the middle.
+ * @param {Array<ChartPoint>} points
+ * @param {Array<number>} [extraValues=[]]
+ * @returns {{min: number, max: number}}
+ */
+function getValueExtent(points, extraValues = []) {
+    const values = [...points.map(point => point.value), ...extraValues.filter(value => toChartNumber(value) !== null)];
+    if (values.length === 0) return { min: 0, max: 1 };
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        const margin = Math.abs(min) * 0.01 || 1;
+        min -= margin;
+        max += margin;
+    }
+    return { min, max };
+}
+
+/**
+ * Returns round tick values (steps of 1, 2 or 5 × 10^n) covering a range.
+ * @param {number} min
+ * @param {number} max
+ * @param {number} [maxCount=5] - Approximate largest number of ticks.
+ * @returns {Array<number>}
+ */
+function getNiceTicks(min, max, maxCount = 5) {
+    if (!(max > min)) return [min];
+    const roughStep = (max - min) / Math.max(1, maxCount - 1);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= roughStep);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const ticks = [];
+    for (let tick = Math.ceil(min / step) * step; tick <= max + step * 1e-9; tick += step) {
+        ticks.push(Number((Math.round(tick / step) * step).toFixed(decimals))); // Keeps floating-point noise out of the labels
+    }
+    return ticks;
+}
+
+/**
+ * Returns evenly spaced times covering a range.
+ * @param {number} minTime
+ * @param {number} maxTime
+ * @param {number} [count=4]
+ * @returns {Array<number>}
+ */
+function getTimeTicks(minTime, maxTime, count = 4) {
+    if (!(maxTime > minTime) || count < 2) return [minTime];
+    return Array.from({ length: count }, (unused, index) => Math.round(minTime + ((maxTime - minTime) * index) / (count - 1)));
+}
+
+/**
+ * Creates the scale of a chart area. Later times are to the right, or to the left when `rightToLeft`;
+ * higher values are up. A single time is centered.
+ * @param {Object} options
+ * @param {number} options.minTime
+ * @param {number} options.maxTime
+ * @param {number} options.minValue
+ * @param {number} options.maxValue
+ * @param {number} options.left - Edges of the plot area, in SVG units.
+ * @param {number} options.right
+ * @param {number} options.top
+ * @param {number} options.bottom
+ * @param {boolean} [options.rightToLeft=false]
+ * @returns {ChartScale}
+ */
+function createChartScale(options) {
+    const { minTime, maxTime, minValue, maxValue, left, right, top, bottom, rightToLeft = false } = options;
+    const timeSpan = maxTime - minTime;
+    const valueSpan = maxValue - minValue;
+    return {
+        x: time => {
+            const fraction = timeSpan > 0 ? (time - minTime) / timeSpan : 0.5;
+            return rightToLeft ? right - fraction * (right - left) : left + fraction * (right - left);
+        },
+        y: value => (valueSpan > 0 ? bottom - ((value - minValue) / valueSpan) * (bottom - top) : (top + bottom) / 2),
+        timeAt: x => {
+            const fraction = right > left ? (rightToLeft ? right - x : x - left) / (right - left) : 0.5;
+            return minTime + fraction * timeSpan;
+        }
+    };
+}
+
+/**
+ * Builds the `d` attribute of a polyline through the points.
+ * @param {Array<ChartPoint>} points
+ * @param {ChartScale} scale
+ * @returns {string} Empty if there are no points.
+ */
+function buildLinePath(points, scale) {
+    const round = value => Math.round(value * 100) / 100;
+    return points.map((point, index) => `${index === 0 ? 'M' : 'L'}${round(scale.x(point.time))} ${round(scale.y(point.value))}`).join('');
+}
+
+/**
+ * Finds the point closest in time, e.g. under the pointer.
+ * @param {Array<ChartPoint>} points - Oldest first.
+ * @param {number} time
+ * @returns {number} Its index, or -1 if there are no points.
+ */
+function findNearestPointIndex(points, time) {
+    let nearestIndex = -1;
+    let nearestDistance = Infinity;
+    points.forEach((point, index) => {
+        const distance = Math.abs(point.time - time);
+        if (distance < nearestDistance) {
+            nearestIndex = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearestIndex;
+}
+
+globalThis.positionCharts = {
+    CHART_METRICS,
+    extractSnapshotValues,
+    buildPositionSeries,
+    getValueExtent,
+    getNiceTicks,
+    getTimeTicks,
+    createChartScale,
+    buildLinePath,
+    findNearestPointIndex
+};
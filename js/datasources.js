@@ -0,0 +1,682 @@
+// js/datasources.js
+/**
+ * @file Data source configuration module for OpenPos.
+ * Keeps the list of user-defined API endpoints (and their credentials) in localStorage, tracks which
+ * one is active, and drives the settings panel where sources are added, edited, removed and switched.
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * A user-configured API endpoint that returns open positions.
+ * @typedef {Object} DataSource
+ * @property {string} id - Unique identifier generated on creation.
+ * @property {string} name - Display name chosen by the user (e.g., "Team A Desk").
+ * @property {string} url - Endpoint URL, absolute or relative to the page.
+ * @property {AuthConfig} [auth] - Credentials for the endpoint (see auth.js). Stored locally only.
+ * @property {'rest'|'stream'} [transport='rest'] - `stream` adds a live WebSocket/SSE stream on top of the REST snapshot.
+ * @property {string} [streamUrl] - `stream`: ws(s):// (WebSocket) or http(s):// (Server-Sent Events) URL.
+ * @property {string} [subscribeMessage] - `stream`: message sent after every WebSocket (re)connect.
+ * @property {string} [markPriceUrl] - Optional mark-price feed used to compute PnL/ROE live (see markprices.js).
+ * @property {'rest'|'stream'} [markPriceTransport='rest'] - `rest` polls the feed URL, `stream` connects to it over WebSocket/SSE.
+ * @property {string|null} [adapter] - Built-in exchange response format (see adapters.js); takes precedence over `mapping`.
+ * @property {FieldMapping|null} [mapping] - Reshapes non-conforming responses into positions (see mapping.js).
+ */
+
+/**
+ * Key for storing data sources in localStorage (next to `openPosUiSettings`).
+ * @const {string}
+ */
+const DATA_SOURCES_KEY = 'openPosDataSources';
+
+/**
+ * @namespace dataSources
+ * @description Global namespace for data source configuration.
+ */
+window.dataSources = {};
+
+// --- DOM Element Getters ---
+const settingsButtonElement = document.getElementById('settings-button');
+const settingsPanelElement = document.getElementById('settings-panel');
+const dataSourcesListElement = document.getElementById('data-sources-list');
+const dataSourceFormElement = document.getElementById('data-source-form');
+const dataSourceIdInput = document.getElementById('data-source-id');
+const dataSourceNameInput = document.getElementById('data-source-name');
+const dataSourceUrlInput = document.getElementById('data-source-url');
+const dataSourceFormErrorElement = document.getElementById('data-source-form-error');
+const dataSourceCancelButton = document.getElementById('data-source-cancel');
+const dataSourceAuthTypeSelect = document.getElementById('data-source-auth-type');
+const dataSourceAuthFieldsets = document.querySelectorAll('#data-source-form [data-auth-type]');
+const dataSourceTransportSelect = document.getElementById('data-source-transport');
+const dataSourceStreamFieldset = document.getElementById('data-source-stream-fields');
+const dataSourceStreamUrlInput = document.getElementById('data-source-stream-url');
+const dataSourceSubscribeInput = document.getElementById('data-source-subscribe-message');
+const dataSourceMarkPriceUrlInput = document.getElementById('data-source-mark-price-url');
+const dataSourceMarkPriceTransportSelect = document.getElementById('data-source-mark-price-transport');
+const dataSourceAdapterSelect = document.getElementById('data-source-adapter');
+const dataSourceMappingSection = document.getElementById('data-source-mapping-section');
+const dataSourceMappingInput = document.getElementById('data-source-mapping');
+const dataSourceMappingSampleInput = document.getElementById('data-source-mapping-sample');
+const dataSourceMappingFetchButton = document.getElementById('data-source-mapping-fetch');
+const dataSourceMappingStatusElement = document.getElementById('data-source-mapping-status');
+const dataSourceMappingOutputElement = document.getElementById('data-source-mapping-output');
+const settingsCloseButton = document.getElementById('settings-close-button');
+
+/**
+ * Number of mapped positions shown in the mapping preview.
+ * @const {number}
+ */
+const MAPPING_PREVIEW_LIMIT = 5;
+
+let changeListeners = [];
+let mappingPreviewTimerId = null;
+
+/**
+ * Reads the stored data source state, falling back to an empty configuration.
+ * @private
+ * @returns {{activeId: (string|null), sources: Array<DataSource>}}
+ */
+function loadDataSourcesState() {
+    try {
+        const saved = localStorage.getItem(DATA_SOURCES_KEY);
+        if (saved) {
+            const state = JSON.parse(saved);
+            if (state && Array.isArray(state.sources)) {
+                const activeExists = state.sources.some(source => source.id === state.activeId);
+                return { activeId: activeExists ? state.activeId : (state.sources[0]?.id || null), sources: state.sources };
+            }
+        }
+    } catch (error) {
+        console.error('Error loading data sources:', error);
+    }
+    return { activeId: null, sources: [] };
+}
+
+/**
+ * Persists the data source state and notifies listeners.
+ * @private
+ * @param {{activeId: (string|null), sources: Array<DataSource>}} state
+ */
+function saveDataSourcesState(state) {
+    try {
+        localStorage.setItem(DATA_SOURCES_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving data sources:', error);
+    }
+    changeListeners.forEach(listener => listener(window.dataSources.getActive()));
+}
+
+/** @private */
+function generateSourceId() {
+    return `src-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Checks that a URL can be resolved against the current page (relative paths are allowed).
+ * @private
+ * @param {string} url
+ * @param {Array<string>} [protocols=['http:', 'https:']] - Accepted protocols.
+ * @returns {boolean}
+ */
+function isResolvableUrl(url, protocols = ['http:', 'https:']) {
+    if (!url || !url.trim()) return false;
+    try {
+        const resolved = new URL(url.trim(), window.location.href);
+        return protocols.includes(resolved.protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Returns all configured data sources.
+ * @function getAll
+ * @memberof dataSources
+ * @returns {Array<DataSource>}
+ */
+window.dataSources.getAll = function() {
+    return loadDataSourcesState().sources;
+};
+
+/**
+ * Returns the active data source, or null if none has been configured.
+ * @function getActive
+ * @memberof dataSources
+ * @returns {DataSource|null}
+ */
+window.dataSources.getActive = function() {
+    const state = loadDataSourcesState();
+    return state.sources.find(source => source.id === state.activeId) || null;
+};
+
+/**
+ * Resolves a data source URL to an absolute URL for fetch and the Service Worker.
+ * @function resolveUrl
+ * @memberof dataSources
+ * @param {DataSource} source
+ * @returns {string}
+ */
+window.dataSources.resolveUrl = function(source) {
+    return new URL(source.url, window.location.href).href;
+};
+
+/**
+ * Adds a new data source. The first source added becomes active.
+ * @function add
+ * @memberof dataSources
+ * @param {Object} settings - All DataSource fields except `id`; `name` and `url` are required.
+ * @returns {DataSource} The created source.
+ */
+window.dataSources.add = function(settings) {
+    const state = loadDataSourcesState();
+    const source = { auth: { type: 'none' }, transport: 'rest', ...settings, id: generateSourceId(), name: settings.name.trim(), url: settings.url.trim() };
+    state.sources.push(source);
+    if (!state.activeId) state.activeId = source.id;
+    saveDataSourcesState(state);
+    return source;
+};
+
+/**
+ * Updates fields of an existing data source.
+ * @function update
+ * @memberof dataSources
+ * @param {string} id - Source identifier.
+ * @param {Object} changes - DataSource fields to change (any but `id`).
+ */
+window.dataSources.update = function(id, changes) {
+    const state = loadDataSourcesState();
+    const source = state.sources.find(s => s.id === id);
+    if (!source) return;
+    Object.keys(changes).forEach(field => {
+        if (field === 'id' || changes[field] === undefined) return;
+        source[field] = typeof changes[field] === 'string' ? changes[field].trim() : changes[field];
+    });
+    saveDataSourcesState(state);
+};
+
+/**
+ * Removes a data source. If it was active, the first remaining source becomes active.
+ * @function remove
+ * @memberof dataSources
+ * @param {string} id - Source identifier.
+ */
+window.dataSources.remove = function(id) {
+    const state = loadDataSourcesState();
+    state.sources = state.sources.filter(s => s.id !== id);
+    if (state.activeId === id) state.activeId = state.sources[0]?.id || null;
+    saveDataSourcesState(state);
+};
+
+/**
+ * Makes the given data source the active one.
+ * @function setActive
+ * @memberof dataSources
+ * @param {string} id - Source identifier.
+ */
+window.dataSources.setActive = function(id) {
+    const state = loadDataSourcesState();
+    if (!state.sources.some(s => s.id === id)) return;
+    state.activeId = id;
+    saveDataSourcesState(state);
+};
+
+/**
+ * Registers a callback invoked with the active source whenever the configuration changes.
+ * @function onChange
+ * @memberof dataSources
+ * @param {function(DataSource|null): void} listener
+ */
+window.dataSources.onChange = function(listener) {
+    if (typeof listener === 'function') changeListeners.push(listener);
+};
+
+// --- Settings Panel ---
+
+/** @private */
+function resetDataSourceForm() {
+    if (!dataSourceFormElement) return;
+    dataSourceFormElement.reset();
+    dataSourceIdInput.value = '';
+    dataSourceFormErrorElement.textContent = '';
+    dataSourceCancelButton.style.display = 'none';
+    if (dataSourceMappingSection) dataSourceMappingSection.open = false;
+    updateMappingVisibility();
+    updateAuthFieldsVisibility();
+    updateStreamFieldsVisibility();
+    renderMappingPreview();
+}
+
+/**
+ * Fills the response format select with the built-in exchange adapters.
+ * @private
+ */
+function populateAdapterOptions() {
+    if (!dataSourceAdapterSelect) return;
+    exchangeAdapters.list().forEach(adapter => {
+        const option = document.createElement('option');
+        option.value = adapter.id;
+        option.textContent = adapter.name;
+        dataSourceAdapterSelect.appendChild(option);
+    });
+}
+
+/**
+ * The field mapping only applies to sources without a built-in adapter.
+ * @private
+ */
+function updateMappingVisibility() {
+    if (!dataSourceMappingSection || !dataSourceAdapterSelect) return;
+    dataSourceMappingSection.hidden = Boolean(dataSourceAdapterSelect.value);
+}
+
+/**
+ * Suggests the adapter's endpoint and authentication when they haven't been filled in yet.
+ * @private
+ */
+function handleAdapterChange() {
+    updateMappingVisibility();
+    const adapter = exchangeAdapters.get(dataSourceAdapterSelect.value);
+    if (!adapter) return;
+    if (!dataSourceUrlInput.value.trim()) dataSourceUrlInput.value = adapter.defaultUrl;
+    if (adapter.markPriceUrl && dataSourceMarkPriceUrlInput && !dataSourceMarkPriceUrlInput.value.trim()) {
+        dataSourceMarkPriceUrlInput.value = adapter.markPriceUrl;
+    }
+    if (adapter.auth && dataSourceAuthTypeSelect && dataSourceAuthTypeSelect.value === 'none') fillAuthFields(adapter.auth);
+}
+
+/**
+ * Parses the mapping textarea.
+ * @private
+ * @returns {{mapping: (FieldMapping|null), error: (string|null)}} `mapping` is null when the field is empty; `error` is a translated message.
+ */
+function readMappingField() {
+    const text = dataSourceMappingInput ? dataSourceMappingInput.value.trim() : '';
+    if (!text) return { mapping: null, error: null };
+    let mapping;
+    try {
+        mapping = JSON.parse(text);
+    } catch (error) {
+        return { mapping: null, error: translate('mappingInvalidJson', { message: error.message }) };
+    }
+    const { isValid, errors } = positionMapping.validateMapping(mapping);
+    if (isValid) return { mapping, error: null };
+    const messages = errors.map(error => translate(`mappingError${error.code[0].toUpperCase()}${error.code.slice(1)}`, error.vars));
+    return { mapping: null, error: translate('dataSourceInvalidMapping', { message: messages.join('\n') }) };
+}
+
+/**
+ * Shows the mapped output of the sample response, with a validation summary.
+ * @private
+ */
+function renderMappingPreview() {
+    if (!dataSourceMappingStatusElement) return;
+    const setPreview = (status, output = '') => {
+        dataSourceMappingStatusElement.textContent = status;
+        dataSourceMappingOutputElement.textContent = output;
+    };
+    const sampleText = dataSourceMappingSampleInput.value.trim();
+    if (!sampleText) {
+        setPreview(dataSourceMappingInput.value.trim() ? translate('mappingPreviewEmpty') : '');
+        return;
+    }
+
+    const { mapping, error } = readMappingField();
+    if (error) {
+        setPreview(error);
+        return;
+    }
+    let sample;
+    try {
+        sample = JSON.parse(sampleText);
+    } catch (parseError) {
+        setPreview(translate('mappingSampleInvalidJson', { message: parseError.message }));
+        return;
+    }
+    let mapped;
+    try {
+        mapped = positionMapping.applyMapping(sample, mapping);
+    } catch (mappingError) {
+        setPreview(translate('mappingPreviewFailed', { message: mappingError.message }));
+        return;
+    }
+    if (!Array.isArray(mapped)) {
+        setPreview(translate('mappingPreviewNotList'));
+        return;
+    }
+
+    const { validatedPositions, errors } = validatePositionsArray(mapped);
+    const summary = [translate('mappingPreviewSummary', { valid: validatedPositions.length, total: mapped.length })];
+    if (mapped.length > MAPPING_PREVIEW_LIMIT) summary.push(translate('mappingPreviewTruncated', { count: MAPPING_PREVIEW_LIMIT }));
+    summary.push(...errors.slice(0, 3));
+    setPreview(summary.join('\n'), JSON.stringify(mapped.slice(0, MAPPING_PREVIEW_LIMIT), null, 2));
+}
+
+/**
+ * Re-renders the preview shortly after the user stops typing.
+ * @private
+ */
+function scheduleMappingPreview() {
+    clearTimeout(mappingPreviewTimerId);
+    mappingPreviewTimerId = setTimeout(renderMappingPreview, 250);
+}
+
+/**
+ * Loads a sample response from the URL and credentials currently in the form.
+ * @private
+ * @async
+ */
+async function fetchMappingSample() {
+    const url = dataSourceUrlInput.value;
+    if (!isResolvableUrl(url)) {
+        dataSourceMappingStatusElement.textContent = translate('dataSourceInvalidUrl');
+        return;
+    }
+    dataSourceMappingFetchButton.disabled = true;
+    dataSourceMappingStatusElement.textContent = translate('mappingSampleLoading');
+    try {
+        const request = await authStrategies.applyAuth(new URL(url.trim(), window.location.href).href, readAuthFields());
+        const response = await fetch(request.url, { headers: request.headers, signal: AbortSignal.timeout(10000) });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        dataSourceMappingSampleInput.value = JSON.stringify(await response.json(), null, 2);
+        renderMappingPreview();
+    } catch (error) {
+        dataSourceMappingStatusElement.textContent = translate('mappingSampleFetchFailed', { message: error.message });
+    } finally {
+        dataSourceMappingFetchButton.disabled = false;
+    }
+}
+
+/**
+ * Shows the stream fields only for the `stream` transport.
+ * @private
+ */
+function updateStreamFieldsVisibility() {
+    if (!dataSourceStreamFieldset) return;
+    const isStream = dataSourceTransportSelect.value === 'stream';
+    dataSourceStreamFieldset.hidden = !isStream;
+    dataSourceStreamFieldset.disabled = !isStream;
+}
+
+/**
+ * Shows only the credential fields that belong to the selected auth type.
+ * @private
+ */
+function updateAuthFieldsVisibility() {
+    const selectedType = dataSourceAuthTypeSelect ? dataSourceAuthTypeSelect.value : 'none';
+    dataSourceAuthFieldsets.forEach(fieldset => {
+        const isSelected = fieldset.getAttribute('data-auth-type') === selectedType;
+        fieldset.hidden = !isSelected;
+        fieldset.disabled = !isSelected;
+    });
+}
+
+/**
+ * Fills the credential fields from an auth config.
+ * @private
+ * @param {AuthConfig} [auth]
+ */
+function fillAuthFields(auth = { type: 'none' }) {
+    if (!dataSourceAuthTypeSelect) return;
+    dataSourceAuthTypeSelect.value = auth.type || 'none';
+    dataSourceFormElement.querySelectorAll('[data-auth-field]').forEach(input => {
+        const value = auth[input.getAttribute('data-auth-field')];
+        input.value = value !== undefined && value !== null ? value : (input.defaultValue || '');
+    });
+    updateAuthFieldsVisibility();
+}
+
+/**
+ * Reads the credential fields of the selected auth type into an auth config.
+ * @private
+ * @returns {AuthConfig}
+ */
+function readAuthFields() {
+    const type = dataSourceAuthTypeSelect ? dataSourceAuthTypeSelect.value : 'none';
+    const auth = { type };
+    dataSourceFormElement.querySelectorAll(`[data-auth-type="${type}"] [data-auth-field]`).forEach(input => {
+        const field = input.getAttribute('data-auth-field');
+        const value = input.value.trim();
+        if (value === '') return;
+        auth[field] = input.type === 'number' ? Number(value) : value;
+    });
+    return auth;
+}
+
+/** @private */
+function startEditingSource(source, focusCredentials = false) {
+    dataSourceIdInput.value = source.id;
+    dataSourceNameInput.value = source.name;
+    dataSourceUrlInput.value = source.url;
+    if (dataSourceTransportSelect) {
+        dataSourceTransportSelect.value = source.transport || 'rest';
+        dataSourceStreamUrlInput.value = source.streamUrl || '';
+        dataSourceSubscribeInput.value = source.subscribeMessage || '';
+        updateStreamFieldsVisibility();
+    }
+    fillAuthFields(source.auth);
+    if (dataSourceMarkPriceUrlInput) {
+        dataSourceMarkPriceUrlInput.value = source.markPriceUrl || '';
+        dataSourceMarkPriceTransportSelect.value = source.markPriceTransport || 'rest';
+    }
+    if (dataSourceAdapterSelect) {
+        dataSourceAdapterSelect.value = exchangeAdapters.get(source.adapter) ? source.adapter : '';
+        updateMappingVisibility();
+    }
+    if (dataSourceMappingInput) {
+        dataSourceMappingInput.value = source.mapping ? JSON.stringify(source.mapping, null, 2) : '';
+        dataSourceMappingSampleInput.value = '';
+        dataSourceMappingSection.open = Boolean(source.mapping);
+        renderMappingPreview();
+    }
+    dataSourceFormErrorElement.textContent = '';
+    dataSourceCancelButton.style.display = '';
+    if (focusCredentials && dataSourceAuthTypeSelect) {
+        dataSourceAuthTypeSelect.focus();
+    } else {
+        dataSourceNameInput.focus();
+    }
+}
+
+/**
+ * Renders the list of data sources inside the settings panel.
+ * @function renderSettingsPanel
+ * @memberof dataSources
+ */
+window.dataSources.renderSettingsPanel = function() {
+    if (!dataSourcesListElement) return;
+    const state = loadDataSourcesState();
+    dataSourcesListElement.innerHTML = '';
+
+    if (state.sources.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'data-source-empty';
+        emptyItem.textContent = translate('dataSourcesEmpty');
+        dataSourcesListElement.appendChild(emptyItem);
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    state.sources.forEach(source => {
+        const item = document.createElement('li');
+        item.className = 'data-source-item';
+        if (source.id === state.activeId) item.classList.add('active');
+
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'active-data-source';
+        radio.value = source.id;
+        radio.checked = source.id === state.activeId;
+        radio.addEventListener('change', () => {
+            window.dataSources.setActive(source.id);
+            window.dataSources.renderSettingsPanel();
+        });
+        label.appendChild(radio);
+
+        const details = document.createElement('span');
+        details.className = 'data-source-details';
+        const nameElement = document.createElement('strong');
+        nameElement.textContent = source.name;
+        const urlElement = document.createElement('small');
+        const adapter = source.adapter ? exchangeAdapters.get(source.adapter) : null;
+        urlElement.textContent = adapter ? `${adapter.name} · ${source.url}` : source.url;
+        details.appendChild(nameElement);
+        details.appendChild(urlElement);
+        label.appendChild(details);
+        item.appendChild(label);
+
+        const actions = document.createElement('div');
+        actions.className = 'data-source-actions';
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.textContent = translate('dataSourceEdit');
+        editButton.addEventListener('click', () => startEditingSource(source));
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'danger';
+        deleteButton.textContent = translate('dataSourceDelete');
+        deleteButton.addEventListener('click', () => {
+            if (!window.confirm(translate('dataSourceDeleteConfirm', { name: source.name }))) return;
+            window.dataSources.remove(source.id);
+            if (dataSourceIdInput.value === source.id) resetDataSourceForm();
+            window.dataSources.renderSettingsPanel();
+        });
+        actions.appendChild(editButton);
+        actions.appendChild(deleteButton);
+        item.appendChild(actions);
+
+        fragment.appendChild(item);
+    });
+    dataSourcesListElement.appendChild(fragment);
+};
+
+/**
+ * Opens the settings panel.
+ * @function openSettingsPanel
+ * @memberof dataSources
+ */
+window.dataSources.openSettingsPanel = function() {
+    if (!settingsPanelElement) return;
+    window.dataSources.renderSettingsPanel();
+    if (typeof settingsPanelElement.showModal === 'function') {
+        if (!settingsPanelElement.open) settingsPanelElement.showModal();
+    } else {
+        settingsPanelElement.setAttribute('open', '');
+    }
+};
+
+/**
+ * Opens the settings panel with the credential editor of the given source.
+ * Used when the API rejects a request as unauthorized.
+ * @function editCredentials
+ * @memberof dataSources
+ * @param {string} id - Source identifier.
+ */
+window.dataSources.editCredentials = function(id) {
+    const source = window.dataSources.getAll().find(s => s.id === id);
+    if (!source) return;
+    window.dataSources.openSettingsPanel();
+    startEditingSource(source, true);
+};
+
+/**
+ * Closes the settings panel.
+ * @function closeSettingsPanel
+ * @memberof dataSources
+ */
+window.dataSources.closeSettingsPanel = function() {
+    if (!settingsPanelElement) return;
+    resetDataSourceForm();
+    if (typeof settingsPanelElement.close === 'function') {
+        settingsPanelElement.close();
+    } else {
+        settingsPanelElement.removeAttribute('open');
+    }
+};
+
+/** @private */
+function handleDataSourceFormSubmit(event) {
+    event.preventDefault();
+    const name = dataSourceNameInput.value;
+    const url = dataSourceUrlInput.value;
+
+    if (!name.trim()) {
+        dataSourceFormErrorElement.textContent = translate('dataSourceNameRequired');
+        return;
+    }
+    if (!isResolvableUrl(url)) {
+        dataSourceFormErrorElement.textContent = translate('dataSourceInvalidUrl');
+        return;
+    }
+    const transport = dataSourceTransportSelect ? dataSourceTransportSelect.value : 'rest';
+    const streamUrl = transport === 'stream' ? dataSourceStreamUrlInput.value.trim() : '';
+    if (transport === 'stream' && !isResolvableUrl(streamUrl, ['http:', 'https:', 'ws:', 'wss:'])) {
+        dataSourceFormErrorElement.textContent = translate('dataSourceInvalidStreamUrl');
+        return;
+    }
+    const subscribeMessage = transport === 'stream' ? dataSourceSubscribeInput.value.trim() : '';
+    const markPriceUrl = dataSourceMarkPriceUrlInput ? dataSourceMarkPriceUrlInput.value.trim() : '';
+    const markPriceTransport = dataSourceMarkPriceTransportSelect ? dataSourceMarkPriceTransportSelect.value : 'rest';
+    const markPriceProtocols = markPriceTransport === 'stream' ? ['http:', 'https:', 'ws:', 'wss:'] : ['http:', 'https:'];
+    if (markPriceUrl && !isResolvableUrl(markPriceUrl, markPriceProtocols)) {
+        dataSourceFormErrorElement.textContent = translate('dataSourceInvalidMarkPriceUrl');
+        return;
+    }
+
+    const auth = readAuthFields();
+    if (auth.type === 'header' && !auth.headerName) {
+        dataSourceFormErrorElement.textContent = translate('dataSourceAuthHeaderRequired');
+        return;
+    }
+    if (auth.type === 'hmac' && (!auth.apiKey || !auth.apiSecret)) {
+        dataSourceFormErrorElement.textContent = translate('dataSourceAuthHmacRequired');
+        return;
+    }
+
+    const adapter = dataSourceAdapterSelect ? dataSourceAdapterSelect.value || null : null;
+    const { mapping, error: mappingError } = readMappingField();
+    if (mappingError && !adapter) { // The (hidden) mapping is not used with an adapter
+        dataSourceFormErrorElement.textContent = mappingError;
+        if (dataSourceMappingSection) dataSourceMappingSection.open = true;
+        return;
+    }
+
+    const settings = { name, url, auth, transport, streamUrl, subscribeMessage, markPriceUrl, markPriceTransport, adapter, mapping };
+    if (dataSourceIdInput.value) {
+        window.dataSources.update(dataSourceIdInput.value, settings);
+    } else {
+        window.dataSources.add(settings);
+    }
+    resetDataSourceForm();
+    window.dataSources.renderSettingsPanel();
+}
+
+/**
+ * Wires up the settings panel controls. Call once after translations are loaded.
+ * @function initSettingsPanel
+ * @memberof dataSources
+ */
+window.dataSources.initSettingsPanel = function() {
+    if (settingsButtonElement) settingsButtonElement.addEventListener('click', window.dataSources.openSettingsPanel);
+    if (settingsCloseButton) settingsCloseButton.addEventListener('click', window.dataSources.closeSettingsPanel);
+    if (dataSourceFormElement) dataSourceFormElement.addEventListener('submit', handleDataSourceFormSubmit);
+    if (dataSourceCancelButton) dataSourceCancelButton.addEventListener('click', resetDataSourceForm);
+    if (dataSourceAuthTypeSelect) dataSourceAuthTypeSelect.addEventListener('change', updateAuthFieldsVisibility);
+    if (dataSourceTransportSelect) dataSourceTransportSelect.addEventListener('change', updateStreamFieldsVisibility);
+    if (dataSourceAdapterSelect) {
+        populateAdapterOptions();
+        dataSourceAdapterSelect.addEventListener('change', handleAdapterChange);
+    }
+    if (dataSourceMappingInput) {
+        dataSourceMappingInput.addEventListener('input', scheduleMappingPreview);
+        dataSourceMappingSampleInput.addEventListener('input', scheduleMappingPreview);
+        dataSourceMappingFetchButton.addEventListener('click', fetchMappingSample);
+    }
+    updateAuthFieldsVisibility();
+    updateStreamFieldsVisibility();
+    updateMappingVisibility();
+    window.addEventListener('openpos:languagechange', () => {
+        window.dataSources.renderSettingsPanel();
+        renderMappingPreview();
+    });
+};
@@ -0,0 +1,89 @@
+// js/diff.js
+/**
+ * @file Position identity and diffing helpers.
+ * Matches positions between two lists by a stable key and reports which were added,
+ * removed or changed. Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Position fields compared when deciding whether a matched position has changed.
+ * Identity fields (symbol, side, user) are not listed since they are part of the key.
+ * @type {Array<string>}
+ */
+const DIFF_COMPARED_FIELDS = ['entryPrice', 'amount', 'leverage', 'pnl', 'baseAsset', 'quoteAsset', 'timestamp'];
+
+/**
+ * Normalizes a position type to its side: "buy" counts as "long" and "sell" as "short".
+ * @param {string} type - Position type.
+ * @returns {'long'|'short'|'unknown'}
+ */
+function normalizePositionSide(type) {
+    const typeLower = String(type || '').toLowerCase();
+    if (typeLower === 'long' || typeLower === 'buy') return 'long';
+    if (typeLower === 'short' || typeLower === 'sell') return 'short';
+    return 'unknown';
+}
+
+/**
+ * Returns a stable identity for a position: its `id` field if the API provides one,
+ * otherwise symbol + side + user.
+ * @param {Position} position
+ * @returns {string}
+ */
+function getPositionKey(position) {
+    if (position.id !== undefined && position.id !== null && String(position.id) !== '') {
+        return `id:${position.id}`;
+    }
+    return [String(position.symbol || '').toUpperCase(), normalizePositionSide(position.type), position.user || ''].join('|');
+}
+
+/**
+ * Builds a key → position map. Repeated keys get an occurrence suffix (`#2`, `#3`, ...)
+ * so that duplicate positions are still matched one to one, in order.
+ * @param {Array<Position>} positions
+ * @returns {Map<string, Position>}
+ */
+function indexPositionsByKey(positions) {
+    const index = new Map();
+    const occurrences = {};
+    (positions || []).forEach(position => {
+        const baseKey = getPositionKey(position);
+        occurrences[baseKey] = (occurrences[baseKey] || 0) + 1;
+        index.set(occurrences[baseKey] > 1 ? `${baseKey}#${occurrences[baseKey]}` : baseKey, position);
+    });
+    return index;
+}
+
+/**
+ * Compares two lists of positions.
+ * @param {Array<Position>} previousPositions - Older list.
+ * @param {Array<Position>} nextPositions - Newer list.
+ * @returns {{added: Array<{key: string, position: Position}>, removed: Array<{key: string, position: Position}>, changed: Array<{key: string, before: Position, after: Position, fields: Array<string>}>, unchangedCount: number}}
+ */
+function diffPositions(previousPositions, nextPositions) {
+    const previousIndex = indexPositionsByKey(previousPositions);
+    const nextIndex = indexPositionsByKey(nextPositions);
+    const result = { added: [], removed: [], changed: [], unchangedCount: 0 };
+
+    nextIndex.forEach((position, key) => {
+        const before = previousIndex.get(key);
+        if (!before) {
+            result.added.push({ key, position });
+            return;
+        }
+        const fields = DIFF_COMPARED_FIELDS.filter(field => before[field] !== position[field]);
+        if (fields.length > 0) {
+            result.changed.push({ key, before, after: position, fields });
+        } else {
+            result.unchangedCount++;
+        }
+    });
+    previousIndex.forEach((position, key) => {
+        if (!nextIndex.has(key)) result.removed.push({ key, position });
+    });
+    return result;
+}
+
+globalThis.positionDiff = { normalizePositionSide, getPositionKey, indexPositionsByKey, diffPositions, DIFF_COMPARED_FIELDS };
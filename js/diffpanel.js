@@ -0,0 +1,290 @@
+// js/diffpanel.js
+/**
+ * @file Diff view for OpenPos.
+ * Compares two sets of positions (the current data, a stored snapshot of the active data source, or a
+ * file mapped in the import panel) and shows the diff report (see diffreport.js): counts per kind of
+ * change and a colour-coded row per position, which can be exported like the positions.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Number of report rows shown; the export has all of them.
+ * @const {number}
+ */
+const DIFF_ROWS_LIMIT = 500;
+
+/**
+ * Values of the "current data" and file choices in the From/To dropdowns; snapshots are `snapshot:<id>`.
+ * @const {string}
+ */
+const DIFF_CHOICE_CURRENT = 'current';
+const DIFF_CHOICE_FILE = 'file';
+
+/**
+ * @namespace diffPanel
+ * @description Global namespace for the diff view.
+ */
+window.diffPanel = {};
+
+// --- DOM Element Getters ---
+const diffButtonElement = document.getElementById('compare-button');
+const diffPanelElement = document.getElementById('diff-panel');
+const diffCloseButton = document.getElementById('diff-close-button');
+const diffFromSelect = document.getElementById('diff-from');
+const diffToSelect = document.getElementById('diff-to');
+const diffSwapButton = document.getElementById('diff-swap');
+const diffChooseFileButton = document.getElementById('diff-choose-file');
+const diffErrorElement = document.getElementById('diff-error');
+const diffResultSection = document.getElementById('diff-result');
+const diffCountsElement = document.getElementById('diff-counts');
+const diffEmptyElement = document.getElementById('diff-empty');
+const diffTableElement = document.getElementById('diff-table');
+const diffRowsMoreElement = document.getElementById('diff-rows-more');
+const diffExportButtons = document.querySelectorAll('[data-diff-export-format]');
+
+let diffSnapshots = []; // SnapshotMeta of the active data source, newest first
+let diffFile = null; // {name, positions} of the file to compare, if any
+let diffReport = null; // Report shown
+let diffMessageKey = null; // Translation key of the message shown above the report, if any
+let diffRequestCounter = 0; // Lets a newer choice supersede a comparison still reading snapshots
+
+/** @private */
+function getDiffLocale() {
+    return window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US';
+}
+
+/** @private */
+function createDiffOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+}
+
+/**
+ * Fills both dropdowns with the current data, the file (if any) and the snapshots, keeping the choices.
+ * @private
+ */
+function renderDiffChoices() {
+    [diffFromSelect, diffToSelect].forEach(select => {
+        const value = select.value;
+        select.innerHTML = '';
+        select.appendChild(createDiffOption(DIFF_CHOICE_CURRENT, translate('diffCurrentData')));
+        if (diffFile) select.appendChild(createDiffOption(DIFF_CHOICE_FILE, translate('diffFileChoice', { file: diffFile.name })));
+        diffSnapshots.forEach(snapshot => {
+            select.appendChild(createDiffOption(`snapshot:${snapshot.id}`, translate('diffSnapshotChoice', {
+                time: new Date(snapshot.takenAt).toLocaleString(getDiffLocale(), {
+                    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+                }),
+                count: snapshot.count.toLocaleString(getDiffLocale())
+            })));
+        });
+        if (value && Array.from(select.options).some(option => option.value === value)) select.value = value;
+    });
+}
+
+/**
+ * Reads the positions of a dropdown choice.
+ * @private
+ * @async
+ * @param {string} choice
+ * @returns {Promise<Array<Position>|null>} null if the snapshot no longer exists.
+ */
+async function getDiffChoicePositions(choice) {
+    if (choice === DIFF_CHOICE_CURRENT) return window.historyTimeline.getLivePositions();
+    if (choice === DIFF_CHOICE_FILE) return diffFile ? diffFile.positions : null;
+    return positionHistory.getSnapshotPositions(Number(choice.slice('snapshot:'.length)));
+}
+
+/**
+ * Compares the chosen sets of positions and shows the report.
+ * @private
+ * @async
+ */
+async function compareDiffChoices() {
+    const requestId = ++diffRequestCounter;
+    let fromPositions = null;
+    let toPositions = null;
+    try {
+        [fromPositions, toPositions] = await Promise.all([getDiffChoicePositions(diffFromSelect.value), getDiffChoicePositions(diffToSelect.value)]);
+    } catch (error) {
+        console.error('Error reading positions to compare:', error);
+    }
+    if (requestId !== diffRequestCounter) return;
+    if (!fromPositions || !toPositions) {
+        showDiffReport(null, 'diffChoiceMissing');
+        return;
+    }
+    showDiffReport(positionDiffReport.buildDiffReport(fromPositions, toPositions), diffFromSelect.value === diffToSelect.value ? 'diffSameChoice' : null);
+}
+
+/**
+ * Shows a diff report, or only a message.
+ * @private
+ * @param {DiffReport|null} report
+ * @param {string|null} [errorKey=null] - Translation key of a message shown above the report.
+ */
+function showDiffReport(report, errorKey = null) {
+    diffReport = report;
+    diffMessageKey = errorKey;
+    diffErrorElement.textContent = errorKey ? translate(errorKey) : '';
+    diffResultSection.hidden = !report;
+    if (report) renderDiffReport();
+}
+
+/** @private */
+function renderDiffReport() {
+    diffCountsElement.innerHTML = '';
+    [...positionDiffReport.DIFF_CHANGE_KINDS, 'unchanged'].forEach(kind => {
+        const item = document.createElement('li');
+        item.className = `diff-count diff-count-${kind}`;
+        const value = document.createElement('strong');
+        value.textContent = diffReport.counts[kind].toLocaleString(getDiffLocale());
+        item.appendChild(value);
+        item.appendChild(document.createTextNode(` ${translate(`diffKind${kind[0].toUpperCase()}${kind.slice(1)}`)}`));
+        diffCountsElement.appendChild(item);
+    });
+
+    const shownReport = { ...diffReport, entries: diffReport.entries.slice(0, DIFF_ROWS_LIMIT) };
+    const table = positionDiffReport.buildDiffReportTable(shownReport, { formatted: true, locale: getDiffLocale(), translate });
+    diffTableElement.innerHTML = '';
+    diffEmptyElement.hidden = diffReport.entries.length > 0;
+    diffTableElement.hidden = diffReport.entries.length === 0;
+    const headerRow = diffTableElement.createTHead().insertRow();
+    table.columns.forEach(column => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = column.header;
+        headerRow.appendChild(cell);
+    });
+    const body = diffTableElement.createTBody();
+    table.rows.forEach((cells, index) => {
+        const kind = shownReport.entries[index].kinds[0];
+        const row = body.insertRow();
+        row.className = `diff-row-${kind === 'opened' || kind === 'closed' ? kind : 'changed'}`;
+        cells.forEach((cell, cellIndex) => {
+            const isSymbol = table.columns[cellIndex].id === 'symbol';
+            const element = document.createElement(isSymbol ? 'th' : 'td');
+            if (isSymbol) element.scope = 'row';
+            element.textContent = cell === null ? '–' : String(cell);
+            row.appendChild(element);
+        });
+    });
+    const hiddenCount = diffReport.entries.length - shownReport.entries.length;
+    diffRowsMoreElement.hidden = hiddenCount === 0;
+    diffRowsMoreElement.textContent = hiddenCount > 0 ? translate('diffRowsMore', { count: hiddenCount }) : '';
+}
+
+/**
+ * Exports the whole report (with raw numbers) and downloads it.
+ * @private
+ * @param {string} format - One of positionExport.EXPORT_FORMATS.
+ */
+function exportDiffReport(format) {
+    if (!diffReport) return;
+    try {
+        window.ui.downloadExport(positionDiffReport.buildDiffReportTable(diffReport, { translate }), format, 'openpos-diff');
+        window.ui.showToast('exportDone', 'success', 3000);
+    } catch (error) {
+        console.error('Error exporting the diff report:', error);
+        window.ui.showToast('exportFailed', 'error', 6000);
+    }
+}
+
+/**
+ * Reads the snapshot list of the active data source (none if the history isn't available).
+ * @private
+ * @async
+ */
+async function loadDiffSnapshots() {
+    const source = window.dataSources.getActive();
+    diffSnapshots = [];
+    if (!source) return;
+    try {
+        diffSnapshots = (await positionHistory.listSnapshots(source.id)).reverse();
+    } catch (error) {
+        console.warn('Could not list snapshots to compare:', error);
+    }
+}
+
+/**
+ * Opens the diff view. Without other choices, compares the oldest snapshot with the current data.
+ * @async
+ * @function open
+ * @memberof diffPanel
+ * @param {{from?: string, to?: string}} [choices] - Dropdown values to start with.
+ * @returns {Promise<void>}
+ */
+window.diffPanel.open = async function(choices = {}) {
+    if (!diffPanelElement) return;
+    await loadDiffSnapshots();
+    renderDiffChoices();
+    const oldestSnapshot = diffSnapshots[diffSnapshots.length - 1];
+    diffFromSelect.value = choices.from || (oldestSnapshot ? `snapshot:${oldestSnapshot.id}` : DIFF_CHOICE_CURRENT);
+    diffToSelect.value = choices.to || DIFF_CHOICE_CURRENT;
+    if (typeof diffPanelElement.showModal === 'function') {
+        if (!diffPanelElement.open) diffPanelElement.showModal();
+    } else {
+        diffPanelElement.setAttribute('open', '');
+    }
+    if (diffFromSelect.value === diffToSelect.value) {
+        showDiffReport(null, 'diffNothingToCompare');
+        return;
+    }
+    compareDiffChoices();
+};
+
+/**
+ * Closes the diff view.
+ * @function close
+ * @memberof diffPanel
+ */
+window.diffPanel.close = function() {
+    if (!diffPanelElement) return;
+    if (typeof diffPanelElement.close === 'function') {
+        diffPanelElement.close();
+    } else {
+        diffPanelElement.removeAttribute('open');
+    }
+};
+
+/**
+ * Opens the diff view comparing positions read from a file (older) with the current data (newer).
+ * @function compareWithFile
+ * @memberof diffPanel
+ * @param {Array<Position>} positions - Validated positions.
+ * @param {string} fileName
+ * @returns {Promise<void>}
+ */
+window.diffPanel.compareWithFile = function(positions, fileName) {
+    diffFile = { name: fileName, positions };
+    return window.diffPanel.open({ from: DIFF_CHOICE_FILE, to: DIFF_CHOICE_CURRENT });
+};
+
+/**
+ * Wires up the compare button and the diff view. Call once after translations are loaded.
+ * @function init
+ * @memberof diffPanel
+ */
+window.diffPanel.init = function() {
+    if (!diffPanelElement) return;
+    if (diffButtonElement) diffButtonElement.addEventListener('click', () => window.diffPanel.open());
+    diffCloseButton.addEventListener('click', window.diffPanel.close);
+    diffFromSelect.addEventListener('change', compareDiffChoices);
+    diffToSelect.addEventListener('change', compareDiffChoices);
+    diffSwapButton.addEventListener('click', () => {
+        [diffFromSelect.value, diffToSelect.value] = [diffToSelect.value, diffFromSelect.value];
+        compareDiffChoices();
+    });
+    diffChooseFileButton.addEventListener('click', () => {
+        window.diffPanel.close();
+        window.importPanel.open();
+    });
+    diffExportButtons.forEach(button => button.addEventListener('click', () => exportDiffReport(button.dataset.diffExportFormat)));
+    window.addEventListener('openpos:languagechange', () => {
+        renderDiffChoices();
+        if (diffMessageKey) diffErrorElement.textContent = translate(diffMessageKey);
+        if (diffReport) renderDiffReport();
+    });
+};
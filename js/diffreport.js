@@ -0,0 +1,158 @@
+// js/diffreport.js
+/**
+ * @file Diff reports between two sets of positions.
+ * Matches positions by their stable identity (see diff.js) and lists which were opened, closed, resized,
+ * re-levered or changed in PnL, as a table that can be shown or written like an export (see export.js).
+ * Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Kinds of change a diff report lists, in order. A matched position can have several.
+ * @const {Array<string>}
+ */
+const DIFF_CHANGE_KINDS = ['opened', 'closed', 'resized', 'releveraged', 'pnlChanged'];
+
+/**
+ * Position field whose change makes each kind of change of a matched position.
+ * Changes to other fields alone (e.g. the timestamp) aren't reported.
+ * @const {Object<string, string>}
+ */
+const DIFF_CHANGE_FIELDS = { resized: 'amount', releveraged: 'leverage', pnlChanged: 'pnl' };
+
+/**
+ * A position in a diff report.
+ * @typedef {Object} DiffReportEntry
+ * @property {string} key - Identity of the position (see positionDiff.getPositionKey).
+ * @property {Array<string>} kinds - Its kinds of change (see DIFF_CHANGE_KINDS).
+ * @property {Position|null} before - null if the position was opened.
+ * @property {Position|null} after - null if the position was closed.
+ */
+
+/**
+ * Positions that changed between two sets, and how many there are of each kind of change.
+ * @typedef {Object} DiffReport
+ * @property {Array<DiffReportEntry>} entries - Opened, then closed, then changed positions, each by symbol.
+ * @property {Object<string, number>} counts - Per kind of change, plus `unchanged`.
+ */
+
+/**
+ * A column of the diff report table. Headers of before/after/change columns name the field they show.
+ * @typedef {Object} DiffReportColumn
+ * @property {string} id - Key of the column in JSON records.
+ * @property {string} labelKey - Translation key of the header.
+ * @property {string} [labelField] - Position field named in the header (as its `positionCard` label).
+ * @property {'text'|'number'|'side'} kind - How values are written (see positionExport.formatExportCell).
+ * @property {function(DiffReportEntry, function(string): string): *} value - The raw value.
+ */
+
+/** @private */
+function getEntryPosition(entry) {
+    return entry.after || entry.before;
+}
+
+/** @private */
+function getFieldValue(position, field) {
+    return position ? position[field] : null;
+}
+
+/**
+ * Change of a numeric field from before to after, or null unless both are numbers.
+ * Rounded to 8 decimals to leave out floating-point noise.
+ * @private
+ */
+function getFieldChange(entry, field) {
+    const before = Number(getFieldValue(entry.before, field));
+    const after = Number(getFieldValue(entry.after, field));
+    if (!entry.before || !entry.after || !Number.isFinite(before) || !Number.isFinite(after)) return null;
+    return Math.round((after - before) * 1e8) / 1e8;
+}
+
+/** @private */
+function createFieldColumns(field) {
+    return [
+        { id: `${field}Before`, labelKey: 'diffColumnBefore', labelField: field, kind: 'number', value: entry => getFieldValue(entry.before, field) },
+        { id: `${field}After`, labelKey: 'diffColumnAfter', labelField: field, kind: 'number', value: entry => getFieldValue(entry.after, field) },
+        { id: `${field}Change`, labelKey: 'diffColumnDelta', labelField: field, kind: 'number', value: entry => getFieldChange(entry, field) }
+    ];
+}
+
+/**
+ * All columns of the diff report table, in order.
+ * @const {Array<DiffReportColumn>}
+ */
+const DIFF_REPORT_COLUMNS = [
+    {
+        id: 'change',
+        labelKey: 'diffColumnChange',
+        kind: 'text',
+        value: (entry, translate) => entry.kinds.map(kind => translate(`diffKind${kind[0].toUpperCase()}${kind.slice(1)}`)).join(', ')
+    },
+    { id: 'symbol', labelKey: 'positionCard.symbol', kind: 'text', value: entry => getEntryPosition(entry).symbol },
+    { id: 'type', labelKey: 'positionCard.type', kind: 'side', value: entry => getEntryPosition(entry).type },
+    { id: 'user', labelKey: 'positionCard.user', kind: 'text', value: entry => getEntryPosition(entry).user },
+    ...createFieldColumns('amount'),
+    ...createFieldColumns('leverage'),
+    ...createFieldColumns('pnl')
+];
+
+/** @private */
+function compareEntriesBySymbol(a, b) {
+    return String(getEntryPosition(a).symbol).localeCompare(String(getEntryPosition(b).symbol)) || a.key.localeCompare(b.key);
+}
+
+/**
+ * Compares two sets of positions.
+ * @param {Array<Position>} fromPositions - The older set.
+ * @param {Array<Position>} toPositions - The newer set.
+ * @returns {DiffReport}
+ */
+function buildDiffReport(fromPositions, toPositions) {
+    const diff = positionDiff.diffPositions(fromPositions, toPositions);
+    const changedEntries = diff.changed.map(({ key, before, after, fields }) => ({
+        key,
+        kinds: Object.keys(DIFF_CHANGE_FIELDS).filter(kind => fields.includes(DIFF_CHANGE_FIELDS[kind])),
+        before,
+        after
+    }));
+    const entries = [
+        ...diff.added.map(({ key, position }) => ({ key, kinds: ['opened'], before: null, after: position })).sort(compareEntriesBySymbol),
+        ...diff.removed.map(({ key, position }) => ({ key, kinds: ['closed'], before: position, after: null })).sort(compareEntriesBySymbol),
+        ...changedEntries.filter(entry => entry.kinds.length > 0).sort(compareEntriesBySymbol)
+    ];
+
+    const counts = Object.fromEntries(DIFF_CHANGE_KINDS.map(kind => [kind, 0]));
+    entries.forEach(entry => entry.kinds.forEach(kind => { counts[kind]++; }));
+    counts.unchanged = diff.unchangedCount + changedEntries.filter(entry => entry.kinds.length === 0).length;
+    return { entries, counts };
+}
+
+/**
+ * Builds the table of a diff report, one row per entry, in the same shape as an export table
+ * (so positionExport.writeExport can write it).
+ * @param {DiffReport} report
+ * @param {Object} [options] - As for positionExport.buildExportTable.
+ * @param {boolean} [options.formatted=false]
+ * @param {string} [options.locale='en-US']
+ * @param {function(string, Object=): string} [options.translate] - Translates headers, kinds of change
+ *   and the long/short labels.
+ * @returns {ExportTable}
+ */
+function buildDiffReportTable(report, options = {}) {
+    const resolvedOptions = { formatted: false, locale: 'en-US', translate: key => key, ...options };
+    const { translate } = resolvedOptions;
+    return {
+        columns: DIFF_REPORT_COLUMNS.map(column => ({
+            id: column.id,
+            header: column.labelField
+                ? translate(column.labelKey, { field: translate(`positionCard.${column.labelField}`) })
+                : translate(column.labelKey)
+        })),
+        rows: report.entries.map(entry => DIFF_REPORT_COLUMNS.map(column => (
+            positionExport.formatExportCell(column, column.value(entry, translate), resolvedOptions)
+        )))
+    };
+}
+
+globalThis.positionDiffReport = { DIFF_CHANGE_KINDS, DIFF_REPORT_COLUMNS, buildDiffReport, buildDiffReportTable };
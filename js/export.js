@@ -0,0 +1,370 @@
+// js/export.js
+/**
+ * @file Position export.
+ * Turns a list of positions, with their computed metrics and margin estimates, into a table of export
+ * columns and writes it as CSV, pretty-printed JSON or a minimal XLSX workbook (a stored, uncompressed
+ * ZIP of SpreadsheetML parts). Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * File formats positions can be exported to.
+ * @const {Array<string>}
+ */
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+/**
+ * MIME type and file extension per export format.
+ * @const {Object<string, {mimeType: string, extension: string}>}
+ */
+const EXPORT_FILE_TYPES = {
+    csv: { mimeType: 'text/csv;charset=utf-8', extension: 'csv' },
+    json: { mimeType: 'application/json', extension: 'json' },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * A column of the export.
+ * @typedef {Object} ExportColumn
+ * @property {string} id - Key of the column in JSON records.
+ * @property {string} labelKey - Translation key of the header.
+ * @property {'text'|'number'|'side'|'time'} kind - How values are written.
+ * @property {function(Position, PositionMetrics, MarginEstimate|null): *} value - The raw value.
+ */
+
+/**
+ * All exported columns, in order. Computed values (mark price, PnL, ROE, margin, liquidation) are included
+ * like the fields sent by the API.
+ * @const {Array<ExportColumn>}
+ */
+const EXPORT_COLUMNS = [
+    { id: 'symbol', labelKey: 'positionCard.symbol', kind: 'text', value: position => position.symbol },
+    { id: 'type', labelKey: 'positionCard.type', kind: 'side', value: position => position.type },
+    { id: 'baseAsset', labelKey: 'positionCard.baseAsset', kind: 'text', value: position => position.baseAsset },
+    { id: 'quoteAsset', labelKey: 'positionCard.quoteAsset', kind: 'text', value: position => position.quoteAsset },
+    { id: 'entryPrice', labelKey: 'positionCard.entryPrice', kind: 'number', value: position => position.entryPrice },
+    { id: 'markPrice', labelKey: 'positionCard.markPrice', kind: 'number', value: (position, metrics) => metrics.markPrice },
+    { id: 'amount', labelKey: 'positionCard.amount', kind: 'number', value: position => position.amount },
+    { id: 'leverage', labelKey: 'positionCard.leverage', kind: 'number', value: position => position.leverage },
+    { id: 'pnl', labelKey: 'positionCard.pnl', kind: 'number', value: (position, metrics) => metrics.pnl },
+    { id: 'roe', labelKey: 'positionCard.roe', kind: 'number', value: (position, metrics) => metrics.roePercent },
+    { id: 'priceChange', labelKey: 'positionCard.priceChange', kind: 'number', value: (position, metrics) => metrics.priceChangePercent },
+    { id: 'initialMargin', labelKey: 'positionCard.initialMargin', kind: 'number', value: (position, metrics, margin) => margin && margin.initialMargin },
+    { id: 'maintenanceMargin', labelKey: 'positionCard.maintenanceMargin', kind: 'number', value: (position, metrics, margin) => margin && margin.maintenanceMargin },
+    { id: 'liquidationPrice', labelKey: 'positionCard.liquidationPrice', kind: 'number', value: (position, metrics, margin) => margin && margin.liquidationPrice },
+    { id: 'distanceToLiquidation', labelKey: 'positionCard.distanceToLiquidation', kind: 'number', value: (position, metrics, margin) => margin && margin.distanceToLiquidationPercent },
+    { id: 'timestamp', labelKey: 'positionCard.timestamp', kind: 'time', value: position => position.timestamp },
+    { id: 'user', labelKey: 'positionCard.user', kind: 'text', value: position => position.user }
+];
+
+/**
+ * A table ready to be written: headers and one row of cells per position. Cells are strings, numbers
+ * (raw numbers only) or null for missing values.
+ * @typedef {Object} ExportTable
+ * @property {Array<{id: string, header: string}>} columns
+ * @property {Array<Array<string|number|null>>} rows
+ */
+
+/** @private */
+function isMissingValue(value) {
+    return value === null || value === undefined || value === '' || (typeof value === 'number' && !Number.isFinite(value));
+}
+
+/**
+ * Writes one cell: text as is, sides as the translated long/short label, and times and numbers raw or
+ * formatted. Also used for the columns of diff reports (see diffreport.js).
+ * @param {{kind: string}} column - An ExportColumn or any column with a `kind`.
+ * @param {*} value - Raw value.
+ * @param {Object} options - As for buildExportTable.
+ * @returns {string|number|null}
+ */
+function formatExportCell(column, value, options) {
+    if (isMissingValue(value)) return null;
+    switch (column.kind) {
+        case 'side': {
+            const direction = positionPricing.getPositionDirection(value);
+            return options.translate(direction > 0 ? 'positionCard.long' : (direction < 0 ? 'positionCard.short' : 'positionCard.unknown'));
+        }
+        case 'time': {
+            const date = new Date(Number(value));
+            if (Number.isNaN(date.getTime())) return null;
+            return options.formatted
+                ? date.toLocaleString(options.locale, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+                : date.toISOString();
+        }
+        case 'number': {
+            const number = Number(value);
+            if (!Number.isFinite(number)) return null;
+            return options.formatted ? number.toLocaleString(options.locale, { maximumFractionDigits: 8 }) : number;
+        }
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Builds the export table of a list of positions, in the order given.
+ * @param {Array<Position>} positions
+ * @param {function(Position): {metrics: PositionMetrics, margin: MarginEstimate|null}} getComputedValues - Live
+ *   metrics and margin estimate of a position, as shown on the page.
+ * @param {Object} [options]
+ * @param {boolean} [options.formatted=false] - Write numbers and times formatted for `locale` (as text)
+ *   instead of raw numbers and ISO 8601 times.
+ * @param {string} [options.locale='en-US']
+ * @param {function(string): string} [options.translate] - Translates headers and the long/short labels.
+ * @returns {ExportTable}
+ */
+function buildExportTable(positions, getComputedValues, options = {}) {
+    const resolvedOptions = { formatted: false, locale: 'en-US', translate: key => key, ...options };
+    return {
+        columns: EXPORT_COLUMNS.map(column => ({ id: column.id, header: resolvedOptions.translate(column.labelKey) })),
+        rows: positions.map(position => {
+            const { metrics, margin } = getComputedValues(position);
+            return EXPORT_COLUMNS.map(column => formatExportCell(column, column.value(position, metrics, margin), resolvedOptions));
+        })
+    };
+}
+
+/**
+ * Quotes a CSV field if it contains a comma, quote, line break or surrounding spaces (RFC 4180).
+ * @private
+ * @param {string|number|null} cell
+ * @returns {string}
+ */
+function toCsvField(cell) {
+    if (cell === null) return '';
+    const text = String(cell);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes an export table as CSV: a header line and one line per row, separated by CRLF.
+ * @param {ExportTable} table
+ * @returns {string}
+ */
+function toCsv(table) {
+    const lines = [table.columns.map(column => column.header), ...table.rows];
+    return lines.map(cells => cells.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes an export table as a pretty-printed JSON array with one object per row, keyed by column id
+ * (not by the translated header, so that the keys don't depend on the language).
+ * @param {ExportTable} table
+ * @returns {string}
+ */
+function toJson(table) {
+    const records = table.rows.map(row => Object.fromEntries(table.columns.map((column, index) => [column.id, row[index]])));
+    return JSON.stringify(records, null, 2);
+}
+
+// --- XLSX ---
+
+/** @private */
+function escapeXml(text) {
+    return String(text)
+        // Control characters other than tab and line breaks aren't allowed in XML
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the spreadsheet column name of a 0-based index: A, B, …, Z, AA, …
+ * @private
+ * @param {number} index
+ * @returns {string}
+ */
+function getSpreadsheetColumnName(index) {
+    let name = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/** @private */
+function toXlsxCell(cell, reference) {
+    if (cell === null) return '';
+    if (typeof cell === 'number') return `<c r="${reference}"><v>${cell}</v></c>`;
+    return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell)}</t></is></c>`;
+}
+
+/**
+ * Cleans a worksheet name: Excel doesn't allow `[]:*?/\` and more than 31 characters.
+ * @private
+ */
+function toSheetName(name) {
+    const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+    return cleaned || 'Sheet1';
+}
+
+/** @private */
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Builds the parts of a workbook with a single worksheet. Strings are written inline, so the workbook
+ * needs no shared strings or styles part.
+ * @private
+ * @param {ExportTable} table
+ * @param {Object} options - As for toXlsx.
+ * @returns {Array<{name: string, content: string}>}
+ */
+function buildXlsxParts(table, options) {
+    const rows = [table.columns.map(column => column.header), ...table.rows];
+    const sheetRows = rows.map((cells, rowIndex) => {
+        const cellsXml = cells.map((cell, columnIndex) => toXlsxCell(cell, `${getSpreadsheetColumnName(columnIndex)}${rowIndex + 1}`)).join('');
+        return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+    }).join('');
+    const sheetView = options.rightToLeft ? '<sheetViews><sheetView rightToLeft="1" workbookViewId="0"/></sheetViews>' : '';
+    const mainNamespace = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const relationshipsNamespace = 'http://schemas.openxmlformats.org/package/2006/relationships';
+    const relationshipTypes = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    return [
+        {
+            name: '[Content_Types].xml',
+            content: `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: `${XML_DECLARATION}<Relationships xmlns="${relationshipsNamespace}">`
+                + `<Relationship Id="rId1" Type="${relationshipTypes}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${XML_DECLARATION}<workbook xmlns="${mainNamespace}" xmlns:r="${relationshipTypes}">`
+                + `<sheets><sheet name="${escapeXml(toSheetName(options.sheetName))}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${XML_DECLARATION}<Relationships xmlns="${relationshipsNamespace}">`
+                + `<Relationship Id="rId1" Type="${relationshipTypes}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: `${XML_DECLARATION}<worksheet xmlns="${mainNamespace}">${sheetView}<sheetData>${sheetRows}</sheetData></worksheet>`
+        }
+    ];
+}
+
+/** @private */
+let crc32Table = null;
+
+/**
+ * CRC-32 (as used by ZIP) of some bytes.
+ * @private
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let index = 0; index < 256; index++) {
+            let value = index;
+            for (let bit = 0; bit < 8; bit++) value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+            crc32Table[index] = value >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let index = 0; index < bytes.length; index++) crc = crc32Table[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into a ZIP archive without compression ("stored" entries).
+ * @private
+ * @param {Array<{name: string, content: string}>} files - Names must be ASCII.
+ * @returns {Uint8Array}
+ */
+function createStoredZip(files) {
+    const encoder = new TextEncoder();
+    const DOS_DATE_1980_01_01 = (1 << 5) | 1; // Fixed date, so the same table gives the same file
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract (2.0)
+        local.setUint16(8, 0, true); // Compression method: stored
+        local.setUint16(12, DOS_DATE_1980_01_01, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 20, true); // Version needed to extract
+        central.setUint16(14, DOS_DATE_1980_01_01, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Writes an export table as an XLSX workbook with a single worksheet. Raw numbers become number cells;
+ * everything else is written as text.
+ * @param {ExportTable} table
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Positions']
+ * @param {boolean} [options.rightToLeft=false] - Show the sheet right-to-left (for RTL languages).
+ * @returns {Uint8Array} The file's bytes.
+ */
+function toXlsx(table, options = {}) {
+    return createStoredZip(buildXlsxParts(table, { sheetName: 'Positions', rightToLeft: false, ...options }));
+}
+
+/**
+ * Writes an export table in one of the export formats.
+ * @param {ExportTable} table
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @param {Object} [options] - For XLSX, as for toXlsx.
+ * @returns {string|Uint8Array}
+ * @throws {Error} If the format is unknown.
+ */
+function writeExport(table, format, options = {}) {
+    switch (format) {
+        case 'csv': return toCsv(table);
+        case 'json': return toJson(table);
+        case 'xlsx': return toXlsx(table, options);
+        default: throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+globalThis.positionExport = { EXPORT_FORMATS, EXPORT_FILE_TYPES, EXPORT_COLUMNS, formatExportCell, buildExportTable, toCsv, toJson, toXlsx, writeExport };
@@ -0,0 +1,236 @@
+// js/history.js
+/**
+ * @file Local position history.
+ * Keeps timestamped snapshots of the validated positions in IndexedDB, per data source, and prunes them
+ * by age and total size. Snapshot metadata and positions are kept in separate object stores, so that
+ * listing the timeline doesn't read every snapshot's positions. No DOM dependencies.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * What is kept of the history.
+ * @typedef {Object} HistorySettings
+ * @property {number} retentionDays - Snapshots older than this are removed.
+ * @property {number} maxSizeMb - Total size of the snapshots; the oldest are removed beyond it.
+ */
+
+/**
+ * @const {HistorySettings}
+ */
+const DEFAULT_HISTORY_SETTINGS = Object.freeze({ retentionDays: 7, maxSizeMb: 25 });
+
+/**
+ * Allowed ranges of the history settings.
+ * @const {Object<string, {min: number, max: number}>}
+ */
+const HISTORY_SETTING_LIMITS = Object.freeze({ retentionDays: { min: 1, max: 365 }, maxSizeMb: { min: 1, max: 500 } });
+
+/**
+ * Metadata of a stored snapshot.
+ * @typedef {Object} SnapshotMeta
+ * @property {number} id - Assigned by the database, increasing with every snapshot.
+ * @property {string} sourceId - Data source the positions were fetched from.
+ * @property {number} takenAt - Unix ms.
+ * @property {number} count - Number of positions.
+ * @property {number} bytes - Approximate size (length of the positions' JSON).
+ */
+
+const HISTORY_DB_NAME = 'openpos-history';
+const HISTORY_DB_VERSION = 1;
+const SNAPSHOT_META_STORE = 'snapshots';
+const SNAPSHOT_POSITIONS_STORE = 'snapshotPositions';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Checks history settings.
+ * @param {*} settings
+ * @returns {{isValid: boolean, errors: Array<string>}} `errors` lists the names of invalid settings.
+ */
+function validateHistorySettings(settings) {
+    const errors = Object.keys(HISTORY_SETTING_LIMITS).filter(name => {
+        const value = settings ? settings[name] : undefined;
+        const limits = HISTORY_SETTING_LIMITS[name];
+        return !Number.isInteger(value) || value < limits.min || value > limits.max;
+    });
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Returns the approximate size of a snapshot's positions.
+ * @param {Array<Position>} positions
+ * @returns {number}
+ */
+function estimateSnapshotBytes(positions) {
+    return JSON.stringify(positions).length;
+}
+
+/**
+ * Picks the snapshots to remove: those older than the retention period, then the oldest ones until the
+ * rest fit in the size limit. The newest snapshot is always kept.
+ * @param {Array<SnapshotMeta>} snapshots - In any order, of all sources.
+ * @param {HistorySettings} settings
+ * @param {number} [now=Date.now()]
+ * @returns {Array<number>} Ids of the snapshots to remove.
+ */
+function selectSnapshotsToPrune(snapshots, settings, now = Date.now()) {
+    const newestFirst = [...snapshots].sort((a, b) => b.takenAt - a.takenAt || b.id - a.id);
+    const oldestKept = now - settings.retentionDays * MS_PER_DAY;
+    const maxBytes = settings.maxSizeMb * BYTES_PER_MB;
+    let keptBytes = 0;
+    return newestFirst.filter((snapshot, index) => {
+        keptBytes += snapshot.bytes;
+        return index > 0 && (snapshot.takenAt < oldestKept || keptBytes > maxBytes);
+    }).map(snapshot => snapshot.id);
+}
+
+/**
+ * Finds the snapshot that was current at a time: the last one taken at or before it.
+ * @param {Array<SnapshotMeta>} snapshots - Oldest first.
+ * @param {number} time - Unix ms.
+ * @returns {number} Its index, or -1 if all snapshots are later.
+ */
+function findSnapshotAt(snapshots, time) {
+    for (let index = snapshots.length - 1; index >= 0; index--) {
+        if (snapshots[index].takenAt <= time) return index;
+    }
+    return -1;
+}
+
+// --- IndexedDB ---
+
+let historyDatabasePromise = null;
+
+/** @private */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/** @private */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+    });
+}
+
+/**
+ * Opens (and on first use creates) the history database.
+ * @private
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} (as a rejection) If IndexedDB is unavailable, e.g. in some private browsing modes.
+ */
+function openHistoryDatabase() {
+    if (!historyDatabasePromise) {
+        historyDatabasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                const metaStore = database.createObjectStore(SNAPSHOT_META_STORE, { keyPath: 'id', autoIncrement: true });
+                metaStore.createIndex('sourceId', 'sourceId');
+                database.createObjectStore(SNAPSHOT_POSITIONS_STORE, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        historyDatabasePromise.catch(() => { historyDatabasePromise = null; }); // Try again next time
+    }
+    return historyDatabasePromise;
+}
+
+/**
+ * Stores a snapshot of positions.
+ * @async
+ * @param {string} sourceId
+ * @param {Array<Position>} positions - Validated positions.
+ * @param {number} [takenAt=Date.now()]
+ * @returns {Promise<SnapshotMeta>}
+ */
+async function saveSnapshot(sourceId, positions, takenAt = Date.now()) {
+    const database = await openHistoryDatabase();
+    const transaction = database.transaction([SNAPSHOT_META_STORE, SNAPSHOT_POSITIONS_STORE], 'readwrite');
+    const meta = { sourceId, takenAt, count: positions.length, bytes: estimateSnapshotBytes(positions) };
+    const id = await promisifyRequest(transaction.objectStore(SNAPSHOT_META_STORE).add(meta));
+    transaction.objectStore(SNAPSHOT_POSITIONS_STORE).put({ id, positions });
+    await promisifyTransaction(transaction);
+    return { id, ...meta };
+}
+
+/**
+ * Lists stored snapshots, oldest first.
+ * @async
+ * @param {string} [sourceId] - Only this source's snapshots; all if omitted.
+ * @returns {Promise<Array<SnapshotMeta>>}
+ */
+async function listSnapshots(sourceId) {
+    const database = await openHistoryDatabase();
+    const store = database.transaction(SNAPSHOT_META_STORE, 'readonly').objectStore(SNAPSHOT_META_STORE);
+    const snapshots = await promisifyRequest(sourceId === undefined ? store.getAll() : store.index('sourceId').getAll(sourceId));
+    return snapshots.sort((a, b) => a.takenAt - b.takenAt || a.id - b.id);
+}
+
+/**
+ * Reads the positions of a snapshot.
+ * @async
+ * @param {number} id
+ * @returns {Promise<Array<Position>|null>} null if the snapshot no longer exists.
+ */
+async function getSnapshotPositions(id) {
+    const database = await openHistoryDatabase();
+    const store = database.transaction(SNAPSHOT_POSITIONS_STORE, 'readonly').objectStore(SNAPSHOT_POSITIONS_STORE);
+    const record = await promisifyRequest(store.get(id));
+    return record ? record.positions : null;
+}
+
+/**
+ * Removes the snapshots that the settings no longer keep (see selectSnapshotsToPrune).
+ * @async
+ * @param {HistorySettings} settings
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<number>} Number of snapshots removed.
+ */
+async function pruneSnapshots(settings, now = Date.now()) {
+    const ids = selectSnapshotsToPrune(await listSnapshots(), settings, now);
+    if (ids.length === 0) return 0;
+    const database = await openHistoryDatabase();
+    const transaction = database.transaction([SNAPSHOT_META_STORE, SNAPSHOT_POSITIONS_STORE], 'readwrite');
+    ids.forEach(id => {
+        transaction.objectStore(SNAPSHOT_META_STORE).delete(id);
+        transaction.objectStore(SNAPSHOT_POSITIONS_STORE).delete(id);
+    });
+    await promisifyTransaction(transaction);
+    return ids.length;
+}
+
+/**
+ * Removes all snapshots.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+    const database = await openHistoryDatabase();
+    const transaction = database.transaction([SNAPSHOT_META_STORE, SNAPSHOT_POSITIONS_STORE], 'readwrite');
+    transaction.objectStore(SNAPSHOT_META_STORE).clear();
+    transaction.objectStore(SNAPSHOT_POSITIONS_STORE).clear();
+    await promisifyTransaction(transaction);
+}
+
+globalThis.positionHistory = {
+    DEFAULT_HISTORY_SETTINGS,
+    HISTORY_SETTING_LIMITS,
+    validateHistorySettings,
+    estimateSnapshotBytes,
+    selectSnapshotsToPrune,
+    findSnapshotAt,
+    saveSnapshot,
+    listSnapshots,
+    getSnapshotPositions,
+    pruneSnapshots,
+    clearHistory
+};
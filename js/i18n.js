@@ -102,6 +102,11 @@ function applyTranslationsToPage() {
         element.placeholder = translate(key);
     });
 
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        const key = element.getAttribute('data-i18n-aria-label');
+        element.setAttribute('aria-label', translate(key));
+    });
+
     // Specific elements
     const pageTitleElement = document.querySelector('title[data-i18n-key]');
     if (pageTitleElement) {
@@ -124,7 +129,7 @@ function applyTranslationsToPage() {
         currentLangDisplay.textContent = translate(`lang_${window.currentLanguage}`).toUpperCase();
     }
     // Translate filter dropdown options (static text content)
-    document.querySelectorAll('#type-filter option, #sort-by option').forEach(option => {
+    document.querySelectorAll('#type-filter option, #data-source-auth-type option').forEach(option => {
         const key = option.getAttribute('data-i18n-key');
         if (key) {
             option.textContent = translate(key);
@@ -154,6 +159,8 @@ async function setLanguage(lang) {
     if (window.ui && typeof window.ui.applyFilterAndRender === 'function' && window.currentPositionsData) {
         window.ui.applyFilterAndRender(); // This will re-render positions using the new language for formatting
     }
+    // Let other modules (settings panel, etc.) re-render their dynamic text
+    window.dispatchEvent(new CustomEvent('openpos:languagechange', { detail: { lang } }));
     localStorage.setItem('preferredLanguage', lang); // Save preference
 }
 
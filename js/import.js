@@ -0,0 +1,382 @@
+// js/import.js
+/**
+ * @file Position import from files.
+ * Reads CSV, JSON and NDJSON files into rows of named columns, suggests which column holds which
+ * position field, and turns the rows into raw positions for validation (see validatePositionsArray in
+ * validator.js). Numbers may be formatted (thousands separators, Persian digits) as in the locale-formatted
+ * exports of export.js. Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * File formats positions can be imported from.
+ * @const {Array<string>}
+ */
+const IMPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+/**
+ * Format per file extension; other files are recognized by their content.
+ * @const {Object<string, string>}
+ */
+const IMPORT_FORMAT_BY_EXTENSION = { csv: 'csv', tsv: 'csv', txt: 'csv', json: 'json', ndjson: 'ndjson', jsonl: 'ndjson' };
+
+/**
+ * Position fields a column can be mapped to, in the order they are offered (see positionSchema in validator.js).
+ * @const {Array<string>}
+ */
+const IMPORT_FIELDS = Object.keys(positionSchema);
+
+/**
+ * Fields every imported position needs.
+ * @const {Array<string>}
+ */
+const IMPORT_REQUIRED_FIELDS = IMPORT_FIELDS.filter(field => positionSchema[field].required);
+
+/**
+ * Other common column names per field, in the normalized form of normalizeColumnName.
+ * @const {Object<string, Array<string>>}
+ */
+const IMPORT_COLUMN_ALIASES = {
+    symbol: ['pair', 'instrument', 'instid', 'market', 'ticker', 'contract'],
+    type: ['side', 'direction', 'posside', 'positionside'],
+    entryPrice: ['entry', 'avgprice', 'averageprice', 'avgentryprice', 'openprice', 'price'],
+    amount: ['size', 'qty', 'quantity', 'positionamt', 'contracts', 'volume'],
+    baseAsset: ['base', 'basecurrency', 'basecoin'],
+    quoteAsset: ['quote', 'quotecurrency', 'quotecoin'],
+    leverage: ['lev'],
+    pnl: ['unrealizedpnl', 'unrealisedpnl', 'upl', 'unrealizedprofit', 'profit'],
+    user: ['account', 'owner', 'trader'],
+    timestamp: ['time', 'date', 'datetime', 'createdat', 'opentime', 'updatetime', 'ctime']
+};
+
+/**
+ * Numeric timestamps below this value are taken to be in seconds rather than milliseconds.
+ * @const {number}
+ */
+const SECONDS_TIMESTAMP_LIMIT = 1e11;
+
+/**
+ * A problem with a file: `code` names the message (see the `importError…` translations) and `vars` fill it in.
+ * @typedef {Object} ImportError
+ * @property {string} code
+ * @property {Object<string, (string|number)>} vars
+ */
+
+/** @private */
+function createImportError(code, vars = {}) {
+    const error = new Error(code);
+    error.importError = { code, vars };
+    return error;
+}
+
+/**
+ * A parsed file: its rows as objects keyed by column name, and the column names in file order.
+ * @typedef {Object} ImportedTable
+ * @property {string} format - One of IMPORT_FORMATS.
+ * @property {Array<string>} columns
+ * @property {Array<Object<string, *>>} rows
+ */
+
+/**
+ * Picks the format of a file from its extension, or else from its content.
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {string} One of IMPORT_FORMATS.
+ */
+function detectImportFormat(fileName, text) {
+    const extension = String(fileName || '').split('.').pop().toLowerCase();
+    if (IMPORT_FORMAT_BY_EXTENSION[extension]) return IMPORT_FORMAT_BY_EXTENSION[extension];
+    const trimmed = String(text).trimStart();
+    if (trimmed.startsWith('[')) return 'json';
+    if (trimmed.startsWith('{')) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            return 'ndjson'; // One object per line
+        }
+    }
+    return 'csv';
+}
+
+/**
+ * Picks the CSV delimiter (comma, semicolon or tab) that occurs most often in the first line, outside quotes.
+ * @private
+ * @param {string} text
+ * @returns {string}
+ */
+function detectCsvDelimiter(text) {
+    const counts = { ',': 0, ';': 0, '\t': 0 };
+    let inQuotes = false;
+    for (let index = 0; index < text.length; index++) {
+        const character = text[index];
+        if (character === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (character === '\n' || character === '\r')) break;
+        else if (!inQuotes && character in counts) counts[character]++;
+    }
+    return Object.keys(counts).reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+}
+
+/**
+ * Splits CSV text into records of fields (RFC 4180: quoted fields may contain delimiters, doubled
+ * quotes and line breaks). Empty lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line if omitted.
+ * @returns {Array<Array<string>>}
+ * @throws {Error} With an `importError` for a quote that is never closed.
+ */
+function parseCsv(text, delimiter = detectCsvDelimiter(text)) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteLine = 0;
+    let line = 1;
+    const endRecord = () => {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') records.push(record);
+        record = [];
+        field = '';
+    };
+
+    for (let index = 0; index < text.length; index++) {
+        const character = text[index];
+        if (inQuotes) {
+            if (character === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (character === '"') {
+                inQuotes = false;
+            } else {
+                if (character === '\n') line++;
+                field += character;
+            }
+        } else if (character === '"' && field === '') {
+            inQuotes = true;
+            quoteLine = line;
+        } else if (character === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (character === '\r' || character === '\n') {
+            if (character === '\r' && text[index + 1] === '\n') index++;
+            line++;
+            endRecord();
+        } else {
+            field += character;
+        }
+    }
+    if (inQuotes) throw createImportError('unterminatedQuote', { line: quoteLine });
+    if (field !== '' || record.length > 0) endRecord();
+    return records;
+}
+
+/**
+ * Makes header names usable as keys: empty names become "Column N" and repeated names get a number.
+ * @private
+ * @param {Array<string>} names
+ * @returns {Array<string>}
+ */
+function toUniqueColumnNames(names) {
+    const seen = new Map();
+    return names.map((name, index) => {
+        const base = String(name).trim() || `Column ${index + 1}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        return count > 1 ? `${base} (${count})` : base;
+    });
+}
+
+/** @private */
+function parseCsvTable(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) throw createImportError('noRows');
+    const columns = toUniqueColumnNames(header);
+    const rows = records.map(record => Object.fromEntries(columns.map((column, index) => [column, record[index] === undefined ? '' : record[index]])));
+    return { columns, rows };
+}
+
+/**
+ * Lists the keys of object rows, in the order they first occur.
+ * @private
+ */
+function collectColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+    return [...columns];
+}
+
+/** @private */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reads a JSON file: an array of position objects, or an object holding one (e.g. `{"data": [...]}`).
+ * @private
+ */
+function parseJsonTable(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw createImportError('invalidJson', { message: error.message });
+    }
+    const rows = Array.isArray(data) ? data : (isPlainObject(data) ? Object.values(data).find(Array.isArray) : null);
+    if (!rows || !rows.every(isPlainObject)) throw createImportError('notAList');
+    return { columns: collectColumns(rows), rows };
+}
+
+/**
+ * Reads an NDJSON file: one position object per line; empty lines are skipped.
+ * @private
+ */
+function parseNdjsonTable(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+        let row;
+        try {
+            row = JSON.parse(line);
+        } catch (error) {
+            throw createImportError('invalidJsonLine', { line: index + 1, message: error.message });
+        }
+        if (!isPlainObject(row)) throw createImportError('invalidJsonLine', { line: index + 1, message: 'not an object' });
+        rows.push(row);
+    });
+    return { columns: collectColumns(rows), rows };
+}
+
+/**
+ * Reads the text of a file into a table.
+ * @param {string} text
+ * @param {string} [fileName=''] - Its extension picks the format; see detectImportFormat.
+ * @returns {ImportedTable}
+ * @throws {Error} With an `importError` if the file can't be read or has no rows.
+ */
+function parseImportFile(text, fileName = '') {
+    const content = String(text).replace(/^\uFEFF/, ''); // Byte order mark, e.g. from our own CSV export
+    if (content.trim() === '') throw createImportError('emptyFile');
+    const format = detectImportFormat(fileName, content);
+    const table = format === 'csv' ? parseCsvTable(content) : (format === 'json' ? parseJsonTable(content) : parseNdjsonTable(content));
+    if (table.rows.length === 0) throw createImportError('noRows');
+    return { format, ...table };
+}
+
+/**
+ * Normalizes a column name for matching: lower case, letters and digits only ("Entry Price" → "entryprice").
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeColumnName(name) {
+    return String(name).toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Which column holds which position field: field → column name, or '' when the field isn't imported.
+ * @typedef {Object<string, string>} ColumnMapping
+ */
+
+/**
+ * Suggests a column mapping by matching column names with field names, their common aliases and the
+ * given labels (e.g. the translated headers of our own exports). Each column is used at most once.
+ * @param {Array<string>} columns
+ * @param {Object<string, string>} [labels={}] - Field → label.
+ * @returns {ColumnMapping}
+ */
+function suggestColumnMapping(columns, labels = {}) {
+    const normalizedColumns = columns.map(normalizeColumnName);
+    const usedColumns = new Set();
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        const names = [field, labels[field], ...(IMPORT_COLUMN_ALIASES[field] || [])].filter(Boolean).map(normalizeColumnName);
+        const index = names.reduce((found, name) => (found !== -1 ? found : normalizedColumns.findIndex((column, columnIndex) => column === name && !usedColumns.has(columnIndex))), -1);
+        mapping[field] = index === -1 ? '' : columns[index];
+        if (index !== -1) usedColumns.add(index);
+    });
+    return mapping;
+}
+
+/**
+ * Reads a number written raw or formatted: Persian/Arabic digits and decimal separator, grouped thousands,
+ * a Unicode minus sign and direction marks are accepted.
+ * @param {string|number} value
+ * @returns {number|null} null if it isn't a number.
+ */
+function parseImportNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    let text = String(value)
+        .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[\u200E\u200F\u061C\s]/g, '')
+        .replace(/\u2212/g, '-')
+        .replace(/\u066B/g, '.');
+    if (/^[-+]?\d{1,3}([,\u066C]\d{3})+(\.\d+)?$/.test(text)) text = text.replace(/[,\u066C]/g, '');
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? Number(text) : null;
+}
+
+/**
+ * Converts one cell to the type of its field. Values that can't be converted are kept as they are,
+ * so that validation reports them.
+ * @private
+ * @param {string} field
+ * @param {*} value
+ * @param {Object<string, Array<string>>} sideLabels - As for applyColumnMapping.
+ * @returns {*} undefined for empty cells.
+ */
+function convertImportValue(field, value, sideLabels) {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) return undefined;
+    if (typeof value !== 'string' && typeof value !== 'number') return value;
+    const text = String(value).trim();
+    if (field === 'timestamp') {
+        const number = parseImportNumber(value);
+        if (number !== null) return number < SECONDS_TIMESTAMP_LIMIT ? number * 1000 : number;
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? text : time;
+    }
+    if (positionSchema[field].type === 'number') {
+        const number = parseImportNumber(value);
+        return number === null ? text : number;
+    }
+    if (field === 'type') {
+        const lower = text.toLowerCase();
+        const side = Object.keys(sideLabels).find(candidate => sideLabels[candidate].some(label => String(label).trim().toLowerCase() === lower));
+        return side || text;
+    }
+    return text;
+}
+
+/**
+ * Builds raw positions from the rows of a table; columns that aren't mapped are left out.
+ * @param {Array<Object<string, *>>} rows
+ * @param {ColumnMapping} mapping
+ * @param {Object} [options]
+ * @param {Object<string, Array<string>>} [options.sideLabels] - Side ('long', 'short') → labels that mean it,
+ *   e.g. the translated ones of our own exports.
+ * @returns {Array<Object>} One per row, in order.
+ */
+function applyColumnMapping(rows, mapping, options = {}) {
+    const sideLabels = options.sideLabels || {};
+    const mappedFields = IMPORT_FIELDS.filter(field => mapping[field]);
+    return rows.map(row => {
+        const position = {};
+        mappedFields.forEach(field => {
+            const value = convertImportValue(field, row[mapping[field]], sideLabels);
+            if (value !== undefined) position[field] = value;
+        });
+        return position;
+    });
+}
+
+globalThis.positionImport = {
+    IMPORT_FORMATS,
+    IMPORT_FIELDS,
+    IMPORT_REQUIRED_FIELDS,
+    detectImportFormat,
+    parseCsv,
+    parseImportFile,
+    suggestColumnMapping,
+    parseImportNumber,
+    applyColumnMapping
+};
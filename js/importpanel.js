@@ -0,0 +1,397 @@
+// js/importpanel.js
+/**
+ * @file Import panel for OpenPos (offline analysis mode).
+ * Lets the user pick or drop a CSV, JSON or NDJSON file of positions (or open one with the installed app,
+ * see `file_handlers` in manifest.json), map its columns to position fields, and review validation errors
+ * per row before the valid positions are shown in place of the data source's, or compared with the current
+ * data (see diffpanel.js). Parsing and mapping are in import.js; validation runs in the list worker like
+ * for API responses.
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * Largest file that is read, in bytes.
+ * @const {number}
+ */
+const IMPORT_MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Number of rows with validation errors listed; the rest are counted in a "+N more" line.
+ * @const {number}
+ */
+const IMPORT_ROW_ERRORS_LIMIT = 50;
+
+/**
+ * @namespace importPanel
+ * @description Global namespace for importing positions from files.
+ */
+window.importPanel = {};
+
+// --- DOM Element Getters ---
+const importButtonElement = document.getElementById('import-button');
+const importPanelElement = document.getElementById('import-panel');
+const importCloseButton = document.getElementById('import-close-button');
+const importDropZoneElement = document.getElementById('import-drop-zone');
+const importFileInput = document.getElementById('import-file-input');
+const importFileStatusElement = document.getElementById('import-file-status');
+const importErrorElement = document.getElementById('import-error');
+const importMappingSection = document.getElementById('import-mapping-section');
+const importMappingFieldsElement = document.getElementById('import-mapping-fields');
+const importValidationSummaryElement = document.getElementById('import-validation-summary');
+const importRowErrorsElement = document.getElementById('import-row-errors');
+const importConfirmButton = document.getElementById('import-confirm');
+const importCompareButton = document.getElementById('import-compare');
+const importCancelButton = document.getElementById('import-cancel');
+const importBannerElement = document.getElementById('import-banner');
+const importBannerTextElement = document.getElementById('import-banner-text');
+const importLeaveButton = document.getElementById('import-leave');
+
+let importedFile = null; // {name, table: ImportedTable} of the file being mapped
+let importColumnMapping = {}; // ColumnMapping chosen for importedFile
+let importValidation = null; // Result of validating the mapped rows
+let importFileError = null; // ImportError shown for the last file
+let importValidationCounter = 0; // Lets a newer validation (after a mapping change) supersede one in flight
+let importBanner = null; // {fileName, count} while imported positions are shown
+let importListeners = [];
+let compareImportListeners = [];
+let leaveImportListeners = [];
+
+/**
+ * Returns the translated label of each position field, e.g. to recognize the headers of our own exports.
+ * @private
+ * @returns {Object<string, string>}
+ */
+function getImportFieldLabels() {
+    return Object.fromEntries(positionImport.IMPORT_FIELDS.map(field => [field, translate(`positionCard.${field}`)]));
+}
+
+/**
+ * Shows a problem with the file, or clears it.
+ * @private
+ * @param {ImportError|null} error
+ */
+function showImportError(error) {
+    importFileError = error;
+    importErrorElement.textContent = error ? translate(`importError${error.code[0].toUpperCase()}${error.code.slice(1)}`, error.vars) : '';
+}
+
+/**
+ * Returns the panel to its initial state (no file).
+ * @private
+ */
+function resetImportPanel() {
+    importedFile = null;
+    importColumnMapping = {};
+    importValidation = null;
+    importValidationCounter++;
+    if (importFileInput) importFileInput.value = '';
+    importFileStatusElement.textContent = '';
+    showImportError(null);
+    importMappingSection.hidden = true;
+    importMappingFieldsElement.innerHTML = '';
+    importRowErrorsElement.innerHTML = '';
+    importValidationSummaryElement.textContent = '';
+}
+
+/**
+ * Reads and parses a file, then shows the column mapping step with suggested columns.
+ * @private
+ * @async
+ * @param {File} file
+ */
+async function readImportFile(file) {
+    resetImportPanel();
+    if (file.size > IMPORT_MAX_FILE_BYTES) {
+        showImportError({ code: 'tooLarge', vars: { size: Math.round(IMPORT_MAX_FILE_BYTES / (1024 * 1024)) } });
+        return;
+    }
+    const requestId = importValidationCounter;
+    let table;
+    try {
+        table = positionImport.parseImportFile(await file.text(), file.name);
+    } catch (error) {
+        if (requestId !== importValidationCounter) return;
+        if (!error.importError) console.error('Error reading the import file:', error);
+        showImportError(error.importError || { code: 'unreadable', vars: { message: error.message } });
+        return;
+    }
+    if (requestId !== importValidationCounter) return; // Another file was chosen meanwhile
+    importedFile = { name: file.name, table };
+    importColumnMapping = positionImport.suggestColumnMapping(table.columns, getImportFieldLabels());
+    renderImportFileStatus();
+    renderImportMapping();
+    importMappingSection.hidden = false;
+    validateImportedRows();
+}
+
+/** @private */
+function renderImportFileStatus() {
+    if (!importedFile) return;
+    importFileStatusElement.textContent = translate('importFileStatus', {
+        file: importedFile.name,
+        rows: importedFile.table.rows.length,
+        format: importedFile.table.format.toUpperCase()
+    });
+}
+
+/**
+ * Renders a column dropdown per position field; required fields are marked with *.
+ * @private
+ */
+function renderImportMapping() {
+    importMappingFieldsElement.innerHTML = '';
+    if (!importedFile) return;
+    const labels = getImportFieldLabels();
+    positionImport.IMPORT_FIELDS.forEach(field => {
+        const isRequired = positionImport.IMPORT_REQUIRED_FIELDS.includes(field);
+        const row = document.createElement('div');
+        row.className = 'import-mapping-field';
+        const label = document.createElement('label');
+        label.htmlFor = `import-column-${field}`;
+        label.textContent = isRequired ? `${labels[field]} *` : labels[field];
+        const select = document.createElement('select');
+        select.id = `import-column-${field}`;
+        select.dataset.field = field;
+        if (isRequired) select.setAttribute('aria-required', 'true');
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = translate('importColumnNone');
+        select.appendChild(noneOption);
+        importedFile.table.columns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            select.appendChild(option);
+        });
+        select.value = importColumnMapping[field] || '';
+        row.appendChild(label);
+        row.appendChild(select);
+        importMappingFieldsElement.appendChild(row);
+    });
+}
+
+/**
+ * Maps the rows with the chosen columns and validates them (in the list worker).
+ * @private
+ * @async
+ */
+async function validateImportedRows() {
+    if (!importedFile) return;
+    const requestId = ++importValidationCounter;
+    const sideLabels = { long: [translate('positionCard.long')], short: [translate('positionCard.short')] };
+    const rawPositions = positionImport.applyColumnMapping(importedFile.table.rows, importColumnMapping, { sideLabels });
+    const result = await window.positionWorker.validatePositions(rawPositions);
+    if (requestId !== importValidationCounter) return;
+    importValidation = result;
+    renderImportValidation();
+}
+
+/**
+ * Shows how many rows are valid, the errors of the others by row, and the import button.
+ * @private
+ */
+function renderImportValidation() {
+    importRowErrorsElement.innerHTML = '';
+    if (!importValidation) return;
+    const validCount = importValidation.validatedPositions.length;
+    const rowErrors = importValidation.rowErrors || [];
+    importValidationSummaryElement.textContent = translate('importValidationSummary', { valid: validCount, invalid: rowErrors.length });
+    importConfirmButton.textContent = translate('importConfirm', { count: validCount });
+    importConfirmButton.disabled = validCount === 0;
+    importCompareButton.disabled = validCount === 0;
+
+    const fragment = document.createDocumentFragment();
+    rowErrors.slice(0, IMPORT_ROW_ERRORS_LIMIT).forEach(rowError => {
+        const item = document.createElement('li');
+        const rowLabel = document.createElement('strong');
+        rowLabel.textContent = translate(rowError.symbol ? 'importRowLabelWithSymbol' : 'importRowLabel', { row: rowError.index + 1, symbol: rowError.symbol });
+        item.appendChild(rowLabel);
+        item.appendChild(document.createTextNode(` ${rowError.errors.join('; ')}`));
+        fragment.appendChild(item);
+    });
+    if (rowErrors.length > IMPORT_ROW_ERRORS_LIMIT) {
+        const more = document.createElement('li');
+        more.className = 'import-row-errors-more';
+        more.textContent = translate('importRowErrorsMore', { count: rowErrors.length - IMPORT_ROW_ERRORS_LIMIT });
+        fragment.appendChild(more);
+    }
+    importRowErrorsElement.appendChild(fragment);
+}
+
+/**
+ * Hands the valid positions to the listeners (app.js shows them) and closes the panel.
+ * @private
+ */
+function confirmImport() {
+    if (!importedFile || !importValidation || importValidation.validatedPositions.length === 0) return;
+    const positions = importValidation.validatedPositions;
+    const fileName = importedFile.name;
+    window.importPanel.close();
+    importListeners.forEach(listener => listener(positions, fileName));
+}
+
+/** @private */
+function renderImportBanner() {
+    if (!importBannerElement) return;
+    importBannerElement.hidden = !importBanner;
+    if (importBanner) importBannerTextElement.textContent = translate('importBannerText', { file: importBanner.fileName, count: importBanner.count });
+}
+
+/**
+ * Hands the valid positions to the listeners to compare them with the current data, and closes the panel.
+ * @private
+ */
+function compareImport() {
+    if (!importedFile || !importValidation || importValidation.validatedPositions.length === 0) return;
+    const positions = importValidation.validatedPositions;
+    const fileName = importedFile.name;
+    window.importPanel.close();
+    compareImportListeners.forEach(listener => listener(positions, fileName));
+}
+
+/** @private */
+function isFileDrag(event) {
+    return event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+}
+
+/**
+ * Opens the import panel, optionally reading a file right away (dropped on the page or opened with the app).
+ * @function open
+ * @memberof importPanel
+ * @param {File} [file]
+ */
+window.importPanel.open = function(file) {
+    if (!importPanelElement) return;
+    if (typeof importPanelElement.showModal === 'function') {
+        if (!importPanelElement.open) importPanelElement.showModal();
+    } else {
+        importPanelElement.setAttribute('open', '');
+    }
+    if (file) readImportFile(file);
+};
+
+/**
+ * Closes the import panel and forgets the file being mapped.
+ * @function close
+ * @memberof importPanel
+ */
+window.importPanel.close = function() {
+    if (!importPanelElement) return;
+    if (typeof importPanelElement.close === 'function') {
+        importPanelElement.close();
+    } else {
+        importPanelElement.removeAttribute('open');
+    }
+    resetImportPanel();
+};
+
+/**
+ * Registers a callback invoked with the valid positions and the file name when the user imports a file.
+ * @function onImport
+ * @memberof importPanel
+ * @param {function(Array<Position>, string): void} listener
+ */
+window.importPanel.onImport = function(listener) {
+    if (typeof listener === 'function') importListeners.push(listener);
+};
+
+/**
+ * Registers a callback invoked with the valid positions and the file name when the user chooses to
+ * compare a file with the current data instead of importing it.
+ * @function onCompare
+ * @memberof importPanel
+ * @param {function(Array<Position>, string): void} listener
+ */
+window.importPanel.onCompare = function(listener) {
+    if (typeof listener === 'function') compareImportListeners.push(listener);
+};
+
+/**
+ * Registers a callback invoked when the user leaves the imported positions to go back to live data.
+ * @function onLeave
+ * @memberof importPanel
+ * @param {function(): void} listener
+ */
+window.importPanel.onLeave = function(listener) {
+    if (typeof listener === 'function') leaveImportListeners.push(listener);
+};
+
+/**
+ * Shows (or, with null, hides) the banner saying that imported positions are shown instead of live data.
+ * @function setImportedFile
+ * @memberof importPanel
+ * @param {string|null} fileName
+ * @param {number} [count=0] - Number of imported positions.
+ */
+window.importPanel.setImportedFile = function(fileName, count = 0) {
+    importBanner = fileName === null ? null : { fileName, count };
+    renderImportBanner();
+};
+
+/**
+ * Wires up the import button and panel, dropping files on the page, and files opened with the installed
+ * app. Call once after translations are loaded.
+ * @function init
+ * @memberof importPanel
+ */
+window.importPanel.init = function() {
+    if (importButtonElement) importButtonElement.addEventListener('click', () => window.importPanel.open());
+    if (importCloseButton) importCloseButton.addEventListener('click', window.importPanel.close);
+    if (importCancelButton) importCancelButton.addEventListener('click', window.importPanel.close);
+    if (importPanelElement) importPanelElement.addEventListener('close', resetImportPanel); // Also closed with Escape
+    if (importFileInput) {
+        importFileInput.addEventListener('change', () => {
+            if (importFileInput.files && importFileInput.files[0]) readImportFile(importFileInput.files[0]);
+        });
+    }
+    if (importMappingFieldsElement) {
+        importMappingFieldsElement.addEventListener('change', event => {
+            if (!event.target.dataset.field) return;
+            importColumnMapping = { ...importColumnMapping, [event.target.dataset.field]: event.target.value };
+            validateImportedRows();
+        });
+    }
+    if (importConfirmButton) importConfirmButton.addEventListener('click', confirmImport);
+    if (importCompareButton) importCompareButton.addEventListener('click', compareImport);
+    if (importLeaveButton) importLeaveButton.addEventListener('click', () => leaveImportListeners.forEach(listener => listener()));
+
+    // A file dropped anywhere on the page opens the panel with it
+    document.addEventListener('dragover', event => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        document.body.classList.add('file-drag-over');
+        if (importDropZoneElement) importDropZoneElement.classList.add('drag-over');
+    });
+    document.addEventListener('dragleave', event => {
+        if (event.relatedTarget) return; // Still over the page
+        document.body.classList.remove('file-drag-over');
+        if (importDropZoneElement) importDropZoneElement.classList.remove('drag-over');
+    });
+    document.addEventListener('drop', event => {
+        if (!isFileDrag(event)) return;
+        event.preventDefault();
+        document.body.classList.remove('file-drag-over');
+        if (importDropZoneElement) importDropZoneElement.classList.remove('drag-over');
+        if (event.dataTransfer.files && event.dataTransfer.files[0]) window.importPanel.open(event.dataTransfer.files[0]);
+    });
+
+    // Files opened with the installed app (File Handling API)
+    if ('launchQueue' in window) {
+        window.launchQueue.setConsumer(launchParams => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+            launchParams.files[0].getFile()
+                .then(file => window.importPanel.open(file))
+                .catch(error => console.error('Error opening the launched file:', error));
+        });
+    }
+
+    window.addEventListener('openpos:languagechange', () => {
+        renderImportFileStatus();
+        renderImportMapping();
+        validateImportedRows(); // The validation messages are in the language they were created in
+        showImportError(importFileError);
+        renderImportBanner();
+    });
+};
@@ -0,0 +1,62 @@
+// js/listworker.js
+/**
+ * @file Web Worker that validates, filters and sorts positions off the main thread.
+ * Runs the same functions as the page (validator.js, positionlist.js). Started by workerclient.js,
+ * which documents the messages.
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+importScripts('validator.js', 'searchquery.js', 'pricing.js', 'positionlist.js');
+
+let messageTemplates = {}; // Translation key -> message template in the page's language
+let listPositions = []; // Positions of the last 'setPositions' message
+const pendingQueryIds = new Set(); // Queries received but not run yet; cancelled ones are removed
+
+/**
+ * Stands in for i18n.js's translate() in validator.js: fills the placeholders of the templates the page sent.
+ * @param {string} key
+ * @param {Object<string, string|number>} [vars={}]
+ * @returns {string}
+ */
+function translate(key, vars = {}) {
+    let text = messageTemplates[key];
+    if (typeof text !== 'string') return key;
+    for (const [varKey, varValue] of Object.entries(vars)) {
+        text = text.replace(new RegExp(`{{${varKey}}}`, 'g'), String(varValue));
+    }
+    return text;
+}
+
+/**
+ * Runs a query unless it was cancelled while it waited.
+ * @param {{id: number, query: ListQuery}} message
+ * @param {Array<Position>} positions - The list when the query arrived; the page maps the indexes into that list.
+ */
+function runListQuery(message, positions) {
+    if (!pendingQueryIds.delete(message.id)) return; // Cancelled
+    self.postMessage({ id: message.id, indexes: positionList.queryPositionIndexes(positions, message.query) });
+}
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+    switch (message.type) {
+        case 'validate':
+            messageTemplates = message.messageTemplates || {};
+            self.postMessage({ id: message.id, result: validatePositionsArray(message.data) });
+            break;
+        case 'setPositions':
+            listPositions = Array.isArray(message.positions) ? message.positions : [];
+            break;
+        case 'query':
+            // Deferred, so that a 'cancel' already queued behind it is seen first (e.g., while the user types)
+            pendingQueryIds.add(message.id);
+            setTimeout(runListQuery, 0, message, listPositions);
+            break;
+        case 'cancel':
+            pendingQueryIds.delete(message.id);
+            break;
+        default:
+            break;
+    }
+});
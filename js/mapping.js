@@ -0,0 +1,377 @@
+// js/mapping.js
+/**
+ * @file Declarative field mapping for API payloads that don't match the Position schema.
+ * A per-source mapping picks the list of items out of the response with a path expression
+ * (e.g., `data.list[*]`) and builds each Position field from a source path, a value map,
+ * a scale factor or a computed arithmetic expression. Runs before validation.
+ * Pure functions with no DOM dependencies (usable in workers and tests).
+ *
+ * Example:
+ *   {
+ *     "root": "data.list[*]",
+ *     "fields": {
+ *       "symbol": "instId",
+ *       "type": { "path": "posSide", "values": { "BUY": "long", "SELL": "short" } },
+ *       "amount": { "path": "qty", "as": "number", "abs": true },
+ *       "timestamp": { "path": "uTime", "scale": 1000 },
+ *       "pnl": { "expr": "(markPx - avgPx) * qty" }
+ *     }
+ *   }
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * How to build one target field.
+ * @typedef {Object} FieldRule
+ * @property {string} [path] - Source path relative to the item (e.g., "position.side").
+ * @property {string} [expr] - Arithmetic expression over item paths, used instead of `path`.
+ *   Supports numbers, paths, + - * / %, parentheses and abs(), min(), max(), round(), sign().
+ * @property {Object<string, *>} [values] - Value map (e.g., {"BUY": "long"}); matched exactly, then case-insensitively. Unmatched values are kept.
+ * @property {number} [scale] - Multiplies numeric values (numeric strings are converted), e.g., 1000 for seconds → ms.
+ * @property {boolean} [abs] - Drops the sign of numeric values (e.g., signed position sizes).
+ * @property {'number'|'string'} [as] - Converts the final value.
+ * @property {*} [default] - Used when the path is missing or the expression can't be computed.
+ */
+
+/**
+ * Mapping settings attached to a data source.
+ * @typedef {Object} FieldMapping
+ * @property {string} [root] - Path to the position items in the response; empty means the response itself.
+ * @property {Object<string, (string|FieldRule)>} [fields] - Target field → source path or rule.
+ * @property {boolean} [keepUnmappedFields=true] - Copies the item's own fields before the mapped ones are applied.
+ */
+
+/**
+ * Functions available in mapping expressions.
+ * @type {Object<string, function(...number): number>}
+ */
+const MAPPING_FUNCTIONS = {
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    round: Math.round,
+    sign: Math.sign
+};
+
+/**
+ * Number of compiled expressions kept; the mapping preview compiles one per keystroke, so the least
+ * recently used ones are dropped.
+ * @const {number}
+ */
+const COMPILED_EXPRESSION_CACHE_LIMIT = 100;
+
+/**
+ * Compiled expressions, keyed by their source text, least recently used first.
+ * @type {Map<string, function(Object): number>}
+ */
+const compiledExpressionCache = new Map();
+
+/**
+ * A problem with a mapping: `code` names the message (see the `mappingError…` translations) and `vars` fill it in.
+ * @typedef {Object} MappingError
+ * @property {string} code
+ * @property {Object<string, string>} vars
+ */
+
+/**
+ * Splits a path such as `data.list[*].size` or `a["odd key"][0]` into segments.
+ * @param {string} path
+ * @returns {Array<{key: string}|{index: number}|{wildcard: true}>}
+ * @throws {Error} If the path is malformed.
+ */
+function parsePath(path) {
+    const segments = [];
+    const pattern = /\s*(?:\.?([A-Za-z_$][\w$-]*)|\[\s*(\*|\d+|"[^"]*"|'[^']*')\s*\])/y;
+    const text = String(path || '').trim();
+    let position = 0;
+    while (position < text.length) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(text);
+        if (!match || (match[1] !== undefined && position > 0 && text[position] !== '.' && !/\s/.test(text[position]))) {
+            throw new Error(`Invalid path "${text}" at position ${position + 1}`);
+        }
+        if (match[1] !== undefined) {
+            segments.push({ key: match[1] });
+        } else if (match[2] === '*') {
+            segments.push({ wildcard: true });
+        } else if (/^\d+$/.test(match[2])) {
+            segments.push({ index: Number(match[2]) });
+        } else {
+            segments.push({ key: match[2].slice(1, -1) });
+        }
+        position = pattern.lastIndex;
+    }
+    return segments;
+}
+
+/**
+ * Returns every value matched by a path. `[*]` expands arrays (and object values), so
+ * `data.list[*]` yields one entry per list item. Missing parts yield no matches.
+ * @param {*} data - Value to read from.
+ * @param {string} path - Path expression; empty returns `[data]`.
+ * @returns {Array<*>}
+ */
+function getPathValues(data, path) {
+    let current = [data];
+    parsePath(path).forEach(segment => {
+        const next = [];
+        current.forEach(value => {
+            if (value === null || typeof value !== 'object') return;
+            if (segment.wildcard) {
+                next.push(...(Array.isArray(value) ? value : Object.values(value)));
+            } else {
+                const child = value[segment.key !== undefined ? segment.key : segment.index];
+                if (child !== undefined) next.push(child);
+            }
+        });
+        current = next;
+    });
+    return current;
+}
+
+/**
+ * Returns the single value at a path, or undefined if it is missing.
+ * @param {*} data
+ * @param {string} path - Path expression without wildcards.
+ * @returns {*}
+ */
+function getPathValue(data, path) {
+    return getPathValues(data, path)[0];
+}
+
+/**
+ * Compiles an arithmetic expression into a function of the source item.
+ * Paths inside the expression are read from the item; numeric strings are converted.
+ * @param {string} expression - e.g., "(markPrice - entryPrice) * abs(positionAmt)".
+ * @returns {function(Object): number} Returns NaN when a referenced value is missing or not numeric.
+ * @throws {Error} If the expression can't be parsed.
+ */
+function compileExpression(expression) {
+    const source = String(expression || '');
+    if (compiledExpressionCache.has(source)) {
+        const cached = compiledExpressionCache.get(source);
+        compiledExpressionCache.delete(source); // Re-inserted as the most recently used
+        compiledExpressionCache.set(source, cached);
+        return cached;
+    }
+
+    const tokenPattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\]|\["[^"]*"\])*)|([-+*/%(),]))/iy;
+    const tokens = [];
+    let position = 0;
+    while (position < source.length) {
+        tokenPattern.lastIndex = position;
+        const match = tokenPattern.exec(source);
+        if (!match) {
+            if (!source.slice(position).trim()) break;
+            throw new Error(`Unexpected character "${source.slice(position).trim()[0]}" in expression "${source}"`);
+        }
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'operator', value: match[3] });
+        position = tokenPattern.lastIndex;
+    }
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const expect = value => {
+        const token = tokens[index++];
+        if (!token || token.value !== value) throw new Error(`Expected "${value}" in expression "${source}"`);
+    };
+
+    // Recursive descent: sum → product → unary → primary. Each returns a function of the item.
+    const parseSum = () => {
+        let left = parseProduct();
+        while (peek() && (peek().value === '+' || peek().value === '-')) {
+            const operator = tokens[index++].value;
+            const l = left, r = parseProduct();
+            left = operator === '+' ? item => l(item) + r(item) : item => l(item) - r(item);
+        }
+        return left;
+    };
+    const parseProduct = () => {
+        let left = parseUnary();
+        while (peek() && ['*', '/', '%'].includes(peek().value)) {
+            const operator = tokens[index++].value;
+            const l = left, r = parseUnary();
+            if (operator === '*') left = item => l(item) * r(item);
+            else if (operator === '/') left = item => l(item) / r(item);
+            else left = item => l(item) % r(item);
+        }
+        return left;
+    };
+    const parseUnary = () => {
+        if (peek() && (peek().value === '-' || peek().value === '+')) {
+            const operator = tokens[index++].value;
+            const operand = parseUnary();
+            return operator === '-' ? item => -operand(item) : operand;
+        }
+        return parsePrimary();
+    };
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (!token) throw new Error(`Unexpected end of expression "${source}"`);
+        if (token.type === 'number') return () => token.value;
+        if (token.value === '(') {
+            const inner = parseSum();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name' && peek() && peek().value === '(') {
+            const fn = MAPPING_FUNCTIONS[token.value];
+            if (!fn) throw new Error(`Unknown function "${token.value}" in expression "${source}"`);
+            index++;
+            const args = [];
+            if (!peek() || peek().value !== ')') {
+                args.push(parseSum());
+                while (peek() && peek().value === ',') {
+                    index++;
+                    args.push(parseSum());
+                }
+            }
+            expect(')');
+            return item => fn(...args.map(arg => arg(item)));
+        }
+        if (token.type === 'name') {
+            parsePath(token.value); // Validates the path once, at compile time
+            return item => {
+                const value = getPathValue(item, token.value);
+                return value === null || value === undefined || value === '' ? NaN : Number(value);
+            };
+        }
+        throw new Error(`Unexpected "${token.value}" in expression "${source}"`);
+    };
+
+    const evaluate = parseSum();
+    if (index < tokens.length) throw new Error(`Unexpected "${tokens[index].value}" in expression "${source}"`);
+    compiledExpressionCache.set(source, evaluate);
+    if (compiledExpressionCache.size > COMPILED_EXPRESSION_CACHE_LIMIT) {
+        compiledExpressionCache.delete(compiledExpressionCache.keys().next().value);
+    }
+    return evaluate;
+}
+
+/**
+ * Looks up a value in a value map: exact match first, then case-insensitive.
+ * @private
+ * @param {Object<string, *>} values
+ * @param {*} value
+ * @returns {*} The mapped value, or the original value if nothing matches.
+ */
+function mapValue(values, value) {
+    const key = String(value);
+    if (Object.prototype.hasOwnProperty.call(values, key)) return values[key];
+    const matchingKey = Object.keys(values).find(candidate => candidate.toLowerCase() === key.toLowerCase());
+    return matchingKey !== undefined ? values[matchingKey] : value;
+}
+
+/**
+ * Builds one field value from a rule.
+ * @private
+ * @param {Object} item - Source item.
+ * @param {string|FieldRule} rule
+ * @returns {*} The value, or undefined to leave the field out.
+ */
+function resolveFieldRule(item, rule) {
+    const fieldRule = typeof rule === 'string' ? { path: rule } : (rule || {});
+    let value;
+    if (fieldRule.expr !== undefined) {
+        value = compileExpression(fieldRule.expr)(item);
+        if (!Number.isFinite(value)) value = undefined;
+    } else if (fieldRule.path !== undefined) {
+        value = getPathValue(item, fieldRule.path);
+    }
+    if (value === undefined || value === null) {
+        if (fieldRule.default === undefined) return undefined;
+        value = fieldRule.default;
+    }
+    if (fieldRule.values && typeof fieldRule.values === 'object') value = mapValue(fieldRule.values, value);
+
+    const isNumeric = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && isFinite(value));
+    if (isNumeric && (fieldRule.scale !== undefined || fieldRule.abs || fieldRule.as === 'number')) {
+        value = Number(value);
+        if (fieldRule.scale !== undefined) value *= Number(fieldRule.scale);
+        if (fieldRule.abs) value = Math.abs(value);
+    }
+    if (fieldRule.as === 'string') value = String(value);
+    // Non-numeric values are left as they are for `as: 'number'`, so validation reports them
+    return value;
+}
+
+/**
+ * Maps a single source item to a Position-shaped object.
+ * @param {Object} item - One item of the API response.
+ * @param {FieldMapping} mapping
+ * @returns {Object} The mapped object (non-object items are returned unchanged).
+ */
+function mapPosition(item, mapping) {
+    if (!item || typeof item !== 'object' || !mapping) return item;
+    const result = mapping.keepUnmappedFields === false ? {} : { ...item };
+    Object.keys(mapping.fields || {}).forEach(field => {
+        const value = resolveFieldRule(item, mapping.fields[field]);
+        if (value === undefined) delete result[field];
+        else result[field] = value;
+    });
+    return result;
+}
+
+/**
+ * Turns a raw API response into a list of Position-shaped objects.
+ * @param {*} response - Parsed JSON response.
+ * @param {FieldMapping|null} mapping - Mapping settings; null returns the response unchanged.
+ * @returns {Array<Object>|*} Mapped items, or the unchanged response without a mapping.
+ * @throws {Error} If the root path doesn't lead to a list.
+ */
+function applyMapping(response, mapping) {
+    if (!mapping) return response;
+    let items;
+    if (mapping.root && String(mapping.root).trim()) {
+        const matches = getPathValues(response, mapping.root);
+        const hasWildcard = parsePath(mapping.root).some(segment => segment.wildcard);
+        items = hasWildcard ? matches : matches[0];
+    } else {
+        items = response;
+    }
+    if (!Array.isArray(items)) {
+        throw new Error(`Mapping root "${mapping.root || ''}" does not point to a list of positions.`);
+    }
+    return items.map(item => mapPosition(item, mapping));
+}
+
+/**
+ * Checks a mapping for structural problems and unparsable paths or expressions.
+ * @param {*} mapping
+ * @returns {{isValid: boolean, errors: Array<MappingError>}}
+ */
+function validateMapping(mapping) {
+    const errors = [];
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return { isValid: false, errors: [{ code: 'notObject', vars: {} }] };
+    }
+    const addError = (code, field) => errors.push({ code, vars: { field } });
+    const tryCompile = (field, fn) => {
+        try { fn(); } catch (error) { errors.push({ code: 'unparsable', vars: { field, message: error.message } }); }
+    };
+    if (mapping.root !== undefined) tryCompile('root', () => parsePath(mapping.root));
+    if (mapping.fields !== undefined && (typeof mapping.fields !== 'object' || Array.isArray(mapping.fields))) {
+        addError('fieldsNotObject', 'fields');
+    } else {
+        Object.keys(mapping.fields || {}).forEach(field => {
+            const rule = mapping.fields[field];
+            if (typeof rule === 'string') {
+                tryCompile(field, () => parsePath(rule));
+            } else if (rule && typeof rule === 'object') {
+                if (rule.path === undefined && rule.expr === undefined && rule.default === undefined) addError('ruleWithoutSource', field);
+                if (rule.path !== undefined) tryCompile(field, () => parsePath(rule.path));
+                if (rule.expr !== undefined) tryCompile(field, () => compileExpression(rule.expr));
+                if (rule.scale !== undefined && !Number.isFinite(Number(rule.scale))) addError('scaleNotNumber', field);
+                if (rule.as !== undefined && rule.as !== 'number' && rule.as !== 'string') addError('invalidAs', field);
+            } else {
+                addError('invalidRule', field);
+            }
+        });
+    }
+    return { isValid: errors.length === 0, errors };
+}
+
+globalThis.positionMapping = { parsePath, getPathValues, getPathValue, compileExpression, mapPosition, applyMapping, validateMapping };
@@ -0,0 +1,211 @@
+// js/margin.js
+/**
+ * @file Margin and liquidation estimates for leveraged positions.
+ * Computes initial margin, maintenance margin (from notional-based tiers) and an estimated
+ * liquidation price for an isolated position, plus the distance from a reference price to it.
+ * Estimates ignore fees, funding and extra margin in the wallet, so exchanges may differ slightly.
+ * Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * One maintenance-margin bracket: positions with a notional up to `maxNotional` use `rate`.
+ * @typedef {Object} MaintenanceTier
+ * @property {number} [maxNotional] - Upper notional bound of the bracket (quote asset); omitted for the last one.
+ * @property {number} rate - Maintenance margin rate, e.g., 0.004 for 0.4%.
+ * @property {number} [amount] - Maintenance amount subtracted from notional × rate; derived if omitted
+ *   so that maintenance margin is continuous across brackets.
+ */
+
+/**
+ * Tiers per symbol: `{"default": [...], "BTCUSDT": [...]}`. Symbols without their own entry use `default`.
+ * @typedef {Object<string, Array<MaintenanceTier>>} MaintenanceTierConfig
+ */
+
+/**
+ * Margin figures of one position.
+ * @typedef {Object} MarginEstimate
+ * @property {number} notional - Entry price × amount.
+ * @property {number} initialMargin - Notional ÷ leverage.
+ * @property {number} maintenanceMargin - Maintenance margin at the entry notional.
+ * @property {number} maintenanceMarginRate - Rate of the bracket used.
+ * @property {number|null} liquidationPrice - Estimated liquidation price, or null if the position can't be liquidated (e.g., a 1x long) or is inverse.
+ * @property {number|null} distanceToLiquidationPercent - How far the reference price may move against the position before liquidation, in %; negative once past it.
+ */
+
+/**
+ * Fallback brackets, modelled on typical USDⓈ-M perpetual tiers.
+ * @type {Array<MaintenanceTier>}
+ */
+const DEFAULT_MAINTENANCE_TIERS = [
+    { maxNotional: 50000, rate: 0.004 },
+    { maxNotional: 250000, rate: 0.005 },
+    { maxNotional: 1000000, rate: 0.01 },
+    { maxNotional: 10000000, rate: 0.025 },
+    { rate: 0.05 }
+];
+
+/**
+ * Sorts brackets by notional and fills in missing maintenance amounts.
+ * @param {Array<MaintenanceTier>} tiers
+ * @returns {Array<{maxNotional: number, rate: number, amount: number}>}
+ */
+function normalizeMaintenanceTiers(tiers) {
+    const sorted = (tiers && tiers.length ? tiers : DEFAULT_MAINTENANCE_TIERS)
+        .map(tier => ({ ...tier, maxNotional: tier.maxNotional === undefined || tier.maxNotional === null ? Infinity : Number(tier.maxNotional), rate: Number(tier.rate) }))
+        .sort((a, b) => a.maxNotional - b.maxNotional);
+    let previous = null;
+    return sorted.map(tier => {
+        const derivedAmount = previous ? previous.amount + previous.maxNotional * (tier.rate - previous.rate) : 0;
+        const normalized = { maxNotional: tier.maxNotional, rate: tier.rate, amount: tier.amount !== undefined ? Number(tier.amount) : derivedAmount };
+        previous = normalized;
+        return normalized;
+    });
+}
+
+/**
+ * Returns the bracket that applies to a notional value.
+ * @param {number} notional
+ * @param {Array<MaintenanceTier>} tiers
+ * @returns {{maxNotional: number, rate: number, amount: number}}
+ */
+function selectMaintenanceTier(notional, tiers) {
+    const normalized = normalizeMaintenanceTiers(tiers);
+    return normalized.find(tier => Math.abs(notional) <= tier.maxNotional) || normalized[normalized.length - 1];
+}
+
+/**
+ * Returns the tiers configured for a symbol, falling back to `default` and then to DEFAULT_MAINTENANCE_TIERS.
+ * @param {MaintenanceTierConfig|null} config
+ * @param {string} symbol
+ * @returns {Array<MaintenanceTier>}
+ */
+function getTiersForSymbol(config, symbol) {
+    if (config) {
+        const upperSymbol = String(symbol || '').toUpperCase();
+        const matchingKey = Object.keys(config).find(key => key.toUpperCase() === upperSymbol);
+        if (matchingKey && Array.isArray(config[matchingKey]) && config[matchingKey].length) return config[matchingKey];
+        if (Array.isArray(config.default) && config.default.length) return config.default;
+    }
+    return DEFAULT_MAINTENANCE_TIERS;
+}
+
+/**
+ * Estimates the liquidation price of an isolated position: the price at which initial margin plus
+ * unrealized PnL equals the maintenance margin. The bracket is re-evaluated at the liquidation notional.
+ * Inverse positions are not estimated: their margin is held in the base coin, so the formula doesn't apply.
+ * @param {Position} position - Needs entryPrice, amount, leverage and type.
+ * @param {Array<MaintenanceTier>} [tiers=DEFAULT_MAINTENANCE_TIERS]
+ * @returns {number|null} Null if inputs are missing, the position is inverse or it can't be liquidated.
+ */
+function estimateLiquidationPrice(position, tiers = DEFAULT_MAINTENANCE_TIERS) {
+    const direction = positionPricing.getPositionDirection(position.type);
+    const entryPrice = Number(position.entryPrice);
+    const quantity = Math.abs(Number(position.amount));
+    const leverage = Number(position.leverage) || 1;
+    if (!direction || !(entryPrice > 0) || !(quantity > 0) || !(leverage > 0) || position.inverse) return null;
+
+    const initialMargin = (entryPrice * quantity) / leverage;
+    let tier = selectMaintenanceTier(entryPrice * quantity, tiers);
+    let liquidationPrice = null;
+    for (let iteration = 0; iteration < 5; iteration++) {
+        // Long:  IM + (P - E)q = Pq·rate - amount  →  P = (Eq - IM - amount) / (q(1 - rate))
+        // Short: IM + (E - P)q = Pq·rate - amount  →  P = (Eq + IM + amount) / (q(1 + rate))
+        liquidationPrice = direction > 0
+            ? (entryPrice * quantity - initialMargin - tier.amount) / (quantity * (1 - tier.rate))
+            : (entryPrice * quantity + initialMargin + tier.amount) / (quantity * (1 + tier.rate));
+        const nextTier = selectMaintenanceTier(liquidationPrice * quantity, tiers);
+        if (nextTier.rate === tier.rate && nextTier.amount === tier.amount) break;
+        tier = nextTier;
+    }
+    return Number.isFinite(liquidationPrice) && liquidationPrice > 0 ? liquidationPrice : null;
+}
+
+/**
+ * Computes the margin figures of a position.
+ * @param {Position} position
+ * @param {Array<MaintenanceTier>} [tiers=DEFAULT_MAINTENANCE_TIERS]
+ * @param {number|null} [referencePrice=null] - Price the distance to liquidation is measured from (e.g., the mark price); defaults to the entry price.
+ * @returns {MarginEstimate|null} Null if entry price, amount or leverage is missing.
+ */
+function computeMarginEstimate(position, tiers = DEFAULT_MAINTENANCE_TIERS, referencePrice = null) {
+    const entryPrice = Number(position.entryPrice);
+    const quantity = Math.abs(Number(position.amount));
+    const leverage = Number(position.leverage);
+    if (!(entryPrice > 0) || !(quantity > 0) || !(leverage > 0)) return null;
+
+    const notional = entryPrice * quantity;
+    const tier = selectMaintenanceTier(notional, tiers);
+    const liquidationPrice = estimateLiquidationPrice(position, tiers);
+    const price = Number(referencePrice) > 0 ? Number(referencePrice) : entryPrice;
+    const direction = positionPricing.getPositionDirection(position.type);
+
+    return {
+        notional,
+        initialMargin: notional / leverage,
+        maintenanceMargin: Math.max(0, notional * tier.rate - tier.amount),
+        maintenanceMarginRate: tier.rate,
+        liquidationPrice,
+        distanceToLiquidationPercent: liquidationPrice !== null && direction
+            ? ((price - liquidationPrice) / price) * 100 * direction
+            : null
+    };
+}
+
+/**
+ * A problem with a tier configuration: `code` names the message (see the `marginTierError…` translations)
+ * and `vars` fill it in (`symbol` and the 1-based `tier` number).
+ * @typedef {Object} MarginTierError
+ * @property {string} code
+ * @property {Object<string, (string|number)>} vars
+ */
+
+/**
+ * Checks a tier configuration entered by the user.
+ * @param {*} config
+ * @returns {{isValid: boolean, errors: Array<MarginTierError>}}
+ */
+function validateMaintenanceTierConfig(config) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return { isValid: false, errors: [{ code: 'notObject', vars: {} }] };
+    }
+    Object.keys(config).forEach(symbol => {
+        const tiers = config[symbol];
+        if (!Array.isArray(tiers) || tiers.length === 0) {
+            errors.push({ code: 'emptyList', vars: { symbol } });
+            return;
+        }
+        let previousMax = 0;
+        tiers.forEach((tier, index) => {
+            const addError = code => errors.push({ code, vars: { symbol, tier: index + 1 } });
+            if (!tier || typeof tier !== 'object') {
+                addError('tierNotObject');
+                return;
+            }
+            const rate = Number(tier.rate);
+            if (!(rate >= 0 && rate < 1)) addError('rateOutOfRange');
+            const isLast = index === tiers.length - 1;
+            if (tier.maxNotional === undefined || tier.maxNotional === null) {
+                if (!isLast) addError('missingMaxNotional');
+            } else if (!(Number(tier.maxNotional) > previousMax)) {
+                addError('maxNotionalNotIncreasing');
+            } else {
+                previousMax = Number(tier.maxNotional);
+            }
+            if (tier.amount !== undefined && !Number.isFinite(Number(tier.amount))) addError('amountNotNumber');
+        });
+    });
+    return { isValid: errors.length === 0, errors };
+}
+
+globalThis.positionMargin = {
+    DEFAULT_MAINTENANCE_TIERS,
+    normalizeMaintenanceTiers,
+    selectMaintenanceTier,
+    getTiersForSymbol,
+    estimateLiquidationPrice,
+    computeMarginEstimate,
+    validateMaintenanceTierConfig
+};
@@ -0,0 +1,122 @@
+// js/margintiers.js
+/**
+ * @file Maintenance-margin tier settings for OpenPos.
+ * Stores the per-symbol tiers used for margin and liquidation estimates (see margin.js)
+ * in localStorage and drives their editor in the settings panel.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Key for storing maintenance-margin tiers in localStorage.
+ * @const {string}
+ */
+const MARGIN_TIERS_KEY = 'openPosMarginTiers';
+
+/**
+ * @namespace marginTiers
+ * @description Global namespace for maintenance-margin tier settings.
+ */
+window.marginTiers = {};
+
+// --- DOM Element Getters ---
+const marginTiersFormElement = document.getElementById('margin-tiers-form');
+const marginTiersInput = document.getElementById('margin-tiers-input');
+const marginTiersErrorElement = document.getElementById('margin-tiers-error');
+const marginTiersResetButton = document.getElementById('margin-tiers-reset');
+
+let marginTierConfig = null; // Loaded lazily; null means "use the defaults"
+let marginTierConfigLoaded = false;
+
+/**
+ * Returns the stored tier configuration, or null if none has been saved.
+ * @function getConfig
+ * @memberof marginTiers
+ * @returns {MaintenanceTierConfig|null}
+ */
+window.marginTiers.getConfig = function() {
+    if (!marginTierConfigLoaded) {
+        marginTierConfigLoaded = true;
+        try {
+            const saved = localStorage.getItem(MARGIN_TIERS_KEY);
+            const parsed = saved ? JSON.parse(saved) : null;
+            marginTierConfig = parsed && positionMargin.validateMaintenanceTierConfig(parsed).isValid ? parsed : null;
+        } catch (error) {
+            console.error('Error loading margin tiers:', error);
+        }
+    }
+    return marginTierConfig;
+};
+
+/**
+ * Returns the tiers that apply to a symbol.
+ * @function getForSymbol
+ * @memberof marginTiers
+ * @param {string} symbol
+ * @returns {Array<MaintenanceTier>}
+ */
+window.marginTiers.getForSymbol = function(symbol) {
+    return positionMargin.getTiersForSymbol(window.marginTiers.getConfig(), symbol);
+};
+
+/**
+ * Saves a tier configuration (null restores the defaults) and refreshes the estimates on the cards.
+ * @function save
+ * @memberof marginTiers
+ * @param {MaintenanceTierConfig|null} config - Must pass positionMargin.validateMaintenanceTierConfig.
+ */
+window.marginTiers.save = function(config) {
+    marginTierConfig = config;
+    marginTierConfigLoaded = true;
+    try {
+        if (config) localStorage.setItem(MARGIN_TIERS_KEY, JSON.stringify(config));
+        else localStorage.removeItem(MARGIN_TIERS_KEY);
+    } catch (error) {
+        console.error('Error saving margin tiers:', error);
+    }
+    if (window.ui && typeof window.ui.updateLiveMetrics === 'function') window.ui.updateLiveMetrics();
+};
+
+/** @private */
+function fillMarginTiersInput() {
+    if (!marginTiersInput) return;
+    const config = window.marginTiers.getConfig() || { default: positionMargin.DEFAULT_MAINTENANCE_TIERS };
+    marginTiersInput.value = JSON.stringify(config, null, 2);
+    marginTiersErrorElement.textContent = '';
+}
+
+/** @private */
+function handleMarginTiersSubmit(event) {
+    event.preventDefault();
+    let config;
+    try {
+        config = JSON.parse(marginTiersInput.value);
+    } catch (error) {
+        marginTiersErrorElement.textContent = translate('marginTiersInvalidJson', { message: error.message });
+        return;
+    }
+    const { isValid, errors } = positionMargin.validateMaintenanceTierConfig(config);
+    if (!isValid) {
+        const messages = errors.map(error => translate(`marginTierError${error.code[0].toUpperCase()}${error.code.slice(1)}`, error.vars));
+        marginTiersErrorElement.textContent = translate('marginTiersInvalid', { message: messages.join('\n') });
+        return;
+    }
+    window.marginTiers.save(config);
+    marginTiersErrorElement.textContent = '';
+    window.ui.showToast('marginTiersSaved', 'success', 3000);
+}
+
+/**
+ * Wires up the tier editor in the settings panel. Call once after translations are loaded.
+ * @function initSettingsSection
+ * @memberof marginTiers
+ */
+window.marginTiers.initSettingsSection = function() {
+    if (!marginTiersFormElement) return;
+    fillMarginTiersInput();
+    marginTiersFormElement.addEventListener('submit', handleMarginTiersSubmit);
+    marginTiersResetButton.addEventListener('click', () => {
+        window.marginTiers.save(null);
+        fillMarginTiersInput();
+    });
+};
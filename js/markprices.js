@@ -0,0 +1,112 @@
+// js/markprices.js
+/**
+ * @file Mark-price feed for OpenPos.
+ * Keeps the latest mark price per symbol from an optional per-source feed, either by polling
+ * an endpoint or from a WebSocket/SSE stream (see stream.js), and reports every update.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * @namespace markPriceFeed
+ * @description Global namespace for the mark-price feed.
+ */
+window.markPriceFeed = {};
+
+/**
+ * How often a polled mark-price endpoint is fetched, in ms.
+ * @const {number}
+ */
+const MARK_PRICE_POLL_INTERVAL_MS = 5000;
+
+let markPrices = new Map(); // Upper-case symbol -> latest mark price
+let markPriceStream = null;
+let markPricePollTimerId = null;
+let markPriceFeedGeneration = 0; // Invalidates polls still in flight after stop()
+
+/**
+ * Stores prices from a payload and reports them.
+ * @private
+ * @param {*} payload
+ * @param {function(Map<string, number>): void} onUpdate
+ */
+function applyMarkPricePayload(payload, onUpdate) {
+    const updates = positionPricing.parseMarkPrices(payload);
+    if (updates.size === 0) return;
+    updates.forEach((price, symbol) => markPrices.set(symbol, price));
+    onUpdate(updates);
+}
+
+/**
+ * Polls an endpoint until stopped; hidden tabs are skipped.
+ * @private
+ * @param {string} url
+ * @param {function(Map<string, number>): void} onUpdate
+ * @param {number} generation
+ */
+async function pollMarkPrices(url, onUpdate, generation) {
+    if (generation !== markPriceFeedGeneration) return;
+    if (!document.hidden) {
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const payload = await response.json();
+            if (generation === markPriceFeedGeneration) applyMarkPricePayload(payload, onUpdate);
+        } catch (error) {
+            console.warn('Mark price fetch failed:', error.message);
+        }
+    }
+    if (generation === markPriceFeedGeneration) {
+        markPricePollTimerId = setTimeout(() => pollMarkPrices(url, onUpdate, generation), MARK_PRICE_POLL_INTERVAL_MS);
+    }
+}
+
+/**
+ * Starts the mark-price feed of a data source, replacing any running feed.
+ * Does nothing if the source has no `markPriceUrl`.
+ * @function start
+ * @memberof markPriceFeed
+ * @param {DataSource} source - Uses `markPriceUrl` and `markPriceTransport` ('rest' polls, 'stream' connects).
+ * @param {function(Map<string, number>): void} onUpdate - Called with the prices that changed.
+ */
+window.markPriceFeed.start = function(source, onUpdate) {
+    window.markPriceFeed.stop();
+    if (!source || !source.markPriceUrl) return;
+    const url = new URL(source.markPriceUrl, window.location.href).href;
+    const generation = markPriceFeedGeneration;
+
+    if (source.markPriceTransport === 'stream') {
+        markPriceStream = positionStream.openReconnectingStream({
+            url,
+            onMessage: message => applyMarkPricePayload(message, onUpdate)
+        });
+    } else {
+        pollMarkPrices(url, onUpdate, generation);
+    }
+};
+
+/**
+ * Stops the feed and forgets all prices.
+ * @function stop
+ * @memberof markPriceFeed
+ */
+window.markPriceFeed.stop = function() {
+    markPriceFeedGeneration++;
+    if (markPricePollTimerId) clearTimeout(markPricePollTimerId);
+    markPricePollTimerId = null;
+    if (markPriceStream) markPriceStream.close();
+    markPriceStream = null;
+    markPrices = new Map();
+};
+
+/**
+ * Returns the latest mark price of a symbol, or null if the feed hasn't reported it.
+ * @function getPrice
+ * @memberof markPriceFeed
+ * @param {string} symbol
+ * @returns {number|null}
+ */
+window.markPriceFeed.getPrice = function(symbol) {
+    const price = markPrices.get(String(symbol || '').toUpperCase());
+    return price !== undefined ? price : null;
+};
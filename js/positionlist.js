@@ -0,0 +1,264 @@
+// js/positionlist.js
+/**
+ * @file Filtering and sorting of the position list.
+ * Pure functions with no DOM dependencies (they build on searchquery.js and pricing.js), run in the list
+ * worker (listworker.js) or, without workers, on the page (workerclient.js).
+ * @author GeekNeuron
+ * @version 1.4.0
+ */
+
+/**
+ * Numeric fields of the range filters; `notional` is entry price × amount.
+ * @const {Array<string>}
+ */
+const RANGE_FILTER_FIELDS = ['entryPrice', 'amount', 'leverage', 'pnl', 'notional'];
+
+/**
+ * Quick presets of the timestamp range, resolved against the current (local) time when the list is filtered.
+ * @const {Array<string>}
+ */
+const TIME_RANGE_PRESETS = ['lastHour', 'today', 'thisWeek'];
+
+/**
+ * Min/max bounds by field (RANGE_FILTER_FIELDS and `timestamp`, in Unix ms). Bounds are inclusive; a missing
+ * or null bound is open. `timestamp` may instead have a `preset` (see TIME_RANGE_PRESETS).
+ * @typedef {Object<string, {min?: (number|null), max?: (number|null), preset?: string}>} RangeFilters
+ */
+
+/**
+ * Returns the bounds of a timestamp preset.
+ * @param {string} preset - One of TIME_RANGE_PRESETS.
+ * @param {number} [now=Date.now()]
+ * @returns {{min: number, max: null}|null} null for an unknown preset.
+ */
+function resolveTimeRangePreset(preset, now = Date.now()) {
+    const start = new Date(now);
+    switch (preset) {
+        case 'lastHour': return { min: now - 3600000, max: null };
+        case 'today': start.setHours(0, 0, 0, 0); return { min: start.getTime(), max: null };
+        case 'thisWeek': // Weeks start on Monday
+            start.setHours(0, 0, 0, 0);
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+            return { min: start.getTime(), max: null };
+        default: return null;
+    }
+}
+
+/**
+ * Lists the range filters that have at least one bound, with presets resolved.
+ * @param {RangeFilters} [rangeFilters={}]
+ * @param {number} [now=Date.now()]
+ * @returns {Array<{field: string, min: (number|null), max: (number|null)}>}
+ */
+function resolveRangeFilters(rangeFilters = {}, now = Date.now()) {
+    const toBound = value => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+    return [...RANGE_FILTER_FIELDS, 'timestamp'].map(field => {
+        const range = rangeFilters[field] || {};
+        const bounds = field === 'timestamp' && range.preset ? resolveTimeRangePreset(range.preset, now) || {} : range;
+        return { field, min: toBound(bounds.min), max: toBound(bounds.max) };
+    }).filter(range => range.min !== null || range.max !== null);
+}
+
+/**
+ * Returns the value a range filter compares: the absolute amount, entry price × amount for `notional`,
+ * otherwise the field as a number.
+ * @param {Position} position
+ * @param {string} field
+ * @returns {number|null} null if the position lacks the field.
+ */
+function getRangeFilterValue(position, field) {
+    if (field === 'notional') {
+        const entryPrice = getRangeFilterValue(position, 'entryPrice');
+        const amount = getRangeFilterValue(position, 'amount');
+        return entryPrice === null || amount === null ? null : entryPrice * amount;
+    }
+    const value = searchQuery.getSearchFieldValue(position, field);
+    return field === 'amount' && value !== null ? Math.abs(value) : value;
+}
+
+/**
+ * Filters positions by type ('all', 'long' or 'short'), by a search query (see searchquery.js; a plain
+ * word matches symbols containing it) and by range filters; a position lacking a filtered field is left out.
+ * A query that doesn't parse filters nothing; the search box shows the error.
+ * @param {Array<Position>} positions
+ * @param {string} filterTypeValue
+ * @param {string} searchTerm
+ * @param {RangeFilters} [rangeFilters={}]
+ * @returns {Array<Position>} A new array.
+ */
+function filterPositions(positions, filterTypeValue, searchTerm, rangeFilters = {}) {
+    let filtered = [...positions];
+    const now = Date.now(); // One reference time for `age` and time presets across the list
+    if (filterTypeValue !== 'all') {
+        filtered = filtered.filter(p => p.type && String(p.type).toLowerCase() === filterTypeValue);
+    }
+    if (searchTerm) {
+        const { query } = searchQuery.parseSearchQuery(searchTerm);
+        if (query) filtered = filtered.filter(p => searchQuery.matchesSearchQuery(query, p, now));
+    }
+    const ranges = resolveRangeFilters(rangeFilters, now);
+    if (ranges.length > 0) {
+        filtered = filtered.filter(p => ranges.every(({ field, min, max }) => {
+            const value = getRangeFilterValue(p, field);
+            return value !== null && (min === null || value >= min) && (max === null || value <= max);
+        }));
+    }
+    return filtered;
+}
+
+/**
+ * Whether any filter is active, i.e. whether an empty result means nothing matched rather than there are no positions.
+ * @param {string} filterTypeValue
+ * @param {string} searchTerm
+ * @param {RangeFilters} [rangeFilters={}]
+ * @returns {boolean}
+ */
+function hasActiveFilters(filterTypeValue, searchTerm, rangeFilters = {}) {
+    return filterTypeValue !== 'all' || String(searchTerm || '').trim() !== '' || resolveRangeFilters(rangeFilters).length > 0;
+}
+
+/**
+ * Fields positions can be sorted by, and whether they compare as text or numbers. `side` puts long before
+ * short; `amount` compares absolute sizes. `notional`, `pnl`, `roe` and `priceChange` are computed (pricing.js)
+ * from the position's own data rather than the live mark-price feed, so the order doesn't change with every tick.
+ * @const {Object<string, ('text'|'number')>}
+ */
+const SORT_FIELDS = {
+    symbol: 'text',
+    side: 'text',
+    baseAsset: 'text',
+    quoteAsset: 'text',
+    user: 'text',
+    entryPrice: 'number',
+    markPrice: 'number',
+    amount: 'number',
+    leverage: 'number',
+    notional: 'number',
+    pnl: 'number',
+    roe: 'number',
+    priceChange: 'number',
+    timestamp: 'number'
+};
+
+/**
+ * One level of a sort.
+ * @typedef {Object} SortKey
+ * @property {string} field - A SORT_FIELDS field.
+ * @property {('asc'|'desc')} direction
+ */
+
+/**
+ * Reads sort levels from `<field>-<direction>` strings (comma-separated for several levels, 'default' for
+ * none) or from an array of SortKeys, dropping unknown fields and repeated ones.
+ * @param {string|Array<SortKey>} sortSpec - e.g. 'symbol-asc,pnl-desc'.
+ * @returns {Array<SortKey>}
+ */
+function parseSortKeys(sortSpec) {
+    const candidates = Array.isArray(sortSpec)
+        ? sortSpec
+        : String(sortSpec || '').split(',').map(part => {
+            const separator = part.lastIndexOf('-');
+            return { field: part.slice(0, separator).trim(), direction: part.slice(separator + 1).trim() };
+        });
+    const sortKeys = [];
+    candidates.forEach(key => {
+        if (!key || !Object.prototype.hasOwnProperty.call(SORT_FIELDS, key.field)) return;
+        if ((key.direction !== 'asc' && key.direction !== 'desc') || sortKeys.some(sortKey => sortKey.field === key.field)) return;
+        sortKeys.push({ field: key.field, direction: key.direction });
+    });
+    return sortKeys;
+}
+
+/**
+ * Writes sort levels as parseSortKeys reads them.
+ * @param {Array<SortKey>} sortKeys
+ * @returns {string} e.g. 'symbol-asc,pnl-desc', or 'default' without levels.
+ */
+function formatSortKeys(sortKeys) {
+    return sortKeys.length > 0 ? sortKeys.map(({ field, direction }) => `${field}-${direction}`).join(',') : 'default';
+}
+
+/**
+ * Returns the value a position is sorted by.
+ * @param {Position} position
+ * @param {string} field - A SORT_FIELDS field.
+ * @returns {string|number|null} null if the position lacks the value.
+ */
+function getSortValue(position, field) {
+    switch (field) {
+        case 'side': return searchQuery.getSearchFieldValue(position, 'side');
+        case 'amount':
+        case 'notional': return getRangeFilterValue(position, field);
+        case 'markPrice': return positionPricing.computePositionMetrics(position).markPrice;
+        case 'pnl': return positionPricing.computePositionMetrics(position).pnl;
+        case 'roe': return positionPricing.computePositionMetrics(position).roePercent;
+        case 'priceChange': return positionPricing.computePositionMetrics(position).priceChangePercent;
+        default: {
+            const value = position[field];
+            if (value === undefined || value === null || value === '') return null;
+            if (SORT_FIELDS[field] === 'text') return String(value);
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+    }
+}
+
+/**
+ * Sorts positions by one or more levels; each level only orders positions the previous ones consider equal,
+ * and positions equal on all levels keep their order. Positions lacking a level's value come after the others
+ * in either direction. Text is compared with the collation of `locale` (digits as numbers).
+ * @param {Array<Position>} positions
+ * @param {string|Array<SortKey>} sortSpec - Sort levels as parseSortKeys reads them, e.g. 'symbol-asc' or
+ *   [{field: 'symbol', direction: 'asc'}, {field: 'pnl', direction: 'desc'}]; 'default' keeps the order.
+ * @param {string} [locale='en'] - Current language.
+ * @returns {Array<Position>} A new array.
+ */
+function sortPositions(positions, sortSpec, locale = 'en') {
+    const sortKeys = parseSortKeys(sortSpec);
+    if (sortKeys.length === 0) return [...positions];
+    const collator = new Intl.Collator(locale, { numeric: true, sensitivity: 'base' });
+    // Sort values are computed once per position rather than on every comparison
+    const rows = positions.map((position, index) => ({ position, index, values: sortKeys.map(key => getSortValue(position, key.field)) }));
+    rows.sort((a, b) => {
+        for (let level = 0; level < sortKeys.length; level++) {
+            const valueA = a.values[level];
+            const valueB = b.values[level];
+            if (valueA === null || valueB === null) {
+                if (valueA !== valueB) return valueA === null ? 1 : -1;
+                continue;
+            }
+            const order = typeof valueA === 'string' ? collator.compare(valueA, valueB) : valueA - valueB;
+            if (order !== 0) return sortKeys[level].direction === 'desc' ? -order : order;
+        }
+        return a.index - b.index;
+    });
+    return rows.map(row => row.position);
+}
+
+/**
+ * What the list shows: the values of the filter and sort controls.
+ * @typedef {Object} ListQuery
+ * @property {string} filterType - `#type-filter` value.
+ * @property {string} searchTerm - Trimmed `#symbol-search` value, a search query.
+ * @property {RangeFilters} [rangeFilters] - Values of the filter drawer.
+ * @property {Array<SortKey>} sortKeys - Sort levels of the sort controls (anything parseSortKeys reads).
+ * @property {string} [locale] - Current language, for comparing text.
+ */
+
+/**
+ * Filters and sorts positions, returning indexes into the input rather than positions, so that a caller
+ * holding its own copy of the list (the page, when this runs in the worker) can map them back to its objects.
+ * @param {Array<Position>} positions
+ * @param {ListQuery} query
+ * @returns {Array<number>}
+ */
+function queryPositionIndexes(positions, query) {
+    const indexByPosition = new Map(positions.map((position, index) => [position, index]));
+    const filtered = filterPositions(positions, query.filterType, query.searchTerm, query.rangeFilters);
+    return sortPositions(filtered, query.sortKeys, query.locale).map(position => indexByPosition.get(position));
+}
+
+globalThis.positionList = {
+    RANGE_FILTER_FIELDS, TIME_RANGE_PRESETS, SORT_FIELDS, resolveTimeRangePreset, resolveRangeFilters, getRangeFilterValue,
+    filterPositions, hasActiveFilters, parseSortKeys, formatSortKeys, getSortValue, sortPositions, queryPositionIndexes
+};
@@ -0,0 +1,126 @@
+// js/pricing.js
+/**
+ * @file Mark-price based position metrics.
+ * Computes unrealized PnL, ROE % and the price change since entry from a mark price,
+ * with the sign following the position side, and parses the common mark-price payload shapes.
+ * Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Live values shown on a position card.
+ * @typedef {Object} PositionMetrics
+ * @property {number|null} markPrice - Mark price used, or null if none is known.
+ * @property {number|null} pnl - Unrealized PnL in the quote asset, or null if unknown.
+ * @property {'api'|'computed'|null} pnlSource - Whether `pnl` was sent by the API or computed from the mark price.
+ * @property {number|null} roePercent - Return on equity: PnL relative to the initial margin (entry notional / leverage).
+ * @property {number|null} priceChangePercent - Price move since entry, positive when it moved in the position's favor.
+ */
+
+/**
+ * Returns +1 for long/buy positions, -1 for short/sell positions and 0 for unknown types.
+ * @param {string} type - Position type.
+ * @returns {number}
+ */
+function getPositionDirection(type) {
+    const side = positionDiff.normalizePositionSide(type);
+    if (side === 'long') return 1;
+    if (side === 'short') return -1;
+    return 0;
+}
+
+/** @private */
+function toFiniteNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Computes unrealized PnL at a given mark price: (mark - entry) × amount, negated for shorts.
+ * @param {Position} position
+ * @param {number} markPrice
+ * @returns {number|null} Null if the inputs are missing or the side is unknown.
+ */
+function computeUnrealizedPnl(position, markPrice) {
+    const direction = getPositionDirection(position.type);
+    const entryPrice = toFiniteNumber(position.entryPrice);
+    const amount = toFiniteNumber(position.amount);
+    const mark = toFiniteNumber(markPrice);
+    if (!direction || entryPrice === null || amount === null || mark === null) return null;
+    return (mark - entryPrice) * Math.abs(amount) * direction;
+}
+
+/**
+ * Computes the metrics for one position. A price from the mark-price feed takes precedence over the
+ * API's PnL, so values stay live; otherwise the API's PnL is used, and as a last resort a `markPrice`
+ * field sent with the position. Inverse positions need no formula of their own: the exchange adapters
+ * size them so the linear PnL in USD equals the exchange's inverse PnL at any mark price (see adapters.js).
+ * @param {Position} position
+ * @param {number|null} [feedMarkPrice=null] - Price from the mark-price feed for the position's symbol.
+ * @returns {PositionMetrics}
+ */
+function computePositionMetrics(position, feedMarkPrice = null) {
+    const apiPnl = toFiniteNumber(position.pnl);
+    const markPrice = toFiniteNumber(feedMarkPrice) ?? toFiniteNumber(position.markPrice);
+    let pnl = null;
+    let pnlSource = null;
+
+    if (toFiniteNumber(feedMarkPrice) !== null || apiPnl === null) {
+        pnl = markPrice !== null ? computeUnrealizedPnl(position, markPrice) : null;
+        if (pnl !== null) pnlSource = 'computed';
+    }
+    if (pnl === null && apiPnl !== null) {
+        pnl = apiPnl;
+        pnlSource = 'api';
+    }
+
+    const entryPrice = toFiniteNumber(position.entryPrice);
+    const amount = toFiniteNumber(position.amount);
+    const leverage = toFiniteNumber(position.leverage) || 1;
+    const initialMargin = entryPrice && amount ? Math.abs(entryPrice * amount) / leverage : null;
+    const direction = getPositionDirection(position.type);
+
+    return {
+        markPrice,
+        pnl,
+        pnlSource,
+        roePercent: pnl !== null && initialMargin ? (pnl / initialMargin) * 100 : null,
+        priceChangePercent: markPrice !== null && entryPrice && direction ? ((markPrice - entryPrice) / entryPrice) * 100 * direction : null
+    };
+}
+
+/**
+ * Extracts symbol → mark price pairs from a feed payload. Accepted shapes:
+ * an array or single object with `symbol`/`s` and `markPrice`/`p`/`price`; a `{"data": ...}` wrapper
+ * (e.g., Binance combined streams); or a plain `{"BTCUSDT": 65000}` map.
+ * @param {*} payload - Parsed JSON from the endpoint or a stream message.
+ * @returns {Map<string, number>} Prices keyed by upper-case symbol.
+ */
+function parseMarkPrices(payload) {
+    const prices = new Map();
+    const addEntry = entry => {
+        if (!entry || typeof entry !== 'object') return;
+        const symbol = entry.symbol ?? entry.s;
+        const price = toFiniteNumber(entry.markPrice ?? entry.p ?? entry.price);
+        if (symbol !== undefined && price !== null) prices.set(String(symbol).toUpperCase(), price);
+    };
+
+    if (Array.isArray(payload)) {
+        payload.forEach(addEntry);
+    } else if (payload && typeof payload === 'object') {
+        if (payload.data !== undefined) return parseMarkPrices(payload.data);
+        if (payload.symbol !== undefined || payload.s !== undefined) {
+            addEntry(payload);
+        } else {
+            Object.keys(payload).forEach(symbol => {
+                const price = toFiniteNumber(payload[symbol]);
+                if (price !== null) prices.set(symbol.toUpperCase(), price);
+            });
+        }
+    }
+    return prices;
+}
+
+globalThis.positionPricing = { getPositionDirection, computeUnrealizedPnl, computePositionMetrics, parseMarkPrices };
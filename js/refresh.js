@@ -0,0 +1,278 @@
+// js/refresh.js
+/**
+ * @file Auto-refresh scheduler for OpenPos.
+ * Re-runs a refresh callback on a configurable interval, with pause/resume,
+ * and keeps the "last updated" indicator current. When a live stream is configured,
+ * polling is suspended while the stream is connected and used as a fallback when it drops.
+ * Also shows when the Service Worker last refreshed the data in the background (see backgroundrefresh.js).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * @namespace autoRefresh
+ * @description Global namespace for the polling scheduler.
+ */
+window.autoRefresh = {};
+
+// --- DOM Element Getters ---
+const refreshIntervalElement = document.getElementById('refresh-interval');
+const refreshToggleButton = document.getElementById('refresh-toggle');
+const lastUpdatedElement = document.getElementById('last-updated');
+const backgroundUpdatedElement = document.getElementById('background-updated');
+const connectionStatusElement = document.getElementById('connection-status');
+
+/**
+ * Polling interval used while a dropped stream is being reconnected and no interval is selected.
+ * @const {number}
+ */
+const STREAM_FALLBACK_INTERVAL_MS = 15000;
+
+let refreshCallback = null;
+let refreshTimerId = null;
+let refreshPaused = false;
+let refreshInProgress = false;
+let lastUpdatedAt = null;
+let backgroundUpdatedAt = null;
+let streamState = null; // null when the data source has no stream, otherwise a StreamState from stream.js
+
+/**
+ * Returns the selected refresh interval in milliseconds (0 means off).
+ * @private
+ * @returns {number}
+ */
+function getSelectedIntervalMs() {
+    const seconds = refreshIntervalElement ? Number(refreshIntervalElement.value) : 0;
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Returns the interval actually used for polling (0 means no polling), taking the stream state into account.
+ * @private
+ * @returns {number}
+ */
+function getRefreshIntervalMs() {
+    if (streamState === 'open') return 0; // The stream delivers updates; no need to poll
+    if (streamState === 'connecting' || streamState === 'reconnecting') {
+        return getSelectedIntervalMs() || STREAM_FALLBACK_INTERVAL_MS;
+    }
+    return getSelectedIntervalMs();
+}
+
+/** @private */
+function clearRefreshTimer() {
+    if (refreshTimerId) {
+        clearTimeout(refreshTimerId);
+        refreshTimerId = null;
+    }
+}
+
+/**
+ * Schedules the next refresh, unless polling is off, paused or the page is hidden.
+ * The next run is always scheduled after the previous one finished, so requests never overlap.
+ * @private
+ */
+function scheduleNextRefresh() {
+    clearRefreshTimer();
+    const intervalMs = getRefreshIntervalMs();
+    if (!refreshCallback || refreshPaused || intervalMs === 0 || document.hidden) return;
+    refreshTimerId = setTimeout(runRefresh, intervalMs);
+}
+
+/** @private */
+async function runRefresh() {
+    refreshTimerId = null;
+    if (refreshInProgress || !refreshCallback) return;
+    refreshInProgress = true;
+    try {
+        await refreshCallback();
+    } catch (error) {
+        console.error('Auto-refresh failed:', error);
+    } finally {
+        refreshInProgress = false;
+        scheduleNextRefresh();
+    }
+}
+
+/** @private */
+function updateRefreshToggleButton() {
+    if (!refreshToggleButton) return;
+    const key = refreshPaused ? 'refreshResume' : 'refreshPause';
+    refreshToggleButton.textContent = translate(key);
+    refreshToggleButton.setAttribute('aria-pressed', String(refreshPaused));
+    refreshToggleButton.disabled = getRefreshIntervalMs() === 0;
+}
+
+/** @private */
+function renderConnectionStatus() {
+    if (!connectionStatusElement) return;
+    if (!streamState) {
+        connectionStatusElement.hidden = true;
+        return;
+    }
+    const stateKeys = {
+        connecting: 'streamStateConnecting',
+        open: 'streamStateOpen',
+        reconnecting: 'streamStateReconnecting',
+        closed: 'streamStateClosed'
+    };
+    connectionStatusElement.hidden = false;
+    connectionStatusElement.className = `connection-status ${streamState}`;
+    connectionStatusElement.textContent = translate(stateKeys[streamState] || 'streamStateClosed');
+}
+
+/** @private */
+function renderLastUpdated() {
+    if (!lastUpdatedElement) return;
+    if (!lastUpdatedAt) {
+        lastUpdatedElement.textContent = '';
+        return;
+    }
+    const formattedTime = lastUpdatedAt.toLocaleTimeString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US');
+    lastUpdatedElement.textContent = translate('lastUpdated', { time: formattedTime });
+    lastUpdatedElement.setAttribute('datetime', lastUpdatedAt.toISOString());
+}
+
+/** @private */
+function renderBackgroundUpdated() {
+    if (!backgroundUpdatedElement) return;
+    backgroundUpdatedElement.hidden = !backgroundUpdatedAt;
+    if (!backgroundUpdatedAt) return;
+    // May be days ago, so the date is shown too
+    const formattedTime = backgroundUpdatedAt.toLocaleString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US', {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    backgroundUpdatedElement.textContent = translate('backgroundUpdated', { time: formattedTime });
+    backgroundUpdatedElement.setAttribute('datetime', backgroundUpdatedAt.toISOString());
+}
+
+/**
+ * Records a successful data load and updates the "last updated" indicator.
+ * @function markUpdated
+ * @memberof autoRefresh
+ * @param {Date} [date=new Date()] - When the data was loaded.
+ */
+window.autoRefresh.markUpdated = function(date = new Date()) {
+    lastUpdatedAt = date;
+    renderLastUpdated();
+};
+
+/**
+ * Records a refresh by the Service Worker while no tab was visible and shows when it happened.
+ * @function markBackgroundUpdated
+ * @memberof autoRefresh
+ * @param {Date} date - When the data was refreshed in the background.
+ */
+window.autoRefresh.markBackgroundUpdated = function(date) {
+    if (backgroundUpdatedAt && backgroundUpdatedAt >= date) return;
+    backgroundUpdatedAt = date;
+    renderBackgroundUpdated();
+};
+
+/**
+ * Returns the selected refresh interval in seconds (0 means off), for UI settings persistence.
+ * @function getIntervalSeconds
+ * @memberof autoRefresh
+ * @returns {number}
+ */
+window.autoRefresh.getIntervalSeconds = function() {
+    return getSelectedIntervalMs() / 1000;
+};
+
+/**
+ * Reports the state of the live stream. While it is open, polling is suspended;
+ * while it is connecting or reconnecting, REST polling keeps the data fresh.
+ * @function setStreamState
+ * @memberof autoRefresh
+ * @param {StreamState|null} state - Current stream state, or null if the data source has no stream.
+ */
+window.autoRefresh.setStreamState = function(state) {
+    streamState = state;
+    renderConnectionStatus();
+    window.autoRefresh.reschedule();
+};
+
+/**
+ * Selects a refresh interval if it is one of the offered options.
+ * @function setIntervalSeconds
+ * @memberof autoRefresh
+ * @param {number} seconds - Interval in seconds (0 turns polling off).
+ */
+window.autoRefresh.setIntervalSeconds = function(seconds) {
+    if (!refreshIntervalElement || !refreshIntervalElement.querySelector(`option[value="${Number(seconds)}"]`)) return;
+    refreshIntervalElement.value = String(Number(seconds));
+    if (refreshCallback) window.autoRefresh.reschedule();
+};
+
+/**
+ * Pauses polling until resumed.
+ * @function pause
+ * @memberof autoRefresh
+ */
+window.autoRefresh.pause = function() {
+    refreshPaused = true;
+    clearRefreshTimer();
+    updateRefreshToggleButton();
+};
+
+/**
+ * Resumes polling, refreshing immediately.
+ * @function resume
+ * @memberof autoRefresh
+ */
+window.autoRefresh.resume = function() {
+    refreshPaused = false;
+    updateRefreshToggleButton();
+    runRefresh();
+};
+
+/**
+ * Restarts the polling timer, e.g., after the interval changed or a manual reload.
+ * @function reschedule
+ * @memberof autoRefresh
+ */
+window.autoRefresh.reschedule = function() {
+    updateRefreshToggleButton();
+    scheduleNextRefresh();
+};
+
+/**
+ * Starts the scheduler. Call once after UI settings (including the interval) are applied.
+ * @function init
+ * @memberof autoRefresh
+ * @param {function(): Promise<void>} callback - Refreshes the data; awaited before the next run is scheduled.
+ */
+window.autoRefresh.init = function(callback) {
+    refreshCallback = callback;
+
+    if (refreshIntervalElement) {
+        refreshIntervalElement.addEventListener('change', () => {
+            window.autoRefresh.reschedule();
+            if (window.ui && typeof window.ui.saveUiSettings === 'function') window.ui.saveUiSettings();
+        });
+    }
+    if (refreshToggleButton) {
+        refreshToggleButton.addEventListener('click', () => {
+            if (refreshPaused) window.autoRefresh.resume();
+            else window.autoRefresh.pause();
+        });
+    }
+    // Don't poll hidden tabs; catch up as soon as the tab becomes visible again
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            clearRefreshTimer();
+        } else if (!refreshPaused && getRefreshIntervalMs() > 0) {
+            const isOverdue = !lastUpdatedAt || Date.now() - lastUpdatedAt.getTime() >= getRefreshIntervalMs();
+            if (isOverdue) runRefresh();
+            else scheduleNextRefresh();
+        }
+    });
+    window.addEventListener('openpos:languagechange', () => {
+        updateRefreshToggleButton();
+        renderLastUpdated();
+        renderBackgroundUpdated();
+        renderConnectionStatus();
+    });
+
+    window.autoRefresh.reschedule();
+};
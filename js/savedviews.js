@@ -0,0 +1,398 @@
+// js/savedviews.js
+/**
+ * @file Saved views module for OpenPos.
+ * Keeps named view presets (filters, search, sort levels, grouping and view mode; see viewstate.js) in
+ * localStorage, one of which can be the default view on load, and drives the preset dropdown and the
+ * "Manage" panel in `#filter-container` where presets are saved, switched, renamed, reordered and deleted.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * A named view preset.
+ * @typedef {Object} SavedView
+ * @property {string} id - Unique identifier generated on creation.
+ * @property {string} name - Display name chosen by the user (e.g., "High leverage").
+ * @property {ViewState} state
+ */
+
+/**
+ * Key for storing saved views in localStorage (next to `openPosUiSettings`).
+ * @const {string}
+ */
+const SAVED_VIEWS_KEY = 'openPosSavedViews';
+
+/**
+ * Maximum length of a saved view's name.
+ * @const {number}
+ */
+const SAVED_VIEW_NAME_MAX_LENGTH = 60;
+
+/**
+ * @namespace savedViews
+ * @description Global namespace for named view presets.
+ */
+window.savedViews = {};
+
+// --- DOM Element Getters ---
+const savedViewSelectElement = document.getElementById('saved-view-select');
+const savedViewsManagerElement = document.getElementById('saved-views-manager');
+const savedViewFormElement = document.getElementById('saved-view-form');
+const savedViewNameInput = document.getElementById('saved-view-name');
+const savedViewFormErrorElement = document.getElementById('saved-view-form-error');
+const savedViewsListElement = document.getElementById('saved-views-list');
+
+let renamingViewId = null; // View whose name is being edited in the list
+
+/**
+ * Reads the stored saved views, falling back to none.
+ * @private
+ * @returns {{defaultId: (string|null), views: Array<SavedView>}}
+ */
+function loadSavedViewsState() {
+    try {
+        const saved = localStorage.getItem(SAVED_VIEWS_KEY);
+        if (saved) {
+            const state = JSON.parse(saved);
+            if (state && Array.isArray(state.views)) {
+                const views = state.views.filter(view => view && view.id && typeof view.name === 'string' && view.state);
+                return { defaultId: views.some(view => view.id === state.defaultId) ? state.defaultId : null, views };
+            }
+        }
+    } catch (error) {
+        console.error('Error loading saved views:', error);
+    }
+    return { defaultId: null, views: [] };
+}
+
+/**
+ * Persists the saved views and updates the dropdown and the list.
+ * @private
+ * @param {{defaultId: (string|null), views: Array<SavedView>}} state
+ */
+function saveSavedViewsState(state) {
+    try {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving saved views:', error);
+    }
+    window.savedViews.render();
+}
+
+/** @private */
+function generateViewId() {
+    return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Returns all saved views, in the user's order.
+ * @function getAll
+ * @memberof savedViews
+ * @returns {Array<SavedView>}
+ */
+window.savedViews.getAll = function() {
+    return loadSavedViewsState().views;
+};
+
+/**
+ * Returns the view applied on load (unless the URL has a view), or null if none is marked as the default.
+ * @function getDefault
+ * @memberof savedViews
+ * @returns {SavedView|null}
+ */
+window.savedViews.getDefault = function() {
+    const state = loadSavedViewsState();
+    return state.views.find(view => view.id === state.defaultId) || null;
+};
+
+/**
+ * Saves a view under a name, replacing the state of a view with the same name (ignoring case).
+ * @function save
+ * @memberof savedViews
+ * @param {string} name
+ * @param {ViewState} viewState
+ * @returns {SavedView} The created or updated view.
+ */
+window.savedViews.save = function(name, viewState) {
+    const state = loadSavedViewsState();
+    const trimmedName = name.trim().slice(0, SAVED_VIEW_NAME_MAX_LENGTH);
+    let view = state.views.find(existing => existing.name.toLowerCase() === trimmedName.toLowerCase());
+    if (view) {
+        view.state = viewState;
+    } else {
+        view = { id: generateViewId(), name: trimmedName, state: viewState };
+        state.views.push(view);
+    }
+    saveSavedViewsState(state);
+    return view;
+};
+
+/**
+ * Renames a saved view.
+ * @function rename
+ * @memberof savedViews
+ * @param {string} id
+ * @param {string} name
+ */
+window.savedViews.rename = function(id, name) {
+    const state = loadSavedViewsState();
+    const view = state.views.find(existing => existing.id === id);
+    if (!view || !name.trim()) return;
+    view.name = name.trim().slice(0, SAVED_VIEW_NAME_MAX_LENGTH);
+    saveSavedViewsState(state);
+};
+
+/**
+ * Moves a saved view up (negative offset) or down in the list.
+ * @function move
+ * @memberof savedViews
+ * @param {string} id
+ * @param {number} offset
+ */
+window.savedViews.move = function(id, offset) {
+    const state = loadSavedViewsState();
+    const index = state.views.findIndex(view => view.id === id);
+    const targetIndex = index + offset;
+    if (index === -1 || targetIndex < 0 || targetIndex >= state.views.length) return;
+    const [view] = state.views.splice(index, 1);
+    state.views.splice(targetIndex, 0, view);
+    saveSavedViewsState(state);
+};
+
+/**
+ * Removes a saved view.
+ * @function remove
+ * @memberof savedViews
+ * @param {string} id
+ */
+window.savedViews.remove = function(id) {
+    const state = loadSavedViewsState();
+    state.views = state.views.filter(view => view.id !== id);
+    if (state.defaultId === id) state.defaultId = null;
+    saveSavedViewsState(state);
+};
+
+/**
+ * Marks a saved view as the default on load, or clears the default.
+ * @function setDefault
+ * @memberof savedViews
+ * @param {string|null} id
+ */
+window.savedViews.setDefault = function(id) {
+    const state = loadSavedViewsState();
+    state.defaultId = state.views.some(view => view.id === id) ? id : null;
+    saveSavedViewsState(state);
+};
+
+/**
+ * Selects the saved view that matches the given view state in the dropdown, or "Unsaved view" if none does.
+ * Called whenever the view changes.
+ * @function showCurrentView
+ * @memberof savedViews
+ * @param {ViewState} currentState
+ */
+window.savedViews.showCurrentView = function(currentState) {
+    if (!savedViewSelectElement) return;
+    const currentHash = viewState.encodeViewState(currentState);
+    const match = loadSavedViewsState().views.find(view => viewState.encodeViewState(view.state) === currentHash);
+    savedViewSelectElement.value = match ? match.id : '';
+};
+
+// --- Dropdown and Manage Panel ---
+
+/**
+ * Focuses a button of a view's row after the list was rendered again.
+ * @private
+ * @param {string} id
+ * @param {string} action - `data-action` of the button.
+ */
+function focusSavedViewAction(id, action) {
+    const row = savedViewsListElement ? savedViewsListElement.querySelector(`li[data-view-id="${id}"]`) : null;
+    const button = row ? row.querySelector(`[data-action="${action}"]`) || row.querySelector('button') : null;
+    if (button) button.focus();
+}
+
+/** @private */
+function createSavedViewButton(action, text, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.textContent = text;
+    if (label) button.setAttribute('aria-label', label);
+    return button;
+}
+
+/**
+ * Builds the inline rename field of a view's row. Enter saves, Escape cancels.
+ * @private
+ * @param {SavedView} view
+ * @returns {HTMLInputElement}
+ */
+function createSavedViewRenameInput(view) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = view.name;
+    input.maxLength = SAVED_VIEW_NAME_MAX_LENGTH;
+    input.setAttribute('aria-label', translate('savedViewRenameLabel', { name: view.name }));
+    const finish = save => {
+        if (renamingViewId !== view.id) return; // Already finished (Enter, then blur)
+        renamingViewId = null;
+        if (save && input.value.trim()) window.savedViews.rename(view.id, input.value);
+        else window.savedViews.render();
+        focusSavedViewAction(view.id, 'rename');
+    };
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            finish(true);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation(); // Keep the panel open
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    return input;
+}
+
+/**
+ * Renders the preset dropdown and the list of the manage panel.
+ * @function render
+ * @memberof savedViews
+ */
+window.savedViews.render = function() {
+    const state = loadSavedViewsState();
+
+    if (savedViewSelectElement) {
+        // Keep the "Unsaved view" option (translated with the page) and rebuild the others
+        [...savedViewSelectElement.options].forEach(option => { if (option.value) option.remove(); });
+        state.views.forEach(view => savedViewSelectElement.add(new Option(view.name, view.id)));
+        savedViewSelectElement.disabled = state.views.length === 0;
+        if (window.ui && typeof window.ui.getViewState === 'function') window.savedViews.showCurrentView(window.ui.getViewState());
+    }
+
+    if (!savedViewsListElement) return;
+    savedViewsListElement.innerHTML = '';
+    if (state.views.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'saved-view-empty';
+        emptyItem.textContent = translate('savedViewsEmpty');
+        savedViewsListElement.appendChild(emptyItem);
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    state.views.forEach((view, index) => {
+        const item = document.createElement('li');
+        item.className = 'saved-view-item';
+        item.dataset.viewId = view.id;
+        const isDefault = view.id === state.defaultId;
+
+        if (view.id === renamingViewId) {
+            item.appendChild(createSavedViewRenameInput(view));
+        } else {
+            const nameElement = document.createElement('span');
+            nameElement.className = 'saved-view-name';
+            nameElement.textContent = view.name;
+            if (isDefault) {
+                const badge = document.createElement('small');
+                badge.className = 'saved-view-default-badge';
+                badge.textContent = translate('savedViewDefaultBadge');
+                nameElement.append(' ', badge);
+            }
+            item.appendChild(nameElement);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-view-actions';
+        const upButton = createSavedViewButton('up', '↑', translate('savedViewMoveUp', { name: view.name }));
+        upButton.disabled = index === 0;
+        upButton.addEventListener('click', () => {
+            window.savedViews.move(view.id, -1);
+            focusSavedViewAction(view.id, index - 1 === 0 ? 'down' : 'up');
+        });
+        const downButton = createSavedViewButton('down', '↓', translate('savedViewMoveDown', { name: view.name }));
+        downButton.disabled = index === state.views.length - 1;
+        downButton.addEventListener('click', () => {
+            window.savedViews.move(view.id, 1);
+            focusSavedViewAction(view.id, index + 1 === state.views.length - 1 ? 'up' : 'down');
+        });
+        const defaultButton = createSavedViewButton('default', translate('savedViewDefault'), translate('savedViewDefaultLabel', { name: view.name }));
+        defaultButton.setAttribute('aria-pressed', String(isDefault));
+        defaultButton.addEventListener('click', () => {
+            window.savedViews.setDefault(isDefault ? null : view.id);
+            focusSavedViewAction(view.id, 'default');
+        });
+        const renameButton = createSavedViewButton('rename', translate('savedViewRename'), translate('savedViewRenameLabel', { name: view.name }));
+        renameButton.addEventListener('click', () => {
+            renamingViewId = view.id;
+            window.savedViews.render();
+            const input = savedViewsListElement.querySelector(`li[data-view-id="${view.id}"] input`);
+            if (input) {
+                input.focus();
+                input.select();
+            }
+        });
+        const deleteButton = createSavedViewButton('delete', translate('savedViewDelete'), translate('savedViewDeleteLabel', { name: view.name }));
+        deleteButton.className = 'danger';
+        deleteButton.addEventListener('click', () => {
+            if (!window.confirm(translate('savedViewDeleteConfirm', { name: view.name }))) return;
+            window.savedViews.remove(view.id);
+            const rows = savedViewsListElement.querySelectorAll('li[data-view-id]');
+            const nextRow = rows[Math.min(index, rows.length - 1)];
+            if (nextRow) focusSavedViewAction(nextRow.dataset.viewId, 'delete');
+            else if (savedViewNameInput) savedViewNameInput.focus();
+        });
+        [upButton, downButton, defaultButton, renameButton, deleteButton].forEach(button => actions.appendChild(button));
+        item.appendChild(actions);
+        fragment.appendChild(item);
+    });
+    savedViewsListElement.appendChild(fragment);
+};
+
+/**
+ * Saves the current view under the name entered in the manage panel.
+ * @private
+ * @param {Event} event
+ */
+function handleSavedViewFormSubmit(event) {
+    event.preventDefault();
+    const name = savedViewNameInput.value.trim();
+    if (!name) {
+        savedViewFormErrorElement.textContent = translate('savedViewNameRequired');
+        savedViewNameInput.setAttribute('aria-invalid', 'true');
+        savedViewNameInput.focus();
+        return;
+    }
+    const existing = window.savedViews.getAll().find(view => view.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(translate('savedViewReplaceConfirm', { name: existing.name }))) return;
+    window.savedViews.save(name, window.ui.getViewState());
+    savedViewFormErrorElement.textContent = '';
+    savedViewNameInput.removeAttribute('aria-invalid');
+    savedViewNameInput.value = '';
+    window.ui.showToast('savedViewSaved', 'success', 3000);
+}
+
+/**
+ * Wires up the preset dropdown and the manage panel. Call once after translations are loaded.
+ * @function init
+ * @memberof savedViews
+ */
+window.savedViews.init = function() {
+    if (savedViewSelectElement) {
+        savedViewSelectElement.addEventListener('change', () => {
+            const view = window.savedViews.getAll().find(existing => existing.id === savedViewSelectElement.value);
+            if (view) window.ui.showView(view.state);
+        });
+    }
+    if (savedViewFormElement) savedViewFormElement.addEventListener('submit', handleSavedViewFormSubmit);
+    if (savedViewsManagerElement) {
+        savedViewsManagerElement.addEventListener('keydown', event => {
+            if (event.key !== 'Escape' || !savedViewsManagerElement.open) return;
+            savedViewsManagerElement.open = false;
+            savedViewsManagerElement.querySelector('summary').focus();
+        });
+    }
+    window.savedViews.render();
+    window.addEventListener('openpos:languagechange', window.savedViews.render);
+};
@@ -0,0 +1,385 @@
+// js/searchquery.js
+/**
+ * @file Query language of the search box.
+ * Parses queries like `btc side:short leverage>=10 pnl<0 user:"Trader X" age<2h` and matches positions against them.
+ * Terms are combined with AND (also implied between terms), OR and NOT (or a leading `-`/`!`), and can be
+ * grouped with parentheses; a bare word matches symbols containing it. Parse errors are reported as codes
+ * with the position in the query, so the page can translate them. Pure functions with no DOM dependencies
+ * (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * Searchable fields and how their values are compared. `side` groups buy/long and sell/short;
+ * `age` is the time since `timestamp`.
+ * @const {Object<string, {kind: string, values?: Array<string>}>}
+ */
+const SEARCH_QUERY_FIELDS = {
+    symbol: { kind: 'text' },
+    side: { kind: 'enum', values: ['long', 'short'] },
+    type: { kind: 'enum', values: ['long', 'short', 'buy', 'sell'] },
+    entryPrice: { kind: 'number' },
+    markPrice: { kind: 'number' },
+    amount: { kind: 'number' },
+    leverage: { kind: 'number' },
+    pnl: { kind: 'number' },
+    baseAsset: { kind: 'text' },
+    quoteAsset: { kind: 'text' },
+    user: { kind: 'text' },
+    timestamp: { kind: 'date' },
+    age: { kind: 'duration' }
+};
+
+/**
+ * Short names accepted for fields (field names themselves are matched case-insensitively).
+ * @const {Object<string, string>}
+ */
+const SEARCH_FIELD_ALIASES = {
+    entry: 'entryPrice',
+    price: 'entryPrice',
+    mark: 'markPrice',
+    size: 'amount',
+    lev: 'leverage',
+    base: 'baseAsset',
+    quote: 'quoteAsset',
+    time: 'timestamp'
+};
+
+/**
+ * Comparison operators. `:` means "contains" for text fields and "equals" for all others.
+ * @const {Array<string>}
+ */
+const SEARCH_OPERATORS = ['>=', '<=', '!=', ':', '=', '>', '<'];
+
+/** @private */
+const SEARCH_DURATION_UNITS_MS = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * A problem in a query: `code` names the message (see the `searchError…` translations), `vars` fill it in,
+ * and `start`/`end` are the character range it refers to.
+ * @typedef {Object} SearchQueryError
+ * @property {string} code
+ * @property {Object<string, string>} vars
+ * @property {number} start
+ * @property {number} end
+ */
+
+/** @private */
+function createSearchQueryError(code, token, vars = {}) {
+    const error = new Error(code);
+    error.searchQueryError = { code, vars, start: token.start, end: token.end };
+    return error;
+}
+
+/**
+ * Returns the canonical name of a field, or null if there's no such field.
+ * @param {string} name - Field name or alias, in any case.
+ * @returns {string|null}
+ */
+function resolveSearchField(name) {
+    const lower = String(name).toLowerCase();
+    const field = Object.keys(SEARCH_QUERY_FIELDS).find(candidate => candidate.toLowerCase() === lower);
+    return field || SEARCH_FIELD_ALIASES[lower] || null;
+}
+
+/** @private */
+function matchSearchOperator(text, index) {
+    return SEARCH_OPERATORS.find(operator => text.startsWith(operator, index)) || null;
+}
+
+/**
+ * Splits a query into tokens: 'word', 'string' (quoted), 'operator', 'open', 'close', 'and', 'or' and 'not'.
+ * @param {string} text
+ * @returns {Array<{type: string, value: string, start: number, end: number}>}
+ * @throws {Error} With a `searchQueryError` for an unterminated quote.
+ */
+function tokenizeSearchQuery(text) {
+    const tokens = [];
+    let index = 0;
+    while (index < text.length) {
+        const char = text[index];
+        const previous = tokens[tokens.length - 1];
+        if (/\s/.test(char)) {
+            index++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'open' : 'close', value: char, start: index, end: index + 1 });
+            index++;
+        } else if ((char === '-' || char === '!') && !(previous && previous.type === 'operator') && index + 1 < text.length && !/[\s=]/.test(text[index + 1])) {
+            tokens.push({ type: 'not', value: char, start: index, end: index + 1 }); // A leading '-' or '!' negates
+            index++;
+        } else if (matchSearchOperator(text, index)) {
+            const operator = matchSearchOperator(text, index);
+            tokens.push({ type: 'operator', value: operator, start: index, end: index + operator.length });
+            index += operator.length;
+        } else if (char === '"') {
+            let value = '';
+            let end = index + 1;
+            while (end < text.length && text[end] !== '"') {
+                if (text[end] === '\\' && end + 1 < text.length) end++;
+                value += text[end];
+                end++;
+            }
+            if (end >= text.length) throw createSearchQueryError('unterminatedQuote', { start: index, end: text.length });
+            tokens.push({ type: 'string', value, start: index, end: end + 1 });
+            index = end + 1;
+        } else {
+            const isValue = previous && previous.type === 'operator'; // Values may contain ':' (e.g., times)
+            let end = index;
+            while (end < text.length && !/[\s()"]/.test(text[end]) && (isValue || !matchSearchOperator(text, end))) end++;
+            const value = text.slice(index, end);
+            const keyword = { AND: 'and', '&&': 'and', OR: 'or', '||': 'or', NOT: 'not' }[value.toUpperCase()];
+            tokens.push({ type: keyword && !isValue ? keyword : 'word', value, start: index, end });
+            index = end;
+        }
+    }
+    return tokens;
+}
+
+/** @private */
+function parseSearchDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(value);
+    return match ? Number(match[1]) * SEARCH_DURATION_UNITS_MS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Builds a comparison node, checking the operator and value against the field.
+ * @private
+ */
+function buildSearchComparison(fieldToken, operatorToken, valueToken) {
+    const field = resolveSearchField(fieldToken.value);
+    if (!field) throw createSearchQueryError('unknownField', fieldToken, { field: fieldToken.value });
+    const { kind, values } = SEARCH_QUERY_FIELDS[field];
+    const operator = operatorToken.value;
+    const raw = valueToken.value;
+
+    if ((kind === 'text' || kind === 'enum') && !([':', '=', '!='].includes(operator))) {
+        throw createSearchQueryError('unsupportedOperator', operatorToken, { operator, field });
+    }
+    let value = raw.toLowerCase();
+    if (kind === 'enum' && !values.includes(value)) {
+        throw createSearchQueryError('invalidValue', valueToken, { field, value: raw, allowed: values.join(', ') });
+    }
+    if (kind === 'number') {
+        value = raw.trim() === '' ? NaN : Number(raw);
+        if (!Number.isFinite(value)) throw createSearchQueryError('invalidNumber', valueToken, { field, value: raw });
+    }
+    if (kind === 'date') {
+        value = /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : Date.parse(raw);
+        if (!Number.isFinite(value)) throw createSearchQueryError('invalidDate', valueToken, { field, value: raw });
+    }
+    if (kind === 'duration') {
+        value = parseSearchDuration(raw);
+        if (value === null) throw createSearchQueryError('invalidDuration', valueToken, { field, value: raw });
+    }
+    return { type: 'compare', field, operator: operator === ':' ? (kind === 'text' ? 'contains' : '=') : operator, value };
+}
+
+/**
+ * A parsed query: 'and'/'or' nodes with `operands`, 'not' nodes with an `operand`, 'text' nodes (a bare word,
+ * matched against the symbol) and 'compare' nodes with `field`, `operator` and `value`.
+ * @typedef {Object} SearchQueryNode
+ */
+
+/**
+ * Parses a query.
+ * @param {string} text
+ * @returns {{query: SearchQueryNode|null, error: SearchQueryError|null}} `query` is null for an empty query
+ *   (which matches everything) and when there's an error.
+ */
+function parseSearchQuery(text) {
+    let tokens;
+    let position = 0;
+    const peek = () => tokens[position];
+    const endToken = () => ({ start: String(text).length, end: String(text).length });
+    const startsOperand = token => token && ['word', 'string', 'not', 'open'].includes(token.type);
+
+    function parseOr() {
+        const operands = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            position++;
+            operands.push(parseAnd());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+    function parseAnd() {
+        const operands = [parseUnary()];
+        while (peek() && (peek().type === 'and' || startsOperand(peek()))) {
+            if (peek().type === 'and') position++;
+            operands.push(parseUnary());
+        }
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+    function parseUnary() {
+        if (peek() && peek().type === 'not') {
+            position++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+    function parsePrimary() {
+        const token = peek();
+        if (!token) throw createSearchQueryError('missingTerm', endToken());
+        if (token.type === 'open') {
+            position++;
+            const expression = parseOr();
+            if (!peek() || peek().type !== 'close') throw createSearchQueryError('missingCloseParen', token);
+            position++;
+            return expression;
+        }
+        if (token.type === 'word' && tokens[position + 1] && tokens[position + 1].type === 'operator') {
+            const operatorToken = tokens[position + 1];
+            const valueToken = tokens[position + 2];
+            if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+                throw createSearchQueryError('missingValue', operatorToken, { field: token.value });
+            }
+            position += 3;
+            return buildSearchComparison(token, operatorToken, valueToken);
+        }
+        if (token.type === 'word' || token.type === 'string') {
+            position++;
+            return { type: 'text', value: token.value.toLowerCase() };
+        }
+        throw createSearchQueryError(token.type === 'close' ? 'unexpectedCloseParen' : 'unexpectedToken', token, { token: token.value });
+    }
+
+    try {
+        tokens = tokenizeSearchQuery(String(text || ''));
+        if (tokens.length === 0) return { query: null, error: null };
+        const query = parseOr();
+        if (peek()) {
+            const token = peek();
+            throw createSearchQueryError(token.type === 'close' ? 'unexpectedCloseParen' : 'unexpectedToken', token, { token: token.value });
+        }
+        return { query, error: null };
+    } catch (error) {
+        if (!error.searchQueryError) throw error;
+        return { query: null, error: error.searchQueryError };
+    }
+}
+
+/**
+ * Returns the value of a field of a position, or null if it has none.
+ * @param {Position} position
+ * @param {string} field - One of SEARCH_QUERY_FIELDS.
+ * @param {number} [now=Date.now()] - For `age`.
+ * @returns {string|number|null}
+ */
+function getSearchFieldValue(position, field, now = Date.now()) {
+    if (field === 'side') {
+        const type = String(position.type || '').toLowerCase();
+        if (type === 'long' || type === 'buy') return 'long';
+        return type === 'short' || type === 'sell' ? 'short' : null;
+    }
+    if (field === 'age') {
+        const timestamp = getSearchFieldValue(position, 'timestamp');
+        return timestamp === null ? null : now - timestamp;
+    }
+    const value = position[field];
+    if (value === undefined || value === null || value === '') return null;
+    const { kind } = SEARCH_QUERY_FIELDS[field];
+    if (kind === 'text' || kind === 'enum') return String(value).toLowerCase();
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Tells whether a position matches a parsed query.
+ * @param {SearchQueryNode|null} query - null matches everything.
+ * @param {Position} position
+ * @param {number} [now=Date.now()] - Reference time for `age`; pass the same value when matching a whole list.
+ * @returns {boolean}
+ */
+function matchesSearchQuery(query, position, now = Date.now()) {
+    if (!query) return true;
+    switch (query.type) {
+        case 'and': return query.operands.every(operand => matchesSearchQuery(operand, position, now));
+        case 'or': return query.operands.some(operand => matchesSearchQuery(operand, position, now));
+        case 'not': return !matchesSearchQuery(query.operand, position, now);
+        case 'text': return Boolean(position.symbol) && String(position.symbol).toLowerCase().includes(query.value);
+        default: break;
+    }
+    const actual = getSearchFieldValue(position, query.field, now);
+    if (actual === null) return query.operator === '!='; // A missing value equals nothing
+    switch (query.operator) {
+        case 'contains': return actual.includes(query.value);
+        case '=': return actual === query.value;
+        case '!=': return actual !== query.value;
+        case '>': return actual > query.value;
+        case '>=': return actual >= query.value;
+        case '<': return actual < query.value;
+        case '<=': return actual <= query.value;
+        default: return false;
+    }
+}
+
+/**
+ * Suggestions for the term being typed at the cursor: field names (and keywords) while typing a name,
+ * values after `field:`/`field=`/`field!=`, and symbols for bare words.
+ * @param {string} text - The query.
+ * @param {number} cursor - Caret position.
+ * @param {function(string): Array<string>} getKnownValues - Values of a text field in the current data, most common first.
+ * @param {number} [limit=8]
+ * @returns {{start: number, end: number, items: Array<{value: string, kind: string}>}} Accepting an item replaces
+ *   `text.slice(start, end)` with its `value`.
+ */
+function getSearchCompletions(text, cursor, getKnownValues, limit = 8) {
+    let start = cursor;
+    while (start > 0 && !/[\s()]/.test(text[start - 1])) start--;
+    let end = cursor;
+    while (end < text.length && !/[\s()]/.test(text[end])) end++;
+    if (start < cursor && (text[start] === '-' || text[start] === '!')) start++;
+    const term = text.slice(start, cursor);
+    const none = { start, end, items: [] };
+    if (!term) return none;
+
+    const comparison = /^([A-Za-z]+)(>=|<=|!=|:|=|>|<)(.*)$/.exec(term);
+    if (comparison) {
+        const field = resolveSearchField(comparison[1]);
+        if (!field || !['text', 'enum'].includes(SEARCH_QUERY_FIELDS[field].kind) || ![':', '=', '!='].includes(comparison[2])) return none;
+        const prefix = comparison[3].replace(/^"/, '').toLowerCase();
+        const candidates = SEARCH_QUERY_FIELDS[field].values || getKnownValues(field);
+        const items = candidates.filter(value => String(value).toLowerCase().startsWith(prefix) && String(value).toLowerCase() !== prefix)
+            .slice(0, limit)
+            .map(value => ({ value: /[\s()"]/.test(value) || value === '' ? `"${String(value).replace(/["\\]/g, '\\$&')}"` : String(value), kind: 'value' }));
+        return { start: start + comparison[1].length + comparison[2].length, end, items };
+    }
+
+    const lower = term.toLowerCase();
+    const fields = Object.keys(SEARCH_QUERY_FIELDS).filter(field => field.toLowerCase().startsWith(lower))
+        .map(field => ({ value: ['text', 'enum'].includes(SEARCH_QUERY_FIELDS[field].kind) ? `${field}:` : field, kind: 'field' }));
+    const keywords = ['AND', 'OR', 'NOT'].filter(keyword => keyword.toLowerCase().startsWith(lower) && keyword.toLowerCase() !== lower)
+        .map(keyword => ({ value: keyword, kind: 'keyword' }));
+    const symbols = getKnownValues('symbol').filter(symbol => symbol.toLowerCase().startsWith(lower) && symbol.toLowerCase() !== lower)
+        .map(symbol => ({ value: symbol, kind: 'value' }));
+    return { start, end, items: [...fields, ...keywords, ...symbols].slice(0, limit) };
+}
+
+/**
+ * Collects the distinct values of a text field, most common first, for completions.
+ * @param {Array<Position>} positions
+ * @param {string} field
+ * @returns {Array<string>}
+ */
+function collectSearchValues(positions, field) {
+    const counts = new Map();
+    (positions || []).forEach(position => {
+        const value = position[field];
+        if (value === undefined || value === null || value === '') return;
+        counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+    });
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([value]) => value);
+}
+
+globalThis.searchQuery = {
+    SEARCH_QUERY_FIELDS,
+    SEARCH_FIELD_ALIASES,
+    SEARCH_OPERATORS,
+    resolveSearchField,
+    tokenizeSearchQuery,
+    parseSearchQuery,
+    getSearchFieldValue,
+    matchesSearchQuery,
+    getSearchCompletions,
+    collectSearchValues
+};
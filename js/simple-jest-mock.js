@@ -36,7 +36,14 @@
     globalThis.test = (name, fn) => {
         testCounts.total++;
         try {
-            fn();
+            const result = fn();
+            if (result && typeof result.then === 'function') { // Async test: report when it settles
+                result.then(
+                    () => outputResult(true, name),
+                    (e) => outputResult(false, name, e && e.message, e && e.stack)
+                );
+                return;
+            }
             outputResult(true, name);
         } catch (e) {
             outputResult(false, name, e.message, e.stack);
@@ -73,6 +80,9 @@
             toBeInstanceOf: (Class) => { if (!(actual instanceof Class)) throw new Error(`Expected instanceof ${Class.name || 'Class'}, Received: ${actualStr()}`); },
             toBeGreaterThan: (num) => { if (!(actual > num)) throw new Error(`Expected ${actualStr()} to be > ${num}`);},
             toBeLessThan: (num) => { if (!(actual < num)) throw new Error(`Expected ${actualStr()} to be < ${num}`);},
+            toBeCloseTo: (expected, numDigits = 2) => { // Like Jest: |actual - expected| < 10^-numDigits / 2
+                if (!(Math.abs(actual - expected) < Math.pow(10, -numDigits) / 2)) throw new Error(`Expected ${actualStr()} to be close to ${expected} (${numDigits} digits)`);
+            },
             // Basic array.some equivalent for expect
             toSatisfySome: (predicate) => {
                 if (!Array.isArray(actual) || !actual.some(predicate)) {
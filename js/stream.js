@@ -0,0 +1,202 @@
+// js/stream.js
+/**
+ * @file Streaming transport for live position updates.
+ * Connects over WebSocket (ws:// or wss://) or Server-Sent Events (http:// or https://),
+ * reconnects with exponential backoff, resubscribes after every reconnect, and keeps
+ * a snapshot of positions up to date from incremental upsert/delete messages.
+ *
+ * Message protocol (JSON):
+ *   {"type": "snapshot", "positions": [Position, ...]}   - replaces all positions
+ *   {"type": "upsert", "positions": [Position, ...]}     - adds or replaces positions (or "position": {...})
+ *   {"type": "delete", "keys": ["BTCUSDT|long|TraderX"]} - removes positions by key (or "positions": [...])
+ * Keys follow positionDiff.getPositionKey (an "id" field, or symbol|side|user).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * Connection states reported to `onStateChange`.
+ * @typedef {'connecting'|'open'|'reconnecting'|'closed'} StreamState
+ */
+
+/**
+ * Computes the delay before the next reconnect attempt: exponential backoff with ±20% jitter.
+ * @param {number} attempt - Number of failed attempts so far (0 for the first retry).
+ * @param {number} [initialDelayMs=1000] - Delay for the first retry.
+ * @param {number} [maxDelayMs=30000] - Upper bound for the delay.
+ * @param {function(): number} [random=Math.random] - Random source, injectable for tests.
+ * @returns {number} Delay in milliseconds.
+ */
+function computeReconnectDelay(attempt, initialDelayMs = 1000, maxDelayMs = 30000, random = Math.random) {
+    const baseDelay = Math.min(maxDelayMs, initialDelayMs * Math.pow(2, attempt));
+    const jitter = baseDelay * 0.2 * (random() * 2 - 1);
+    return Math.max(0, Math.round(Math.min(maxDelayMs, baseDelay + jitter)));
+}
+
+/**
+ * Applies one stream message to the current positions.
+ * @param {Map<string, Position>} positionsByKey - Current positions keyed by positionDiff.getPositionKey (mutated).
+ * @param {Object} message - Parsed stream message.
+ * @returns {boolean} True if the message was understood and applied.
+ */
+function applyStreamMessage(positionsByKey, message) {
+    if (!message || typeof message !== 'object') return false;
+    const listOf = value => (Array.isArray(value) ? value : (value ? [value] : []));
+
+    switch (message.type) {
+        case 'snapshot':
+            if (!Array.isArray(message.positions)) return false;
+            positionsByKey.clear();
+            message.positions.forEach(position => positionsByKey.set(positionDiff.getPositionKey(position), position));
+            return true;
+        case 'upsert':
+            listOf(message.positions || message.position).forEach(position => {
+                if (position && typeof position === 'object') positionsByKey.set(positionDiff.getPositionKey(position), position);
+            });
+            return true;
+        case 'delete':
+            listOf(message.keys || message.key).forEach(key => positionsByKey.delete(String(key)));
+            listOf(message.positions || message.position).forEach(position => {
+                if (position && typeof position === 'object') positionsByKey.delete(positionDiff.getPositionKey(position));
+            });
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Opens a WebSocket or EventSource connection that reconnects on its own until closed.
+ * @param {Object} options
+ * @param {string} options.url - `ws(s)://` for WebSocket, `http(s)://` for Server-Sent Events.
+ * @param {function(Object): void} options.onMessage - Called with every parsed JSON message.
+ * @param {function(StreamState): void} [options.onStateChange] - Called when the connection state changes.
+ * @param {Object|string|null} [options.subscribeMessage=null] - Sent after every WebSocket (re)connect.
+ * @param {number} [options.initialDelayMs=1000] - First reconnect delay.
+ * @param {number} [options.maxDelayMs=30000] - Maximum reconnect delay.
+ * @returns {{close: function(): void, getState: function(): StreamState}}
+ */
+function openReconnectingStream(options) {
+    const { url, onMessage, onStateChange = () => {}, subscribeMessage = null, initialDelayMs = 1000, maxDelayMs = 30000 } = options;
+    const useWebSocket = /^wss?:/i.test(url);
+    let connection = null;
+    let state = 'connecting';
+    let failedAttempts = 0;
+    let reconnectTimerId = null;
+    let closedByUser = false;
+
+    const setState = newState => {
+        if (state === newState) return;
+        state = newState;
+        onStateChange(state);
+    };
+
+    const handleRawMessage = data => {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            console.warn('Ignoring non-JSON stream message.');
+            return;
+        }
+        onMessage(message);
+    };
+
+    const scheduleReconnect = () => {
+        if (closedByUser || reconnectTimerId) return;
+        setState('reconnecting');
+        const delay = computeReconnectDelay(failedAttempts, initialDelayMs, maxDelayMs);
+        failedAttempts++;
+        console.log(`Stream disconnected. Reconnecting in ${delay}ms...`);
+        reconnectTimerId = setTimeout(() => {
+            reconnectTimerId = null;
+            connect();
+        }, delay);
+    };
+
+    const connect = () => {
+        if (closedByUser) return;
+        try {
+            if (useWebSocket) {
+                connection = new WebSocket(url);
+                connection.onopen = () => {
+                    failedAttempts = 0;
+                    if (subscribeMessage) {
+                        connection.send(typeof subscribeMessage === 'string' ? subscribeMessage : JSON.stringify(subscribeMessage));
+                    }
+                    setState('open');
+                };
+                connection.onmessage = event => handleRawMessage(event.data);
+                connection.onclose = () => scheduleReconnect();
+                connection.onerror = () => { /* onclose follows and handles reconnecting */ };
+            } else {
+                connection = new EventSource(url);
+                connection.onopen = () => {
+                    failedAttempts = 0;
+                    setState('open');
+                };
+                connection.onmessage = event => handleRawMessage(event.data);
+                connection.onerror = () => {
+                    // EventSource retries by itself with a fixed delay; close it and use our backoff instead
+                    connection.close();
+                    scheduleReconnect();
+                };
+            }
+        } catch (error) {
+            console.error('Could not open stream:', error.message);
+            scheduleReconnect();
+        }
+    };
+
+    onStateChange(state);
+    connect();
+
+    return {
+        close() {
+            closedByUser = true;
+            if (reconnectTimerId) clearTimeout(reconnectTimerId);
+            reconnectTimerId = null;
+            if (connection) connection.close();
+            setState('closed');
+        },
+        getState() {
+            return state;
+        }
+    };
+}
+
+/**
+ * Opens a live position stream and reports the full, updated position list after every change.
+ * @param {Object} options
+ * @param {string} options.url - Stream URL (see openReconnectingStream).
+ * @param {function(Array<Position>): void} options.onPositions - Called with all current positions after each applied message.
+ * @param {function(StreamState): void} [options.onStateChange] - Called when the connection state changes.
+ * @param {Object|string|null} [options.subscribeMessage=null] - Sent after every WebSocket (re)connect.
+ * @param {Array<Position>} [options.initialPositions=[]] - Positions already loaded (e.g., over REST) that updates apply to until a snapshot arrives.
+ * @param {function(Object): Object} [options.transformPosition=null] - Reshapes every position in a message before it is applied (e.g., a field mapping).
+ * @returns {{close: function(): void, getState: function(): StreamState}}
+ */
+function createPositionStream(options) {
+    const positionsByKey = new Map();
+    const transformPosition = options.transformPosition || null;
+    const transformMessage = message => {
+        if (!transformPosition || !message || typeof message !== 'object') return message;
+        const transformed = { ...message };
+        if (Array.isArray(message.positions)) transformed.positions = message.positions.map(transformPosition);
+        if (message.position) transformed.position = transformPosition(message.position);
+        return transformed;
+    };
+    (options.initialPositions || []).forEach(position => positionsByKey.set(positionDiff.getPositionKey(position), position));
+    return openReconnectingStream({
+        url: options.url,
+        subscribeMessage: options.subscribeMessage || null,
+        onStateChange: options.onStateChange,
+        onMessage: message => {
+            if (applyStreamMessage(positionsByKey, transformMessage(message))) {
+                options.onPositions(Array.from(positionsByKey.values()));
+            }
+        }
+    });
+}
+
+globalThis.positionStream = { computeReconnectDelay, applyStreamMessage, openReconnectingStream, createPositionStream };
@@ -0,0 +1,181 @@
+// js/summary.js
+/**
+ * @file Portfolio summary aggregation.
+ * Aggregates a list of positions into counts by side, notional per quote asset, net exposure per
+ * base asset, PnL totals and the highest-leverage positions, and splits lists into groups with subtotals.
+ * Pure functions with no DOM dependencies (usable in workers and tests).
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * Number of highest-leverage positions listed in a summary by default.
+ * @const {number}
+ */
+const SUMMARY_TOP_LEVERAGE_COUNT = 3;
+
+/**
+ * Fields positions can be grouped by ('side' groups buy/long and sell/short together).
+ * @const {Array<string>}
+ */
+const GROUP_BY_FIELDS = ['symbol', 'baseAsset', 'quoteAsset', 'user', 'side'];
+
+/**
+ * Ways to order groups: by key, or by a subtotal. Notional and PnL subtotals are added up across quote assets for ordering.
+ * @const {Array<string>}
+ */
+const GROUP_ORDERS = ['key-asc', 'count-desc', 'notional-desc', 'pnl-desc', 'pnl-asc'];
+
+/**
+ * Aggregated figures of a list of positions. Amounts in different assets are never added together,
+ * so notional and PnL are reported per quote asset and exposure per base asset.
+ * @typedef {Object} PortfolioSummary
+ * @property {number} count - Number of positions.
+ * @property {number} longCount
+ * @property {number} shortCount
+ * @property {Array<{quoteAsset: string, notional: number}>} notionalByQuote - Entry notional, largest first.
+ * @property {Array<{baseAsset: string, long: number, short: number, net: number}>} exposureByBase - Amounts in the
+ *   base asset; `net` is positive when net long. Largest net exposure first.
+ * @property {Array<{quoteAsset: string, total: number, average: number, count: number}>} pnlByQuote - Over the
+ *   positions with a known PnL; `count` is how many those were.
+ * @property {Array<Position>} topLeverage - Positions with the highest leverage, highest first.
+ */
+
+/** @private */
+function toSummaryNumber(value) {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Summarizes a list of positions.
+ * @param {Array<Position>} positions
+ * @param {function(Position): (number|null)} [getPnl] - Returns the PnL of a position; defaults to the
+ *   metrics from pricing.js without a live mark price.
+ * @param {number} [topLeverageCount=SUMMARY_TOP_LEVERAGE_COUNT]
+ * @returns {PortfolioSummary}
+ */
+function summarizePositions(positions, getPnl = position => positionPricing.computePositionMetrics(position).pnl, topLeverageCount = SUMMARY_TOP_LEVERAGE_COUNT) {
+    const notionalByQuote = new Map();
+    const exposureByBase = new Map();
+    const pnlByQuote = new Map();
+    let longCount = 0;
+    let shortCount = 0;
+
+    (positions || []).forEach(position => {
+        const direction = positionPricing.getPositionDirection(position.type);
+        if (direction > 0) longCount++;
+        if (direction < 0) shortCount++;
+
+        const quoteAsset = String(position.quoteAsset || '');
+        const baseAsset = String(position.baseAsset || position.symbol || '');
+        const amount = Math.abs(toSummaryNumber(position.amount) || 0);
+        const entryPrice = toSummaryNumber(position.entryPrice);
+
+        if (entryPrice !== null && amount) {
+            notionalByQuote.set(quoteAsset, (notionalByQuote.get(quoteAsset) || 0) + entryPrice * amount);
+        }
+        if (direction && amount) {
+            const exposure = exposureByBase.get(baseAsset) || { baseAsset, long: 0, short: 0, net: 0 };
+            if (direction > 0) exposure.long += amount;
+            else exposure.short += amount;
+            exposure.net += amount * direction;
+            exposureByBase.set(baseAsset, exposure);
+        }
+        const pnl = toSummaryNumber(getPnl(position));
+        if (pnl !== null) {
+            const pnlTotals = pnlByQuote.get(quoteAsset) || { quoteAsset, total: 0, count: 0 };
+            pnlTotals.total += pnl;
+            pnlTotals.count++;
+            pnlByQuote.set(quoteAsset, pnlTotals);
+        }
+    });
+
+    return {
+        count: (positions || []).length,
+        longCount,
+        shortCount,
+        notionalByQuote: [...notionalByQuote].map(([quoteAsset, notional]) => ({ quoteAsset, notional }))
+            .sort((a, b) => b.notional - a.notional),
+        exposureByBase: [...exposureByBase.values()].sort((a, b) => Math.abs(b.net) - Math.abs(a.net)),
+        pnlByQuote: [...pnlByQuote.values()].map(totals => ({ ...totals, average: totals.total / totals.count }))
+            .sort((a, b) => b.count - a.count),
+        topLeverage: (positions || []).filter(position => toSummaryNumber(position.leverage) !== null)
+            .sort((a, b) => Number(b.leverage) - Number(a.leverage))
+            .slice(0, topLeverageCount)
+    };
+}
+
+/**
+ * A group of positions sharing the same value of the grouped field.
+ * @typedef {Object} PositionGroup
+ * @property {string} key - The shared value ('' when the field is missing; 'long'/'short'/'' for 'side').
+ * @property {Array<Position>} positions - In the order of the input list.
+ * @property {PortfolioSummary} subtotals - Summary of the group's positions (without `topLeverage`).
+ */
+
+/**
+ * Returns the value a position is grouped under.
+ * @param {Position} position
+ * @param {string} groupBy - One of GROUP_BY_FIELDS.
+ * @returns {string}
+ */
+function getPositionGroupKey(position, groupBy) {
+    if (groupBy === 'side') {
+        const direction = positionPricing.getPositionDirection(position.type);
+        return direction > 0 ? 'long' : (direction < 0 ? 'short' : '');
+    }
+    const value = position[groupBy];
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/** @private */
+function sumGroupSubtotal(entries, field) {
+    return entries.reduce((sum, entry) => sum + entry[field], 0);
+}
+
+/**
+ * Splits a list into groups. Positions keep their order within a group, so a sort applied to the list
+ * applies within the groups. Groups are ordered by `order`; ties (and missing keys, always last) keep
+ * the order in which the groups first appear.
+ * @param {Array<Position>} positions
+ * @param {string} groupBy - One of GROUP_BY_FIELDS.
+ * @param {{order?: string, getPnl?: function(Position): (number|null)}} [options={}] - `order` is one of GROUP_ORDERS
+ *   (default 'key-asc'); `getPnl` is passed on to summarizePositions.
+ * @returns {Array<PositionGroup>}
+ */
+function groupPositions(positions, groupBy, options = {}) {
+    const groupsByKey = new Map();
+    (positions || []).forEach(position => {
+        const key = getPositionGroupKey(position, groupBy);
+        if (!groupsByKey.has(key)) groupsByKey.set(key, []);
+        groupsByKey.get(key).push(position);
+    });
+
+    const groups = [...groupsByKey].map(([key, groupPositionsList]) => ({
+        key,
+        positions: groupPositionsList,
+        subtotals: summarizePositions(groupPositionsList, options.getPnl, 0)
+    }));
+    const orderValue = {
+        'count-desc': group => -group.subtotals.count,
+        'notional-desc': group => -sumGroupSubtotal(group.subtotals.notionalByQuote, 'notional'),
+        'pnl-desc': group => -sumGroupSubtotal(group.subtotals.pnlByQuote, 'total'),
+        'pnl-asc': group => sumGroupSubtotal(group.subtotals.pnlByQuote, 'total')
+    }[options.order];
+
+    return groups.sort((a, b) => {
+        if ((a.key === '') !== (b.key === '')) return a.key === '' ? 1 : -1;
+        if (orderValue) return orderValue(a) - orderValue(b);
+        return a.key.localeCompare(b.key, undefined, { numeric: true, sensitivity: 'base' });
+    });
+}
+
+globalThis.portfolioSummary = {
+    SUMMARY_TOP_LEVERAGE_COUNT,
+    GROUP_BY_FIELDS,
+    GROUP_ORDERS,
+    summarizePositions,
+    getPositionGroupKey,
+    groupPositions
+};
@@ -0,0 +1,459 @@
+// js/tableview.js
+/**
+ * @file Table view of the positions list for OpenPos.
+ * Builds the table alternative to the card grid: sortable headers, a sticky header, a column chooser,
+ * and columns that can be resized and reordered (by mouse or keyboard). Keeps the column layout;
+ * ui.js decides what is rendered when (filtering, grouping, lazy loading) and saves the layout.
+ * @author GeekNeuron
+ * @version 1.1.0
+ */
+
+/**
+ * @namespace tableView
+ * @description Global namespace for the table view.
+ */
+window.tableView = {};
+
+/**
+ * Narrowest width a column can be resized to, in px.
+ * @const {number}
+ */
+const TABLE_COLUMN_MIN_WIDTH = 60;
+
+/**
+ * How much a column grows or shrinks per arrow key press on its resize handle, in px.
+ * @const {number}
+ */
+const TABLE_COLUMN_RESIZE_STEP = 10;
+
+/**
+ * Column layout of the table, as saved in the UI settings.
+ * @typedef {Object} TableLayout
+ * @property {Array<string>} order - Column ids, left to right (right to left in RTL).
+ * @property {Array<string>} hidden - Ids of hidden columns.
+ * @property {Object<string, number>} widths - Column widths in px, for columns that were resized.
+ */
+
+/**
+ * Values shared by the cells of one row.
+ * @typedef {Object} TableRowContext
+ * @property {PositionMetrics} metrics
+ * @property {MarginEstimate|null} margin
+ * @property {string} locale
+ */
+
+/**
+ * A table column.
+ * @typedef {Object} TableColumn
+ * @property {string} id
+ * @property {string} labelKey - Translation key of the header.
+ * @property {number} width - Default width in px.
+ * @property {string} [sortField] - Field the header sorts by (see positionList.SORT_FIELDS).
+ * @property {boolean} [hiddenByDefault]
+ * @property {function(HTMLTableCellElement, Position, TableRowContext): void} render - Fills the cell.
+ */
+
+/** @private */
+function setTableCell(cell, value, unit = '', context = null, className = '') {
+    if (value === undefined || value === null || value === '') {
+        cell.textContent = translate('positionCard.na');
+        return;
+    }
+    cell.textContent = typeof value === 'number' && context ? value.toLocaleString(context.locale) : String(value);
+    if (unit) {
+        const unitElement = document.createElement('span');
+        unitElement.className = 'cell-unit';
+        unitElement.textContent = ` ${unit}`;
+        cell.appendChild(unitElement);
+    }
+    if (className) cell.classList.add(className);
+}
+
+/** @private */
+function roundTableValue(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/** @private */
+function getTableSignClass(value) {
+    if (value === null || value === undefined) return '';
+    return value >= 0 ? 'pnl-positive' : 'pnl-negative';
+}
+
+/**
+ * All columns, in their default order.
+ * @type {Array<TableColumn>}
+ */
+const TABLE_COLUMNS = [
+    { id: 'symbol', labelKey: 'tableColumnSymbol', width: 130, sortField: 'symbol', render: (cell, position) => setTableCell(cell, position.symbol, '', null, 'symbol') },
+    {
+        id: 'type', labelKey: 'tableColumnType', width: 90, sortField: 'side',
+        render: (cell, position) => {
+            const direction = positionPricing.getPositionDirection(position.type);
+            const badge = document.createElement('span');
+            badge.className = `type ${direction > 0 ? 'long' : (direction < 0 ? 'short' : 'unknown')}`;
+            badge.textContent = translate(direction > 0 ? 'positionCard.long' : (direction < 0 ? 'positionCard.short' : 'positionCard.unknown'));
+            cell.appendChild(badge);
+        }
+    },
+    { id: 'entryPrice', labelKey: 'positionCard.entryPrice', width: 130, sortField: 'entryPrice', render: (cell, position, context) => setTableCell(cell, position.entryPrice, position.quoteAsset, context) },
+    { id: 'markPrice', labelKey: 'positionCard.markPrice', width: 130, sortField: 'markPrice', render: (cell, position, context) => setTableCell(cell, context.metrics.markPrice, position.quoteAsset, context) },
+    { id: 'amount', labelKey: 'positionCard.amount', width: 110, sortField: 'amount', render: (cell, position, context) => setTableCell(cell, position.amount, position.baseAsset, context) },
+    { id: 'leverage', labelKey: 'positionCard.leverage', width: 90, sortField: 'leverage', render: (cell, position, context) => setTableCell(cell, position.leverage, 'x', context) },
+    {
+        id: 'pnl', labelKey: 'positionCard.pnl', width: 130, sortField: 'pnl',
+        render: (cell, position, context) => {
+            setTableCell(cell, roundTableValue(context.metrics.pnl), position.quoteAsset, context, getTableSignClass(context.metrics.pnl));
+            if (context.metrics.pnlSource) cell.title = translate(context.metrics.pnlSource === 'api' ? 'positionCard.pnlSourceApiHint' : 'positionCard.pnlSourceComputedHint');
+        }
+    },
+    { id: 'roe', labelKey: 'positionCard.roe', width: 90, sortField: 'roe', render: (cell, position, context) => setTableCell(cell, roundTableValue(context.metrics.roePercent), '%', context, getTableSignClass(context.metrics.roePercent)) },
+    { id: 'priceChange', labelKey: 'positionCard.priceChange', width: 110, hiddenByDefault: true, sortField: 'priceChange', render: (cell, position, context) => setTableCell(cell, roundTableValue(context.metrics.priceChangePercent), '%', context, getTableSignClass(context.metrics.priceChangePercent)) },
+    { id: 'margin', labelKey: 'positionCard.margin', width: 150, hiddenByDefault: true, render: (cell, position, context) => setTableCell(cell, context.margin ? `${roundTableValue(context.margin.initialMargin).toLocaleString(context.locale)} / ${roundTableValue(context.margin.maintenanceMargin).toLocaleString(context.locale)}` : null, position.quoteAsset) },
+    { id: 'liquidationPrice', labelKey: 'positionCard.liquidationPrice', width: 130, render: (cell, position, context) => setTableCell(cell, context.margin ? context.margin.liquidationPrice : null, position.quoteAsset, context) },
+    {
+        id: 'distanceToLiquidation', labelKey: 'positionCard.distanceToLiquidation', width: 110,
+        render: (cell, position, context) => {
+            const distance = context.margin ? context.margin.distanceToLiquidationPercent : null;
+            setTableCell(cell, roundTableValue(distance), '%', context);
+            if (distance !== null) cell.classList.add('liquidation-distance', window.ui.getLiquidationRiskClass(distance));
+        }
+    },
+    {
+        id: 'timestamp', labelKey: 'positionCard.timestamp', width: 170, sortField: 'timestamp',
+        render: (cell, position, context) => {
+            const dateOptions = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+            setTableCell(cell, position.timestamp ? new Date(Number(position.timestamp)).toLocaleString(context.locale, dateOptions) : null);
+        }
+    },
+    { id: 'user', labelKey: 'positionCard.user', width: 110, sortField: 'user', render: (cell, position) => setTableCell(cell, position.user) }
+];
+
+/** @private */
+function getDefaultTableLayout() {
+    return {
+        order: TABLE_COLUMNS.map(column => column.id),
+        hidden: TABLE_COLUMNS.filter(column => column.hiddenByDefault).map(column => column.id),
+        widths: {}
+    };
+}
+
+/**
+ * Makes a saved layout safe to use: unknown columns are dropped, new ones are appended, and at least one column stays visible.
+ * @private
+ * @param {*} saved
+ * @returns {TableLayout}
+ */
+function normalizeTableLayout(saved) {
+    const defaults = getDefaultTableLayout();
+    if (!saved || typeof saved !== 'object') return defaults;
+    const knownIds = new Set(defaults.order);
+    const order = Array.isArray(saved.order) ? saved.order.filter((id, index, ids) => knownIds.has(id) && ids.indexOf(id) === index) : [];
+    defaults.order.forEach(id => { if (!order.includes(id)) order.push(id); });
+    let hidden = Array.isArray(saved.hidden) ? saved.hidden.filter(id => knownIds.has(id)) : defaults.hidden;
+    if (hidden.length >= order.length) hidden = [];
+    const widths = {};
+    if (saved.widths && typeof saved.widths === 'object') {
+        Object.keys(saved.widths).forEach(id => {
+            const width = Number(saved.widths[id]);
+            if (knownIds.has(id) && Number.isFinite(width)) widths[id] = Math.max(TABLE_COLUMN_MIN_WIDTH, Math.round(width));
+        });
+    }
+    return { order, hidden, widths };
+}
+
+let tableLayout = getDefaultTableLayout();
+
+/**
+ * Returns a copy of the current column layout.
+ * @function getLayout
+ * @memberof tableView
+ * @returns {TableLayout}
+ */
+window.tableView.getLayout = function() {
+    return { order: [...tableLayout.order], hidden: [...tableLayout.hidden], widths: { ...tableLayout.widths } };
+};
+
+/**
+ * Replaces the column layout (e.g., with the saved one); invalid parts fall back to the defaults.
+ * @function setLayout
+ * @memberof tableView
+ * @param {TableLayout|null} layout - Null restores the default layout.
+ */
+window.tableView.setLayout = function(layout) {
+    tableLayout = normalizeTableLayout(layout);
+};
+
+/**
+ * Returns the visible columns in display order.
+ * @function getVisibleColumns
+ * @memberof tableView
+ * @returns {Array<TableColumn>}
+ */
+window.tableView.getVisibleColumns = function() {
+    return tableLayout.order
+        .filter(id => !tableLayout.hidden.includes(id))
+        .map(id => TABLE_COLUMNS.find(column => column.id === id));
+};
+
+/** @private */
+function getTableColumnWidth(column) {
+    return tableLayout.widths[column.id] || column.width;
+}
+
+/** @private */
+function isTableRtl() {
+    return document.body.getAttribute('dir') === 'rtl';
+}
+
+/** @private */
+function moveTableColumn(columnId, targetIndex) {
+    const order = tableLayout.order.filter(id => id !== columnId);
+    order.splice(Math.max(0, Math.min(targetIndex, order.length)), 0, columnId);
+    tableLayout.order = order;
+}
+
+/**
+ * Moves focus to a column header of the table on the page (after a re-render).
+ * @private
+ * @param {string} columnId
+ * @param {string} selector - Element inside the header to focus.
+ */
+function focusTableHeader(columnId, selector) {
+    const header = document.querySelector(`.positions-table th[data-column-id="${columnId}"]`);
+    const target = header && header.querySelector(selector);
+    if (target) target.focus();
+}
+
+/**
+ * Adds mouse and keyboard resizing to a header cell.
+ * @private
+ * @param {HTMLTableCellElement} th
+ * @param {TableColumn} column
+ * @param {HTMLTableElement} table
+ * @param {function(boolean): void} onLayoutChange
+ */
+function attachColumnResizer(th, column, table, onLayoutChange) {
+    const resizer = document.createElement('span');
+    resizer.className = 'column-resizer';
+    resizer.tabIndex = 0;
+    resizer.setAttribute('role', 'separator');
+    resizer.setAttribute('aria-orientation', 'vertical');
+    resizer.setAttribute('aria-label', translate('tableResizeColumn', { column: translate(column.labelKey) }));
+    resizer.setAttribute('aria-valuemin', String(TABLE_COLUMN_MIN_WIDTH));
+    resizer.setAttribute('aria-valuenow', String(getTableColumnWidth(column)));
+
+    const setWidth = width => {
+        const newWidth = Math.max(TABLE_COLUMN_MIN_WIDTH, Math.round(width));
+        tableLayout.widths[column.id] = newWidth;
+        th.style.width = `${newWidth}px`;
+        table.style.width = `${window.tableView.getVisibleColumns().reduce((sum, visibleColumn) => sum + getTableColumnWidth(visibleColumn), 0)}px`;
+        resizer.setAttribute('aria-valuenow', String(newWidth));
+    };
+
+    resizer.addEventListener('pointerdown', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        const startX = event.clientX;
+        const startWidth = getTableColumnWidth(column);
+        const onMove = moveEvent => setWidth(startWidth + (moveEvent.clientX - startX) * (isTableRtl() ? -1 : 1));
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            onLayoutChange(false);
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    });
+    resizer.addEventListener('keydown', event => {
+        if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+        event.preventDefault();
+        const grows = (event.key === 'ArrowRight') !== isTableRtl();
+        setWidth(getTableColumnWidth(column) + (grows ? TABLE_COLUMN_RESIZE_STEP : -TABLE_COLUMN_RESIZE_STEP));
+        onLayoutChange(false);
+    });
+    // Don't start a column drag from the handle
+    resizer.draggable = true;
+    resizer.addEventListener('dragstart', event => event.preventDefault());
+    th.appendChild(resizer);
+}
+
+/**
+ * Adds drag-and-drop and keyboard (Alt + arrow keys) reordering to a header cell.
+ * @private
+ * @param {HTMLTableCellElement} th
+ * @param {HTMLElement} focusTarget - Element that receives the keyboard shortcut.
+ * @param {TableColumn} column
+ * @param {function(boolean): void} onLayoutChange
+ */
+function attachColumnReordering(th, focusTarget, column, onLayoutChange) {
+    th.draggable = true;
+    th.addEventListener('dragstart', event => {
+        event.dataTransfer.setData('text/plain', column.id);
+        event.dataTransfer.effectAllowed = 'move';
+        th.classList.add('dragging');
+    });
+    th.addEventListener('dragend', () => th.classList.remove('dragging'));
+    th.addEventListener('dragover', event => {
+        event.preventDefault();
+        th.classList.add('drop-target');
+    });
+    th.addEventListener('dragleave', () => th.classList.remove('drop-target'));
+    th.addEventListener('drop', event => {
+        event.preventDefault();
+        th.classList.remove('drop-target');
+        const draggedId = event.dataTransfer.getData('text/plain');
+        if (!draggedId || draggedId === column.id || !tableLayout.order.includes(draggedId)) return;
+        moveTableColumn(draggedId, tableLayout.order.indexOf(column.id));
+        onLayoutChange(true);
+    });
+
+    focusTarget.addEventListener('keydown', event => {
+        if (!event.altKey || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return;
+        event.preventDefault();
+        const step = (event.key === 'ArrowRight') !== isTableRtl() ? 1 : -1;
+        // Move past hidden neighbours, so every key press visibly moves the column
+        const visibleIds = window.tableView.getVisibleColumns().map(visibleColumn => visibleColumn.id);
+        const neighbourId = visibleIds[visibleIds.indexOf(column.id) + step];
+        if (!neighbourId) return;
+        const neighbourIndex = tableLayout.order.filter(id => id !== column.id).indexOf(neighbourId);
+        moveTableColumn(column.id, step > 0 ? neighbourIndex + 1 : neighbourIndex);
+        onLayoutChange(true);
+        focusTableHeader(column.id, focusTarget.tagName === 'BUTTON' ? 'button' : '.column-label');
+    });
+}
+
+/**
+ * Builds an empty table with its header row.
+ * @function createTable
+ * @memberof tableView
+ * @param {Object} options
+ * @param {Array<SortKey>} options.sortKeys - Current sort levels, shown with arrows (numbered with several levels);
+ *   the first level's column also gets `aria-sort`.
+ * @param {function(string, boolean): void} options.onSort - Called with a column's sort field when its header is
+ *   activated, and whether Shift was held (to add a sort level).
+ * @param {function(boolean): void} options.onLayoutChange - Called after the layout changed; the argument tells
+ *   whether the table has to be rendered again (reordering) or was already updated in place (resizing).
+ * @returns {{wrapper: HTMLDivElement, table: HTMLTableElement, body: HTMLTableSectionElement}}
+ */
+window.tableView.createTable = function(options) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'positions-table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'positions-table';
+    const columns = window.tableView.getVisibleColumns();
+    table.style.width = `${columns.reduce((sum, column) => sum + getTableColumnWidth(column), 0)}px`;
+
+    const head = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.dataset.columnId = column.id;
+        th.style.width = `${getTableColumnWidth(column)}px`;
+        th.title = translate('tableReorderHint');
+
+        let focusTarget;
+        if (column.sortField) {
+            const level = options.sortKeys.findIndex(sortKey => sortKey.field === column.sortField);
+            const direction = level === -1 ? 'none' : (options.sortKeys[level].direction === 'asc' ? 'ascending' : 'descending');
+            th.dataset.sortField = column.sortField;
+            th.setAttribute('aria-sort', level === 0 ? direction : 'none'); // Only one header may have a sort direction
+            const sortButton = document.createElement('button');
+            sortButton.type = 'button';
+            sortButton.className = 'column-sort';
+            sortButton.title = translate('tableSortHint');
+            sortButton.textContent = translate(column.labelKey);
+            if (direction !== 'none') {
+                const arrow = document.createElement('span');
+                arrow.className = 'sort-indicator';
+                arrow.setAttribute('aria-hidden', 'true');
+                arrow.textContent = `${direction === 'ascending' ? ' ▲' : ' ▼'}${options.sortKeys.length > 1 ? level + 1 : ''}`;
+                sortButton.appendChild(arrow);
+            }
+            sortButton.addEventListener('click', event => options.onSort(column.sortField, event.shiftKey));
+            th.appendChild(sortButton);
+            focusTarget = sortButton;
+        } else {
+            const label = document.createElement('span');
+            label.className = 'column-label';
+            label.tabIndex = 0; // Focusable, so the column can be moved with the keyboard
+            label.textContent = translate(column.labelKey);
+            th.appendChild(label);
+            focusTarget = label;
+        }
+        attachColumnReordering(th, focusTarget, column, options.onLayoutChange);
+        attachColumnResizer(th, column, table, options.onLayoutChange);
+        headerRow.appendChild(th);
+    });
+    head.appendChild(headerRow);
+
+    const body = document.createElement('tbody');
+    table.append(head, body);
+    wrapper.appendChild(table);
+    return { wrapper, table, body };
+};
+
+/**
+ * Fills (or refills) a row with the cells of the visible columns.
+ * @function fillRow
+ * @memberof tableView
+ * @param {HTMLTableRowElement} row
+ * @param {Position} position
+ */
+window.tableView.fillRow = function(row, position) {
+    const metrics = window.ui.getPositionMetrics(position);
+    const context = {
+        metrics,
+        margin: window.ui.getMarginEstimate(position, metrics),
+        locale: window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US'
+    };
+    row.replaceChildren(...window.tableView.getVisibleColumns().map(column => {
+        const cell = document.createElement(column.id === 'symbol' ? 'th' : 'td');
+        if (column.id === 'symbol') cell.scope = 'row';
+        column.render(cell, position, context);
+        return cell;
+    }));
+};
+
+/**
+ * Creates the row of a position.
+ * @function createRow
+ * @memberof tableView
+ * @param {Position} position
+ * @returns {HTMLTableRowElement}
+ */
+window.tableView.createRow = function(position) {
+    const row = document.createElement('tr');
+    row.className = 'position-row';
+    window.tableView.fillRow(row, position);
+    return row;
+};
+
+/**
+ * Builds the column chooser: one checkbox per column. The last visible column can't be hidden.
+ * @function renderColumnChooser
+ * @memberof tableView
+ * @param {HTMLElement} container
+ * @param {function(): void} onChange - Called after a column was shown or hidden.
+ */
+window.tableView.renderColumnChooser = function(container, onChange) {
+    const visibleCount = window.tableView.getVisibleColumns().length;
+    container.replaceChildren(...tableLayout.order.map(id => {
+        const column = TABLE_COLUMNS.find(candidate => candidate.id === id);
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = id;
+        checkbox.checked = !tableLayout.hidden.includes(id);
+        checkbox.disabled = checkbox.checked && visibleCount === 1;
+        checkbox.addEventListener('change', () => {
+            tableLayout.hidden = checkbox.checked
+                ? tableLayout.hidden.filter(hiddenId => hiddenId !== id)
+                : [...tableLayout.hidden, id];
+            onChange();
+        });
+        label.append(checkbox, ` ${translate(column.labelKey)}`);
+        return label;
+    }));
+};
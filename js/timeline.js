@@ -0,0 +1,399 @@
+// js/timeline.js
+/**
+ * @file History timeline for OpenPos.
+ * Records a snapshot of the positions after every successful fetch (see history.js) and drives the
+ * timeline scrubber that shows the positions as they were at a past snapshot, through the normal
+ * filter, sort and grouping. Also drives the history retention settings in the settings panel.
+ * @author GeekNeuron
+ * @version 1.2.0
+ */
+
+/**
+ * Key for storing the history retention settings in localStorage.
+ * @const {string}
+ */
+const HISTORY_SETTINGS_KEY = 'openPosHistorySettings';
+
+/**
+ * Delay before the scrubber shows the snapshot it was moved to, so dragging it doesn't render every step.
+ * @const {number}
+ */
+const TIMELINE_SCRUB_DELAY_MS = 150;
+
+/**
+ * @namespace historyTimeline
+ * @description Global namespace for the position history and its timeline.
+ */
+window.historyTimeline = {};
+
+// --- DOM Element Getters ---
+const timelineElement = document.getElementById('history-timeline');
+const timelineScrubber = document.getElementById('history-scrubber');
+const timelineLabelElement = document.getElementById('history-label');
+const timelinePreviousButton = document.getElementById('history-previous');
+const timelineNextButton = document.getElementById('history-next');
+const timelineJumpInput = document.getElementById('history-jump');
+const timelineLiveButton = document.getElementById('history-live');
+const historySettingsFormElement = document.getElementById('history-settings-form');
+const historyRetentionInput = document.getElementById('history-retention-days');
+const historyMaxSizeInput = document.getElementById('history-max-size');
+const historyUsageElement = document.getElementById('history-usage');
+const historySettingsErrorElement = document.getElementById('history-settings-error');
+const historyClearButton = document.getElementById('history-clear');
+
+let historySettings = null; // Loaded lazily
+let historyAvailable = typeof indexedDB !== 'undefined';
+let timelineSourceId = null; // Data source whose snapshots are on the timeline; null while none is shown
+let timelineSnapshots = []; // SnapshotMeta of timelineSourceId, oldest first
+let viewedSnapshotId = null; // Snapshot shown instead of live data, if any
+let heldLivePositions = null; // Latest live positions while a snapshot is shown
+let timelineRequestCounter = 0; // Lets a newer scrubber move supersede a snapshot still loading
+let timelineScrubTimer = null;
+let timelineListeners = [];
+
+/**
+ * Tells the listeners (see onChange) which snapshots the timeline now has.
+ * @private
+ */
+function notifyTimelineListeners() {
+    timelineListeners.forEach(listener => listener(timelineSourceId, timelineSnapshots));
+}
+
+/** @private */
+function getHistorySettings() {
+    if (!historySettings) {
+        historySettings = positionHistory.DEFAULT_HISTORY_SETTINGS;
+        try {
+            const saved = JSON.parse(localStorage.getItem(HISTORY_SETTINGS_KEY));
+            if (positionHistory.validateHistorySettings(saved).isValid) historySettings = saved;
+        } catch (error) {
+            console.error('Error loading history settings:', error);
+        }
+    }
+    return historySettings;
+}
+
+/** @private */
+function getTimelineLocale() {
+    return window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US';
+}
+
+/** @private */
+function formatSnapshotTime(takenAt) {
+    return new Date(takenAt).toLocaleString(getTimelineLocale(), {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+}
+
+/** @private */
+function getViewedSnapshotIndex() {
+    return viewedSnapshotId === null ? -1 : timelineSnapshots.findIndex(snapshot => snapshot.id === viewedSnapshotId);
+}
+
+/** @private */
+function renderTimeline() {
+    if (!timelineElement) return;
+    const total = timelineSnapshots.length;
+    timelineElement.hidden = !historyAvailable || timelineSourceId === null || total === 0;
+    if (timelineElement.hidden) return;
+
+    const viewedIndex = getViewedSnapshotIndex();
+    const isPast = viewedIndex !== -1;
+    const label = isPast
+        ? translate('historySnapshotLabel', {
+            time: formatSnapshotTime(timelineSnapshots[viewedIndex].takenAt),
+            count: timelineSnapshots[viewedIndex].count.toLocaleString(getTimelineLocale())
+        })
+        : translate('historyLiveLabel');
+    timelineElement.classList.toggle('viewing-past', isPast);
+    timelineScrubber.max = String(total); // The last step is live data
+    timelineScrubber.value = String(isPast ? viewedIndex : total);
+    timelineScrubber.setAttribute('aria-valuetext', label);
+    timelineLabelElement.textContent = label;
+    timelinePreviousButton.disabled = viewedIndex === 0;
+    timelineNextButton.disabled = !isPast;
+    timelineLiveButton.hidden = !isPast;
+    timelineJumpInput.min = toTimelineJumpValue(timelineSnapshots[0].takenAt);
+}
+
+/**
+ * Formats a time for a datetime-local input, in local time.
+ * @private
+ */
+function toTimelineJumpValue(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Reloads the snapshot list of the timeline's data source. A shown snapshot that was pruned meanwhile
+ * is replaced by live data.
+ * @private
+ * @async
+ */
+async function refreshTimeline() {
+    const sourceId = timelineSourceId;
+    if (!historyAvailable || sourceId === null) {
+        renderTimeline();
+        notifyTimelineListeners();
+        return;
+    }
+    try {
+        const snapshots = await positionHistory.listSnapshots(sourceId);
+        if (sourceId !== timelineSourceId) return; // The source changed meanwhile
+        timelineSnapshots = snapshots;
+    } catch (error) {
+        console.warn('Position history is not available:', error);
+        historyAvailable = false;
+        renderHistoryUsage();
+    }
+    if (viewedSnapshotId !== null && getViewedSnapshotIndex() === -1) showLiveData();
+    else renderTimeline();
+    notifyTimelineListeners();
+}
+
+/**
+ * Shows the snapshot at an index of the timeline, or live data for the last step.
+ * @private
+ * @async
+ * @param {number} index
+ */
+async function showSnapshotAt(index) {
+    const snapshot = timelineSnapshots[index];
+    if (!snapshot) {
+        showLiveData();
+        return;
+    }
+    const requestId = ++timelineRequestCounter;
+    let positions = null;
+    try {
+        positions = await positionHistory.getSnapshotPositions(snapshot.id);
+    } catch (error) {
+        console.error('Error reading snapshot:', error);
+    }
+    if (requestId !== timelineRequestCounter) return;
+    if (!positions) {
+        window.ui.showToast('historySnapshotMissing', 'warning', 4000);
+        refreshTimeline();
+        return;
+    }
+    if (viewedSnapshotId === null) heldLivePositions = window.currentPositionsData || [];
+    viewedSnapshotId = snapshot.id;
+    window.ui.displayPositions(positions);
+    renderTimeline();
+}
+
+/**
+ * Goes back from a snapshot to the latest live positions.
+ * @private
+ */
+function showLiveData() {
+    timelineRequestCounter++; // Supersedes a snapshot still loading
+    if (viewedSnapshotId !== null) {
+        viewedSnapshotId = null;
+        window.ui.displayPositions(heldLivePositions || []);
+        heldLivePositions = null;
+    }
+    renderTimeline();
+}
+
+/** @private */
+function handleTimelineJump() {
+    const time = new Date(timelineJumpInput.value).getTime();
+    if (Number.isNaN(time)) return;
+    const index = positionHistory.findSnapshotAt(timelineSnapshots, time);
+    if (index === -1) {
+        window.ui.showToast('historyNothingBefore', 'warning', 3000);
+        return;
+    }
+    showSnapshotAt(index);
+}
+
+/** @private */
+async function renderHistoryUsage() {
+    if (!historyUsageElement) return;
+    if (!historyAvailable) {
+        historyUsageElement.textContent = translate('historyUnavailable');
+        historyClearButton.disabled = true;
+        return;
+    }
+    try {
+        const snapshots = await positionHistory.listSnapshots();
+        const bytes = snapshots.reduce((sum, snapshot) => sum + snapshot.bytes, 0);
+        historyUsageElement.textContent = translate('historyUsage', {
+            count: snapshots.length.toLocaleString(getTimelineLocale()),
+            size: (bytes / (1024 * 1024)).toLocaleString(getTimelineLocale(), { maximumFractionDigits: 1 })
+        });
+    } catch (error) {
+        console.warn('Could not read history usage:', error);
+    }
+}
+
+/** @private */
+function fillHistorySettingsForm() {
+    const settings = getHistorySettings();
+    historyRetentionInput.value = String(settings.retentionDays);
+    historyMaxSizeInput.value = String(settings.maxSizeMb);
+    historySettingsErrorElement.textContent = '';
+}
+
+/** @private */
+async function handleHistorySettingsSubmit(event) {
+    event.preventDefault();
+    const settings = { retentionDays: Number(historyRetentionInput.value), maxSizeMb: Number(historyMaxSizeInput.value) };
+    const { isValid } = positionHistory.validateHistorySettings(settings);
+    if (!isValid) {
+        const { retentionDays, maxSizeMb } = positionHistory.HISTORY_SETTING_LIMITS;
+        historySettingsErrorElement.textContent = translate('historySettingsInvalid', {
+            minDays: retentionDays.min, maxDays: retentionDays.max, minSize: maxSizeMb.min, maxSize: maxSizeMb.max
+        });
+        return;
+    }
+    historySettings = settings;
+    try {
+        localStorage.setItem(HISTORY_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving history settings:', error);
+    }
+    historySettingsErrorElement.textContent = '';
+    window.ui.showToast('historySettingsSaved', 'success', 3000);
+    if (!historyAvailable) return;
+    try {
+        await positionHistory.pruneSnapshots(settings);
+    } catch (error) {
+        console.warn('Could not prune position history:', error);
+    }
+    renderHistoryUsage();
+    refreshTimeline();
+}
+
+/** @private */
+async function handleHistoryClear() {
+    if (!window.confirm(translate('historyClearConfirm'))) return;
+    try {
+        await positionHistory.clearHistory();
+    } catch (error) {
+        console.error('Error clearing position history:', error);
+        return;
+    }
+    timelineSnapshots = [];
+    showLiveData();
+    notifyTimelineListeners();
+    renderHistoryUsage();
+    window.ui.showToast('historyCleared', 'success', 3000);
+}
+
+/**
+ * Saves a snapshot of the positions just fetched from a data source, prunes the history to the retention
+ * settings, and updates the timeline. Failures (e.g., a full quota) are only logged.
+ * @async
+ * @function record
+ * @memberof historyTimeline
+ * @param {string} sourceId
+ * @param {Array<Position>} positions - Validated positions.
+ * @returns {Promise<void>}
+ */
+window.historyTimeline.record = async function(sourceId, positions) {
+    if (!historyAvailable) return;
+    try {
+        await positionHistory.saveSnapshot(sourceId, positions);
+        await positionHistory.pruneSnapshots(getHistorySettings());
+    } catch (error) {
+        console.warn('Could not save position history:', error);
+    }
+    if (sourceId === timelineSourceId) await refreshTimeline();
+    renderHistoryUsage();
+};
+
+/**
+ * Shows the timeline of a data source (null hides it, e.g. while imported positions are shown), back at
+ * live data. Doesn't display anything itself: the caller is about to display the live positions.
+ * @function setSource
+ * @memberof historyTimeline
+ * @param {string|null} sourceId
+ */
+window.historyTimeline.setSource = function(sourceId) {
+    timelineRequestCounter++;
+    viewedSnapshotId = null;
+    heldLivePositions = null;
+    if (sourceId !== timelineSourceId) {
+        timelineSourceId = sourceId;
+        timelineSnapshots = [];
+    }
+    refreshTimeline();
+};
+
+/**
+ * Tells whether a past snapshot is shown instead of live data.
+ * @function isViewingPast
+ * @memberof historyTimeline
+ * @returns {boolean}
+ */
+window.historyTimeline.isViewingPast = function() {
+    return viewedSnapshotId !== null;
+};
+
+/**
+ * Keeps live positions that arrive while a snapshot is shown, to display them when the user goes back
+ * to live data.
+ * @function setLivePositions
+ * @memberof historyTimeline
+ * @param {Array<Position>} positions - Validated positions.
+ */
+window.historyTimeline.setLivePositions = function(positions) {
+    heldLivePositions = positions;
+};
+
+/**
+ * Registers a callback invoked whenever the timeline's snapshots change (after a fetch was recorded,
+ * pruning, clearing, or a change of data source).
+ * @function onChange
+ * @memberof historyTimeline
+ * @param {function(string|null, Array<SnapshotMeta>): void} listener - Receives the data source id (null
+ *   while no timeline is shown) and its snapshots, oldest first.
+ */
+window.historyTimeline.onChange = function(listener) {
+    if (typeof listener === 'function') timelineListeners.push(listener);
+};
+
+/**
+ * Returns the latest live positions, also while a snapshot is shown.
+ * @function getLivePositions
+ * @memberof historyTimeline
+ * @returns {Array<Position>}
+ */
+window.historyTimeline.getLivePositions = function() {
+    return viewedSnapshotId !== null ? heldLivePositions || [] : window.currentPositionsData || [];
+};
+
+/**
+ * Wires up the timeline and the history settings. Call once after translations are loaded.
+ * @function init
+ * @memberof historyTimeline
+ */
+window.historyTimeline.init = function() {
+    if (timelineElement) {
+        timelineScrubber.addEventListener('input', () => {
+            clearTimeout(timelineScrubTimer);
+            timelineScrubTimer = setTimeout(() => showSnapshotAt(Number(timelineScrubber.value)), TIMELINE_SCRUB_DELAY_MS);
+        });
+        timelinePreviousButton.addEventListener('click', () => {
+            const viewedIndex = getViewedSnapshotIndex();
+            showSnapshotAt(viewedIndex === -1 ? timelineSnapshots.length - 1 : viewedIndex - 1);
+        });
+        timelineNextButton.addEventListener('click', () => showSnapshotAt(getViewedSnapshotIndex() + 1));
+        timelineJumpInput.addEventListener('change', handleTimelineJump);
+        timelineLiveButton.addEventListener('click', showLiveData);
+    }
+    if (historySettingsFormElement) {
+        fillHistorySettingsForm();
+        historySettingsFormElement.addEventListener('submit', handleHistorySettingsSubmit);
+        historyClearButton.addEventListener('click', handleHistoryClear);
+        renderHistoryUsage();
+    }
+    window.addEventListener('openpos:languagechange', () => {
+        renderTimeline();
+        renderHistoryUsage();
+    });
+};
@@ -2,9 +2,9 @@
 /**
  * @file UI manipulation module for OpenPos.
  * Handles DOM interactions, rendering of positions, loading states, error messages,
- * toast notifications, filtering, sorting, lazy loading, and UI settings persistence.
+ * toast notifications, filtering (search, range filters and filter chips), sorting, exporting, virtualized rendering, refresh highlights, live mark-price metrics, and UI settings persistence.
  * @author GeekNeuron
- * @version 1.4.0
+ * @version 1.19.0
  */
 
 /**
@@ -33,6 +33,7 @@ window.ui = {};
 
 // --- DOM Element Getters ---
 const positionsGridElement = document.getElementById('positions-grid');
+const portfolioSummaryElement = document.getElementById('portfolio-summary');
 const loadingIndicatorElement = document.getElementById('loading-indicator');
 const errorMessageContainer = document.getElementById('error-message');
 const errorMessageTextElement = errorMessageContainer.querySelector('.error-message-text');
@@ -43,7 +44,27 @@ const toastContainerElement = document.getElementById('toast-container');
 
 const typeFilterElement = document.getElementById('type-filter');
 const symbolSearchElement = document.getElementById('symbol-search');
-const sortByElement = document.getElementById('sort-by');
+const searchSuggestionsElement = document.getElementById('search-suggestions');
+const searchErrorElement = document.getElementById('search-error');
+const sortLevelsElement = document.getElementById('sort-levels');
+const sortLevelAddButton = document.getElementById('sort-level-add');
+const groupByElement = document.getElementById('group-by');
+const groupOrderElement = document.getElementById('group-order');
+const viewModeButtons = document.querySelectorAll('#view-toggle button[data-view]');
+const tableColumnChooserElement = document.getElementById('table-column-chooser');
+const tableColumnOptionsElement = document.getElementById('table-column-options');
+const tableColumnsResetButton = document.getElementById('table-columns-reset');
+const rangeFiltersToggleButton = document.getElementById('range-filters-toggle');
+const rangeFiltersDrawerElement = document.getElementById('range-filters-drawer');
+const rangeFilterFieldsets = document.querySelectorAll('#range-filters-drawer fieldset[data-range-field]');
+const timePresetButtons = document.querySelectorAll('#range-filters-drawer button[data-time-preset]');
+const rangeFiltersErrorElement = document.getElementById('range-filters-error');
+const rangeFiltersClearButton = document.getElementById('range-filters-clear');
+const activeFilterChipsElement = document.getElementById('active-filter-chips');
+const copyViewLinkButton = document.getElementById('copy-view-link');
+const exportMenuElement = document.getElementById('export-menu');
+const exportFormattedNumbersElement = document.getElementById('export-formatted-numbers');
+const exportFormatButtons = document.querySelectorAll('#export-menu button[data-export-format]');
 
 /**
  * Key for storing UI settings in localStorage.
@@ -52,11 +73,57 @@ const sortByElement = document.getElementById('sort-by');
 const UI_SETTINGS_KEY = 'openPosUiSettings';
 
 let allFetchedPositions = []; // Stores all validated positions fetched from API
-let currentlyDisplayedPositions = []; // Positions currently shown on the page after filtering/sorting (full list for lazy load)
-const renderBatchSize = 15; // Number of cards to render per batch for lazy loading
-let currentRenderIndex = 0; // Index for lazy loading
-let intersectionObserver = null;
-const loadMoreSentinelId = 'load-more-sentinel';
+let currentlyDisplayedPositions = []; // Positions currently shown on the page after filtering/sorting (full list, also where not rendered)
+let currentRenderItems = []; // Group headers and positions in render order
+let currentRenderLines = []; // currentRenderItems split into the lines of the virtual list
+let positionsVirtualList = null; // Keeps only the lines near the viewport on the page
+let currentCardColumns = 1; // Cards per line in the card grid
+let listEndAnnounced = false; // Whether reaching the end of the current list was announced
+/**
+ * Minimum card width and gap of the card grid, in px, as in the `.positions-grid` CSS.
+ * @const {number}
+ */
+const CARD_MIN_WIDTH_PX = 320;
+const CARD_GRID_GAP_PX = 25;
+/**
+ * Viewport width (in px) up to which the card grid has a single column, as in the CSS media query.
+ * @const {number}
+ */
+const SINGLE_CARD_COLUMN_MAX_WIDTH_PX = 768;
+
+/**
+ * How long refresh highlights (new/changed/closed) stay visible, in ms.
+ * @const {number}
+ */
+const HIGHLIGHT_DURATION_MS = 4000;
+let positionHighlights = new Map(); // Position object -> 'new' | 'changed', set after a refresh
+let closedPositionsToShow = []; // Positions closed by the last refresh, shown briefly as fading cards
+let highlightClearTimerId = null;
+/**
+ * Distance to liquidation (in %) below which a card shows high risk.
+ * @const {number}
+ */
+const LIQUIDATION_DANGER_PERCENT = 10;
+/**
+ * Distance to liquidation (in %) below which a card shows elevated risk.
+ * @const {number}
+ */
+const LIQUIDATION_WARNING_PERCENT = 25;
+let renderedCardsByPosition = new Map(); // Position object -> its card on the page, for live metric updates
+/**
+ * Maximum number of rows per list in the portfolio summary; the rest are counted in a "+N more" line.
+ * @const {number}
+ */
+const SUMMARY_LIST_LIMIT = 5;
+let renderedGroupsByKey = new Map(); // Group key -> {group, subtotalsElement} of the group headers on the page
+let collapsedGroupKeys = new Set(); // Keys of collapsed groups for the current group-by field
+let currentViewMode = 'cards'; // 'cards' or 'table'
+let renderedTable = null; // {wrapper, table, body} of the table on the page in table view
+let searchCompletions = null; // Completions listed under the search box: {start, end, items}
+let activeSearchCompletionIndex = -1;
+let searchValuesByField = new Map(); // Field -> known values in allFetchedPositions, for completions
+let currentSortKeys = []; // Sort levels, first level first (see positionList.sortPositions); none keeps the API's order
+let activeTimePreset = null; // Timestamp preset of the filter drawer (see positionList.TIME_RANGE_PRESETS), or null
 
 
 /**
@@ -108,11 +175,12 @@ window.ui.displayError = function(messageKey, detail = '') {
  * @param {'info' | 'success' | 'warning' | 'error'} [type='info'] - The type of toast.
  * @param {number} [duration=5000] - Duration in ms. If 0, toast stays until action or manual close.
  * @param {{textKey: string, callback: function, className?: string} | null} [action=null] - Optional action button.
+ * @param {Object<string, string|number>} [messageVars={}] - Values for the message's placeholders.
  */
-window.ui.showToast = function(messageKey, type = 'info', duration = 5000, action = null) {
+window.ui.showToast = function(messageKey, type = 'info', duration = 5000, action = null, messageVars = {}) {
     if (!toastContainerElement || !window.translate) return;
 
-    const message = translate(messageKey);
+    const message = translate(messageKey, messageVars);
     if (!message) return;
 
     const toast = document.createElement('div');
@@ -157,263 +225,1327 @@ window.ui.showToast = function(messageKey, type = 'info', duration = 5000, actio
 };
 
 
-// --- Lazy Loading Helper Functions ---
+/**
+ * One entry of the list to render: either a group header or a position.
+ * @typedef {Object} RenderItem
+ * @property {PositionGroup} [group] - Set for group headers.
+ * @property {boolean} [collapsed] - Whether the group is collapsed (its positions are then left out of the list).
+ * @property {Position} [position] - Set for positions.
+ * @property {string} [groupKey] - Key of the position's group when grouping is on.
+ */
+
+/**
+ * Returns the current group-by field, or null when grouping is off.
+ * @private
+ * @returns {string|null}
+ */
+function getActiveGroupBy() {
+    const groupBy = groupByElement ? groupByElement.value : 'none';
+    return portfolioSummary.GROUP_BY_FIELDS.includes(groupBy) ? groupBy : null;
+}
+
+/**
+ * Turns the filtered and sorted positions into the list of items to render, grouping them if grouping is on.
+ * @private
+ * @param {Array<Position>} positions
+ * @returns {Array<RenderItem>}
+ */
+function buildRenderItems(positions) {
+    const groupBy = getActiveGroupBy();
+    if (!groupBy) return positions.map(position => ({ position }));
+
+    const groups = portfolioSummary.groupPositions(positions, groupBy, {
+        order: groupOrderElement ? groupOrderElement.value : 'key-asc',
+        getPnl: position => window.ui.getPositionMetrics(position).pnl
+    });
+    const items = [];
+    groups.forEach(group => {
+        const collapsed = collapsedGroupKeys.has(group.key);
+        items.push({ group, collapsed });
+        if (!collapsed) group.positions.forEach(position => items.push({ position, groupKey: group.key }));
+    });
+    return items;
+}
+
 /** @private */
-function createAndAppendSentinel() {
-    removeSentinel();
-    if (currentRenderIndex < currentlyDisplayedPositions.length) {
-        const sentinel = document.createElement('div');
-        sentinel.id = loadMoreSentinelId;
-        positionsGridElement.appendChild(sentinel);
-        observeSentinel(sentinel);
-    }
+function countPositionItems(items) {
+    return items.reduce((count, item) => count + (item.position ? 1 : 0), 0);
+}
+
+/**
+ * Returns the display name of a group.
+ * @private
+ * @param {PositionGroup} group
+ * @returns {string}
+ */
+function getGroupLabel(group) {
+    if (group.key === '') return translate('groupNoValue');
+    if (getActiveGroupBy() === 'side') return translate(group.key === 'long' ? 'positionCard.long' : 'positionCard.short');
+    return group.key;
 }
 
 /** @private */
-function removeSentinel() {
-    const existingSentinel = document.getElementById(loadMoreSentinelId);
-    if (existingSentinel) {
-        if (intersectionObserver) { // intersectionObserver might be null if never initialized
-            intersectionObserver.unobserve(existingSentinel);
-        }
-        existingSentinel.remove();
-    }
+function formatRoundedNumber(value) {
+    return (Math.round(value * 100) / 100).toLocaleString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US');
 }
 
 /** @private */
-function observeSentinel(sentinel) {
-    if (intersectionObserver) {
-        intersectionObserver.disconnect();
-    }
-    const observerOptions = { root: null, rootMargin: '100px', threshold: 0.01 }; // Load a bit before it's visible
-    intersectionObserver = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                intersectionObserver.unobserve(entry.target);
-                renderNextBatch();
-            }
-        });
-    }, observerOptions);
-    intersectionObserver.observe(sentinel);
+function formatAssetAmounts(entries, valueOf, assetOf) {
+    if (!entries.length) return translate('positionCard.na');
+    return entries.map(entry => [formatRoundedNumber(valueOf(entry)), assetOf(entry)].filter(Boolean).join(' ')).join(', ');
+}
+
+/**
+ * Fills the subtotal line of a group header: total amount per base asset, notional and PnL per quote asset.
+ * @private
+ * @param {HTMLElement} container
+ * @param {PortfolioSummary} subtotals
+ */
+function renderGroupSubtotals(container, subtotals) {
+    const pnlTotal = subtotals.pnlByQuote.reduce((sum, entry) => sum + entry.total, 0);
+    const parts = [
+        { labelKey: 'positionCard.amount', text: formatAssetAmounts(subtotals.exposureByBase, entry => entry.long + entry.short, entry => entry.baseAsset) },
+        { labelKey: 'groupNotional', text: formatAssetAmounts(subtotals.notionalByQuote, entry => entry.notional, entry => entry.quoteAsset) },
+        { labelKey: 'positionCard.pnl', text: formatAssetAmounts(subtotals.pnlByQuote, entry => entry.total, entry => entry.quoteAsset), className: subtotals.pnlByQuote.length ? (pnlTotal >= 0 ? 'pnl-positive' : 'pnl-negative') : '' }
+    ];
+    container.replaceChildren(...parts.map(part => {
+        const span = document.createElement('span');
+        span.className = `group-subtotal ${part.className || ''}`.trim();
+        span.textContent = `${translate(part.labelKey)}: ${part.text}`;
+        return span;
+    }));
 }
 
 /**
- * Renders a batch of position cards to the grid.
+ * Builds the header of a group: a button that collapses/expands the group, with the count and subtotals.
+ * In table view, a header row spanning all columns.
  * @private
- * @param {Array<Position>} positionsToRenderInBatch - Array of positions for the current batch.
- * @param {boolean} [append=true] - If true, appends to existing grid.
+ * @param {RenderItem} item - A group item.
+ * @param {number} lineIndex - Index of the header in the virtual list.
+ * @returns {HTMLElement}
  */
-function renderBatchOfCards(positionsToRenderInBatch, append = true) {
-    if (!append) {
-        positionsGridElement.innerHTML = '';
+function createGroupHeader(item, lineIndex) {
+    const { group, collapsed } = item;
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'group-toggle';
+    toggle.dataset.groupKey = group.key;
+    toggle.setAttribute('aria-expanded', String(!collapsed));
+    const title = document.createElement('span');
+    title.className = 'group-title';
+    title.textContent = getGroupLabel(group);
+    const count = document.createElement('span');
+    count.className = 'group-count';
+    count.textContent = translate('groupCount', { count: formatRoundedNumber(group.subtotals.count) });
+    toggle.append(title, count);
+    toggle.addEventListener('click', () => toggleGroup(group.key));
+
+    const subtotalsElement = document.createElement(renderedTable ? 'span' : 'p');
+    subtotalsElement.className = 'group-subtotals';
+    renderGroupSubtotals(subtotalsElement, group.subtotals);
+    renderedGroupsByKey.set(group.key, { group, subtotalsElement });
+
+    if (renderedTable) {
+        const headerRow = document.createElement('tr');
+        headerRow.className = 'position-group group-header';
+        headerRow.setAttribute('aria-rowindex', String(lineIndex + 2)); // Row 1 is the column header row
+        const headerCell = document.createElement('th');
+        headerCell.colSpan = window.tableView.getVisibleColumns().length;
+        headerCell.append(toggle, subtotalsElement);
+        headerRow.appendChild(headerCell);
+        return headerRow;
     }
-    if (!positionsToRenderInBatch || positionsToRenderInBatch.length === 0) return;
 
-    const fragment = document.createDocumentFragment();
-    positionsToRenderInBatch.forEach(position => {
-        const card = document.createElement('div');
-        card.className = 'position-card';
-
-        const cardHeader = document.createElement('div');
-        cardHeader.className = 'card-header';
-        const symbolElement = document.createElement('span');
-        symbolElement.className = 'symbol';
-        symbolElement.textContent = position.symbol || translate('positionCard.na');
-        cardHeader.appendChild(symbolElement);
-        const typeElement = document.createElement('span');
-        let positionTypeClass = 'unknown';
-        let positionTypeTextKey = 'positionCard.unknown';
-        if (position.type) {
-            const typeLower = String(position.type).toLowerCase(); // Ensure it's a string
-            if (typeLower === 'long' || typeLower === 'buy') {
-                positionTypeClass = 'long'; positionTypeTextKey = 'positionCard.long';
-            } else if (typeLower === 'short' || typeLower === 'sell') {
-                positionTypeClass = 'short'; positionTypeTextKey = 'positionCard.short';
-            }
-        }
-        typeElement.className = `type ${positionTypeClass}`;
-        typeElement.textContent = translate(positionTypeTextKey);
-        cardHeader.appendChild(typeElement);
-        card.appendChild(cardHeader);
-
-        const cardContent = document.createElement('div');
-        cardContent.className = 'card-content';
-        const createInfoParagraph = (labelKey, value, unit = '', toLocale = true) => {
-            const p = document.createElement('p');
-            const label = translate(labelKey);
-            let displayValue = translate('positionCard.na');
-            if (value !== undefined && value !== null) {
-                displayValue = toLocale && typeof value === 'number' ? value.toLocaleString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US') : String(value);
-            }
-            p.innerHTML = `<strong>${label}:</strong> ${displayValue} ${unit}`;
-            return p;
-        };
-        cardContent.appendChild(createInfoParagraph('positionCard.entryPrice', position.entryPrice, position.quoteAsset || '', true));
-        cardContent.appendChild(createInfoParagraph('positionCard.amount', position.amount, position.baseAsset || '', true));
-        if (position.leverage !== undefined) cardContent.appendChild(createInfoParagraph('positionCard.leverage', position.leverage, 'x', true));
-        if (position.pnl !== undefined) {
-            const pnlPara = createInfoParagraph('positionCard.pnl', position.pnl, position.quoteAsset || '', true);
-            pnlPara.classList.add(parseFloat(position.pnl) >= 0 ? 'pnl-positive' : 'pnl-negative');
-            cardContent.appendChild(pnlPara);
-        }
-        if (position.timestamp) {
-            const dateOptions = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
-            const formattedTime = new Date(Number(position.timestamp)).toLocaleString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US', dateOptions);
-            cardContent.appendChild(createInfoParagraph('positionCard.timestamp', formattedTime, '', false));
+    const header = document.createElement('div');
+    header.className = 'position-group';
+    const heading = document.createElement('h3');
+    heading.className = 'group-header';
+    heading.appendChild(toggle);
+    header.append(heading, subtotalsElement);
+    return header;
+}
+
+/**
+ * Collapses or expands a group, keeping the scroll position and the focus on its header.
+ * @private
+ * @param {string} key - Group key.
+ */
+function toggleGroup(key) {
+    const isCollapsing = !collapsedGroupKeys.has(key);
+    if (isCollapsing) collapsedGroupKeys.add(key);
+    else collapsedGroupKeys.delete(key);
+    const groupItem = currentRenderItems.find(item => item.group && item.group.key === key);
+    const label = groupItem ? getGroupLabel(groupItem.group) : key;
+
+    window.ui.renderPositions(currentlyDisplayedPositions, { preserveScroll: true });
+    const toggle = [...positionsGridElement.querySelectorAll('.group-toggle')].find(button => button.dataset.groupKey === key);
+    if (toggle) toggle.focus();
+    if (listChangeAnnouncerElement) {
+        listChangeAnnouncerElement.textContent = translate(isCollapsing ? 'ariaGroupCollapsed' : 'ariaGroupExpanded', { group: label });
+    }
+    window.ui.saveUiSettings();
+}
+
+/**
+ * Creates a "Label: value unit" paragraph for a position card.
+ * @private
+ * @param {string} labelKey - Translation key of the label.
+ * @param {*} value - Value to show; numbers are formatted for the current language.
+ * @param {string} [unit=''] - Unit shown after the value.
+ * @param {boolean} [toLocale=true] - Whether numbers are locale-formatted.
+ * @returns {HTMLParagraphElement}
+ */
+function createInfoParagraph(labelKey, value, unit = '', toLocale = true) {
+    const p = document.createElement('p');
+    const label = translate(labelKey);
+    let displayValue = translate('positionCard.na');
+    if (value !== undefined && value !== null) {
+        displayValue = toLocale && typeof value === 'number' ? value.toLocaleString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US') : String(value);
+    }
+    // Built as text: the unit (e.g., quoteAsset) comes from the data source or an imported file
+    const strong = document.createElement('strong');
+    strong.textContent = `${label}:`;
+    p.append(strong, ` ${displayValue} ${unit}`);
+    return p;
+}
+
+/**
+ * Returns the live metrics of a position, using the mark-price feed when it has a price for the symbol
+ * (but not for a past snapshot of the history timeline, which is shown with its own mark prices).
+ * @function getPositionMetrics
+ * @memberof ui
+ * @param {Position} position
+ * @returns {PositionMetrics}
+ */
+window.ui.getPositionMetrics = function(position) {
+    const isViewingPast = window.historyTimeline && window.historyTimeline.isViewingPast();
+    const feedPrice = window.markPriceFeed && !isViewingPast ? window.markPriceFeed.getPrice(position.symbol) : null;
+    return positionPricing.computePositionMetrics(position, feedPrice);
+};
+
+/**
+ * Returns the margin and liquidation estimate of a position, measured from its current mark price
+ * (or the entry price if none is known). Null for positions without leverage.
+ * @function getMarginEstimate
+ * @memberof ui
+ * @param {Position} position
+ * @param {PositionMetrics} [metrics] - Already computed metrics, to avoid computing them twice.
+ * @returns {MarginEstimate|null}
+ */
+window.ui.getMarginEstimate = function(position, metrics = window.ui.getPositionMetrics(position)) {
+    if (position.leverage === undefined || position.leverage === null) return null;
+    return positionMargin.computeMarginEstimate(position, window.marginTiers.getForSymbol(position.symbol), metrics.markPrice);
+};
+
+/**
+ * Returns the risk class ('risk-high', 'risk-medium' or 'risk-low') for a distance to liquidation.
+ * @function getLiquidationRiskClass
+ * @memberof ui
+ * @param {number} distancePercent
+ * @returns {string}
+ */
+window.ui.getLiquidationRiskClass = function(distancePercent) {
+    if (distancePercent < LIQUIDATION_DANGER_PERCENT) return 'risk-high';
+    return distancePercent < LIQUIDATION_WARNING_PERCENT ? 'risk-medium' : 'risk-low';
+};
+
+/**
+ * Fills (or refills) the mark-price dependent part of a card: mark price, PnL with its source marker,
+ * ROE, price change since entry, margin, estimated liquidation price and the distance to it.
+ * @private
+ * @param {HTMLElement} container - The card's `.card-metrics` element.
+ * @param {Position} position
+ */
+function renderCardMetrics(container, position) {
+    const metrics = window.ui.getPositionMetrics(position);
+    const roundTo2 = value => Math.round(value * 100) / 100;
+    const signClass = value => (value >= 0 ? 'pnl-positive' : 'pnl-negative');
+    container.innerHTML = '';
+
+    if (metrics.markPrice !== null) {
+        container.appendChild(createInfoParagraph('positionCard.markPrice', metrics.markPrice, position.quoteAsset || '', true));
+    }
+    if (metrics.pnl !== null) {
+        const pnlPara = createInfoParagraph('positionCard.pnl', roundTo2(metrics.pnl), position.quoteAsset || '', true);
+        pnlPara.classList.add(signClass(metrics.pnl));
+        const sourceMarker = document.createElement('span');
+        sourceMarker.className = `pnl-source pnl-source-${metrics.pnlSource}`;
+        sourceMarker.textContent = translate(metrics.pnlSource === 'api' ? 'positionCard.pnlSourceApi' : 'positionCard.pnlSourceComputed');
+        sourceMarker.title = translate(metrics.pnlSource === 'api' ? 'positionCard.pnlSourceApiHint' : 'positionCard.pnlSourceComputedHint');
+        pnlPara.appendChild(sourceMarker);
+        container.appendChild(pnlPara);
+    }
+    if (metrics.roePercent !== null) {
+        const roePara = createInfoParagraph('positionCard.roe', roundTo2(metrics.roePercent), '%', true);
+        roePara.classList.add(signClass(metrics.roePercent));
+        container.appendChild(roePara);
+    }
+    if (metrics.priceChangePercent !== null) {
+        const changePara = createInfoParagraph('positionCard.priceChange', roundTo2(metrics.priceChangePercent), '%', true);
+        changePara.classList.add(signClass(metrics.priceChangePercent));
+        container.appendChild(changePara);
+    }
+
+    const margin = window.ui.getMarginEstimate(position, metrics);
+    if (!margin) return;
+    const locale = window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US';
+    const marginText = `${roundTo2(margin.initialMargin).toLocaleString(locale)} / ${roundTo2(margin.maintenanceMargin).toLocaleString(locale)}`;
+    container.appendChild(createInfoParagraph('positionCard.margin', marginText, position.quoteAsset || '', false));
+    if (margin.liquidationPrice !== null) {
+        container.appendChild(createInfoParagraph('positionCard.liquidationPrice', margin.liquidationPrice, position.quoteAsset || '', true));
+        const distance = margin.distanceToLiquidationPercent;
+        const distancePara = createInfoParagraph('positionCard.distanceToLiquidation', roundTo2(distance), '%', true);
+        distancePara.classList.add('liquidation-distance', window.ui.getLiquidationRiskClass(distance));
+        container.appendChild(distancePara);
+    }
+}
+
+/**
+ * Updates the live metrics of the cards on the page after new mark prices arrived, without re-rendering the list.
+ * @function updateLiveMetrics
+ * @memberof ui
+ * @param {Iterable<string>} [symbols] - Upper-case symbols whose price changed; all cards are updated if omitted.
+ */
+window.ui.updateLiveMetrics = function(symbols) {
+    const changedSymbols = symbols ? new Set(symbols) : null;
+    renderedCardsByPosition.forEach((card, position) => {
+        if (changedSymbols && !changedSymbols.has(String(position.symbol || '').toUpperCase())) return;
+        if (card.tagName === 'TR') {
+            window.tableView.fillRow(card, position);
+            return;
         }
-        card.appendChild(cardContent);
+        const metricsContainer = card.querySelector('.card-metrics');
+        if (metricsContainer) renderCardMetrics(metricsContainer, position);
+    });
+    renderedGroupsByKey.forEach(({ group, subtotalsElement }) => {
+        renderGroupSubtotals(subtotalsElement, portfolioSummary.summarizePositions(group.positions, position => window.ui.getPositionMetrics(position).pnl, 0));
+    });
+    renderPortfolioSummary(); // Summary PnL follows the live prices too
+};
+
+/**
+ * Replaces the history sparkline of a card (see chartpanel.js); cards without enough history get none.
+ * @private
+ * @param {HTMLElement} card
+ * @param {Position} position
+ */
+function renderCardSparkline(card, position) {
+    const previous = card.querySelector('.card-sparkline');
+    if (previous) previous.remove();
+    if (!window.positionChart) return;
+    const sparkline = window.positionChart.createSparkline(position);
+    if (sparkline) card.insertBefore(sparkline, card.querySelector('.user-info'));
+}
+
+/**
+ * Redraws the history sparklines of the cards on the page, e.g. after a new snapshot was recorded.
+ * @function updateSparklines
+ * @memberof ui
+ */
+window.ui.updateSparklines = function() {
+    renderedCardsByPosition.forEach((card, position) => {
+        if (card.tagName !== 'TR') renderCardSparkline(card, position);
+    });
+};
+
+/**
+ * Builds the card element for a single position, including refresh highlight classes.
+ * @private
+ * @param {Position} position
+ * @returns {HTMLDivElement}
+ */
+function createPositionCard(position) {
+    const card = document.createElement('div');
+    card.className = 'position-card';
+    const highlight = positionHighlights.get(position);
+    if (highlight) card.classList.add(`position-${highlight}`);
 
-        if (position.user) {
-            const userElement = document.createElement('div');
-            userElement.className = 'user-info';
-            userElement.textContent = `${translate('positionCard.user')}: ${position.user}`;
-            card.appendChild(userElement);
+    const cardHeader = document.createElement('div');
+    cardHeader.className = 'card-header';
+    const symbolElement = document.createElement('span');
+    symbolElement.className = 'symbol';
+    symbolElement.textContent = position.symbol || translate('positionCard.na');
+    cardHeader.appendChild(symbolElement);
+    const typeElement = document.createElement('span');
+    let positionTypeClass = 'unknown';
+    let positionTypeTextKey = 'positionCard.unknown';
+    if (position.type) {
+        const typeLower = String(position.type).toLowerCase(); // Ensure it's a string
+        if (typeLower === 'long' || typeLower === 'buy') {
+            positionTypeClass = 'long'; positionTypeTextKey = 'positionCard.long';
+        } else if (typeLower === 'short' || typeLower === 'sell') {
+            positionTypeClass = 'short'; positionTypeTextKey = 'positionCard.short';
         }
+    }
+    typeElement.className = `type ${positionTypeClass}`;
+    typeElement.textContent = translate(positionTypeTextKey);
+    cardHeader.appendChild(typeElement);
+    card.appendChild(cardHeader);
+
+    const cardContent = document.createElement('div');
+    cardContent.className = 'card-content';
+    cardContent.appendChild(createInfoParagraph('positionCard.entryPrice', position.entryPrice, position.quoteAsset || '', true));
+    cardContent.appendChild(createInfoParagraph('positionCard.amount', position.amount, position.baseAsset || '', true));
+    if (position.leverage !== undefined) cardContent.appendChild(createInfoParagraph('positionCard.leverage', position.leverage, 'x', true));
+    const metricsContainer = document.createElement('div');
+    metricsContainer.className = 'card-metrics';
+    renderCardMetrics(metricsContainer, position);
+    cardContent.appendChild(metricsContainer);
+    if (position.timestamp) {
+        const dateOptions = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+        const formattedTime = new Date(Number(position.timestamp)).toLocaleString(window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US', dateOptions);
+        cardContent.appendChild(createInfoParagraph('positionCard.timestamp', formattedTime, '', false));
+    }
+    card.appendChild(cardContent);
+    renderCardSparkline(card, position);
+
+    if (position.user) {
+        const userElement = document.createElement('div');
+        userElement.className = 'user-info';
+        userElement.textContent = `${translate('positionCard.user')}: ${position.user}`;
+        card.appendChild(userElement);
+    }
+    return card;
+}
+
+/**
+ * Builds the table row of a position, including refresh highlight classes.
+ * @private
+ * @param {Position} position
+ * @returns {HTMLTableRowElement}
+ */
+function createPositionRow(position) {
+    const row = window.tableView.createRow(position);
+    const highlight = positionHighlights.get(position);
+    if (highlight) row.classList.add(`position-${highlight}`);
+    return row;
+}
+
+/**
+ * Prepends fading "closed" cards (or rows, in table view) for positions that disappeared in the last refresh.
+ * Each card removes itself once its highlight animation ends.
+ * @private
+ * @param {Array<Position>} closedPositions - Closed positions that match the current filter.
+ */
+function renderClosedPositionCards(closedPositions) {
+    if (!closedPositions.length) return;
+    const fragment = document.createDocumentFragment();
+    closedPositions.forEach(position => {
+        const card = renderedTable ? createPositionRow(position) : createPositionCard(position);
+        card.classList.add('position-closed');
+        card.setAttribute('aria-hidden', 'true');
+        const removeCard = () => {
+            const line = card.parentElement;
+            card.remove();
+            if (line && line.classList.contains('closed-positions-line') && !line.children.length) line.remove();
+        };
+        card.addEventListener('animationend', removeCard, { once: true });
+        setTimeout(removeCard, HIGHLIGHT_DURATION_MS + 500); // In case animations are disabled
         fragment.appendChild(card);
     });
-    positionsGridElement.appendChild(fragment);
+    // Above the virtual list's top spacer, which the list measures its position from
+    if (renderedTable) {
+        renderedTable.body.insertBefore(fragment, renderedTable.body.firstChild);
+        return;
+    }
+    const line = document.createElement('div');
+    line.className = 'positions-grid-line closed-positions-line';
+    line.style.gridTemplateColumns = `repeat(${currentCardColumns}, minmax(0, 1fr))`;
+    line.appendChild(fragment);
+    positionsGridElement.insertBefore(line, positionsGridElement.firstChild);
 }
 
 /**
- * Renders the next batch of positions for lazy loading.
+ * One line of the virtual list: a group header, or the positions shown side by side (a single row in table view).
+ * @typedef {Object} RenderLine
+ * @property {RenderItem} [header] - Set for group headers.
+ * @property {Array<RenderItem>} [items] - Position items of the line.
+ * @property {number} firstItemIndex - Index of the line's first item in currentRenderItems.
+ */
+
+/**
+ * Returns how many cards fit side by side in the grid, following the `.positions-grid` CSS (1 in table view).
  * @private
+ * @returns {number}
  */
-function renderNextBatch() {
-    const batchStartIndex = currentRenderIndex;
-    const nextBatch = currentlyDisplayedPositions.slice(currentRenderIndex, currentRenderIndex + renderBatchSize);
-    renderBatchOfCards(nextBatch, true); // Always append for lazy loading batches
-    currentRenderIndex += nextBatch.length;
+function getCardColumnCount() {
+    if (currentViewMode === 'table') return 1;
+    if (window.matchMedia && window.matchMedia(`(max-width: ${SINGLE_CARD_COLUMN_MAX_WIDTH_PX}px)`).matches) return 1;
+    return Math.max(1, Math.floor((positionsGridElement.clientWidth + CARD_GRID_GAP_PX) / (CARD_MIN_WIDTH_PX + CARD_GRID_GAP_PX)));
+}
 
-    createAndAppendSentinel(); // Re-adds sentinel if more items exist
+/**
+ * Splits render items into lines of up to `columns` positions; a group header always starts a new line.
+ * @private
+ * @param {Array<RenderItem>} items
+ * @param {number} columns
+ * @returns {Array<RenderLine>}
+ */
+function buildRenderLines(items, columns) {
+    const lines = [];
+    items.forEach((item, index) => {
+        const lastLine = lines[lines.length - 1];
+        if (item.group) lines.push({ header: item, firstItemIndex: index });
+        else if (lastLine && lastLine.items && lastLine.items.length < columns) lastLine.items.push(item);
+        else lines.push({ items: [item], firstItemIndex: index });
+    });
+    return lines;
+}
+
+/** @private */
+function findLineOfItem(itemIndex) {
+    const nextLineIndex = currentRenderLines.findIndex(line => line.firstItemIndex > itemIndex);
+    return (nextLineIndex === -1 ? currentRenderLines.length : nextLineIndex) - 1;
+}
 
-    // ARIA announcement for lazy loaded content (might be too verbose on every scroll)
-    // Consider announcing only when all items are loaded or in larger chunks.
-    if (listChangeAnnouncerElement && nextBatch.length > 0 && batchStartIndex > 0) { // Avoid announcing initial batch again
-        // const announcementText = translate('ariaMorePositionsLoaded', { count: nextBatch.length });
-        // listChangeAnnouncerElement.textContent = announcementText;
-        // console.log("Announced more loaded: ", announcementText);
+/**
+ * Builds the element of a line of the virtual list and registers its cards (or row) for live metric updates.
+ * @private
+ * @param {number} lineIndex
+ * @returns {HTMLElement}
+ */
+function renderLine(lineIndex) {
+    const line = currentRenderLines[lineIndex];
+    if (line.header) return createGroupHeader(line.header, lineIndex);
+    if (renderedTable) {
+        const { position } = line.items[0];
+        const row = createPositionRow(position);
+        row.setAttribute('aria-rowindex', String(lineIndex + 2)); // Row 1 is the column header row
+        renderedCardsByPosition.set(position, row);
+        return row;
     }
 
-    if (currentRenderIndex >= currentlyDisplayedPositions.length && currentlyDisplayedPositions.length > 0) {
-        if (listChangeAnnouncerElement && batchStartIndex > 0) { // Announce only if it wasn't the first (and only) batch
-            const announcementText = translate('ariaAllPositionsDisplayed', { count: currentlyDisplayedPositions.length });
-            listChangeAnnouncerElement.textContent = announcementText;
+    const lineElement = document.createElement('div');
+    lineElement.className = 'positions-grid-line';
+    lineElement.style.gridTemplateColumns = `repeat(${currentCardColumns}, minmax(0, 1fr))`;
+    const isFlatList = !getActiveGroupBy();
+    line.items.forEach((item, offset) => {
+        const card = createPositionCard(item.position);
+        if (isFlatList) { // Screen readers can't count the cards that aren't rendered
+            card.setAttribute('role', 'listitem');
+            card.setAttribute('aria-setsize', String(currentRenderItems.length));
+            card.setAttribute('aria-posinset', String(line.firstItemIndex + offset + 1));
+        }
+        renderedCardsByPosition.set(item.position, card);
+        lineElement.appendChild(card);
+    });
+    return lineElement;
+}
+
+/**
+ * Called after every render of the virtual list: forgets the cards and group headers that were scrolled
+ * out of it, and announces the end of the list the first time it is scrolled into view.
+ * @private
+ * @param {{start: number, end: number}} range - Rendered lines.
+ */
+function handleLinesRendered(range) {
+    renderedCardsByPosition.forEach((element, position) => {
+        if (!element.isConnected) renderedCardsByPosition.delete(position);
+    });
+    renderedGroupsByKey.forEach(({ subtotalsElement }, key) => {
+        if (!subtotalsElement.isConnected) renderedGroupsByKey.delete(key);
+    });
+    if (!listEndAnnounced && range.start > 0 && range.end === currentRenderLines.length) {
+        listEndAnnounced = true;
+        if (listChangeAnnouncerElement) {
+            // Positions of collapsed groups aren't in the list, so only the expanded ones are counted
+            listChangeAnnouncerElement.textContent = translate('ariaListEndReached', { count: countPositionItems(currentRenderItems) });
         }
     }
 }
 
+/**
+ * Creates the virtual list for currentRenderLines: in the table body, scrolling with the table, or in
+ * the grid, scrolling with the page. Height estimates are carried over from the previous list.
+ * @private
+ */
+function createPositionsVirtualList() {
+    const previousHeights = positionsVirtualList ? positionsVirtualList.getAverageHeights() : {};
+    if (positionsVirtualList) positionsVirtualList.destroy();
+    positionsVirtualList = virtualList.createVirtualList({
+        container: renderedTable ? renderedTable.body : positionsGridElement,
+        scrollElement: renderedTable ? renderedTable.wrapper : null,
+        spacerTag: renderedTable ? 'tr' : 'div',
+        spacerColumns: renderedTable ? window.tableView.getVisibleColumns().length : 1,
+        renderRow: renderLine,
+        getKey: lineIndex => {
+            const line = currentRenderLines[lineIndex];
+            return line.header ? `group:${line.header.group.key}` : line.items[0].position;
+        },
+        getKind: lineIndex => {
+            if (currentRenderLines[lineIndex].header) return renderedTable ? 'groupRow' : 'group';
+            return renderedTable ? 'row' : 'cards';
+        },
+        defaultHeights: { group: 90, groupRow: 70, row: 40, cards: 330, ...previousHeights },
+        onRender: handleLinesRendered
+    });
+    positionsVirtualList.setRowCount(currentRenderLines.length);
+}
+
+/**
+ * Splits the cards into lines again after the number of cards per line changed, keeping the first visible card in view.
+ * @private
+ */
+function relayoutCardLines() {
+    const firstVisibleLine = currentRenderLines[positionsVirtualList.getFirstVisibleIndex()];
+    currentCardColumns = getCardColumnCount();
+    currentRenderLines = buildRenderLines(currentRenderItems, currentCardColumns);
+    positionsVirtualList.forgetHeights(); // Lines now hold other cards
+    positionsVirtualList.setRowCount(currentRenderLines.length);
+    const anchorLineIndex = firstVisibleLine ? findLineOfItem(firstVisibleLine.firstItemIndex) : 0;
+    if (anchorLineIndex > 0) positionsVirtualList.scrollToIndex(anchorLineIndex);
+}
 
 /**
  * Main function to render/re-render the list of positions in the UI.
  * @function renderPositions
  * @memberof ui
  * @param {Array<Position>} positionsToDisplay - Full list of positions to display (filtered and sorted).
+ * @param {{preserveScroll?: boolean}} [options={}] - With `preserveScroll`, the scroll position is restored
+ * (used by auto-refresh and when a group is collapsed or expanded).
  */
-window.ui.renderPositions = function(positionsToDisplay) {
+window.ui.renderPositions = function(positionsToDisplay, options = {}) {
+    const preserveScroll = options.preserveScroll === true;
+    const previousScrollY = window.scrollY;
+    const previousTableScroll = renderedTable ? { top: renderedTable.wrapper.scrollTop, left: renderedTable.wrapper.scrollLeft } : null;
     currentlyDisplayedPositions = positionsToDisplay;
-    currentRenderIndex = 0;
-    if (intersectionObserver) intersectionObserver.disconnect(); // Disconnect old observer
+    currentRenderItems = buildRenderItems(positionsToDisplay || []);
+    currentRenderLines = [];
+    renderedCardsByPosition = new Map();
+    renderedGroupsByKey = new Map();
+    renderedTable = null;
+    if (!preserveScroll) listEndAnnounced = false;
     positionsGridElement.innerHTML = ''; // Clear grid for new filtered/sorted list
-    removeSentinel();
 
     let announcementMessageKey = '';
     let announcementVars = {};
 
     if (!currentlyDisplayedPositions || currentlyDisplayedPositions.length === 0) {
-        const currentFilterType = typeFilterElement.value;
-        const currentSearchTerm = symbolSearchElement.value;
         let messageKey = 'noPositionsMessage';
         if (allFetchedPositions.length === 0 && !window.ui.isLoading) {
             messageKey = 'noPositionsMessage'; announcementMessageKey = 'ariaNoPositionsInitial';
-        } else if (currentFilterType !== 'all' || currentSearchTerm.trim() !== '') {
+        } else if (positionList.hasActiveFilters(typeFilterElement.value, symbolSearchElement.value, getRangeFiltersFromControls())) {
             messageKey = 'noPositionsMatchFilter'; announcementMessageKey = 'ariaNoPositionsAfterFilter';
         } else {
             messageKey = 'noPositionsMessage'; announcementMessageKey = 'ariaNoPositionsInitial';
         }
         noPositionsMessageTextElement.textContent = translate(messageKey);
         noPositionsMessageContainer.style.display = 'flex';
+        errorMessageContainer.style.display = 'none';
         positionsGridElement.style.display = 'none';
+        positionsGridElement.removeAttribute('role');
+        if (positionsVirtualList) positionsVirtualList.destroy();
+        positionsVirtualList = null;
     } else {
         noPositionsMessageContainer.style.display = 'none';
-        positionsGridElement.style.display = 'grid';
-        renderNextBatch(); // Render first batch and set up sentinel
+        errorMessageContainer.style.display = 'none';
+        // Each line of cards is its own grid, and the table is a single block
+        positionsGridElement.style.display = 'block';
+        positionsGridElement.classList.toggle('grouped', Boolean(getActiveGroupBy()));
+        positionsGridElement.classList.toggle('table-view', currentViewMode === 'table');
+        if (currentViewMode === 'cards' && !getActiveGroupBy()) positionsGridElement.setAttribute('role', 'list');
+        else positionsGridElement.removeAttribute('role');
+        if (currentViewMode === 'table') {
+            renderedTable = window.tableView.createTable({
+                sortKeys: currentSortKeys,
+                onSort: sortByTableColumn,
+                onLayoutChange: handleTableLayoutChange
+            });
+            positionsGridElement.appendChild(renderedTable.wrapper);
+        }
+        currentCardColumns = getCardColumnCount();
+        currentRenderLines = buildRenderLines(currentRenderItems, currentCardColumns);
+        if (renderedTable) {
+            // Only the rows near the viewport are in the DOM, so the row count and indexes are given explicitly
+            renderedTable.table.setAttribute('aria-rowcount', String(currentRenderLines.length + 1));
+            renderedTable.table.tHead.rows[0].setAttribute('aria-rowindex', '1');
+        }
+        createPositionsVirtualList();
 
-        if (currentlyDisplayedPositions.length <= renderBatchSize) { // All items fit in the first batch
+        if (getActiveGroupBy()) {
+            const groupCount = currentRenderItems.length - countPositionItems(currentRenderItems);
+            announcementMessageKey = 'ariaGroupsDisplayed';
+            announcementVars = { groups: groupCount, count: currentlyDisplayedPositions.length };
+        } else {
             announcementMessageKey = 'ariaAllPositionsDisplayed';
             announcementVars = { count: currentlyDisplayedPositions.length };
-        } else {
-            announcementMessageKey = 'ariaPositionsDisplayed'; // Initial batch announcement
-            announcementVars = { count: renderBatchSize, total: currentlyDisplayedPositions.length };
         }
     }
 
-    if (listChangeAnnouncerElement && announcementMessageKey) {
+    if (preserveScroll) {
+        window.scrollTo(0, previousScrollY);
+        if (renderedTable && previousTableScroll) {
+            renderedTable.wrapper.scrollTop = previousTableScroll.top;
+            renderedTable.wrapper.scrollLeft = previousTableScroll.left;
+        }
+    }
+
+    if (listChangeAnnouncerElement && announcementMessageKey && !preserveScroll) {
         const announcementText = translate(announcementMessageKey, announcementVars);
         listChangeAnnouncerElement.textContent = announcementText;
     }
 };
 
-// --- Filtering and Sorting Logic (Pure functions for testability) ---
+/**
+ * Creates one tile of the portfolio summary: a label and one line per row.
+ * @private
+ * @param {string} labelKey - Translation key of the tile's label.
+ * @param {Array<{text: string, className?: string}>} rows - Rows beyond SUMMARY_LIST_LIMIT are summarized.
+ * @returns {HTMLDivElement}
+ */
+function createSummaryTile(labelKey, rows) {
+    const tile = document.createElement('div');
+    tile.className = 'summary-tile';
+    const label = document.createElement('h4');
+    label.textContent = translate(labelKey);
+    tile.appendChild(label);
+
+    const visibleRows = rows.length ? rows.slice(0, SUMMARY_LIST_LIMIT) : [{ text: translate('positionCard.na') }];
+    if (rows.length > SUMMARY_LIST_LIMIT) visibleRows.push({ text: translate('summaryMore', { count: rows.length - SUMMARY_LIST_LIMIT }), className: 'summary-more' });
+    visibleRows.forEach(row => {
+        const line = document.createElement('p');
+        line.textContent = row.text;
+        if (row.className) line.className = row.className;
+        tile.appendChild(line);
+    });
+    return tile;
+}
+
+/**
+ * Renders the summary panel above the grid for the positions currently displayed (after filtering),
+ * using live PnL where the mark-price feed has a price. Hidden when no positions are displayed.
+ * @private
+ */
+function renderPortfolioSummary() {
+    if (!portfolioSummaryElement) return;
+    if (!currentlyDisplayedPositions || currentlyDisplayedPositions.length === 0) {
+        portfolioSummaryElement.hidden = true;
+        return;
+    }
+    const summary = portfolioSummary.summarizePositions(currentlyDisplayedPositions, position => window.ui.getPositionMetrics(position).pnl);
+    const format = formatRoundedNumber;
+    const withAsset = (value, asset) => (asset ? `${format(value)} ${asset}` : format(value));
+    const signClass = value => (value >= 0 ? 'pnl-positive' : 'pnl-negative');
+
+    const tiles = [
+        createSummaryTile('summaryPositions', [{
+            text: translate('summaryPositionsValue', { total: format(summary.count), long: format(summary.longCount), short: format(summary.shortCount) })
+        }]),
+        createSummaryTile('summaryNotional', summary.notionalByQuote.map(({ quoteAsset, notional }) => ({ text: withAsset(notional, quoteAsset) }))),
+        createSummaryTile('summaryNetExposure', summary.exposureByBase.map(({ baseAsset, net }) => ({
+            text: translate(net >= 0 ? 'summaryNetLong' : 'summaryNetShort', { asset: baseAsset, amount: format(Math.abs(net)) })
+        }))),
+        createSummaryTile('summaryTotalPnl', summary.pnlByQuote.map(({ quoteAsset, total }) => ({ text: withAsset(total, quoteAsset), className: signClass(total) }))),
+        createSummaryTile('summaryAveragePnl', summary.pnlByQuote.map(({ quoteAsset, average, count }) => ({
+            text: translate('summaryAveragePnlValue', { value: withAsset(average, quoteAsset), count: format(count) }), className: signClass(average)
+        }))),
+        createSummaryTile('summaryTopLeverage', summary.topLeverage.map(position => ({
+            text: translate('summaryLeverageValue', { symbol: position.symbol || translate('positionCard.na'), leverage: format(Number(position.leverage)) })
+        })))
+    ];
+    portfolioSummaryElement.querySelector('.portfolio-summary-tiles').replaceChildren(...tiles);
+    portfolioSummaryElement.hidden = false;
+}
+
+/**
+ * Sorts by a table column. Activating the header of the first sort level reverses it; another header becomes
+ * the only level (ascending), unless `addLevel` is set (Shift+click), which appends the column as the last
+ * level or reverses it if it already is a level.
+ * @private
+ * @param {string} field - The column's sort field.
+ * @param {boolean} addLevel
+ */
+function sortByTableColumn(field, addLevel) {
+    const levelIndex = currentSortKeys.findIndex(sortKey => sortKey.field === field);
+    const reverse = sortKey => ({ field, direction: sortKey.direction === 'asc' ? 'desc' : 'asc' });
+    let sortKeys;
+    if (levelIndex === 0 || (addLevel && levelIndex > 0)) {
+        sortKeys = currentSortKeys.map((sortKey, index) => (index === levelIndex ? reverse(sortKey) : sortKey));
+    } else if (addLevel) {
+        sortKeys = [...currentSortKeys, { field, direction: 'asc' }];
+    } else {
+        sortKeys = [{ field, direction: 'asc' }];
+    }
+    setSortKeys(sortKeys).then(() => {
+        const sortButton = positionsGridElement.querySelector(`.positions-table th[data-sort-field="${field}"] button`);
+        if (sortButton) sortButton.focus(); // The header was rendered again
+    });
+}
+
+/**
+ * Saves the table layout after a column was resized, moved, shown or hidden, and re-renders if needed.
+ * @private
+ * @param {boolean} needsRender
+ */
+function handleTableLayoutChange(needsRender) {
+    if (needsRender) {
+        window.ui.renderPositions(currentlyDisplayedPositions, { preserveScroll: true });
+        renderTableColumnChooser();
+    }
+    window.ui.saveUiSettings();
+}
+
+/** @private */
+function renderTableColumnChooser() {
+    if (!tableColumnOptionsElement) return;
+    window.tableView.renderColumnChooser(tableColumnOptionsElement, () => handleTableLayoutChange(true));
+}
+
+/**
+ * Switches between the card grid and the table.
+ * @function setViewMode
+ * @memberof ui
+ * @param {'cards'|'table'} mode
+ */
+window.ui.setViewMode = function(mode) {
+    currentViewMode = mode === 'table' ? 'table' : 'cards';
+    viewModeButtons.forEach(button => button.setAttribute('aria-pressed', String(button.dataset.view === currentViewMode)));
+    if (tableColumnChooserElement) tableColumnChooserElement.hidden = currentViewMode !== 'table';
+};
+
+// --- Search Query (searchquery.js) ---
+/**
+ * Shows the parse error of the search query, if any, under the search box.
+ * @private
+ */
+function showSearchQueryError() {
+    if (!symbolSearchElement || !searchErrorElement) return;
+    const { error } = searchQuery.parseSearchQuery(symbolSearchElement.value);
+    symbolSearchElement.setAttribute('aria-invalid', String(Boolean(error)));
+    const errorKey = error ? `searchError${error.code[0].toUpperCase()}${error.code.slice(1)}` : '';
+    searchErrorElement.textContent = error ? translate('searchErrorAt', { message: translate(errorKey, error.vars), column: error.start + 1 }) : '';
+}
+
+/** @private */
+function getKnownSearchValues(field) {
+    if (!searchValuesByField.has(field)) searchValuesByField.set(field, searchQuery.collectSearchValues(allFetchedPositions, field));
+    return searchValuesByField.get(field);
+}
+
+/**
+ * Lists completions for the term at the caret under the search box (an ARIA combobox listbox).
+ * @private
+ */
+function updateSearchCompletions() {
+    if (!searchSuggestionsElement) return;
+    const cursor = symbolSearchElement.selectionStart ?? symbolSearchElement.value.length;
+    searchCompletions = searchQuery.getSearchCompletions(symbolSearchElement.value, cursor, getKnownSearchValues);
+    activeSearchCompletionIndex = -1;
+    searchSuggestionsElement.replaceChildren(...searchCompletions.items.map((item, index) => {
+        const option = document.createElement('li');
+        option.id = `search-suggestion-${index}`;
+        option.className = `search-suggestion suggestion-${item.kind}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.textContent = item.value;
+        option.addEventListener('mousedown', event => event.preventDefault()); // Keep the focus in the input
+        option.addEventListener('click', () => acceptSearchCompletion(index));
+        return option;
+    }));
+    const isOpen = searchCompletions.items.length > 0;
+    searchSuggestionsElement.hidden = !isOpen;
+    symbolSearchElement.setAttribute('aria-expanded', String(isOpen));
+    symbolSearchElement.removeAttribute('aria-activedescendant');
+}
+
+/** @private */
+function closeSearchCompletions() {
+    if (!searchSuggestionsElement) return;
+    searchCompletions = null;
+    activeSearchCompletionIndex = -1;
+    searchSuggestionsElement.hidden = true;
+    searchSuggestionsElement.replaceChildren();
+    symbolSearchElement.setAttribute('aria-expanded', 'false');
+    symbolSearchElement.removeAttribute('aria-activedescendant');
+}
+
 /** @private */
-function _filterPositionsLogic(positions, filterTypeValue, searchTerm) {
-    let filtered = [...positions];
+function setActiveSearchCompletion(index) {
+    const options = searchSuggestionsElement.querySelectorAll('[role="option"]');
+    activeSearchCompletionIndex = (index + options.length) % options.length;
+    options.forEach((option, optionIndex) => option.setAttribute('aria-selected', String(optionIndex === activeSearchCompletionIndex)));
+    const activeOption = options[activeSearchCompletionIndex];
+    symbolSearchElement.setAttribute('aria-activedescendant', activeOption.id);
+    activeOption.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Replaces the term at the caret with a completion and applies the query.
+ * @private
+ * @param {number} index - Index into the listed completions.
+ */
+function acceptSearchCompletion(index) {
+    if (!searchCompletions || !searchCompletions.items[index]) return;
+    const { start, end } = searchCompletions;
+    const { value } = searchCompletions.items[index];
+    const text = symbolSearchElement.value;
+    const needsSpace = !value.endsWith(':') && text[end] !== ' ' && text[end] !== ')'; // Ready for the next term
+    symbolSearchElement.value = `${text.slice(0, start)}${value}${needsSpace ? ' ' : ''}${text.slice(end)}`;
+    const caret = start + value.length + (needsSpace ? 1 : 0);
+    symbolSearchElement.setSelectionRange(caret, caret);
+    closeSearchCompletions();
+    if (value.endsWith(':')) updateSearchCompletions(); // Go on with the field's values
+    window.ui.applyFilterAndRender();
+}
+
+/** @private */
+function handleSearchKeydown(event) {
+    const isOpen = searchCompletions && searchCompletions.items.length > 0;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (!isOpen) updateSearchCompletions();
+        if (!searchCompletions || !searchCompletions.items.length) return;
+        event.preventDefault();
+        setActiveSearchCompletion(activeSearchCompletionIndex + (event.key === 'ArrowDown' ? 1 : -1));
+    } else if ((event.key === 'Enter' || event.key === 'Tab') && isOpen && activeSearchCompletionIndex >= 0) {
+        event.preventDefault();
+        acceptSearchCompletion(activeSearchCompletionIndex);
+    } else if (event.key === 'Escape' && isOpen) {
+        event.preventDefault(); // Don't clear the search as well
+        closeSearchCompletions();
+    }
+}
+
+// --- Sort Levels ---
+
+/**
+ * Translation keys of the sort fields' names.
+ * @const {Object<string, string>}
+ */
+const SORT_FIELD_LABEL_KEYS = {
+    symbol: 'positionCard.symbol',
+    side: 'tableColumnType',
+    baseAsset: 'groupByBaseAsset',
+    quoteAsset: 'groupByQuoteAsset',
+    user: 'positionCard.user',
+    entryPrice: 'positionCard.entryPrice',
+    markPrice: 'positionCard.markPrice',
+    amount: 'positionCard.amount',
+    leverage: 'positionCard.leverage',
+    notional: 'groupNotional',
+    pnl: 'positionCard.pnl',
+    roe: 'positionCard.roe',
+    priceChange: 'positionCard.priceChange',
+    timestamp: 'positionCard.timestamp'
+};
+
+/**
+ * Sets the sort levels, updates the sort controls and re-sorts the list.
+ * @private
+ * @param {Array<SortKey>} sortKeys
+ * @returns {Promise<void>} See applyFilterAndRender.
+ */
+function setSortKeys(sortKeys) {
+    currentSortKeys = positionList.parseSortKeys(sortKeys);
+    renderSortLevels();
+    return window.ui.applyFilterAndRender();
+}
+
+/**
+ * Creates an element with translated text (or aria-label), marked like the page's static text so that a
+ * language change translates it too.
+ * @private
+ * @param {string} tagName
+ * @param {string} key
+ * @param {boolean} [asAriaLabel=false]
+ * @returns {HTMLElement}
+ */
+function createTranslatedElement(tagName, key, asAriaLabel = false) {
+    const element = document.createElement(tagName);
+    if (asAriaLabel) {
+        element.setAttribute('aria-label', translate(key));
+        element.setAttribute('data-i18n-aria-label', key);
+    } else {
+        element.textContent = translate(key);
+        element.setAttribute('data-i18n-key', key);
+    }
+    return element;
+}
+
+/**
+ * Builds the controls of one sort level: field, direction and a remove button. Without levels the first
+ * row only has the field, set to "Default"; setting the first row back to "Default" removes all levels.
+ * @private
+ * @param {SortKey|null} sortKey
+ * @param {number} index
+ * @returns {HTMLLIElement}
+ */
+function createSortLevel(sortKey, index) {
+    const item = document.createElement('li');
+    item.className = 'sort-level';
+
+    const fieldSelect = createTranslatedElement('select', 'sortLevelFieldLabel', true);
+    fieldSelect.className = 'sort-level-field';
+    if (index === 0) {
+        const defaultOption = createTranslatedElement('option', 'sortDefault');
+        defaultOption.value = 'default';
+        fieldSelect.appendChild(defaultOption);
+    }
+    Object.keys(positionList.SORT_FIELDS).forEach(field => {
+        if (currentSortKeys.some((other, otherIndex) => other.field === field && otherIndex !== index)) return; // Each field sorts once
+        const option = createTranslatedElement('option', SORT_FIELD_LABEL_KEYS[field]);
+        option.value = field;
+        fieldSelect.appendChild(option);
+    });
+    fieldSelect.value = sortKey ? sortKey.field : 'default';
+    fieldSelect.addEventListener('change', () => {
+        const sortKeys = fieldSelect.value === 'default' ? [] : currentSortKeys.map((other, otherIndex) => (
+            otherIndex === index ? { field: fieldSelect.value, direction: other.direction } : other));
+        if (!sortKey && fieldSelect.value !== 'default') sortKeys.push({ field: fieldSelect.value, direction: 'asc' });
+        setSortKeys(sortKeys);
+        focusSortLevelControl(index, '.sort-level-field');
+    });
+    item.appendChild(fieldSelect);
+    if (!sortKey) return item;
+
+    const directionSelect = createTranslatedElement('select', 'sortLevelDirectionLabel', true);
+    directionSelect.className = 'sort-level-direction';
+    [['asc', 'sortAscending'], ['desc', 'sortDescending']].forEach(([direction, key]) => {
+        const option = createTranslatedElement('option', key);
+        option.value = direction;
+        directionSelect.appendChild(option);
+    });
+    directionSelect.value = sortKey.direction;
+    directionSelect.addEventListener('change', () => {
+        setSortKeys(currentSortKeys.map((other, otherIndex) => (otherIndex === index ? { field: other.field, direction: directionSelect.value } : other)));
+        focusSortLevelControl(index, '.sort-level-direction');
+    });
+    item.appendChild(directionSelect);
+
+    const removeButton = createTranslatedElement('button', 'sortLevelRemoveLabel', true);
+    removeButton.type = 'button';
+    removeButton.className = 'sort-level-remove';
+    removeButton.textContent = '×';
+    removeButton.addEventListener('click', () => {
+        setSortKeys(currentSortKeys.filter((other, otherIndex) => otherIndex !== index));
+        // The next level moved into this place; after the last one, go to the previous level
+        if (!focusSortLevelControl(index, '.sort-level-remove')) focusSortLevelControl(Math.max(index - 1, 0), '.sort-level-field');
+    });
+    item.appendChild(removeButton);
+    return item;
+}
+
+/**
+ * Focuses a control of a sort level after the levels were rendered again.
+ * @private
+ * @param {number} index
+ * @param {string} selector
+ * @returns {boolean} Whether the control exists.
+ */
+function focusSortLevelControl(index, selector) {
+    const level = sortLevelsElement ? sortLevelsElement.children[index] : null;
+    const control = level ? level.querySelector(selector) : null;
+    if (control) control.focus();
+    return Boolean(control);
+}
+
+/**
+ * Renders the sort level controls for currentSortKeys.
+ * @private
+ */
+function renderSortLevels() {
+    if (!sortLevelsElement) return;
+    const levels = currentSortKeys.length > 0 ? currentSortKeys : [null];
+    sortLevelsElement.replaceChildren(...levels.map((sortKey, index) => createSortLevel(sortKey, index)));
+    if (sortLevelAddButton) {
+        sortLevelAddButton.disabled = currentSortKeys.length === 0 || currentSortKeys.length >= Object.keys(positionList.SORT_FIELDS).length;
+    }
+}
+
+/**
+ * Adds a sort level with the first field not sorted by yet.
+ * @private
+ */
+function addSortLevel() {
+    const field = Object.keys(positionList.SORT_FIELDS).find(candidate => !currentSortKeys.some(sortKey => sortKey.field === candidate));
+    if (!field || currentSortKeys.length === 0) return;
+    setSortKeys([...currentSortKeys, { field, direction: 'asc' }]);
+    focusSortLevelControl(currentSortKeys.length - 1, '.sort-level-field');
+}
+
+// --- Range Filters (filter drawer and active filter chips) ---
+
+/**
+ * Formats a time as the value of a datetime-local input (local time, to the minute).
+ * @private
+ * @param {number} timestamp - Unix ms.
+ * @returns {string}
+ */
+function toDateTimeLocalValue(timestamp) {
+    const date = new Date(timestamp);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Reads the range filters from the filter drawer. An active time preset is kept as the preset, so that
+ * "today" stays today when the list is filtered (or the settings are loaded) later.
+ * @private
+ * @returns {RangeFilters}
+ */
+function getRangeFiltersFromControls() {
+    const rangeFilters = {};
+    rangeFilterFieldsets.forEach(fieldset => {
+        const field = fieldset.dataset.rangeField;
+        if (field === 'timestamp' && activeTimePreset) {
+            rangeFilters.timestamp = { preset: activeTimePreset };
+            return;
+        }
+        const range = {};
+        fieldset.querySelectorAll('input[data-bound]').forEach(input => {
+            if (input.value === '') return;
+            const value = field === 'timestamp' ? new Date(input.value).getTime() : Number(input.value);
+            if (Number.isFinite(value)) range[input.dataset.bound] = value;
+        });
+        if (Object.keys(range).length > 0) rangeFilters[field] = range;
+    });
+    return rangeFilters;
+}
+
+/**
+ * Fills the filter drawer with saved range filters.
+ * @private
+ * @param {RangeFilters} rangeFilters
+ */
+function setRangeFilterControls(rangeFilters) {
+    const timeRange = rangeFilters.timestamp || {};
+    activeTimePreset = positionList.TIME_RANGE_PRESETS.includes(timeRange.preset) ? timeRange.preset : null;
+    const presetBounds = activeTimePreset ? positionList.resolveTimeRangePreset(activeTimePreset) : null;
+    rangeFilterFieldsets.forEach(fieldset => {
+        const field = fieldset.dataset.rangeField;
+        const range = (field === 'timestamp' && presetBounds) || rangeFilters[field] || {};
+        fieldset.querySelectorAll('input[data-bound]').forEach(input => {
+            const value = range[input.dataset.bound];
+            const isSet = value !== null && value !== undefined && Number.isFinite(Number(value));
+            input.value = !isSet ? '' : field === 'timestamp' ? toDateTimeLocalValue(Number(value)) : String(value);
+        });
+    });
+    timePresetButtons.forEach(button => button.setAttribute('aria-pressed', String(button.dataset.timePreset === activeTimePreset)));
+}
+
+/**
+ * Selects a time preset, or deselects it if it is already selected, and shows its start in the From input.
+ * @private
+ * @param {string} preset
+ */
+function toggleTimeRangePreset(preset) {
+    const rangeFilters = getRangeFiltersFromControls();
+    rangeFilters.timestamp = activeTimePreset === preset ? {} : { preset };
+    setRangeFilterControls(rangeFilters);
+    window.ui.applyFilterAndRender();
+}
+
+/**
+ * Marks ranges whose minimum is above their maximum; they match nothing.
+ * @private
+ * @param {RangeFilters} rangeFilters
+ */
+function showRangeFilterErrors(rangeFilters) {
+    const messages = [];
+    rangeFilterFieldsets.forEach(fieldset => {
+        const range = rangeFilters[fieldset.dataset.rangeField] || {};
+        const isInvalid = range.min !== undefined && range.max !== undefined && range.min > range.max;
+        fieldset.querySelectorAll('input[data-bound]').forEach(input => {
+            if (isInvalid) input.setAttribute('aria-invalid', 'true');
+            else input.removeAttribute('aria-invalid');
+        });
+        if (isInvalid) messages.push(translate('rangeFilterMinAboveMax', { field: fieldset.querySelector('legend').textContent }));
+    });
+    if (rangeFiltersErrorElement) rangeFiltersErrorElement.textContent = messages.join('\n');
+}
+
+/**
+ * Formats a range filter bound for a chip.
+ * @private
+ * @param {string} field
+ * @param {number} value
+ * @returns {string}
+ */
+function formatRangeBound(field, value) {
+    const locale = window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US';
+    if (field === 'timestamp') {
+        return new Date(value).toLocaleString(locale, { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+    return value.toLocaleString(locale, { maximumFractionDigits: 8 });
+}
+
+/**
+ * Shows the active filters (type, search and range filters) as chips that remove the filter when
+ * activated, and the number of active range filters on the drawer's button.
+ * @private
+ * @param {string} filterTypeValue
+ * @param {string} searchTerm
+ * @param {RangeFilters} rangeFilters
+ */
+function renderActiveFilterChips(filterTypeValue, searchTerm, rangeFilters) {
+    const chips = [];
     if (filterTypeValue !== 'all') {
-        filtered = filtered.filter(p => p.type && String(p.type).toLowerCase() === filterTypeValue);
+        const option = typeFilterElement.querySelector(`option[value="${filterTypeValue}"]`);
+        chips.push({ text: translate('filterChipType', { value: option ? option.textContent : filterTypeValue }), remove: () => { typeFilterElement.value = 'all'; } });
     }
     if (searchTerm) {
-        filtered = filtered.filter(p => p.symbol && String(p.symbol).toLowerCase().includes(searchTerm));
+        chips.push({ text: translate('filterChipSearch', { query: searchTerm }), remove: () => { symbolSearchElement.value = ''; showSearchQueryError(); } });
     }
-    return filtered;
-}
-window._uiTestExports = window._uiTestExports || {}; // For testing in browser without modules
-window._uiTestExports._filterPositionsLogic = _filterPositionsLogic;
+    let activeRangeCount = 0;
+    rangeFilterFieldsets.forEach(fieldset => {
+        const field = fieldset.dataset.rangeField;
+        const range = rangeFilters[field];
+        if (!range) return;
+        activeRangeCount++;
+        const label = fieldset.querySelector('legend').textContent;
+        let text;
+        if (range.preset) {
+            const presetButton = fieldset.querySelector(`button[data-time-preset="${range.preset}"]`);
+            text = translate('filterChipPreset', { field: label, preset: presetButton ? presetButton.textContent : range.preset });
+        } else if (range.min !== undefined && range.max !== undefined) {
+            text = translate('filterChipBetween', { field: label, min: formatRangeBound(field, range.min), max: formatRangeBound(field, range.max) });
+        } else if (range.min !== undefined) {
+            text = translate('filterChipMin', { field: label, min: formatRangeBound(field, range.min) });
+        } else {
+            text = translate('filterChipMax', { field: label, max: formatRangeBound(field, range.max) });
+        }
+        chips.push({
+            text,
+            remove: () => setRangeFilterControls({ ...getRangeFiltersFromControls(), [field]: {} })
+        });
+    });
 
+    if (rangeFiltersToggleButton) {
+        rangeFiltersToggleButton.textContent = activeRangeCount > 0
+            ? translate('rangeFiltersButtonCount', { count: activeRangeCount })
+            : translate('rangeFiltersButton');
+    }
+    if (!activeFilterChipsElement) return;
+    activeFilterChipsElement.innerHTML = '';
+    activeFilterChipsElement.hidden = chips.length === 0;
+    chips.forEach(({ text, remove }, index) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-chip';
+        button.setAttribute('aria-label', translate('removeFilterLabel', { filter: text }));
+        button.textContent = text;
+        const removeIcon = document.createElement('span');
+        removeIcon.className = 'filter-chip-remove';
+        removeIcon.setAttribute('aria-hidden', 'true');
+        removeIcon.textContent = '×';
+        button.appendChild(removeIcon);
+        button.addEventListener('click', () => {
+            remove();
+            window.ui.applyFilterAndRender();
+            // The chips were re-rendered: move focus to the chip now in this place, or to the drawer's button
+            const remaining = activeFilterChipsElement.querySelectorAll('.filter-chip');
+            const nextFocus = remaining[Math.min(index, remaining.length - 1)] || rangeFiltersToggleButton;
+            if (nextFocus) nextFocus.focus();
+        });
+        item.appendChild(button);
+        activeFilterChipsElement.appendChild(item);
+    });
+}
 
 /** @private */
-function _sortPositionsLogic(positions, sortValue) {
-    let positionsToSort = [...positions];
-    switch (sortValue) {
-        case 'symbol-asc': positionsToSort.sort((a, b) => (String(a.symbol) || '').localeCompare(String(b.symbol) || '')); break;
-        case 'symbol-desc': positionsToSort.sort((a, b) => (String(b.symbol) || '').localeCompare(String(a.symbol) || '')); break;
-        case 'entryPrice-asc': positionsToSort.sort((a, b) => (Number(a.entryPrice) || 0) - (Number(b.entryPrice) || 0)); break;
-        case 'entryPrice-desc': positionsToSort.sort((a, b) => (Number(b.entryPrice) || 0) - (Number(a.entryPrice) || 0)); break;
-        case 'timestamp-desc': positionsToSort.sort((a, b) => (Number(b.timestamp) || 0) - (Number(a.timestamp) || 0)); break;
-        case 'timestamp-asc': positionsToSort.sort((a, b) => (Number(a.timestamp) || 0) - (Number(b.timestamp) || 0)); break;
-        default: break;
-    }
-    return positionsToSort;
+function setRangeFiltersDrawerOpen(isOpen) {
+    if (!rangeFiltersDrawerElement || !rangeFiltersToggleButton) return;
+    rangeFiltersDrawerElement.hidden = !isOpen;
+    rangeFiltersToggleButton.setAttribute('aria-expanded', String(isOpen));
+    if (isOpen) {
+        const firstInput = rangeFiltersDrawerElement.querySelector('input');
+        if (firstInput) firstInput.focus();
+    }
 }
+
+// --- Filtering and Sorting Logic (positionlist.js; run in the list worker, see workerclient.js) ---
+const _filterPositionsLogic = positionList.filterPositions;
+const _sortPositionsLogic = positionList.sortPositions;
+window._uiTestExports = window._uiTestExports || {}; // For testing in browser without modules
+window._uiTestExports._filterPositionsLogic = _filterPositionsLogic;
 window._uiTestExports._sortPositionsLogic = _sortPositionsLogic;
 
 
 /**
- * Applies current filters and sorting to allFetchedPositions and updates the UI.
+ * Applies current filters and sorting to allFetchedPositions and updates the UI. Filtering and sorting run
+ * in the list worker; if this is called again before they finish, only the latest call renders.
  * @function applyFilterAndRender
  * @memberof ui
+ * @param {{preserveScroll?: boolean}} [options={}] - Passed on to renderPositions. Ignored when called as an event listener.
+ * @returns {Promise<void>} Resolves once the list is rendered (or the call was superseded).
  */
-window.ui.applyFilterAndRender = function() {
-    if (!typeFilterElement || !symbolSearchElement || !sortByElement) return;
+window.ui.applyFilterAndRender = function(options = {}) {
+    if (!typeFilterElement || !symbolSearchElement) return Promise.resolve();
     const filterTypeValue = typeFilterElement.value;
-    const searchTerm = symbolSearchElement.value.toLowerCase().trim();
-    const sortValue = sortByElement.value;
-
-    let filtered = _filterPositionsLogic([...allFetchedPositions], filterTypeValue, searchTerm);
-    let sortedAndFiltered = _sortPositionsLogic(filtered, sortValue);
-
-    window.ui.renderPositions(sortedAndFiltered);
+    const searchTerm = symbolSearchElement.value.trim();
+    const rangeFilters = getRangeFiltersFromControls();
+    const preserveScroll = options.preserveScroll === true;
+    if (groupOrderElement) groupOrderElement.disabled = !getActiveGroupBy();
+    if (currentViewMode === 'table') renderTableColumnChooser(); // Also picks up a language change
+    showSearchQueryError(); // Also picks up a language change
+    showRangeFilterErrors(rangeFilters);
+    renderActiveFilterChips(filterTypeValue, searchTerm, rangeFilters);
     window.ui.saveUiSettings();
+    syncViewStateToUrl();
+    if (window.savedViews) window.savedViews.showCurrentView(getViewState());
+
+    return window.positionWorker.queryPositions({
+        filterType: filterTypeValue, searchTerm, sortKeys: currentSortKeys, locale: window.currentLanguage || 'en', rangeFilters
+    }).then(sortedAndFiltered => {
+        if (!sortedAndFiltered) return; // A newer filter or sort is being applied
+        window.ui.renderPositions(sortedAndFiltered, { preserveScroll });
+        renderPortfolioSummary();
+        if (closedPositionsToShow.length > 0) {
+            renderClosedPositionCards(_filterPositionsLogic(closedPositionsToShow, filterTypeValue, searchTerm, rangeFilters));
+            closedPositionsToShow = [];
+        }
+    }).catch(error => console.error('Error filtering and sorting positions:', error));
 };
 
 /**
- * Initializes the display of positions.
+ * Marks new and changed positions for highlighting and queues closed ones for a fading card.
+ * Highlights are cleared after HIGHLIGHT_DURATION_MS so later re-renders don't flash again.
+ * @private
+ * @param {{added: Array, removed: Array, changed: Array}} diff - Result of positionDiff.diffPositions.
+ */
+function setRefreshHighlights(diff) {
+    positionHighlights = new Map();
+    diff.added.forEach(({ position }) => positionHighlights.set(position, 'new'));
+    diff.changed.forEach(({ after }) => positionHighlights.set(after, 'changed'));
+    closedPositionsToShow = diff.removed.map(({ position }) => position);
+
+    if (highlightClearTimerId) clearTimeout(highlightClearTimerId);
+    highlightClearTimerId = setTimeout(() => {
+        positionHighlights = new Map();
+        highlightClearTimerId = null;
+    }, HIGHLIGHT_DURATION_MS);
+
+    if (listChangeAnnouncerElement && (diff.added.length || diff.removed.length || diff.changed.length)) {
+        listChangeAnnouncerElement.textContent = translate('ariaPositionsRefreshed', {
+            added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length
+        });
+    }
+}
+
+/**
+ * Initializes (or, on refresh, updates) the display of positions.
  * @function displayPositions
  * @memberof ui
  * @param {Array<Position>} validatedPositions - Validated positions from the API.
+ * @param {{isRefresh?: boolean}} [options={}] - With `isRefresh`, changes against the previous data are
+ * highlighted and the filter, sort and scroll position are kept.
+ * @returns {{added: Array, removed: Array, changed: Array, unchangedCount: number}|null} The diff against the previous data on refresh, otherwise null.
  */
-window.ui.displayPositions = function(validatedPositions) {
+window.ui.displayPositions = function(validatedPositions, options = {}) {
+    let diff = null;
+    if (options.isRefresh) {
+        diff = positionDiff.diffPositions(allFetchedPositions, validatedPositions);
+        setRefreshHighlights(diff);
+    } else {
+        positionHighlights = new Map();
+        closedPositionsToShow = [];
+    }
     allFetchedPositions = validatedPositions;
     window.currentPositionsData = validatedPositions; // For i18n and other modules
-    window.ui.applyFilterAndRender();
+    window.positionWorker.setPositions(validatedPositions);
+    searchValuesByField = new Map();
+    window.ui.applyFilterAndRender({ preserveScroll: options.isRefresh === true });
+    return diff;
 };
 
 /**
@@ -422,11 +1554,19 @@ window.ui.displayPositions = function(validatedPositions) {
  * @memberof ui
  */
 window.ui.saveUiSettings = function() {
-    if (!typeFilterElement || !symbolSearchElement || !sortByElement) return;
+    if (!typeFilterElement || !symbolSearchElement) return;
     const settings = {
         typeFilter: typeFilterElement.value,
         symbolSearch: symbolSearchElement.value,
-        sortBy: sortByElement.value
+        rangeFilters: getRangeFiltersFromControls(),
+        sortKeys: currentSortKeys,
+        groupBy: groupByElement ? groupByElement.value : 'none',
+        groupOrder: groupOrderElement ? groupOrderElement.value : 'key-asc',
+        collapsedGroups: [...collapsedGroupKeys],
+        viewMode: currentViewMode,
+        tableLayout: window.tableView.getLayout(),
+        refreshInterval: window.autoRefresh ? window.autoRefresh.getIntervalSeconds() : 0,
+        exportFormattedNumbers: exportFormattedNumbersElement ? exportFormattedNumbersElement.checked : false
     };
     try {
         localStorage.setItem(UI_SETTINGS_KEY, JSON.stringify(settings));
@@ -436,30 +1576,293 @@ window.ui.saveUiSettings = function() {
 };
 
 /**
- * Loads UI settings from localStorage and applies them to controls.
+ * Reads the view state (what the list shows, as shared in links and saved in view presets) from the controls.
+ * @private
+ * @returns {ViewState}
+ */
+function getViewState() {
+    return {
+        typeFilter: typeFilterElement.value,
+        symbolSearch: symbolSearchElement.value.trim(),
+        rangeFilters: getRangeFiltersFromControls(),
+        sortKeys: currentSortKeys,
+        groupBy: groupByElement ? groupByElement.value : 'none',
+        groupOrder: groupOrderElement ? groupOrderElement.value : 'key-asc',
+        viewMode: currentViewMode
+    };
+}
+
+/**
+ * Sets the controls to a view state. Properties that are left out, or whose value has no matching option,
+ * keep the controls' current value.
+ * @private
+ * @param {Partial<ViewState>} state
+ */
+function applyViewState(state) {
+    if (state.typeFilter && typeFilterElement.querySelector(`option[value="${state.typeFilter}"]`)) {
+        typeFilterElement.value = state.typeFilter;
+    }
+    if (typeof state.symbolSearch === 'string') {
+        symbolSearchElement.value = state.symbolSearch;
+        showSearchQueryError();
+    }
+    if (state.rangeFilters && typeof state.rangeFilters === 'object') setRangeFilterControls(state.rangeFilters);
+    if (state.sortKeys) {
+        currentSortKeys = positionList.parseSortKeys(state.sortKeys);
+        renderSortLevels();
+    }
+    if (groupByElement && state.groupBy && groupByElement.querySelector(`option[value="${state.groupBy}"]`) && groupByElement.value !== state.groupBy) {
+        groupByElement.value = state.groupBy;
+        collapsedGroupKeys = new Set(); // Collapsed keys belong to the previous field
+    }
+    if (groupOrderElement && state.groupOrder && groupOrderElement.querySelector(`option[value="${state.groupOrder}"]`)) {
+        groupOrderElement.value = state.groupOrder;
+    }
+    if (state.viewMode) window.ui.setViewMode(state.viewMode);
+}
+
+/**
+ * Returns the current view state.
+ * @function getViewState
+ * @memberof ui
+ * @returns {ViewState}
+ */
+window.ui.getViewState = getViewState;
+
+/**
+ * Sets the controls to a view state (e.g. a saved view) and shows the list accordingly.
+ * @function showView
+ * @memberof ui
+ * @param {ViewState} state
+ * @returns {Promise<void>} See applyFilterAndRender.
+ */
+window.ui.showView = function(state) {
+    applyViewState({ ...viewState.DEFAULT_VIEW_STATE, ...state });
+    return window.ui.applyFilterAndRender();
+};
+
+/**
+ * Puts the current view state into the URL hash, adding a history entry so that back/forward walk through
+ * view changes. Successive edits of the search query update one entry rather than adding one per pause in typing.
+ * @private
+ */
+function syncViewStateToUrl() {
+    const state = getViewState();
+    const hash = viewState.encodeViewState(state);
+    const urlState = viewState.decodeViewState(window.location.hash);
+    if (hash === (urlState ? viewState.encodeViewState(urlState) : '')) return;
+
+    const previousState = urlState || viewState.DEFAULT_VIEW_STATE;
+    const isSearchEdit = viewState.encodeViewState({ ...previousState, symbolSearch: '' }) === viewState.encodeViewState({ ...state, symbolSearch: '' });
+    const historyState = { openPosViewSearchEdit: isSearchEdit };
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    try {
+        if (isSearchEdit && window.history.state && window.history.state.openPosViewSearchEdit) window.history.replaceState(historyState, '', url);
+        else window.history.pushState(historyState, '', url);
+    } catch (error) { // e.g., too many history updates in a short time
+        console.error('Error updating the URL with the view state:', error);
+    }
+}
+
+/**
+ * Applies the view state of the URL after back/forward navigation.
+ * @private
+ */
+function handleViewStatePopState() {
+    const urlState = viewState.decodeViewState(window.location.hash);
+    if (!urlState && window.location.hash) return; // An in-page link such as the skip link, not a view
+    applyViewState(urlState || viewState.DEFAULT_VIEW_STATE);
+    window.ui.applyFilterAndRender();
+}
+
+/**
+ * Copies a link to the current view to the clipboard.
+ * @private
+ */
+function copyViewLink() {
+    syncViewStateToUrl();
+    Promise.resolve()
+        .then(() => navigator.clipboard.writeText(window.location.href))
+        .then(() => window.ui.showToast('viewLinkCopied', 'success', 3000))
+        .catch(error => { // No clipboard access, e.g. outside a secure context
+            console.error('Error copying the view link:', error);
+            window.ui.showToast('viewLinkCopyFailed', 'error', 6000);
+        });
+}
+
+/**
+ * Loads UI settings from localStorage and applies them to controls. A view state in the URL hash (a shared
+ * link) takes precedence over the default saved view, which takes precedence over the last view; the URL is
+ * then updated to the resulting view.
  * @function loadAndApplyUiSettings
  * @memberof ui
  */
 window.ui.loadAndApplyUiSettings = function() {
-    if (!typeFilterElement || !symbolSearchElement || !sortByElement) return;
+    if (!typeFilterElement || !symbolSearchElement) return;
     try {
         const savedSettings = localStorage.getItem(UI_SETTINGS_KEY);
         if (savedSettings) {
             const settings = JSON.parse(savedSettings);
-            if (settings.typeFilter && typeFilterElement.querySelector(`option[value="${settings.typeFilter}"]`)) {
-                typeFilterElement.value = settings.typeFilter;
-            }
-            if (settings.symbolSearch !== undefined) symbolSearchElement.value = settings.symbolSearch;
-            if (settings.sortBy && sortByElement.querySelector(`option[value="${settings.sortBy}"]`)) {
-                sortByElement.value = settings.sortBy;
+            if (settings.tableLayout) window.tableView.setLayout(settings.tableLayout);
+            // `sortBy`: a single `<field>-<direction>` saved by earlier versions
+            applyViewState({ ...settings, sortKeys: settings.sortKeys || settings.sortBy });
+            if (Array.isArray(settings.collapsedGroups)) collapsedGroupKeys = new Set(settings.collapsedGroups.map(String));
+            if (settings.refreshInterval !== undefined && window.autoRefresh) {
+                window.autoRefresh.setIntervalSeconds(settings.refreshInterval);
             }
+            if (exportFormattedNumbersElement) exportFormattedNumbersElement.checked = settings.exportFormattedNumbers === true;
         }
     } catch (error) {
         console.error('Error loading UI settings:', error);
     }
+    const urlState = viewState.decodeViewState(window.location.hash);
+    const defaultView = window.savedViews ? window.savedViews.getDefault() : null;
+    if (urlState) applyViewState(urlState);
+    else if (defaultView) applyViewState({ ...viewState.DEFAULT_VIEW_STATE, ...defaultView.state });
+    // The current entry gets the resulting view, so that coming back to it restores it
+    const hash = viewState.encodeViewState(getViewState());
+    if (urlState || hash) {
+        window.history.replaceState({ openPosViewSearchEdit: false }, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+    }
+};
+
+// --- Export (export.js) ---
+
+/**
+ * Returns a file name for an export made now, e.g. `openpos-positions-2024-05-01-1430.csv`.
+ * @private
+ * @param {string} extension
+ * @param {string} [prefix='openpos-positions']
+ * @returns {string}
+ */
+function getExportFileName(extension, prefix = 'openpos-positions') {
+    const now = new Date();
+    const pad = number => String(number).padStart(2, '0');
+    const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+    return `${prefix}-${stamp}.${extension}`;
+}
+
+/**
+ * Writes an export table in a format and downloads it as a file named after the current time.
+ * @function downloadExport
+ * @memberof ui
+ * @param {ExportTable} table
+ * @param {string} format - One of positionExport.EXPORT_FORMATS.
+ * @param {string} [fileNamePrefix='openpos-positions']
+ * @throws {Error} If the table can't be written in the format.
+ */
+window.ui.downloadExport = function(table, format, fileNamePrefix) {
+    const content = positionExport.writeExport(table, format, {
+        sheetName: translate('exportSheetName'),
+        rightToLeft: document.body.getAttribute('dir') === 'rtl'
+    });
+    const fileType = positionExport.EXPORT_FILE_TYPES[format];
+    // A byte order mark lets spreadsheet apps detect UTF-8 in CSV files (e.g. for Persian text)
+    const blob = new Blob(format === 'csv' ? ['\uFEFF', content] : [content], { type: fileType.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getExportFileName(fileType.extension, fileNamePrefix);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 };
 
+/**
+ * Exports the positions as currently filtered and sorted, with their live metrics, and downloads the file.
+ * @private
+ * @param {string} format - One of positionExport.EXPORT_FORMATS.
+ */
+function exportDisplayedPositions(format) {
+    if (!currentlyDisplayedPositions || currentlyDisplayedPositions.length === 0) {
+        window.ui.showToast('exportNothing', 'info', 4000);
+        return;
+    }
+    try {
+        const table = positionExport.buildExportTable(currentlyDisplayedPositions, position => {
+            const metrics = window.ui.getPositionMetrics(position);
+            return { metrics, margin: window.ui.getMarginEstimate(position, metrics) };
+        }, {
+            formatted: exportFormattedNumbersElement ? exportFormattedNumbersElement.checked : false,
+            locale: window.currentLanguage === 'fa' ? 'fa-IR' : 'en-US',
+            translate
+        });
+        window.ui.downloadExport(table, format);
+        exportMenuElement.open = false;
+        window.ui.showToast('exportDone', 'success', 3000);
+    } catch (error) {
+        console.error('Error exporting positions:', error);
+        window.ui.showToast('exportFailed', 'error', 6000);
+    }
+}
+
 // --- Event Listeners ---
 if (typeFilterElement) typeFilterElement.addEventListener('change', window.ui.applyFilterAndRender);
-if (symbolSearchElement) symbolSearchElement.addEventListener('input', debounce(window.ui.applyFilterAndRender, 300));
-if (sortByElement) sortByElement.addEventListener('change', window.ui.applyFilterAndRender);
+if (symbolSearchElement) {
+    symbolSearchElement.addEventListener('input', () => {
+        showSearchQueryError();
+        updateSearchCompletions();
+    });
+    symbolSearchElement.addEventListener('input', debounce(window.ui.applyFilterAndRender, 300));
+    symbolSearchElement.addEventListener('keydown', handleSearchKeydown);
+    symbolSearchElement.addEventListener('blur', closeSearchCompletions);
+}
+if (sortLevelAddButton) sortLevelAddButton.addEventListener('click', addSortLevel);
+if (copyViewLinkButton) copyViewLinkButton.addEventListener('click', copyViewLink);
+exportFormatButtons.forEach(button => button.addEventListener('click', () => exportDisplayedPositions(button.dataset.exportFormat)));
+if (exportFormattedNumbersElement) exportFormattedNumbersElement.addEventListener('change', window.ui.saveUiSettings);
+if (exportMenuElement) {
+    exportMenuElement.addEventListener('keydown', event => {
+        if (event.key !== 'Escape' || !exportMenuElement.open) return;
+        exportMenuElement.open = false;
+        exportMenuElement.querySelector('summary').focus();
+    });
+}
+window.addEventListener('popstate', handleViewStatePopState);
+renderSortLevels();
+if (rangeFiltersToggleButton) {
+    rangeFiltersToggleButton.addEventListener('click', () => setRangeFiltersDrawerOpen(rangeFiltersDrawerElement.hidden));
+}
+if (rangeFiltersDrawerElement) {
+    rangeFiltersDrawerElement.addEventListener('input', event => {
+        if (event.target.type !== 'datetime-local' || !activeTimePreset) return;
+        activeTimePreset = null; // Editing the times replaces the preset
+        timePresetButtons.forEach(button => button.setAttribute('aria-pressed', 'false'));
+    });
+    rangeFiltersDrawerElement.addEventListener('input', debounce(window.ui.applyFilterAndRender, 300));
+    rangeFiltersDrawerElement.addEventListener('keydown', event => {
+        if (event.key !== 'Escape') return;
+        setRangeFiltersDrawerOpen(false);
+        rangeFiltersToggleButton.focus();
+    });
+}
+timePresetButtons.forEach(button => button.addEventListener('click', () => toggleTimeRangePreset(button.dataset.timePreset)));
+if (rangeFiltersClearButton) {
+    rangeFiltersClearButton.addEventListener('click', () => {
+        setRangeFilterControls({});
+        window.ui.applyFilterAndRender();
+    });
+}
+if (groupByElement) {
+    groupByElement.addEventListener('change', () => {
+        collapsedGroupKeys = new Set(); // Collapsed keys belong to the previous field
+        window.ui.applyFilterAndRender();
+    });
+}
+if (groupOrderElement) groupOrderElement.addEventListener('change', window.ui.applyFilterAndRender);
+window.addEventListener('resize', debounce(() => {
+    if (positionsVirtualList && !renderedTable && getCardColumnCount() !== currentCardColumns) relayoutCardLines();
+}, 150));
+viewModeButtons.forEach(button => {
+    button.addEventListener('click', () => {
+        window.ui.setViewMode(button.dataset.view);
+        window.ui.applyFilterAndRender();
+    });
+});
+if (tableColumnsResetButton) {
+    tableColumnsResetButton.addEventListener('click', () => {
+        window.tableView.setLayout(null);
+        handleTableLayoutChange(true);
+    });
+}
@@ -2,7 +2,7 @@
 /**
  * @file Data validation module for API responses.
  * @author GeekNeuron
- * @version 1.1.0
+ * @version 1.3.0
  */
 
 /**
@@ -23,6 +23,13 @@ const positionSchema = {
     timestamp: { type: 'number', required: false } // Unix ms
 };
 
+/**
+ * Translation keys of the validation error messages, so their templates can be handed to the list worker,
+ * which has no access to the translations.
+ * @const {Array<string>}
+ */
+const VALIDATION_MESSAGE_KEYS = ['validationErrorNotObject', 'validationErrorRequiredField', 'validationErrorInvalidType', 'validationErrorInvalidEnumValue', 'validationErrorNotArray'];
+
 /**
  * Validates a single position object against the positionSchema.
  * @param {Object} position - The position object to validate.
@@ -76,10 +83,11 @@ function validatePositionObject(position) {
 /**
  * Validates an array of position objects.
  * @param {Array<Object>} positionsData - The array of position data from the API.
- * @returns {{isValid: boolean, validatedPositions: Array<Object>, errors: string[]}}
+ * @returns {{isValid: boolean, validatedPositions: Array<Object>, errors: string[], rowErrors: Array<{index: number, symbol: string, errors: string[]}>}}
  * - isValid: Overall structural validity (is it an array). Functional validity depends on items.
  * - validatedPositions: Array of positions that passed individual validation (others are skipped).
  * - errors: Array of all validation error messages encountered from invalid items.
+ * - rowErrors: The same messages per invalid item (`index` is 0-based), e.g. to list them by row.
  */
 function validatePositionsArray(positionsData) {
     // Ensure translate is available
@@ -89,11 +97,13 @@ function validatePositionsArray(positionsData) {
         return {
             isValid: false, // The structure itself is invalid
             validatedPositions: [],
-            errors: [_translate('validationErrorNotArray')]
+            errors: [_translate('validationErrorNotArray')],
+            rowErrors: []
         };
     }
 
     const allErrors = [];
+    const rowErrors = [];
     const validPositions = [];
 
     positionsData.forEach((position, index) => {
@@ -118,6 +128,7 @@ function validatePositionsArray(positionsData) {
             validPositions.push(coercedPosition);
 
         } else {
+            rowErrors.push({ index, symbol: (position && position.symbol) || '', errors: itemErrors });
             itemErrors.forEach(errMsg => {
                 allErrors.push(`Position ${index + 1} (${position.symbol || 'Unknown Symbol'}): ${errMsg}`);
             });
@@ -127,7 +138,7 @@ function validatePositionsArray(positionsData) {
     // isValid here reflects if the initial structure was an array.
     // The filtering of invalid items is handled by returning only `validPositions`.
     // App.js will decide based on `validationErrors.length` and `validPositions.length`.
-    return { isValid: true, validatedPositions: validPositions, errors: allErrors };
+    return { isValid: true, validatedPositions: validPositions, errors: allErrors, rowErrors };
 }
 // Export for testing if not using modules in tests (conceptual)
 // if (typeof window !== 'undefined') window.validatePositionsArray = validatePositionsArray;
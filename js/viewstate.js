@@ -0,0 +1,132 @@
+// js/viewstate.js
+/**
+ * @file View state in the URL.
+ * Encodes what the list shows (type filter, search, range filters, sort levels, grouping and view mode) as
+ * parameters in the URL hash, so that a view can be shared as a link and back/forward walk through view
+ * changes, and decodes them again. Only values that differ from the defaults are written, e.g.
+ * `#type=short&q=btc&leverage=20..&sort=pnl-desc`. Pure functions with no DOM dependencies.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * What the list shows, as far as it is shared in links. The table's column layout and auto-refresh are
+ * personal settings and only kept in localStorage.
+ * @typedef {Object} ViewState
+ * @property {string} typeFilter - `#type-filter` value.
+ * @property {string} symbolSearch - Search query.
+ * @property {RangeFilters} rangeFilters
+ * @property {Array<SortKey>} sortKeys
+ * @property {string} groupBy - `#group-by` value.
+ * @property {string} groupOrder - `#group-order` value.
+ * @property {string} viewMode - 'cards' or 'table'.
+ */
+
+/**
+ * The view without any filter, sorting or grouping; these values aren't written to the URL.
+ * @const {ViewState}
+ */
+const DEFAULT_VIEW_STATE = Object.freeze({
+    typeFilter: 'all',
+    symbolSearch: '',
+    rangeFilters: Object.freeze({}),
+    sortKeys: Object.freeze([]),
+    groupBy: 'none',
+    groupOrder: 'key-asc',
+    viewMode: 'cards'
+});
+
+/**
+ * URL parameter names of the view state. Range filters use their field name (`leverage=20..50`) and the
+ * timestamp range `time`, which is either a preset (`time=today`) or a range of Unix ms.
+ * @const {Object<string, string>}
+ */
+const VIEW_STATE_PARAMS = { typeFilter: 'type', symbolSearch: 'q', sortKeys: 'sort', groupBy: 'group', groupOrder: 'groupOrder', viewMode: 'view' };
+const TIME_RANGE_PARAM = 'time';
+const RANGE_PARAM_SEPARATOR = '..';
+
+/** @private */
+function isRangeBound(value) {
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+/** @private */
+function formatRangeParam(range) {
+    return `${isRangeBound(range.min) ? Number(range.min) : ''}${RANGE_PARAM_SEPARATOR}${isRangeBound(range.max) ? Number(range.max) : ''}`;
+}
+
+/**
+ * Reads a `min..max` parameter; either side may be empty.
+ * @private
+ * @param {string} text
+ * @returns {{min?: number, max?: number}|null} null if malformed or without bounds.
+ */
+function parseRangeParam(text) {
+    const parts = text.split(RANGE_PARAM_SEPARATOR);
+    if (parts.length !== 2 || parts.some(part => part !== '' && !isRangeBound(part))) return null;
+    const range = {};
+    if (parts[0] !== '') range.min = Number(parts[0]);
+    if (parts[1] !== '') range.max = Number(parts[1]);
+    return Object.keys(range).length > 0 ? range : null;
+}
+
+/**
+ * Encodes a view state as URL hash parameters.
+ * @param {ViewState} state
+ * @returns {string} Without the leading '#'; empty for the default view.
+ */
+function encodeViewState(state) {
+    const params = new URLSearchParams();
+    if (state.typeFilter && state.typeFilter !== DEFAULT_VIEW_STATE.typeFilter) params.set(VIEW_STATE_PARAMS.typeFilter, state.typeFilter);
+    if (state.symbolSearch) params.set(VIEW_STATE_PARAMS.symbolSearch, state.symbolSearch);
+    const rangeFilters = state.rangeFilters || {};
+    positionList.RANGE_FILTER_FIELDS.forEach(field => {
+        const range = rangeFilters[field];
+        if (range && (isRangeBound(range.min) || isRangeBound(range.max))) params.set(field, formatRangeParam(range));
+    });
+    const timeRange = rangeFilters.timestamp;
+    if (timeRange && positionList.TIME_RANGE_PRESETS.includes(timeRange.preset)) {
+        params.set(TIME_RANGE_PARAM, timeRange.preset);
+    } else if (timeRange && (isRangeBound(timeRange.min) || isRangeBound(timeRange.max))) {
+        params.set(TIME_RANGE_PARAM, formatRangeParam(timeRange));
+    }
+    if (state.sortKeys && state.sortKeys.length > 0) params.set(VIEW_STATE_PARAMS.sortKeys, positionList.formatSortKeys(state.sortKeys));
+    if (state.groupBy && state.groupBy !== DEFAULT_VIEW_STATE.groupBy) {
+        params.set(VIEW_STATE_PARAMS.groupBy, state.groupBy);
+        // The group order only matters with grouping
+        if (state.groupOrder && state.groupOrder !== DEFAULT_VIEW_STATE.groupOrder) params.set(VIEW_STATE_PARAMS.groupOrder, state.groupOrder);
+    }
+    if (state.viewMode && state.viewMode !== DEFAULT_VIEW_STATE.viewMode) params.set(VIEW_STATE_PARAMS.viewMode, state.viewMode);
+    return params.toString();
+}
+
+/**
+ * Decodes URL hash parameters into a complete view state; what the hash leaves out has its default value.
+ * Malformed ranges and unknown sort fields are dropped; other values are checked when applied to the controls.
+ * @param {string} hash - With or without the leading '#'.
+ * @returns {ViewState|null} null if the hash has no view parameters (e.g. `#main-content`).
+ */
+function decodeViewState(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const knownNames = [...Object.values(VIEW_STATE_PARAMS), ...positionList.RANGE_FILTER_FIELDS, TIME_RANGE_PARAM];
+    if (![...params.keys()].some(name => knownNames.includes(name))) return null;
+
+    const state = { ...DEFAULT_VIEW_STATE, rangeFilters: {}, sortKeys: [] };
+    ['typeFilter', 'symbolSearch', 'groupBy', 'groupOrder', 'viewMode'].forEach(property => {
+        const value = params.get(VIEW_STATE_PARAMS[property]);
+        if (value !== null && value !== '') state[property] = value;
+    });
+    if (params.has(VIEW_STATE_PARAMS.sortKeys)) state.sortKeys = positionList.parseSortKeys(params.get(VIEW_STATE_PARAMS.sortKeys));
+    positionList.RANGE_FILTER_FIELDS.forEach(field => {
+        const range = params.has(field) ? parseRangeParam(params.get(field)) : null;
+        if (range) state.rangeFilters[field] = range;
+    });
+    const timeParam = params.get(TIME_RANGE_PARAM);
+    if (timeParam !== null) {
+        const timeRange = positionList.TIME_RANGE_PRESETS.includes(timeParam) ? { preset: timeParam } : parseRangeParam(timeParam);
+        if (timeRange) state.rangeFilters.timestamp = timeRange;
+    }
+    return state;
+}
+
+globalThis.viewState = { DEFAULT_VIEW_STATE, encodeViewState, decodeViewState };
@@ -0,0 +1,267 @@
+// js/virtuallist.js
+/**
+ * @file Windowed list rendering for OpenPos.
+ * Keeps only the rows in and near the viewport in the DOM, with two spacers standing in for the
+ * rows above and below. Rows may differ in height: every rendered row is measured (again whenever it
+ * resizes), and rows not measured yet are estimated from the measured rows of the same kind.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * How far beyond the viewport rows are kept rendered, in px (each direction).
+ * @const {number}
+ */
+const VIRTUAL_LIST_OVERSCAN_PX = 800;
+
+/**
+ * Returns the top offset of every row, followed by the total height.
+ * @param {Array<number>} heights - Row heights.
+ * @returns {Array<number>} `heights.length + 1` offsets.
+ */
+function computeRowOffsets(heights) {
+    const offsets = new Array(heights.length + 1);
+    offsets[0] = 0;
+    for (let index = 0; index < heights.length; index++) {
+        offsets[index + 1] = offsets[index] + heights[index];
+    }
+    return offsets;
+}
+
+/**
+ * Finds the rows that overlap a vertical range (binary search over the offsets).
+ * @param {Array<number>} offsets - From computeRowOffsets.
+ * @param {number} rangeStart - Top of the range, relative to the first row.
+ * @param {number} rangeEnd - Bottom of the range.
+ * @returns {{start: number, end: number}} Index range, `end` exclusive; empty only if there are no rows.
+ */
+function findVisibleRange(offsets, rangeStart, rangeEnd) {
+    const rowCount = offsets.length - 1;
+    if (rowCount <= 0) return { start: 0, end: 0 };
+
+    let low = 0;
+    let high = rowCount - 1;
+    while (low < high) { // First row whose bottom is below rangeStart
+        const middle = (low + high) >> 1;
+        if (offsets[middle + 1] > rangeStart) high = middle;
+        else low = middle + 1;
+    }
+    const start = low;
+
+    low = start + 1;
+    high = rowCount;
+    while (low < high) { // First row (after start) whose top is at or below rangeEnd
+        const middle = (low + high) >> 1;
+        if (offsets[middle] >= rangeEnd) high = middle;
+        else low = middle + 1;
+    }
+    return { start, end: low };
+}
+
+/**
+ * A windowed list, as returned by createVirtualList.
+ * @typedef {Object} VirtualList
+ * @property {function(number): void} setRowCount - Replaces all rows (they are rendered again on demand).
+ * @property {function(number): void} scrollToIndex - Scrolls so that a row is at the top of the viewport.
+ * @property {function(): number} getFirstVisibleIndex - Index of the first row in the viewport.
+ * @property {function(): {start: number, end: number}} getRenderedRange
+ * @property {function(): void} forgetHeights - Drops all measured heights (e.g., after the row layout changed).
+ * @property {function(): Object<string, number>} getAverageHeights - Average measured height per kind, e.g. as
+ *   `defaultHeights` of a list that replaces this one.
+ * @property {function(): void} destroy - Removes listeners and observers; the rows stay in the DOM.
+ */
+
+/**
+ * Creates a windowed list inside a container.
+ * @param {Object} options
+ * @param {HTMLElement} options.container - Element the rows are rendered into, between the spacers.
+ * @param {HTMLElement|null} [options.scrollElement=null] - Scrolling ancestor, or null when the page scrolls.
+ * @param {function(number): HTMLElement} options.renderRow - Builds the row at an index.
+ * @param {function(number): *} options.getKey - Identifies a row in the height cache (kept across setRowCount).
+ * @param {function(number): string} [options.getKind] - Kind of a row, for height estimates.
+ * @param {Object<string, number>} [options.defaultHeights={}] - Estimate per kind before a row of that kind was measured.
+ * @param {string} [options.spacerTag='div'] - 'tr' for table bodies.
+ * @param {number} [options.spacerColumns=1] - Number of columns the spacer cells span, with 'tr' spacers.
+ * @param {function({start: number, end: number}): void} [options.onRender] - Called after every render with the rendered range.
+ * @returns {VirtualList}
+ */
+function createVirtualList(options) {
+    const { container } = options;
+    const scrollElement = options.scrollElement || null;
+    const getKind = options.getKind || (() => 'row');
+    const defaultHeights = options.defaultHeights || {};
+
+    const createSpacer = () => {
+        const spacer = document.createElement(options.spacerTag || 'div');
+        spacer.className = 'virtual-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        if (spacer.tagName === 'TR') {
+            const cell = document.createElement('td');
+            cell.colSpan = options.spacerColumns || 1;
+            spacer.appendChild(cell);
+        }
+        return spacer;
+    };
+    const topSpacer = createSpacer();
+    const bottomSpacer = createSpacer();
+    container.append(topSpacer, bottomSpacer);
+
+    let rowCount = 0;
+    let offsets = [0];
+    let offsetsDirty = true;
+    let heightsByKey = new Map(); // Row key -> {height, kind}
+    let measuredByKind = new Map(); // Kind -> {sum, count}, for estimates
+    let renderedRows = new Map(); // Row index -> element
+    let renderedRange = { start: 0, end: 0 };
+    let frameId = null;
+
+    const estimateHeight = kind => {
+        const measured = measuredByKind.get(kind);
+        if (measured && measured.count) return measured.sum / measured.count;
+        return defaultHeights[kind] || 100;
+    };
+    const getRowHeight = index => {
+        const cached = heightsByKey.get(options.getKey(index));
+        return cached ? cached.height : estimateHeight(getKind(index));
+    };
+    const updateOffsets = () => {
+        if (!offsetsDirty) return;
+        const heights = new Array(rowCount);
+        for (let index = 0; index < rowCount; index++) heights[index] = getRowHeight(index);
+        offsets = computeRowOffsets(heights);
+        offsetsDirty = false;
+    };
+    const setSpacerHeight = (spacer, height) => {
+        (spacer.firstChild || spacer).style.height = `${Math.max(0, height)}px`;
+    };
+    const getViewport = () => {
+        const rowsTop = topSpacer.getBoundingClientRect().bottom; // Where the first rendered row starts
+        const listTop = rowsTop - offsets[renderedRange.start]; // Where row 0 would start
+        const viewTop = scrollElement ? scrollElement.getBoundingClientRect().top : 0;
+        const viewBottom = scrollElement ? scrollElement.getBoundingClientRect().bottom : window.innerHeight;
+        return { start: viewTop - listTop, end: viewBottom - listTop };
+    };
+
+    /**
+     * Measures the rendered rows; returns true if any height changed.
+     * @private
+     */
+    const measureRenderedRows = () => {
+        let changed = false;
+        renderedRows.forEach((element, index) => {
+            const height = element.getBoundingClientRect().height;
+            if (!(height > 0)) return; // Not laid out (hidden, or no layout engine)
+            const key = options.getKey(index);
+            const kind = getKind(index);
+            const previous = heightsByKey.get(key);
+            if (previous && Math.abs(previous.height - height) < 0.5) return;
+            const totals = measuredByKind.get(kind) || { sum: 0, count: 0 };
+            if (previous) totals.sum -= previous.height;
+            else totals.count++;
+            totals.sum += height;
+            measuredByKind.set(kind, totals);
+            heightsByKey.set(key, { height, kind });
+            changed = true;
+        });
+        if (changed) offsetsDirty = true;
+        return changed;
+    };
+
+    const resizeObserver = typeof ResizeObserver === 'function'
+        ? new ResizeObserver(() => { if (measureRenderedRows()) scheduleRender(); })
+        : null;
+
+    const render = () => {
+        frameId = null;
+        updateOffsets();
+        const viewport = getViewport();
+        const range = findVisibleRange(offsets, viewport.start - VIRTUAL_LIST_OVERSCAN_PX, viewport.end + VIRTUAL_LIST_OVERSCAN_PX);
+
+        renderedRows.forEach((element, index) => {
+            if (index >= range.start && index < range.end) return;
+            if (resizeObserver) resizeObserver.unobserve(element);
+            element.remove();
+            renderedRows.delete(index);
+        });
+        // Rows that stay are never moved, so focus inside them is kept
+        let previous = topSpacer;
+        for (let index = range.start; index < range.end; index++) {
+            let element = renderedRows.get(index);
+            if (!element) {
+                element = options.renderRow(index);
+                renderedRows.set(index, element);
+                if (resizeObserver) resizeObserver.observe(element);
+            }
+            if (previous.nextSibling !== element) container.insertBefore(element, previous.nextSibling);
+            previous = element;
+        }
+        renderedRange = range;
+        setSpacerHeight(topSpacer, offsets[range.start]);
+        setSpacerHeight(bottomSpacer, offsets[rowCount] - offsets[range.end]);
+        if (options.onRender) options.onRender(range);
+
+        if (measureRenderedRows()) { // Estimates were off; the window may need other rows now
+            updateOffsets();
+            setSpacerHeight(topSpacer, offsets[range.start]);
+            setSpacerHeight(bottomSpacer, offsets[rowCount] - offsets[range.end]);
+            scheduleRender();
+        }
+    };
+
+    function scheduleRender() {
+        if (frameId === null) frameId = requestAnimationFrame(render);
+    }
+
+    const scrollTarget = scrollElement || window;
+    scrollTarget.addEventListener('scroll', scheduleRender, { passive: true });
+    window.addEventListener('resize', scheduleRender);
+
+    return {
+        setRowCount(count) {
+            renderedRows.forEach(element => {
+                if (resizeObserver) resizeObserver.unobserve(element);
+                element.remove();
+            });
+            renderedRows = new Map();
+            renderedRange = { start: 0, end: 0 };
+            rowCount = count;
+            offsetsDirty = true;
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            render();
+        },
+        scrollToIndex(index) {
+            updateOffsets();
+            const delta = offsets[Math.max(0, Math.min(index, rowCount))] - getViewport().start;
+            if (scrollElement) scrollElement.scrollTop += delta;
+            else window.scrollTo(0, window.scrollY + delta);
+            render();
+        },
+        getFirstVisibleIndex() {
+            updateOffsets();
+            const viewport = getViewport();
+            return findVisibleRange(offsets, viewport.start, viewport.start + 1).start;
+        },
+        getRenderedRange() {
+            return { ...renderedRange };
+        },
+        forgetHeights() {
+            heightsByKey = new Map();
+            measuredByKind = new Map();
+            offsetsDirty = true;
+        },
+        getAverageHeights() {
+            const averages = {};
+            measuredByKind.forEach((totals, kind) => { averages[kind] = totals.sum / totals.count; });
+            return averages;
+        },
+        destroy() {
+            scrollTarget.removeEventListener('scroll', scheduleRender);
+            window.removeEventListener('resize', scheduleRender);
+            if (resizeObserver) resizeObserver.disconnect();
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    };
+}
+
+globalThis.virtualList = { VIRTUAL_LIST_OVERSCAN_PX, computeRowOffsets, findVisibleRange, createVirtualList };
@@ -0,0 +1,157 @@
+// js/workerclient.js
+/**
+ * @file Page side of the list worker (listworker.js).
+ * Validation and filtering/sorting of the position list are sent to the worker, so large payloads don't
+ * freeze the page. Where workers are unavailable (or the worker fails) the same functions run on the page
+ * instead; either way the results are returned asynchronously.
+ *
+ * Messages to the worker: `{id, type: 'validate', data, messageTemplates}` (answered with `{id, result}`),
+ * `{type: 'setPositions', positions}`, `{id, type: 'query', query}` (answered with `{id, indexes}`) and
+ * `{id, type: 'cancel'}`.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+/**
+ * @namespace positionWorker
+ * @description Global namespace for validating and querying positions off the main thread.
+ */
+window.positionWorker = {};
+
+/**
+ * Location of the worker script, relative to the page.
+ * @const {string}
+ */
+const LIST_WORKER_URL = 'js/listworker.js';
+
+let listWorker = null;
+let listWorkerUnavailable = typeof Worker !== 'function';
+let listWorkerRequestCounter = 0;
+const listWorkerRequests = new Map(); // Request id -> {resolve, runOnPage} of requests the worker hasn't answered yet
+let listWorkerPositions = []; // Positions of the last setPositions; query results index into this list
+let activeListQueryId = null;
+
+/**
+ * Stops using the worker after it failed; requests it hasn't answered are run on the page.
+ * @private
+ * @param {string} reason
+ */
+function abandonListWorker(reason) {
+    console.warn(`List worker unavailable (${reason}); validating and sorting on the page.`);
+    if (listWorker) listWorker.terminate();
+    listWorker = null;
+    listWorkerUnavailable = true;
+    const unanswered = [...listWorkerRequests.values()];
+    listWorkerRequests.clear();
+    unanswered.forEach(request => request.resolve(request.runOnPage()));
+}
+
+/**
+ * Returns the worker, starting it on first use, or null when requests have to run on the page.
+ * @private
+ * @returns {Worker|null}
+ */
+function getListWorker() {
+    if (listWorker || listWorkerUnavailable) return listWorker;
+    try {
+        listWorker = new Worker(LIST_WORKER_URL);
+    } catch (error) { // e.g., the page was opened from file://
+        abandonListWorker(error.message);
+        return null;
+    }
+    listWorker.addEventListener('message', event => {
+        const request = listWorkerRequests.get(event.data.id);
+        if (!request) return; // Cancelled
+        listWorkerRequests.delete(event.data.id);
+        request.resolve(event.data);
+    });
+    listWorker.addEventListener('error', event => {
+        event.preventDefault();
+        abandonListWorker(event.message || 'error');
+    });
+    return listWorker;
+}
+
+/**
+ * Sends a request to the worker, or runs it on the page.
+ * @private
+ * @param {Object} message - Without `id`.
+ * @param {function(): Object} runOnPage - Computes the worker's answer on the page.
+ * @returns {{id: number, promise: Promise<Object|null>}} The promise resolves with the answer, or null if cancelled.
+ */
+function sendListWorkerRequest(message, runOnPage) {
+    const id = ++listWorkerRequestCounter;
+    const worker = getListWorker();
+    if (!worker) return { id, promise: Promise.resolve().then(runOnPage) };
+
+    const promise = new Promise(resolve => listWorkerRequests.set(id, { resolve, runOnPage }));
+    try {
+        worker.postMessage({ ...message, id });
+    } catch (error) { // Data that can't be cloned
+        const request = listWorkerRequests.get(id);
+        listWorkerRequests.delete(id);
+        request.resolve(runOnPage());
+    }
+    return { id, promise };
+}
+
+/** @private */
+function cancelListWorkerRequest(id) {
+    const request = listWorkerRequests.get(id);
+    if (!request) return;
+    listWorkerRequests.delete(id);
+    request.resolve(null);
+    if (listWorker) listWorker.postMessage({ id, type: 'cancel' });
+}
+
+/**
+ * Validates raw positions (see validatePositionsArray in validator.js).
+ * @function validatePositions
+ * @memberof positionWorker
+ * @param {*} data - Raw positions from the API.
+ * @returns {Promise<{isValid: boolean, validatedPositions: Array<Position>, errors: Array<string>, rowErrors: Array<{index: number, symbol: string, errors: Array<string>}>}>}
+ */
+window.positionWorker.validatePositions = function(data) {
+    // The worker has no translations, so it gets the message templates in the current language
+    const messageTemplates = {};
+    VALIDATION_MESSAGE_KEYS.forEach(key => { messageTemplates[key] = translate(key); });
+    const { promise } = sendListWorkerRequest({ type: 'validate', data, messageTemplates }, () => ({ result: validatePositionsArray(data) }));
+    return promise.then(response => response.result);
+};
+
+/**
+ * Sets the positions later queries run on.
+ * @function setPositions
+ * @memberof positionWorker
+ * @param {Array<Position>} positions
+ */
+window.positionWorker.setPositions = function(positions) {
+    listWorkerPositions = positions;
+    const worker = getListWorker();
+    if (!worker) return;
+    try {
+        worker.postMessage({ type: 'setPositions', positions });
+    } catch (error) {
+        abandonListWorker(error.message);
+    }
+};
+
+/**
+ * Filters and sorts the positions of the last setPositions. Starting a query cancels the previous one,
+ * whose promise then resolves with null.
+ * @function queryPositions
+ * @memberof positionWorker
+ * @param {ListQuery} query
+ * @returns {Promise<Array<Position>|null>} The same position objects that were set, or null if superseded.
+ */
+window.positionWorker.queryPositions = function(query) {
+    if (activeListQueryId !== null) cancelListWorkerRequest(activeListQueryId);
+    const positions = listWorkerPositions;
+    const request = sendListWorkerRequest({ type: 'query', query }, () => ({ indexes: positionList.queryPositionIndexes(positions, query) }));
+    activeListQueryId = request.id;
+    return request.promise.then(response => {
+        if (!response || request.id !== activeListQueryId) return null;
+        activeListQueryId = null;
+        return response.indexes.map(index => positions[index]);
+    });
+};
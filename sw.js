@@ -1,11 +1,26 @@
 // sw.js
 
-const CACHE_NAME = 'openpos-cache-v2'; // به‌روز شده
-const DATA_CACHE_NAME = 'openpos-data-cache-v1';
-// !!! مهم: این آدرس را با دامنه واقعی API خودتان جایگزین کنید !!!
-const API_URL_ORIGIN = 'https://api.example.com'; // مثال
-// یا اگر API روی همان دامنه است اما مسیر خاصی دارد:
-// const API_PATH_PATTERN = '/api/v1/positions';
+// ماژول‌های بدون DOM برنامه، برای به‌روزرسانی در پس‌زمینه همان کدی را اجرا می‌کنیم که صفحه اجرا می‌کند
+importScripts(
+    './js/auth.js', './js/api.js', './js/adapters.js', './js/mapping.js', './js/validator.js',
+    './js/diff.js', './js/searchquery.js', './js/alerts.js', './js/backgroundrefresh.js'
+);
+
+const CACHE_NAME = 'openpos-cache-v25'; // به‌روز شده
+// هر منبع داده فقط یک ورودی دارد، با آدرس تنظیم‌شده منبع (بدون امضا) به عنوان کلید؛
+// نسخه v1 برای هر درخواست امضاشده (timestamp و signature جدید) یک ورودی تازه نگه می‌داشت و پاک می‌شود.
+const DATA_CACHE_NAME = 'openpos-data-cache-v2';
+// آدرس منبع داده فعال توسط app.js (پیام SET_API_SOURCE) ارسال می‌شود و در این کش نگه داشته می‌شود،
+// چون Service Worker ممکن است متوقف و دوباره اجرا شود و به localStorage دسترسی ندارد.
+const CONFIG_CACHE_NAME = 'openpos-config-v1';
+const API_SOURCE_CONFIG_KEY = './__openpos/api-source';
+// تنظیمات به‌روزرسانی در پس‌زمینه (منبع داده، قوانین هشدار، متن پیام‌ها) که app.js (پیام SET_BACKGROUND_CONFIG) می‌فرستد.
+// توجه: شامل اطلاعات احراز هویت منبع فعال است (مانند localStorage صفحه، برای هر اسکریپت هم‌مبدأ قابل خواندن است)؛
+// به همین دلیل handleStaticRequest فقط در کش فایل‌های برنامه جستجو می‌کند تا این ورودی هرگز به عنوان پاسخ ارائه نشود.
+const BACKGROUND_CONFIG_KEY = './__openpos/background-config';
+// نتیجه آخرین به‌روزرسانی در پس‌زمینه و هشدارهایی که هنوز به صفحه تحویل نشده‌اند
+const BACKGROUND_STATUS_KEY = './__openpos/background-status';
+const BACKGROUND_PENDING_ALERTS_LIMIT = 100;
 
 const urlsToCache = [
     './',
@@ -13,7 +28,39 @@ const urlsToCache = [
     './manifest.json',
     './css/style.css',
     './js/app.js',
+    './js/adapters.js',
     './js/api.js',
+    './js/auth.js',
+    './js/datasources.js',
+    './js/diff.js',
+    './js/mapping.js',
+    './js/margin.js',
+    './js/margintiers.js',
+    './js/summary.js',
+    './js/tableview.js',
+    './js/virtuallist.js',
+    './js/searchquery.js',
+    './js/positionlist.js',
+    './js/viewstate.js',
+    './js/savedviews.js',
+    './js/export.js',
+    './js/diffreport.js',
+    './js/charts.js',
+    './js/alerts.js',
+    './js/backgroundrefresh.js',
+    './js/import.js',
+    './js/importpanel.js',
+    './js/history.js',
+    './js/timeline.js',
+    './js/diffpanel.js',
+    './js/chartpanel.js',
+    './js/alertpanel.js',
+    './js/listworker.js',
+    './js/workerclient.js',
+    './js/markprices.js',
+    './js/pricing.js',
+    './js/refresh.js',
+    './js/stream.js',
     './js/ui.js',
     './js/i18n.js',
     './js/theme.js',
@@ -51,7 +98,7 @@ self.addEventListener('activate', event => {
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cache => {
-                    if (cache !== CACHE_NAME && cache !== DATA_CACHE_NAME) {
+                    if (cache !== CACHE_NAME && cache !== DATA_CACHE_NAME && cache !== CONFIG_CACHE_NAME) {
                         console.log(`Service Worker (${CACHE_NAME}): Clearing old static cache:`, cache);
                         return caches.delete(cache);
                     }
@@ -64,74 +111,281 @@ self.addEventListener('activate', event => {
     );
 });
 
+/**
+ * یک مقدار JSON را از کش تنظیمات می‌خواند.
+ * @param {string} key
+ * @param {*} fallback - اگر چیزی (یا چیز خوانایی) ذخیره نشده باشد برگردانده می‌شود.
+ * @returns {Promise<*>}
+ */
+function readConfigEntry(key, fallback) {
+    return caches.open(CONFIG_CACHE_NAME)
+        .then(cache => cache.match(key))
+        .then(response => (response ? response.json() : fallback))
+        .catch(() => fallback);
+}
+
+/**
+ * یک مقدار JSON را در کش تنظیمات ذخیره می‌کند.
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+function writeConfigEntry(key, value) {
+    return caches.open(CONFIG_CACHE_NAME).then(cache => cache.put(
+        key,
+        new Response(JSON.stringify(value), { headers: { 'Content-Type': 'application/json' } })
+    ));
+}
+
+/**
+ * آدرس منبع داده فعال (یا null اگر هنوز تنظیم نشده). undefined یعنی هنوز از کش خوانده نشده است.
+ * @type {string|null|undefined}
+ */
+let activeApiSourceUrl;
+
+/**
+ * آدرس منبع داده فعال را برمی‌گرداند و در صورت نیاز آن را از کش تنظیمات می‌خواند.
+ * @returns {Promise<string|null>}
+ */
+function getActiveApiSourceUrl() {
+    if (activeApiSourceUrl !== undefined) return Promise.resolve(activeApiSourceUrl);
+    return readConfigEntry(API_SOURCE_CONFIG_KEY, { url: null }).then(config => {
+        activeApiSourceUrl = (config && config.url) || null;
+        return activeApiSourceUrl;
+    });
+}
+
+/**
+ * آدرس منبع داده فعال را ذخیره می‌کند.
+ * @param {string|null} url
+ * @returns {Promise<void>}
+ */
+function setActiveApiSourceUrl(url) {
+    activeApiSourceUrl = url || null;
+    return writeConfigEntry(API_SOURCE_CONFIG_KEY, { url: activeApiSourceUrl });
+}
+
+/**
+ * بررسی می‌کند که آیا درخواست به منبع داده فعال مربوط است (بدون در نظر گرفتن query string).
+ * @param {URL} requestUrl
+ * @param {string|null} sourceUrl
+ * @returns {boolean}
+ */
+function isApiSourceRequest(requestUrl, sourceUrl) {
+    if (!sourceUrl) return false;
+    const source = new URL(sourceUrl);
+    return requestUrl.origin === source.origin && requestUrl.pathname === source.pathname;
+}
+
+// --- به‌روزرسانی در پس‌زمینه (Periodic Background Sync و Background Sync) ---
+// وقتی هیچ تب برنامه دیده نمی‌شود، موقعیت‌ها دوباره دریافت، در کش داده ذخیره و قوانین هشدار بررسی می‌شوند.
+// در مرورگرهایی که این APIها را ندارند، رویدادهای sync هرگز نمی‌رسند و این بخش کاری انجام نمی‌دهد.
+
+/**
+ * قالب پیام‌ها به زبان صفحه (کلید ترجمه -> متن)، از آخرین تنظیمات پس‌زمینه.
+ * @type {Object<string, string>}
+ */
+let messageTemplates = {};
+
+/**
+ * جایگزین translate() در i18n.js برای validator.js و alerts.js: جای‌نگهدارهای قالب‌های ارسالی صفحه را پر می‌کند.
+ * @param {string} key
+ * @param {Object<string, string|number>} [vars={}]
+ * @returns {string}
+ */
+function translate(key, vars = {}) {
+    let text = messageTemplates[key];
+    if (typeof text !== 'string') return key;
+    for (const [varKey, varValue] of Object.entries(vars)) {
+        text = text.replace(new RegExp(`{{${varKey}}}`, 'g'), String(varValue));
+    }
+    return text;
+}
+
+/**
+ * وضعیت به‌روزرسانی در پس‌زمینه را برای تب‌های باز (مثلاً پنهان) می‌فرستد.
+ * @param {Array<Client>} windowClients
+ * @param {Object} status
+ */
+function postBackgroundStatus(windowClients, status) {
+    windowClients.forEach(client => client.postMessage({ type: 'BACKGROUND_REFRESH_STATUS', status }));
+}
+
+/**
+ * موقعیت‌های منبع داده فعال را دوباره دریافت می‌کند و قوانین هشدار را بررسی می‌کند.
+ * اگر تبی از برنامه دیده می‌شود کاری نمی‌کند، چون خود صفحه به‌روزرسانی و هشدار می‌دهد.
+ * @returns {Promise<void>} در صورت خطای شبکه رد می‌شود تا مرورگر Background Sync را دوباره امتحان کند.
+ */
+async function refreshInBackground() {
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    if (windowClients.some(client => client.visibilityState === 'visible')) return;
+    const config = await readConfigEntry(BACKGROUND_CONFIG_KEY, null);
+    if (!config || !config.source) return;
+    messageTemplates = config.messageTemplates || {};
+    const status = await readConfigEntry(BACKGROUND_STATUS_KEY, null) || { entries: [], record: null };
+
+    const dataCache = await caches.open(DATA_CACHE_NAME);
+    const cacheWrites = [];
+    const result = await backgroundRefresh.runBackgroundRefresh(config.source, config.rules || [], status.record, {
+        onResponse: (signedUrl, response) => cacheWrites.push(dataCache.put(config.source.url, response)) // کلید: آدرس بدون امضا
+    });
+    await Promise.all(cacheWrites);
+    console.log(`Service Worker (${CACHE_NAME}): Background refresh fetched ${result.positionCount} positions, ${result.alerts.length} alerts.`);
+
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        await Promise.all(positionAlerts.buildAlertNotifications(result.alerts, translate).map(notification =>
+            self.registration.showNotification(notification.title, {
+                body: notification.body,
+                tag: notification.tag,
+                icon: './assets/images/icons/icon-192x192.png'
+            })
+        ));
+    }
+    const nextStatus = {
+        time: result.time,
+        sourceId: config.source.id,
+        positionCount: result.positionCount,
+        entries: [...status.entries, ...result.alerts.map(positionAlerts.createAlertLogEntry)].slice(-BACKGROUND_PENDING_ALERTS_LIMIT),
+        record: result.record
+    };
+    await writeConfigEntry(BACKGROUND_STATUS_KEY, nextStatus);
+    postBackgroundStatus(windowClients, nextStatus);
+}
+
+/**
+ * تنظیمات پس‌زمینه را ذخیره می‌کند. وضعیت هشدار صفحه اگر جدیدتر باشد نقطه شروع بررسی بعدی می‌شود.
+ * @param {{source: (BackgroundSource|null), rules: Array<AlertRule>, messageTemplates: Object<string, string>, alertState: (AlertStateRecord|null)}} config
+ * @returns {Promise<void>}
+ */
+async function setBackgroundConfig({ source, rules, messageTemplates: templates, alertState }) {
+    await writeConfigEntry(BACKGROUND_CONFIG_KEY, { source: source || null, rules: rules || [], messageTemplates: templates || {} });
+    const status = await readConfigEntry(BACKGROUND_STATUS_KEY, null);
+    if (alertState && (!status || !status.record || alertState.evaluatedAt > status.record.evaluatedAt)) {
+        await writeConfigEntry(BACKGROUND_STATUS_KEY, { ...(status || { entries: [] }), record: alertState });
+    }
+}
+
+/**
+ * هشدارهایی را که صفحه به گزارش هشدارها اضافه کرده است (تا زمان داده‌شده) از فهرست تحویل‌نشده‌ها حذف می‌کند.
+ * @param {number} until - Unix ms.
+ * @returns {Promise<void>}
+ */
+async function acknowledgeBackgroundAlerts(until) {
+    const status = await readConfigEntry(BACKGROUND_STATUS_KEY, null);
+    if (!status || !status.entries.some(entry => entry.time <= until)) return;
+    await writeConfigEntry(BACKGROUND_STATUS_KEY, { ...status, entries: status.entries.filter(entry => entry.time > until) });
+}
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === backgroundRefresh.BACKGROUND_REFRESH_TAG) {
+        event.waitUntil(refreshInBackground().catch(error => {
+            console.warn(`Service Worker (${CACHE_NAME}): Background refresh failed:`, error.message);
+        }));
+    }
+});
+
+// Background Sync یک‌باره (مثلاً پس از قطع شبکه): با رد شدن Promise، مرورگر بعداً دوباره تلاش می‌کند
+self.addEventListener('sync', event => {
+    if (event.tag === backgroundRefresh.BACKGROUND_REFRESH_TAG) {
+        event.waitUntil(refreshInBackground());
+    }
+});
+
 self.addEventListener('message', event => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
         console.log(`Service Worker (${CACHE_NAME}): Received SKIP_WAITING message. Activating new SW.`);
         self.skipWaiting();
+    } else if (event.data && event.data.type === 'SET_API_SOURCE') {
+        console.log(`Service Worker (${CACHE_NAME}): Active API source updated.`);
+        event.waitUntil(setActiveApiSourceUrl(event.data.url));
+    } else if (event.data && event.data.type === 'SET_BACKGROUND_CONFIG') {
+        event.waitUntil(setBackgroundConfig(event.data.config || {}));
+    } else if (event.data && event.data.type === 'GET_BACKGROUND_STATUS') {
+        event.waitUntil(readConfigEntry(BACKGROUND_STATUS_KEY, null).then(status => {
+            if (status && event.source) event.source.postMessage({ type: 'BACKGROUND_REFRESH_STATUS', status });
+        }));
+    } else if (event.data && event.data.type === 'BACKGROUND_ALERTS_RECEIVED') {
+        event.waitUntil(acknowledgeBackgroundAlerts(event.data.until));
     }
 });
 
-self.addEventListener('fetch', event => {
-    const requestUrl = new URL(event.request.url);
+// کلیک روی اعلان هشدار (alertpanel.js یا به‌روزرسانی در پس‌زمینه): پنجره باز برنامه را فوکوس کن یا برنامه را باز کن
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+            const appClient = windowClients.find(client => client.url.startsWith(self.registration.scope));
+            if (appClient) return appClient.focus();
+            return self.clients.openWindow(self.registration.scope);
+        })
+    );
+});
 
-    // استراتژی برای درخواست‌های API
-    // !!! مهم: این شرط را برای شناسایی صحیح درخواست‌های API خودتان تنظیم کنید !!!
-    // مثال: اگر API_URL شما در app.js مثلاً 'https://my-api.com/data' است،
-    // می‌توانید از requestUrl.origin === 'https://my-api.com' استفاده کنید.
-    // یا اگر API_URL در app.js یک مسیر نسبی روی همین دامنه است (مثلاً '/api/data')
-    // می‌توانید از requestUrl.pathname.startsWith('/api/') استفاده کنید.
-    const isApiRequest = requestUrl.origin === API_URL_ORIGIN || requestUrl.href.includes("YOUR_ACTUAL_API_ENDPOINT_PATH_PATTERN_HERE");
-
-
-    if (isApiRequest && event.request.method === 'GET') { // فقط درخواست‌های GET مربوط به API را با این استراتژی کش کن
-        event.respondWith(
-            caches.open(DATA_CACHE_NAME).then(cache => {
-                return fetch(event.request)
-                    .then(networkResponse => {
-                        if (networkResponse.ok) {
-                            console.log(`Service Worker (${CACHE_NAME}): Caching API response for: ${event.request.url}`);
-                            cache.put(event.request, networkResponse.clone());
-                        }
-                        return networkResponse;
-                    })
-                    .catch(() => {
-                        console.log(`Service Worker (${CACHE_NAME}): Network failed, serving API from cache: ${event.request.url}`);
-                        return cache.match(event.request).then(response => {
-                            return response || Promise.reject('No cache match for API and network failed.');
-                        });
-                    });
+// استراتژی برای درخواست‌های API (Network first, then cache)
+// کلید کش آدرس تنظیم‌شده منبع است، نه آدرس درخواست: درخواست‌های امضاشده (HMAC) در هر بار timestamp و signature
+// تازه دارند و با آن کلیدها کش بی‌نهایت بزرگ می‌شد و در حالت آفلاین هیچ‌وقت پاسخی پیدا نمی‌شد.
+function handleApiRequest(request, sourceUrl) {
+    return caches.open(DATA_CACHE_NAME).then(cache => {
+        return fetch(request)
+            .then(networkResponse => {
+                if (networkResponse.ok) {
+                    console.log(`Service Worker (${CACHE_NAME}): Caching API response for: ${sourceUrl}`);
+                    cache.put(sourceUrl, networkResponse.clone());
+                }
+                return networkResponse;
             })
-        );
-        return;
-    }
+            .catch(() => {
+                console.log(`Service Worker (${CACHE_NAME}): Network failed, serving API from cache: ${sourceUrl}`);
+                return cache.match(sourceUrl).then(response => {
+                    return response || Promise.reject('No cache match for API and network failed.');
+                });
+            });
+    });
+}
 
-    // استراتژی برای فایل‌های استاتیک برنامه (Cache first, then network)
-    event.respondWith(
-        caches.match(event.request)
-            .then(cachedResponse => {
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-                return fetch(event.request).then(
-                    networkResponse => {
-                        // فقط پاسخ‌های موفق و از نوع basic (همان دامنه) را کش کن
-                        if (!networkResponse || !networkResponse.ok || networkResponse.type !== 'basic') {
-                            return networkResponse;
-                        }
-                        const responseToCache = networkResponse.clone();
-                        caches.open(CACHE_NAME)
-                            .then(cache => {
-                                cache.put(event.request, responseToCache);
-                            });
+// استراتژی برای فایل‌های استاتیک برنامه (Cache first, then network)
+// فقط کش فایل‌های برنامه، نه کش داده‌ها یا تنظیمات
+function handleStaticRequest(request) {
+    return caches.open(CACHE_NAME)
+        .then(cache => cache.match(request))
+        .then(cachedResponse => {
+            if (cachedResponse) {
+                return cachedResponse;
+            }
+            return fetch(request).then(
+                networkResponse => {
+                    // فقط پاسخ‌های موفق و از نوع basic (همان دامنه) را کش کن
+                    if (!networkResponse || !networkResponse.ok || networkResponse.type !== 'basic') {
                         return networkResponse;
                     }
-                ).catch(error => {
-                    console.error(`Service Worker (${CACHE_NAME}): Error fetching static asset ${event.request.url}:`, error);
-                    // می‌توانید یک صفحه آفلاین عمومی برگردانید
-                    // if (event.request.mode === 'navigate') {
-                    //     return caches.match('./offline.html'); // نیازمند فایل offline.html و کش شدن آن
-                    // }
-                });
-            })
+                    const responseToCache = networkResponse.clone();
+                    caches.open(CACHE_NAME)
+                        .then(cache => {
+                            cache.put(request, responseToCache);
+                        });
+                    return networkResponse;
+                }
+            ).catch(error => {
+                console.error(`Service Worker (${CACHE_NAME}): Error fetching static asset ${request.url}:`, error);
+                // می‌توانید یک صفحه آفلاین عمومی برگردانید
+                // if (request.mode === 'navigate') {
+                //     return caches.match('./offline.html'); // نیازمند فایل offline.html و کش شدن آن
+                // }
+            });
+        });
+}
+
+self.addEventListener('fetch', event => {
+    const requestUrl = new URL(event.request.url);
+
+    // آدرس منبع داده فعال از تنظیمات کاربر خوانده می‌شود (نه یک مقدار ثابت در کد)
+    event.respondWith(
+        getActiveApiSourceUrl().then(sourceUrl => {
+            // فقط درخواست‌های GET مربوط به API را با استراتژی Network first کش کن
+            if (event.request.method === 'GET' && isApiSourceRequest(requestUrl, sourceUrl)) {
+                return handleApiRequest(event.request, sourceUrl);
+            }
+            return handleStaticRequest(event.request);
+        })
     );
 });
@@ -0,0 +1,99 @@
+// tests/adapters.test.js
+
+// Assumes adapters.js and diff.js have exposed `exchangeAdapters` and `positionDiff` on the global object,
+// and that the page is served from the repository root so the fixtures can be fetched.
+// For Jest with ES Modules: import { applyExchangeAdapter } from '../js/adapters.js'; and read the fixtures with fs.
+
+const { apply: applyExchangeAdapter, get: getExchangeAdapter } = globalThis.exchangeAdapters || {};
+
+const loadAdapterFixture = id => fetch(`tests/fixtures/adapters/${id}.json`).then(response => response.json());
+
+describe('exchangeAdapters fixtures', () => {
+    test('Binance USDⓈ-M: should use the size sign in one-way mode and skip empty positions', async () => {
+        const positions = applyExchangeAdapter('binance-usdm', await loadAdapterFixture('binance-usdm'));
+        expect(positions).toEqual([
+            { symbol: 'BTCUSDT', type: 'long', entryPrice: 64120.5, amount: 0.25, baseAsset: 'BTC', quoteAsset: 'USDT', leverage: 20, pnl: 222.425, markPrice: 65010.2, timestamp: 1718000000123 },
+            { symbol: 'ETHUSDT', type: 'short', entryPrice: 3520.1, amount: 3, baseAsset: 'ETH', quoteAsset: 'USDT', leverage: 10, pnl: 90.3, markPrice: 3490, timestamp: 1718000100456 }
+        ]);
+    });
+
+    test('Binance COIN-M: should use the hedge-mode side and split delivery symbols', async () => {
+        const positions = applyExchangeAdapter('binance-coinm', await loadAdapterFixture('binance-coinm'));
+        expect(positions).toHaveLength(2);
+        expect(positions[0].type).toBe('long');
+        expect(positions[0].baseAsset).toBe('BTC');
+        expect(positions[0].quoteAsset).toBe('USD');
+        expect(positions[1].type).toBe('short');
+        expect(positions[1].symbol).toBe('ETHUSD_240927');
+    });
+
+    test('Binance COIN-M: should convert contracts to the base asset and the coin PnL to USD', async () => {
+        const [btc, eth] = applyExchangeAdapter('binance-coinm', await loadAdapterFixture('binance-coinm'));
+        expect(btc.inverse).toBe(true);
+        expect(btc.amount).toBeCloseTo(15 * 100 / 63800, 10); // BTC contracts are worth 100 USD
+        expect(btc.pnl).toBeCloseTo(0.00043615 * 65005.1, 8);
+        expect(eth.amount).toBeCloseTo(40 * 10 / 3600, 10); // Other contracts are worth 10 USD
+        expect(eth.pnl).toBeCloseTo(0.00155184 * 3550.4, 8);
+    });
+
+    test('Bybit V5: should map Buy/Sell and parse string timestamps', async () => {
+        const positions = applyExchangeAdapter('bybit-v5', await loadAdapterFixture('bybit-v5'));
+        expect(positions).toEqual([
+            { symbol: 'BTCUSDT', type: 'long', entryPrice: 63950.5, amount: 0.1, baseAsset: 'BTC', quoteAsset: 'USDT', leverage: 10, pnl: 104.95, markPrice: 65000, timestamp: 1718000400111 },
+            { symbol: 'ETHUSDT', type: 'short', entryPrice: 3505.2, amount: 2.5, baseAsset: 'ETH', quoteAsset: 'USDT', leverage: 25, pnl: 37.75, markPrice: 3490.1, timestamp: 1718000500222 }
+        ]);
+    });
+
+    test('OKX V5: should read the side from posSide or from the sign of pos in net mode', async () => {
+        const positions = applyExchangeAdapter('okx-v5', await loadAdapterFixture('okx-v5'));
+        expect(positions).toEqual([
+            { symbol: 'BTC-USDT-SWAP', type: 'long', entryPrice: 64210.3, amount: 0.1, baseAsset: 'BTC', quoteAsset: 'USDT', leverage: 10, pnl: 80, markPrice: 65010.3, timestamp: 1718000700333 },
+            { symbol: 'ETH-USDT-SWAP', type: 'short', entryPrice: 3498.5, amount: 0.2, baseAsset: 'ETH', quoteAsset: 'USDT', leverage: 5, pnl: 1.8, markPrice: 3489.5, timestamp: 1718000800444 }
+        ]);
+    });
+
+    test('Bybit and OKX inverse contracts: should convert the USD value to the base asset and the coin PnL to USD', () => {
+        const [bybit] = applyExchangeAdapter('bybit-v5', { retCode: 0, result: { list: [
+            { symbol: 'BTCUSD', side: 'Sell', size: '5000', avgPrice: '62500', unrealisedPnl: '0.002', markPrice: '60000', updatedTime: '1718000000000' }
+        ] } });
+        expect(bybit).toEqual({ symbol: 'BTCUSD', type: 'short', entryPrice: 62500, amount: 0.08, baseAsset: 'BTC', quoteAsset: 'USD', pnl: 120, markPrice: 60000, timestamp: 1718000000000, inverse: true });
+
+        const [okx] = applyExchangeAdapter('okx-v5', { code: '0', data: [
+            { instId: 'ETH-USD-SWAP', pos: '30', posSide: 'long', avgPx: '2500', upl: '0.01', markPx: '3000', notionalUsd: '300', uTime: '1718000000000' }
+        ] });
+        expect(okx.amount).toBe(0.12);
+        expect(okx.pnl).toBe(30);
+        expect(okx.inverse).toBe(true);
+    });
+
+    test('Bitget V2: should map holdSide and the margin coin', async () => {
+        const positions = applyExchangeAdapter('bitget-v2', await loadAdapterFixture('bitget-v2'));
+        expect(positions).toEqual([
+            { symbol: 'BTCUSDT', type: 'long', entryPrice: 64100, amount: 0.05, baseAsset: 'BTC', quoteAsset: 'USDT', leverage: 20, pnl: 45.51, markPrice: 65010.2, timestamp: 1718000900555 },
+            { symbol: 'ETHUSDT', type: 'short', entryPrice: 3500, amount: 1, baseAsset: 'ETH', quoteAsset: 'USDT', leverage: 5, pnl: 10.5, markPrice: 3489.5, timestamp: 1718000950666 }
+        ]);
+    });
+
+    test('every fixture should produce positions that pass validation', async () => {
+        for (const id of ['binance-usdm', 'binance-coinm', 'bybit-v5', 'okx-v5', 'bitget-v2']) {
+            const positions = applyExchangeAdapter(id, await loadAdapterFixture(id));
+            expect(validatePositionsArray(positions).errors).toEqual([]);
+        }
+    });
+});
+
+describe('exchangeAdapters errors', () => {
+    test('should turn exchange error envelopes into exceptions', () => {
+        let message = '';
+        try {
+            applyExchangeAdapter('bybit-v5', { retCode: 10003, retMsg: 'API key is invalid.', result: {} });
+        } catch (error) {
+            message = error.message;
+        }
+        expect(message).toMatch(/10003/);
+    });
+
+    test('should report unknown adapters', () => {
+        expect(getExchangeAdapter('nope')).toBeNull();
+    });
+});
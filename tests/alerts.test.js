@@ -0,0 +1,85 @@
+// tests/alerts.test.js
+
+// Assumes diff.js, searchquery.js and alerts.js have exposed `positionDiff`, `searchQuery` and `positionAlerts`
+// on the global object.
+// For Jest with ES Modules: import { validateAlertRule, evaluateAlertRules } from '../js/alerts.js';
+
+const { validateAlertRule, createAlertState, evaluateAlertRules, describeAlert, buildAlertNotifications } = globalThis.positionAlerts || {};
+
+describe('validateAlertRule', () => {
+    const rule = { id: 'r1', name: 'BTC drawdown', event: 'matches', condition: 'btc pnl<-500', cooldownMinutes: 15, enabled: true };
+
+    test('should accept a complete rule and an empty condition', () => {
+        expect(validateAlertRule(rule).isValid).toBeTruthy();
+        expect(validateAlertRule({ ...rule, event: 'closed', condition: '' }).isValid).toBeTruthy();
+    });
+
+    test('should name the invalid settings and explain the condition error', () => {
+        const result = validateAlertRule({ ...rule, name: ' ', event: 'moved', condition: 'lev>', cooldownMinutes: 2.5 });
+        expect(result.errors).toEqual(['name', 'event', 'condition', 'cooldownMinutes']);
+        expect(result.conditionError.code).toBe('missingValue');
+    });
+});
+
+describe('evaluateAlertRules', () => {
+    const minute = 60 * 1000;
+    const drawdown = { id: 'drawdown', name: 'Drawdown', event: 'matches', condition: 'btc pnl<-500', cooldownMinutes: 10, enabled: true };
+    const opened = { id: 'opened', name: 'New by X', event: 'opened', condition: 'user:x', cooldownMinutes: 0, enabled: true };
+    const closed = { id: 'closed', name: 'Closed', event: 'closed', condition: '', cooldownMinutes: 0, enabled: true };
+    const btc = { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1, pnl: -600 };
+    const eth = { symbol: 'ETHUSDT', type: 'short', entryPrice: 3000, amount: 2, pnl: 10, user: 'X' };
+
+    test('should alert on matching positions at the first refresh but not on opened or closed ones', () => {
+        const { alerts } = evaluateAlertRules([drawdown, opened, closed], [btc, eth], createAlertState(), 0);
+        expect(alerts.map(alert => [alert.ruleId, alert.key])).toEqual([['drawdown', 'BTCUSDT|long|']]);
+    });
+
+    test('should alert once while a position keeps matching, and again after it matched anew past the cooldown', () => {
+        let result = evaluateAlertRules([drawdown], [btc], createAlertState(), 0);
+        result = evaluateAlertRules([drawdown], [btc], result.state, minute);
+        expect(result.alerts).toHaveLength(0);
+        result = evaluateAlertRules([drawdown], [{ ...btc, pnl: 0 }], result.state, 2 * minute);
+        result = evaluateAlertRules([drawdown], [btc], result.state, 3 * minute);
+        expect(result.alerts).toHaveLength(0); // Within the cooldown
+        result = evaluateAlertRules([drawdown], [{ ...btc, pnl: 0 }], result.state, 20 * minute);
+        result = evaluateAlertRules([drawdown], [btc], result.state, 21 * minute);
+        expect(result.alerts).toHaveLength(1);
+    });
+
+    test('should alert on opened and closed positions that match the condition', () => {
+        const first = evaluateAlertRules([opened, closed], [btc], createAlertState(), 0);
+        const second = evaluateAlertRules([opened, closed], [eth, { ...eth, symbol: 'SOLUSDT', user: 'Y' }], first.state, minute);
+        expect(second.alerts.map(alert => [alert.event, alert.position.symbol])).toEqual([
+            ['opened', 'ETHUSDT'], ['closed', 'BTCUSDT']
+        ]);
+    });
+
+    test('should skip disabled rules and keep cooldowns given to a new state', () => {
+        expect(evaluateAlertRules([{ ...drawdown, enabled: false }], [btc], createAlertState(), 0).alerts).toHaveLength(0);
+        const state = createAlertState({ 'drawdown|BTCUSDT|long|': 0 });
+        expect(evaluateAlertRules([drawdown], [btc], state, 5 * minute).alerts).toHaveLength(0);
+        const { state: nextState } = evaluateAlertRules([drawdown], [btc], state, 11 * minute);
+        expect(nextState.lastAlertAt['drawdown|BTCUSDT|long|']).toBe(11 * minute);
+    });
+});
+
+describe('alert messages', () => {
+    const translate = (key, vars = {}) => `${key}${Object.keys(vars).length > 0 ? JSON.stringify(vars) : ''}`;
+    const alert = { ruleId: 'r1', ruleName: 'Whales', event: 'opened', key: 'ETHUSDT|short|X', position: { symbol: 'ETHUSDT', type: 'sell', user: 'X' }, time: 0 };
+
+    test('should describe the position and the rule of an alert', () => {
+        const { key, vars } = describeAlert({ time: 0, ruleName: 'Whales', event: 'opened', symbol: 'ETHUSDT', side: 'short', user: 'X' }, translate);
+        expect(key).toBe('alertMessageOpened');
+        expect(vars).toEqual({ position: 'alertPositionWithUser{"symbol":"ETHUSDT","side":"positionCard.short","user":"X"}', rule: 'Whales' });
+    });
+
+    test('should notify each alert, or count them beyond the limit', () => {
+        const notifications = buildAlertNotifications([alert], translate);
+        expect(notifications).toHaveLength(1);
+        expect(notifications[0].tag).toBe('openpos-alert-r1-ETHUSDT|short|X');
+        expect(notifications[0].title).toBe('alertNotificationTitle{"rule":"Whales"}');
+        expect(buildAlertNotifications([alert, alert, alert, alert], translate)).toEqual([
+            { title: 'alertNotificationTitleMany', body: 'alertsMany{"count":4}', tag: 'openpos-alerts' }
+        ]);
+    });
+});
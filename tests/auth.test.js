@@ -0,0 +1,62 @@
+// tests/auth.test.js
+
+// Assumes auth.js has exposed `authStrategies` on the global object (it has no DOM dependencies).
+// For Jest with ES Modules: import { applyAuth, hmacSha256Hex } from '../js/auth.js';
+
+const { applyAuth, hmacSha256Hex } = globalThis.authStrategies || {};
+
+describe('hmacSha256Hex', () => {
+    test('should match the signature from the Binance API documentation example', async () => {
+        const secret = 'NhqPtmdSJYdKjVHjA7PZj4Mge3R5YNiP1e3UZjInClVN65XAbvqqM6A7H5fATj0j';
+        const query = 'symbol=LTCBTC&side=BUY&type=LIMIT&timeInForce=GTC&quantity=1&price=0.1&recvWindow=5000&timestamp=1499827319559';
+        const signature = await hmacSha256Hex(secret, query);
+        expect(signature).toBe('c8db56825ae71d6d79447849e617115f4a920fa2acdcab2b053c4b2838bd6b71');
+    });
+});
+
+describe('applyAuth', () => {
+    const url = 'https://api.example.com/positions?symbol=BTCUSDT';
+
+    test('should leave the request untouched without an auth config', async () => {
+        const request = await applyAuth(url, null);
+        expect(request.url).toBe(url);
+        expect(request.headers).toEqual({});
+    });
+
+    test('should add a static header', async () => {
+        const request = await applyAuth(url, { type: 'header', headerName: 'X-API-Key', headerValue: 'abc123' });
+        expect(request.url).toBe(url);
+        expect(request.headers['X-API-Key']).toBe('abc123');
+    });
+
+    test('should add a bearer token', async () => {
+        const request = await applyAuth(url, { type: 'bearer', token: 'tok' });
+        expect(request.headers['Authorization']).toBe('Bearer tok');
+    });
+
+    test('should sign the query with timestamp and recvWindow, signature last', async () => {
+        const auth = { type: 'hmac', apiKey: 'key', apiSecret: 'secret', recvWindow: 5000 };
+        const request = await applyAuth(url, auth, 1499827319559);
+        const signedUrl = new URL(request.url);
+        const query = signedUrl.search.slice(1);
+        expect(query.startsWith('symbol=BTCUSDT&recvWindow=5000&timestamp=1499827319559&signature=')).toBe(true);
+        const expectedSignature = await hmacSha256Hex('secret', 'symbol=BTCUSDT&recvWindow=5000&timestamp=1499827319559');
+        expect(signedUrl.searchParams.get('signature')).toBe(expectedSignature);
+        expect(request.headers['X-MBX-APIKEY']).toBe('key');
+    });
+
+    test('should use custom header and parameter names for HMAC signing', async () => {
+        const auth = { type: 'hmac', apiKey: 'key', apiSecret: 'secret', apiKeyHeader: 'X-Key', timestampParam: 'ts', signatureParam: 'sign' };
+        const request = await applyAuth('https://api.example.com/p', auth, 1000);
+        const signedUrl = new URL(request.url);
+        expect(signedUrl.searchParams.get('ts')).toBe('1000');
+        expect(signedUrl.searchParams.get('sign')).toBe(await hmacSha256Hex('secret', 'ts=1000'));
+        expect(request.headers['X-Key']).toBe('key');
+    });
+
+    test('should reject an unknown strategy type', async () => {
+        let thrown = null;
+        try { await applyAuth(url, { type: 'kerberos' }); } catch (e) { thrown = e; }
+        expect(thrown && thrown.message.includes('kerberos')).toBe(true);
+    });
+});
@@ -0,0 +1,45 @@
+// tests/backgroundrefresh.test.js
+
+// Assumes auth.js, api.js, validator.js, diff.js, searchquery.js, alerts.js and backgroundrefresh.js have exposed
+// their functions and `backgroundRefresh` on the global object, and that the page is served from the repository
+// root so the fixture can be fetched as the data source.
+// For Jest with ES Modules: import { runBackgroundRefresh } from '../js/backgroundrefresh.js'; and mock fetch.
+
+const { runBackgroundRefresh } = globalThis.backgroundRefresh || {};
+
+describe('runBackgroundRefresh', () => {
+    const source = { id: 'mock', url: new URL('tests/fixtures/background/positions.json', globalThis.location.href).href };
+    const drawdown = { id: 'drawdown', name: 'Drawdown', event: 'matches', condition: 'btc pnl<-500', cooldownMinutes: 10, enabled: true };
+    const opened = { id: 'opened', name: 'New by X', event: 'opened', condition: 'user:x', cooldownMinutes: 0, enabled: true };
+
+    test('should fetch and validate the positions, hand over the response and alert on matching positions', async () => {
+        const responseUrls = [];
+        const result = await runBackgroundRefresh(source, [drawdown, opened], null, { now: 1000, onResponse: url => responseUrls.push(url) });
+        expect(responseUrls).toEqual([source.url]);
+        expect(result.positionCount).toBe(2); // The position with an invalid type is left out
+        expect(result.alerts.map(alert => [alert.ruleId, alert.key])).toEqual([['drawdown', 'BTCUSDT|long|']]);
+        expect(result.record.sourceId).toBe('mock');
+        expect(result.record.evaluatedAt).toBe(1000);
+    });
+
+    test('should carry on from the evaluation of the same source, and start over for another one', async () => {
+        const btc = { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1, pnl: -600 };
+        const record = { sourceId: 'mock', state: { positions: [btc], matching: { drawdown: ['BTCUSDT|long|'] }, lastAlertAt: {} }, evaluatedAt: 0 };
+        const result = await runBackgroundRefresh(source, [drawdown, opened], record, { now: 1000 });
+        expect(result.alerts.map(alert => [alert.ruleId, alert.position.symbol])).toEqual([['opened', 'ETHUSDT']]);
+
+        const otherRecord = { ...record, sourceId: 'other', state: { ...record.state, lastAlertAt: { 'drawdown|BTCUSDT|long|': 500 } } };
+        const restarted = await runBackgroundRefresh(source, [drawdown, opened], otherRecord, { now: 1000 });
+        expect(restarted.alerts).toHaveLength(0); // No opened alerts at the first refresh, and the drawdown cooldown is kept
+    });
+
+    test('should fail when the data source does', async () => {
+        let error = null;
+        try {
+            await runBackgroundRefresh({ id: 'missing', url: new URL('tests/fixtures/background/missing.json', globalThis.location.href).href }, [], null);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error.isClientError).toBe(true);
+    });
+});
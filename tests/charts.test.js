@@ -0,0 +1,81 @@
+// tests/charts.test.js
+
+// Assumes diff.js, pricing.js and charts.js have exposed `positionDiff`, `positionPricing` and `positionCharts`
+// on the global object.
+// For Jest with ES Modules: import { buildPositionSeries, createChartScale } from '../js/charts.js';
+
+const {
+    extractSnapshotValues, buildPositionSeries, getValueExtent, getNiceTicks, getTimeTicks, createChartScale, buildLinePath, findNearestPointIndex
+} = globalThis.positionCharts || {};
+
+describe('extractSnapshotValues', () => {
+    test('should read the PnL and imply a missing mark price from it', () => {
+        const values = extractSnapshotValues([
+            { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 2, pnl: 200 },
+            { symbol: 'ETHUSDT', type: 'short', entryPrice: 3000, amount: 4, pnl: 40 }
+        ]);
+        expect(values.get('BTCUSDT|long|')).toEqual({ pnl: 200, markPrice: 50100 });
+        expect(values.get('ETHUSDT|short|')).toEqual({ pnl: 40, markPrice: 2990 });
+    });
+
+    test('should leave the mark price empty without a PnL', () => {
+        const values = extractSnapshotValues([{ symbol: 'SOLUSDT', type: 'long', entryPrice: 150, amount: 1 }]);
+        expect(values.get('SOLUSDT|long|').markPrice).toBeNull();
+    });
+});
+
+describe('buildPositionSeries', () => {
+    test('should skip snapshots without the position or the value', () => {
+        const snapshots = [
+            { takenAt: 1000, values: new Map([['A', { pnl: 1, markPrice: 10 }]]) },
+            { takenAt: 2000, values: new Map() },
+            { takenAt: 3000, values: new Map([['A', { pnl: null, markPrice: 12 }]]) },
+            { takenAt: 4000, values: new Map([['A', { pnl: -2, markPrice: 9 }]]) }
+        ];
+        expect(buildPositionSeries(snapshots, 'A', 'pnl')).toEqual([{ time: 1000, value: 1 }, { time: 4000, value: -2 }]);
+        expect(buildPositionSeries(snapshots, 'A', 'markPrice')).toHaveLength(3);
+    });
+});
+
+describe('getValueExtent', () => {
+    test('should include extra values and widen a single value', () => {
+        expect(getValueExtent([{ time: 1, value: 5 }, { time: 2, value: 8 }], [2])).toEqual({ min: 2, max: 8 });
+        expect(getValueExtent([{ time: 1, value: 100 }])).toEqual({ min: 99, max: 101 });
+        expect(getValueExtent([])).toEqual({ min: 0, max: 1 });
+    });
+});
+
+describe('chart ticks', () => {
+    test('should use round steps within the range', () => {
+        expect(getNiceTicks(0, 100, 5)).toEqual([0, 50, 100]);
+        expect(getNiceTicks(-3, 7, 6)).toEqual([-2, 0, 2, 4, 6]);
+        expect(getNiceTicks(0.1, 0.35, 4)).toEqual([0.1, 0.2, 0.3]);
+    });
+
+    test('should space times evenly from first to last', () => {
+        expect(getTimeTicks(1000, 4000, 4)).toEqual([1000, 2000, 3000, 4000]);
+        expect(getTimeTicks(1000, 1000, 4)).toEqual([1000]);
+    });
+});
+
+describe('createChartScale', () => {
+    const options = { minTime: 0, maxTime: 100, minValue: 0, maxValue: 10, left: 10, right: 110, top: 0, bottom: 50 };
+
+    test('should put later times to the right, or to the left in right-to-left layouts', () => {
+        const scale = createChartScale(options);
+        expect(scale.x(25)).toBe(35);
+        expect(scale.y(10)).toBe(0);
+        expect(scale.timeAt(35)).toBe(25);
+        const rtlScale = createChartScale({ ...options, rightToLeft: true });
+        expect(rtlScale.x(25)).toBe(85);
+        expect(rtlScale.timeAt(85)).toBe(25);
+    });
+
+    test('should build a path through the points and find the nearest one', () => {
+        const scale = createChartScale(options);
+        const points = [{ time: 0, value: 0 }, { time: 50, value: 5 }, { time: 100, value: 10 }];
+        expect(buildLinePath(points, scale)).toBe('M10 50L60 25L110 0');
+        expect(findNearestPointIndex(points, 70)).toBe(1);
+        expect(findNearestPointIndex([], 70)).toBe(-1);
+    });
+});
@@ -0,0 +1,58 @@
+// tests/diff.test.js
+
+// Assumes diff.js has exposed `positionDiff` on the global object (it has no DOM dependencies).
+// For Jest with ES Modules: import { getPositionKey, diffPositions } from '../js/diff.js';
+
+const { getPositionKey, diffPositions, normalizePositionSide } = globalThis.positionDiff || {};
+
+describe('getPositionKey', () => {
+    test('should use symbol, side and user when there is no id', () => {
+        expect(getPositionKey({ symbol: 'btcusdt', type: 'long', user: 'TraderX' })).toBe('BTCUSDT|long|TraderX');
+    });
+
+    test('should treat "buy" and "long" as the same side', () => {
+        expect(getPositionKey({ symbol: 'BTCUSDT', type: 'buy' })).toBe(getPositionKey({ symbol: 'BTCUSDT', type: 'long' }));
+        expect(normalizePositionSide('SELL')).toBe('short');
+        expect(normalizePositionSide('sideways')).toBe('unknown');
+    });
+
+    test('should prefer an id field when present', () => {
+        expect(getPositionKey({ id: 42, symbol: 'BTCUSDT', type: 'long' })).toBe('id:42');
+    });
+});
+
+describe('diffPositions', () => {
+    const btcLong = { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1, pnl: 10 };
+    const ethShort = { symbol: 'ETHUSDT', type: 'short', entryPrice: 3000, amount: 5, pnl: -2 };
+    const solLong = { symbol: 'SOLUSDT', type: 'long', entryPrice: 150, amount: 20 };
+
+    test('should report added, removed and changed positions', () => {
+        const btcLongUpdated = { ...btcLong, pnl: 25 };
+        const result = diffPositions([btcLong, ethShort], [btcLongUpdated, solLong]);
+        expect(result.added.map(item => item.position.symbol)).toEqual(['SOLUSDT']);
+        expect(result.removed.map(item => item.position.symbol)).toEqual(['ETHUSDT']);
+        expect(result.changed.length).toBe(1);
+        expect(result.changed[0].after).toBe(btcLongUpdated);
+        expect(result.changed[0].fields).toEqual(['pnl']);
+        expect(result.unchangedCount).toBe(0);
+    });
+
+    test('should report no changes for identical data in a different order', () => {
+        const result = diffPositions([btcLong, ethShort], [{ ...ethShort }, { ...btcLong }]);
+        expect(result.added.length).toBe(0);
+        expect(result.removed.length).toBe(0);
+        expect(result.changed.length).toBe(0);
+        expect(result.unchangedCount).toBe(2);
+    });
+
+    test('should match duplicate keys one to one', () => {
+        const result = diffPositions([btcLong, btcLong], [btcLong]);
+        expect(result.removed.length).toBe(1);
+        expect(result.unchangedCount).toBe(1);
+    });
+
+    test('should treat everything as added when there is no previous data', () => {
+        const result = diffPositions([], [btcLong, ethShort]);
+        expect(result.added.length).toBe(2);
+    });
+});
@@ -0,0 +1,72 @@
+// tests/diffreport.test.js
+
+// Assumes diff.js, pricing.js, export.js and diffreport.js have exposed `positionDiff`, `positionPricing`,
+// `positionExport` and `positionDiffReport` on the global object.
+// For Jest with ES Modules: import { buildDiffReport, buildDiffReportTable } from '../js/diffreport.js';
+
+const { DIFF_REPORT_COLUMNS, buildDiffReport, buildDiffReportTable } = globalThis.positionDiffReport || {};
+
+describe('buildDiffReport', () => {
+    const btcLong = { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1, leverage: 10, pnl: 10 };
+    const ethShort = { symbol: 'ETHUSDT', type: 'short', entryPrice: 3000, amount: 5, leverage: 5, pnl: -2 };
+    const solLong = { symbol: 'SOLUSDT', type: 'long', entryPrice: 150, amount: 20, user: 'A' };
+    const adaLong = { symbol: 'ADAUSDT', type: 'buy', entryPrice: 0.5, amount: 100 };
+
+    test('should list opened, closed and changed positions with every kind of change', () => {
+        const report = buildDiffReport(
+            [btcLong, ethShort, solLong],
+            [{ ...btcLong, amount: 2, leverage: 20, pnl: 15 }, { ...ethShort, pnl: 4 }, adaLong]
+        );
+        expect(report.entries.map(entry => [entry.key, entry.kinds])).toEqual([
+            ['ADAUSDT|long|', ['opened']],
+            ['SOLUSDT|long|A', ['closed']],
+            ['BTCUSDT|long|', ['resized', 'releveraged', 'pnlChanged']],
+            ['ETHUSDT|short|', ['pnlChanged']]
+        ]);
+        expect(report.counts).toEqual({ opened: 1, closed: 1, resized: 1, releveraged: 1, pnlChanged: 2, unchanged: 0 });
+    });
+
+    test('should count positions changed only in other fields as unchanged', () => {
+        const report = buildDiffReport([btcLong, ethShort], [{ ...btcLong, timestamp: 1 }, ethShort]);
+        expect(report.entries).toHaveLength(0);
+        expect(report.counts.unchanged).toBe(2);
+    });
+
+    test('should match positions by their id field when present', () => {
+        const report = buildDiffReport([{ ...btcLong, id: 7 }], [{ ...btcLong, id: 7, symbol: 'BTCUSD', amount: 3 }]);
+        expect(report.entries[0].kinds).toEqual(['resized']);
+    });
+});
+
+describe('buildDiffReportTable', () => {
+    const translate = (key, vars) => (vars ? `[${key}:${vars.field}]` : `[${key}]`);
+    const report = buildDiffReport(
+        [{ symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1, pnl: 10.1 }],
+        [{ symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1.5, pnl: 10.3 }, { symbol: 'ETHUSDT', type: 'sell', entryPrice: 3000, amount: 2500 }]
+    );
+
+    test('should name the field in before, after and change headers', () => {
+        const table = buildDiffReportTable(report, { translate });
+        expect(table.columns).toHaveLength(DIFF_REPORT_COLUMNS.length);
+        expect(table.columns.map(column => column.id)).toContain('amountChange');
+        expect(table.columns.find(column => column.id === 'pnlBefore').header).toBe('[diffColumnBefore:[positionCard.pnl]]');
+    });
+
+    test('should write the kinds of change, raw values and rounded changes', () => {
+        const table = buildDiffReportTable(report, { translate });
+        const records = table.rows.map(row => Object.fromEntries(table.columns.map((column, index) => [column.id, row[index]])));
+        expect(records[0].change).toBe('[diffKindOpened]');
+        expect(records[0].type).toBe('[positionCard.short]');
+        expect(records[0].amountBefore).toBeNull();
+        expect(records[0].amountChange).toBeNull();
+        expect(records[1].change).toBe('[diffKindResized], [diffKindPnlChanged]');
+        expect(records[1].amountChange).toBe(0.5);
+        expect(records[1].pnlChange).toBe(0.2);
+    });
+
+    test('should format numbers for the locale when asked', () => {
+        const table = buildDiffReportTable(report, { translate, formatted: true, locale: 'en-US' });
+        const amountAfterIndex = table.columns.findIndex(column => column.id === 'amountAfter');
+        expect(table.rows[0][amountAfterIndex]).toBe('2,500');
+    });
+});
@@ -0,0 +1,98 @@
+// tests/export.test.js
+
+// Assumes diff.js, pricing.js and export.js have exposed `positionDiff`, `positionPricing` and `positionExport` on the global object.
+// For Jest with ES Modules: import { buildExportTable, toCsv, toJson, toXlsx } from '../js/export.js';
+
+const { EXPORT_COLUMNS, buildExportTable, toCsv, toJson, toXlsx, writeExport } = globalThis.positionExport || {};
+
+describe('buildExportTable', () => {
+    const positions = [
+        { symbol: 'BTCUSDT', type: 'sell', entryPrice: 50000, amount: 0.5, leverage: 10, baseAsset: 'BTC', quoteAsset: 'USDT', pnl: -120.5, timestamp: Date.UTC(2024, 4, 1, 14, 30) },
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 3000, amount: 2, user: 'trader, "one"' }
+    ];
+    const computed = position => ({
+        metrics: { markPrice: position.entryPrice, pnl: position.pnl === undefined ? null : position.pnl, roePercent: null, priceChangePercent: 0 },
+        margin: position.leverage ? { initialMargin: 2500, maintenanceMargin: 100, liquidationPrice: 54800, distanceToLiquidationPercent: 9.6 } : null
+    });
+    const translate = key => `[${key}]`;
+
+    test('should have a header per export column, translated', () => {
+        const table = buildExportTable(positions, computed, { translate });
+        expect(table.columns).toHaveLength(EXPORT_COLUMNS.length);
+        expect(table.columns[0]).toEqual({ id: 'symbol', header: '[positionCard.symbol]' });
+    });
+
+    test('should write raw numbers, computed columns and ISO times, in the given order', () => {
+        const table = buildExportTable(positions, computed, { translate });
+        const row = Object.fromEntries(table.columns.map((column, index) => [column.id, table.rows[0][index]]));
+        expect(row.type).toBe('[positionCard.short]');
+        expect(row.entryPrice).toBe(50000);
+        expect(row.pnl).toBe(-120.5);
+        expect(row.initialMargin).toBe(2500);
+        expect(row.roe).toBeNull();
+        expect(row.timestamp).toBe('2024-05-01T14:30:00.000Z');
+        expect(table.rows[1][0]).toBe('ETHUSDT');
+    });
+
+    test('should format numbers for the locale when asked', () => {
+        const table = buildExportTable(positions, computed, { formatted: true, locale: 'en-US', translate });
+        const entryPriceIndex = table.columns.findIndex(column => column.id === 'entryPrice');
+        expect(table.rows[0][entryPriceIndex]).toBe('50,000');
+    });
+});
+
+describe('toCsv and toJson', () => {
+    const table = {
+        columns: [{ id: 'symbol', header: 'Symbol' }, { id: 'user', header: 'User' }, { id: 'pnl', header: 'PnL' }],
+        rows: [['BTCUSDT', 'trader, "one"', -12.5], ['ETH\nUSDT', null, 3]]
+    };
+
+    test('should quote fields with commas, quotes and line breaks', () => {
+        expect(toCsv(table)).toBe('Symbol,User,PnL\r\nBTCUSDT,"trader, ""one""",-12.5\r\n"ETH\nUSDT",,3\r\n');
+    });
+
+    test('should write JSON records keyed by column id', () => {
+        const json = toJson(table);
+        expect(JSON.parse(json)).toEqual([
+            { symbol: 'BTCUSDT', user: 'trader, "one"', pnl: -12.5 },
+            { symbol: 'ETH\nUSDT', user: null, pnl: 3 }
+        ]);
+        expect(json).toContain('\n  {');
+    });
+
+    test('should reject unknown formats', () => {
+        let error = null;
+        try {
+            writeExport(table, 'pdf');
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(Error);
+    });
+});
+
+describe('toXlsx', () => {
+    const table = {
+        columns: [{ id: 'symbol', header: 'Symbol' }, { id: 'pnl', header: 'PnL' }],
+        rows: [['BTC<USDT>', -12.5], ['ETHUSDT', null]]
+    };
+    const bytes = toXlsx(table, { sheetName: 'My/Positions' });
+    const text = new TextDecoder().decode(bytes); // Entries are stored uncompressed
+
+    test('should be a ZIP archive with the workbook parts', () => {
+        expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4B, 0x03, 0x04]);
+        const end = new DataView(bytes.buffer, bytes.byteOffset + bytes.length - 22, 22);
+        expect(end.getUint32(0, true)).toBe(0x06054B50);
+        expect(end.getUint16(10, true)).toBe(5);
+        ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']
+            .forEach(name => expect(text).toContain(name));
+    });
+
+    test('should write text as escaped inline strings and raw numbers as number cells', () => {
+        expect(text).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Symbol</t></is></c>');
+        expect(text).toContain('<t xml:space="preserve">BTC&lt;USDT&gt;</t>');
+        expect(text).toContain('<c r="B2"><v>-12.5</v></c>');
+        expect(text).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">ETHUSDT</t></is></c></row>');
+        expect(text).toContain('<sheet name="My Positions"');
+    });
+});
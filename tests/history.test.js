@@ -0,0 +1,63 @@
+// tests/history.test.js
+
+// Assumes history.js has exposed `positionHistory` on the global object.
+// For Jest with ES Modules: import { selectSnapshotsToPrune, findSnapshotAt } from '../js/history.js';
+
+const { DEFAULT_HISTORY_SETTINGS, validateHistorySettings, estimateSnapshotBytes, selectSnapshotsToPrune, findSnapshotAt } = globalThis.positionHistory || {};
+
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+describe('selectSnapshotsToPrune', () => {
+    const now = Date.UTC(2024, 4, 10);
+
+    test('should remove snapshots older than the retention period', () => {
+        const snapshots = [
+            { id: 1, takenAt: now - 9 * DAY, bytes: 10 },
+            { id: 2, takenAt: now - 8 * DAY, bytes: 10 },
+            { id: 3, takenAt: now - 2 * DAY, bytes: 10 }
+        ];
+        expect(selectSnapshotsToPrune(snapshots, { retentionDays: 7, maxSizeMb: 25 }, now)).toEqual([2, 1]);
+    });
+
+    test('should remove the oldest snapshots beyond the size limit', () => {
+        const snapshots = [
+            { id: 3, takenAt: now - 1000, bytes: 0.4 * MB },
+            { id: 1, takenAt: now - 3000, bytes: 0.4 * MB },
+            { id: 2, takenAt: now - 2000, bytes: 0.4 * MB }
+        ];
+        expect(selectSnapshotsToPrune(snapshots, { retentionDays: 7, maxSizeMb: 1 }, now)).toEqual([1]);
+    });
+
+    test('should always keep the newest snapshot', () => {
+        const snapshots = [{ id: 1, takenAt: now - 30 * DAY, bytes: 5 * MB }];
+        expect(selectSnapshotsToPrune(snapshots, { retentionDays: 1, maxSizeMb: 1 }, now)).toEqual([]);
+    });
+});
+
+describe('findSnapshotAt', () => {
+    const snapshots = [{ id: 1, takenAt: 100 }, { id: 2, takenAt: 200 }, { id: 3, takenAt: 300 }];
+
+    test('should find the last snapshot taken at or before a time', () => {
+        expect(findSnapshotAt(snapshots, 200)).toBe(1);
+        expect(findSnapshotAt(snapshots, 299)).toBe(1);
+        expect(findSnapshotAt(snapshots, 5000)).toBe(2);
+    });
+
+    test('should return -1 before the first snapshot', () => {
+        expect(findSnapshotAt(snapshots, 99)).toBe(-1);
+        expect(findSnapshotAt([], 100)).toBe(-1);
+    });
+});
+
+describe('validateHistorySettings', () => {
+    test('should accept the defaults and name invalid settings', () => {
+        expect(validateHistorySettings(DEFAULT_HISTORY_SETTINGS).isValid).toBe(true);
+        expect(validateHistorySettings({ retentionDays: 0, maxSizeMb: 2.5 }).errors).toEqual(['retentionDays', 'maxSizeMb']);
+        expect(validateHistorySettings(null).isValid).toBe(false);
+    });
+
+    test('should estimate a snapshot size from its JSON', () => {
+        expect(estimateSnapshotBytes([{ symbol: 'A' }])).toBe(16);
+    });
+});
@@ -0,0 +1,103 @@
+// tests/import.test.js
+
+// Assumes validator.js and import.js have exposed `positionSchema` and `positionImport` on the global object.
+// For Jest with ES Modules: import { parseImportFile, suggestColumnMapping, applyColumnMapping } from '../js/import.js';
+
+const { detectImportFormat, parseCsv, parseImportFile, suggestColumnMapping, parseImportNumber, applyColumnMapping } = globalThis.positionImport || {};
+
+/** Returns the `importError` of what a function throws, or null. */
+function getImportError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error.importError || null;
+    }
+    return null;
+}
+
+describe('parseCsv', () => {
+    test('should handle quoted delimiters, doubled quotes, line breaks and CRLF', () => {
+        expect(parseCsv('a,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n\r\n1,,3')).toEqual([
+            ['a', 'b', 'c'],
+            ['x, y', 'say "hi"', 'two\nlines'],
+            ['1', '', '3']
+        ]);
+    });
+
+    test('should detect semicolons and tabs as delimiters', () => {
+        expect(parseCsv('a;b\n1,5;2')).toEqual([['a', 'b'], ['1,5', '2']]);
+        expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    test('should report a quote that is never closed, with its line', () => {
+        expect(getImportError(() => parseCsv('a,b\n1,"open\n2'))).toEqual({ code: 'unterminatedQuote', vars: { line: 2 } });
+    });
+});
+
+describe('parseImportFile', () => {
+    test('should read CSV rows keyed by header, without the byte order mark', () => {
+        const table = parseImportFile('\uFEFFSymbol,Qty,Qty\nBTCUSDT,1,2\n', 'positions.csv');
+        expect(table.format).toBe('csv');
+        expect(table.columns).toEqual(['Symbol', 'Qty', 'Qty (2)']);
+        expect(table.rows).toEqual([{ Symbol: 'BTCUSDT', Qty: '1', 'Qty (2)': '2' }]);
+    });
+
+    test('should read JSON arrays and objects holding an array', () => {
+        expect(parseImportFile('[{"symbol":"A"},{"symbol":"B","pnl":3}]', 'p.json').columns).toEqual(['symbol', 'pnl']);
+        expect(parseImportFile('{"data":[{"symbol":"A"}]}', 'p.json').rows).toEqual([{ symbol: 'A' }]);
+    });
+
+    test('should read NDJSON line by line and report the failing line', () => {
+        expect(parseImportFile('{"symbol":"A"}\n\n{"symbol":"B"}\n', 'p.ndjson').rows).toHaveLength(2);
+        expect(getImportError(() => parseImportFile('{"symbol":"A"}\n{oops}', 'p.jsonl')).vars.line).toBe(2);
+    });
+
+    test('should recognize the format of files without a known extension', () => {
+        expect(detectImportFormat('export', '  [{"a":1}]')).toBe('json');
+        expect(detectImportFormat('export', '{"a":1}\n{"a":2}')).toBe('ndjson');
+        expect(detectImportFormat('export', 'a,b\n1,2')).toBe('csv');
+    });
+
+    test('should reject empty files and JSON without a list of objects', () => {
+        expect(getImportError(() => parseImportFile('  \n', 'p.csv')).code).toBe('emptyFile');
+        expect(getImportError(() => parseImportFile('Symbol,Type\n', 'p.csv')).code).toBe('noRows');
+        expect(getImportError(() => parseImportFile('[1, 2]', 'p.json')).code).toBe('notAList');
+        expect(getImportError(() => parseImportFile('[{', 'p.json')).code).toBe('invalidJson');
+    });
+});
+
+describe('suggestColumnMapping', () => {
+    test('should match field names, aliases and labels, each column once', () => {
+        const mapping = suggestColumnMapping(['Pair', 'Side', 'Entry Price', 'Size', 'Price', 'Lev.', 'Notes'], { user: 'Notes' });
+        expect(mapping.symbol).toBe('Pair');
+        expect(mapping.type).toBe('Side');
+        expect(mapping.entryPrice).toBe('Entry Price');
+        expect(mapping.amount).toBe('Size');
+        expect(mapping.leverage).toBe('Lev.');
+        expect(mapping.user).toBe('Notes');
+        expect(mapping.pnl).toBe('');
+    });
+});
+
+describe('applyColumnMapping', () => {
+    const mapping = { symbol: 'Symbol', type: 'Type', entryPrice: 'Entry', amount: 'Qty', leverage: '', pnl: 'PnL', timestamp: 'Time' };
+
+    test('should convert numbers, times and side labels to position fields', () => {
+        const [position] = applyColumnMapping([
+            { Symbol: ' BTCUSDT ', Type: 'Short', Entry: '50,000.5', Qty: '۰٫۵', PnL: '\u200E\u2212120', Time: '2024-05-01T14:30:00.000Z', Extra: 'x' }
+        ], mapping, { sideLabels: { short: ['Short'] } });
+        expect(position).toEqual({ symbol: 'BTCUSDT', type: 'short', entryPrice: 50000.5, amount: 0.5, pnl: -120, timestamp: Date.UTC(2024, 4, 1, 14, 30) });
+    });
+
+    test('should leave out empty cells and keep values that are not numbers for validation', () => {
+        const [position] = applyColumnMapping([{ Symbol: 'ETHUSDT', Type: 'long', Entry: 'n/a', Qty: '2', PnL: '', Time: '1714573800' }], mapping);
+        expect(position).toEqual({ symbol: 'ETHUSDT', type: 'long', entryPrice: 'n/a', amount: 2, timestamp: 1714573800000 });
+    });
+
+    test('should read formatted and raw numbers', () => {
+        expect(parseImportNumber('1,234,567')).toBe(1234567);
+        expect(parseImportNumber('1,5')).toBeNull();
+        expect(parseImportNumber('-1.5e3')).toBe(-1500);
+        expect(parseImportNumber('۱۲٬۳۴۵')).toBe(12345);
+    });
+});
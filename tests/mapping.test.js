@@ -0,0 +1,98 @@
+// tests/mapping.test.js
+
+// Assumes mapping.js has exposed `positionMapping` on the global object.
+// For Jest with ES Modules: import { getPathValues, applyMapping, validateMapping } from '../js/mapping.js';
+
+const { getPathValues, compileExpression, mapPosition, applyMapping, validateMapping } = globalThis.positionMapping || {};
+
+describe('getPathValues', () => {
+    const response = { data: { list: [{ qty: 1 }, { qty: 2 }], meta: { 'page size': 50 } } };
+
+    test('should expand [*] into one match per item', () => {
+        expect(getPathValues(response, 'data.list[*].qty')).toEqual([1, 2]);
+    });
+
+    test('should read array indexes and quoted keys', () => {
+        expect(getPathValues(response, 'data.list[1].qty')).toEqual([2]);
+        expect(getPathValues(response, 'data.meta["page size"]')).toEqual([50]);
+    });
+
+    test('should return no matches for missing paths', () => {
+        expect(getPathValues(response, 'data.missing[*].qty')).toEqual([]);
+    });
+});
+
+describe('compileExpression', () => {
+    test('should respect operator precedence and parentheses', () => {
+        expect(compileExpression('1 + 2 * 3')({})).toBe(7);
+        expect(compileExpression('(1 + 2) * 3')({})).toBe(9);
+    });
+
+    test('should read numeric strings from item paths and call functions', () => {
+        const item = { mark: '110', entry: '100', size: '-2' };
+        expect(compileExpression('(mark - entry) * abs(size)')(item)).toBe(20);
+    });
+
+    test('should return NaN when a referenced field is missing', () => {
+        expect(compileExpression('mark * size')({ size: 1 })).toBeNaN();
+    });
+});
+
+describe('mapPosition', () => {
+    test('should rename fields, map values and scale numbers', () => {
+        const mapping = {
+            keepUnmappedFields: false,
+            fields: {
+                symbol: 'instId',
+                type: { path: 'side', values: { BUY: 'long', SELL: 'short' } },
+                amount: { path: 'qty', abs: true },
+                timestamp: { path: 'uTime', scale: 1000 }
+            }
+        };
+        const mapped = mapPosition({ instId: 'BTCUSDT', side: 'buy', qty: '-0.5', uTime: 1700000000 }, mapping);
+        expect(mapped).toEqual({ symbol: 'BTCUSDT', type: 'long', amount: 0.5, timestamp: 1700000000000 });
+    });
+
+    test('should use defaults and keep unmapped fields by default', () => {
+        const mapped = mapPosition({ symbol: 'ETHUSDT', extra: true }, { fields: { leverage: { path: 'lev', default: 1 } } });
+        expect(mapped).toEqual({ symbol: 'ETHUSDT', extra: true, leverage: 1 });
+    });
+});
+
+describe('applyMapping', () => {
+    test('should pick the items from a nested list and compute fields', () => {
+        const response = { data: { list: [{ s: 'BTCUSDT', avg: 100, mark: 105, qty: 2 }] } };
+        const mapping = { root: 'data.list[*]', fields: { symbol: 's', entryPrice: 'avg', pnl: { expr: '(mark - avg) * qty' } } };
+        const [position] = applyMapping(response, mapping);
+        expect(position.symbol).toBe('BTCUSDT');
+        expect(position.entryPrice).toBe(100);
+        expect(position.pnl).toBe(10);
+    });
+
+    test('should return the response unchanged without a mapping', () => {
+        const response = [{ symbol: 'BTCUSDT' }];
+        expect(applyMapping(response, null)).toBe(response);
+    });
+});
+
+describe('validateMapping', () => {
+    test('should accept a well-formed mapping', () => {
+        expect(validateMapping({ root: 'data.list[*]', fields: { pnl: { expr: 'upl * 2' } } }).isValid).toBe(true);
+    });
+
+    test('should report unparsable expressions and unknown functions', () => {
+        const { isValid, errors } = validateMapping({ fields: { pnl: { expr: '1 +' }, amount: { expr: 'cube(size)' } } });
+        expect(isValid).toBe(false);
+        expect(errors.map(error => [error.code, error.vars.field])).toEqual([['unparsable', 'pnl'], ['unparsable', 'amount']]);
+    });
+
+    test('should report rule problems as codes with the field', () => {
+        const { errors } = validateMapping({ fields: { pnl: { scale: 'x' }, type: 42 } });
+        expect(errors).toEqual([
+            { code: 'ruleWithoutSource', vars: { field: 'pnl' } },
+            { code: 'scaleNotNumber', vars: { field: 'pnl' } },
+            { code: 'invalidRule', vars: { field: 'type' } }
+        ]);
+        expect(validateMapping([]).errors).toEqual([{ code: 'notObject', vars: {} }]);
+    });
+});
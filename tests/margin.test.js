@@ -0,0 +1,87 @@
+// tests/margin.test.js
+
+// Assumes margin.js, pricing.js and diff.js have exposed `positionMargin`, `positionPricing` and `positionDiff` on the global object.
+// For Jest with ES Modules: import { computeMarginEstimate, validateMaintenanceTierConfig } from '../js/margin.js';
+
+const {
+    normalizeMaintenanceTiers,
+    selectMaintenanceTier,
+    getTiersForSymbol,
+    estimateLiquidationPrice,
+    computeMarginEstimate,
+    validateMaintenanceTierConfig,
+    DEFAULT_MAINTENANCE_TIERS
+} = globalThis.positionMargin || {};
+
+describe('maintenance tiers', () => {
+    test('should derive maintenance amounts so margin is continuous across brackets', () => {
+        const tiers = normalizeMaintenanceTiers(DEFAULT_MAINTENANCE_TIERS);
+        expect(tiers[0].amount).toBe(0);
+        expect(tiers[1].amount).toBe(50); // 50,000 × (0.005 - 0.004)
+        expect(tiers[4].maxNotional).toBe(Infinity);
+    });
+
+    test('should pick the bracket for a notional value', () => {
+        expect(selectMaintenanceTier(1000, DEFAULT_MAINTENANCE_TIERS).rate).toBe(0.004);
+        expect(selectMaintenanceTier(100000, DEFAULT_MAINTENANCE_TIERS).rate).toBe(0.005);
+        expect(selectMaintenanceTier(50000000, DEFAULT_MAINTENANCE_TIERS).rate).toBe(0.05);
+    });
+
+    test('should fall back from the symbol to "default" and then to the built-in tiers', () => {
+        const config = { default: [{ rate: 0.01 }], btcusdt: [{ rate: 0.002 }] };
+        expect(getTiersForSymbol(config, 'BTCUSDT')[0].rate).toBe(0.002);
+        expect(getTiersForSymbol(config, 'ETHUSDT')[0].rate).toBe(0.01);
+        expect(getTiersForSymbol(null, 'ETHUSDT')).toBe(DEFAULT_MAINTENANCE_TIERS);
+    });
+});
+
+describe('estimateLiquidationPrice', () => {
+    test('should estimate long and short liquidation prices', () => {
+        expect(estimateLiquidationPrice({ type: 'long', entryPrice: 100, amount: 10, leverage: 10 })).toBeCloseTo(90.3614, 3);
+        expect(estimateLiquidationPrice({ type: 'short', entryPrice: 100, amount: 10, leverage: 10 })).toBeCloseTo(109.5618, 3);
+    });
+
+    test('should return null when a position cannot be liquidated or data is missing', () => {
+        expect(estimateLiquidationPrice({ type: 'long', entryPrice: 100, amount: 10, leverage: 1 })).toBeNull();
+        expect(estimateLiquidationPrice({ type: 'hedge', entryPrice: 100, amount: 10, leverage: 10 })).toBeNull();
+        expect(estimateLiquidationPrice({ type: 'long', entryPrice: 100, amount: 10, leverage: 10, inverse: true })).toBeNull();
+    });
+});
+
+describe('computeMarginEstimate', () => {
+    test('should report margins and the distance to liquidation from the reference price', () => {
+        const estimate = computeMarginEstimate({ type: 'short', entryPrice: 100, amount: 10, leverage: 10 }, DEFAULT_MAINTENANCE_TIERS, 95);
+        expect(estimate.notional).toBe(1000);
+        expect(estimate.initialMargin).toBe(100);
+        expect(estimate.maintenanceMargin).toBe(4);
+        expect(estimate.distanceToLiquidationPercent).toBeCloseTo(15.33, 2);
+    });
+
+    test('should report a negative distance once the price is past liquidation', () => {
+        const estimate = computeMarginEstimate({ type: 'long', entryPrice: 100, amount: 10, leverage: 10 }, DEFAULT_MAINTENANCE_TIERS, 85);
+        expect(estimate.distanceToLiquidationPercent).toBeLessThan(0);
+    });
+
+    test('should return null without leverage', () => {
+        expect(computeMarginEstimate({ type: 'long', entryPrice: 100, amount: 10 })).toBeNull();
+    });
+});
+
+describe('validateMaintenanceTierConfig', () => {
+    test('should accept the built-in tiers', () => {
+        expect(validateMaintenanceTierConfig({ default: DEFAULT_MAINTENANCE_TIERS }).isValid).toBe(true);
+    });
+
+    test('should report bad rates, unordered brackets and a missing bound', () => {
+        const { isValid, errors } = validateMaintenanceTierConfig({
+            BTCUSDT: [{ maxNotional: 1000, rate: 2 }, { maxNotional: 500, rate: 0.01 }, { rate: 0.02 }],
+            ETHUSDT: [{ rate: 0.01 }, { rate: 0.02 }]
+        });
+        expect(isValid).toBe(false);
+        expect(errors).toEqual([
+            { code: 'rateOutOfRange', vars: { symbol: 'BTCUSDT', tier: 1 } },
+            { code: 'maxNotionalNotIncreasing', vars: { symbol: 'BTCUSDT', tier: 2 } },
+            { code: 'missingMaxNotional', vars: { symbol: 'ETHUSDT', tier: 1 } }
+        ]);
+    });
+});
@@ -0,0 +1,133 @@
+// tests/positionlist.test.js
+
+// Assumes positionlist.js and workerclient.js have exposed `positionList` and `window.positionWorker` on the global object.
+// For Jest with ES Modules: import { filterPositions, hasActiveFilters, sortPositions, queryPositionIndexes, resolveTimeRangePreset, parseSortKeys, formatSortKeys } from '../js/positionlist.js';
+
+const { filterPositions, hasActiveFilters, sortPositions, queryPositionIndexes, resolveTimeRangePreset, parseSortKeys, formatSortKeys } = globalThis.positionList || {};
+
+describe('queryPositionIndexes', () => {
+    const positions = [
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 3000, amount: 1 },
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 50000, amount: 0.1 },
+        { symbol: 'BTCUSD', type: 'buy', entryPrice: 49000, amount: 0.2 },
+        { symbol: 'SOLUSDT', type: 'long', entryPrice: 100, amount: 5 }
+    ];
+
+    test('should return the indexes of the filtered and sorted positions', () => {
+        expect(queryPositionIndexes(positions, { filterType: 'all', searchTerm: 'btc', sortKeys: 'entryPrice-asc' })).toEqual([2, 1]);
+        expect(queryPositionIndexes(positions, { filterType: 'long', searchTerm: '', sortKeys: 'symbol-desc' })).toEqual([3, 0]);
+    });
+
+    test('should give the same result as filtering and sorting the positions directly', () => {
+        const query = { filterType: 'all', searchTerm: 'usdt', sortKeys: 'amount-desc' };
+        const direct = sortPositions(filterPositions(positions, query.filterType, query.searchTerm), query.sortKeys);
+        expect(queryPositionIndexes(positions, query).map(index => positions[index])).toEqual(direct);
+    });
+});
+
+describe('sortPositions with several levels', () => {
+    const positions = [
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 3000, amount: 2, pnl: 40 },
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 50000, amount: 0.5, pnl: -120 },
+        { symbol: 'ETHUSDT', type: 'short', entryPrice: 3100, amount: 1 },
+        { symbol: 'BTCUSDT', type: 'long', entryPrice: 49000, amount: 1, pnl: 300 },
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 2900, amount: 4, pnl: 40 }
+    ];
+    const sortedIndexes = sortSpec => sortPositions(positions, sortSpec).map(position => positions.indexOf(position));
+
+    test('should order by each level in turn, keeping the input order on ties', () => {
+        expect(sortedIndexes([{ field: 'symbol', direction: 'asc' }, { field: 'pnl', direction: 'desc' }])).toEqual([3, 1, 0, 4, 2]);
+        expect(sortedIndexes('symbol-desc,side-asc')).toEqual([0, 4, 2, 3, 1]);
+        expect(sortedIndexes('pnl-asc')).toEqual([1, 0, 4, 3, 2]);
+    });
+
+    test('should sort by computed fields with missing values last', () => {
+        expect(sortedIndexes('notional-desc')).toEqual([3, 1, 4, 0, 2]);
+        expect(sortedIndexes('pnl-desc')).toEqual([3, 0, 4, 1, 2]);
+        expect(sortPositions([{ symbol: 'A' }, { symbol: 'B', markPrice: 110, entryPrice: 100, amount: 1, type: 'long' }], 'pnl-asc')
+            .map(position => position.symbol)).toEqual(['B', 'A']);
+    });
+
+    test('should compare symbols with the collation of the language', () => {
+        const symbols = [{ symbol: 'btc10' }, { symbol: 'BTC9' }, { symbol: 'ada' }];
+        expect(sortPositions(symbols, 'symbol-asc', 'en').map(position => position.symbol)).toEqual(['ada', 'BTC9', 'btc10']);
+    });
+
+    test('should read and write sort levels, dropping unknown and repeated fields', () => {
+        expect(parseSortKeys('symbol-asc,pnl-desc,foo-asc,symbol-desc')).toEqual([{ field: 'symbol', direction: 'asc' }, { field: 'pnl', direction: 'desc' }]);
+        expect(parseSortKeys('default')).toEqual([]);
+        expect(formatSortKeys(parseSortKeys('priceChange-desc,user-asc'))).toBe('priceChange-desc,user-asc');
+        expect(formatSortKeys([])).toBe('default');
+    });
+});
+
+describe('filterPositions with range filters', () => {
+    const now = Date.now();
+    const positions = [
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 50000, amount: 0.5, leverage: 20, pnl: -120, timestamp: now - 30 * 60000 },
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 3000, amount: 2, leverage: 5, pnl: 40, timestamp: now - 3 * 86400000 },
+        { symbol: 'SOLUSDT', type: 'long', entryPrice: 100, amount: -10 }
+    ];
+    const symbolsOf = rangeFilters => filterPositions(positions, 'all', '', rangeFilters).map(position => position.symbol);
+
+    test('should keep positions within inclusive min/max bounds', () => {
+        expect(symbolsOf({ leverage: { min: 10 } })).toEqual(['BTCUSDT']);
+        expect(symbolsOf({ entryPrice: { min: 100, max: 3000 } })).toEqual(['ETHUSDT', 'SOLUSDT']);
+        expect(symbolsOf({ amount: { min: 5 } })).toEqual(['SOLUSDT']); // Absolute amount
+        expect(symbolsOf({ notional: { min: 1000, max: 6000 } })).toEqual(['ETHUSDT', 'SOLUSDT']);
+        expect(symbolsOf({})).toHaveLength(3);
+    });
+
+    test('should leave out positions without the filtered field', () => {
+        expect(symbolsOf({ pnl: { max: 100 } })).toEqual(['BTCUSDT', 'ETHUSDT']);
+        expect(symbolsOf({ timestamp: { min: now - 86400000 * 7 } })).toEqual(['BTCUSDT', 'ETHUSDT']);
+    });
+
+    test('should resolve time presets when filtering', () => {
+        expect(symbolsOf({ timestamp: { preset: 'lastHour' } })).toEqual(['BTCUSDT']);
+        expect(resolveTimeRangePreset('lastHour', now)).toEqual({ min: now - 3600000, max: null });
+        const weekStart = new Date(resolveTimeRangePreset('thisWeek', now).min);
+        expect(weekStart.getDay()).toBe(1);
+        expect(weekStart.getHours()).toBe(0);
+        expect(now - weekStart.getTime() < 7 * 86400000).toBe(true);
+        expect(resolveTimeRangePreset('today', now).min <= now).toBe(true);
+    });
+
+    test('should combine range filters with the type filter and search', () => {
+        expect(filterPositions(positions, 'long', 'usdt', { leverage: { max: 10 } }).map(position => position.symbol)).toEqual(['ETHUSDT']);
+    });
+
+    test('should count range filters and time presets as active filters', () => {
+        expect(hasActiveFilters('all', '', { leverage: { min: 100 } })).toBe(true);
+        expect(hasActiveFilters('all', '', { timestamp: { preset: 'today' } })).toBe(true);
+        expect(hasActiveFilters('all', ' ', { leverage: {} })).toBe(false);
+        expect(hasActiveFilters('short', '', {})).toBe(true);
+        expect(symbolsOf({ leverage: { min: 100 } })).toEqual([]);
+    });
+});
+
+describe('positionWorker', () => {
+    const positions = [
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 3000, amount: 1 },
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 50000, amount: 0.1 }
+    ];
+
+    // A single test, because the simple runner doesn't wait for an async test before starting the next one,
+    // and a query started by the next test would supersede the pending one.
+    test('should resolve queries with the positions that were set, and superseded queries with null', async () => {
+        window.positionWorker.setPositions(positions);
+        const result = await window.positionWorker.queryPositions({ filterType: 'all', searchTerm: '', sortKeys: 'symbol-asc' });
+        expect(result).toHaveLength(2);
+        expect(result[0]).toBe(positions[1]); // The positions that were set, not copies
+
+        const first = window.positionWorker.queryPositions({ filterType: 'all', searchTerm: 'eth', sortKeys: 'default' });
+        const second = window.positionWorker.queryPositions({ filterType: 'all', searchTerm: 'btc', sortKeys: 'default' });
+        expect(await first).toBeNull();
+        expect(await second).toEqual([positions[1]]);
+    });
+
+    test('should validate like validatePositionsArray', async () => {
+        const raw = [...positions, { symbol: 'XRPUSDT', type: 'hedge', entryPrice: 1, amount: 1 }];
+        expect(await window.positionWorker.validatePositions(raw)).toEqual(validatePositionsArray(raw));
+    });
+});
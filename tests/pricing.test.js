@@ -0,0 +1,77 @@
+// tests/pricing.test.js
+
+// Assumes pricing.js and diff.js have exposed `positionPricing` and `positionDiff` on the global object.
+// For Jest with ES Modules: import { computePositionMetrics, parseMarkPrices } from '../js/pricing.js';
+
+const { computeUnrealizedPnl, computePositionMetrics, parseMarkPrices } = globalThis.positionPricing || {};
+
+describe('computeUnrealizedPnl', () => {
+    test('should gain on longs (and buys) when the price rises', () => {
+        expect(computeUnrealizedPnl({ type: 'long', entryPrice: 100, amount: 2 }, 110)).toBe(20);
+        expect(computeUnrealizedPnl({ type: 'BUY', entryPrice: 100, amount: 2 }, 110)).toBe(20);
+    });
+
+    test('should gain on shorts (and sells) when the price falls', () => {
+        expect(computeUnrealizedPnl({ type: 'short', entryPrice: 100, amount: 2 }, 90)).toBe(20);
+        expect(computeUnrealizedPnl({ type: 'sell', entryPrice: 100, amount: 2 }, 110)).toBe(-20);
+    });
+
+    test('should return null for unknown sides or missing prices', () => {
+        expect(computeUnrealizedPnl({ type: 'hedge', entryPrice: 100, amount: 2 }, 110)).toBeNull();
+        expect(computeUnrealizedPnl({ type: 'long', entryPrice: 100, amount: 2 }, undefined)).toBeNull();
+    });
+});
+
+describe('computePositionMetrics', () => {
+    const shortPosition = { symbol: 'ETHUSDT', type: 'short', entryPrice: 2000, amount: 1, leverage: 10 };
+
+    test('should compute PnL, ROE and price change from a feed price', () => {
+        const metrics = computePositionMetrics(shortPosition, 1900);
+        expect(metrics.pnl).toBe(100);
+        expect(metrics.pnlSource).toBe('computed');
+        expect(metrics.roePercent).toBe(50); // 100 PnL on 200 initial margin
+        expect(metrics.priceChangePercent).toBe(5); // Price fell 5%, in the short's favor
+    });
+
+    test('should prefer the API PnL when there is no feed price', () => {
+        const metrics = computePositionMetrics({ ...shortPosition, pnl: -40, markPrice: 2100 });
+        expect(metrics.pnl).toBe(-40);
+        expect(metrics.pnlSource).toBe('api');
+        expect(metrics.roePercent).toBe(-20);
+        expect(metrics.priceChangePercent).toBe(-5);
+    });
+
+    test('should prefer the live feed price over the API PnL', () => {
+        expect(computePositionMetrics({ ...shortPosition, pnl: -40 }, 2000).pnlSource).toBe('computed');
+    });
+
+    test('should match the exchange\'s PnL of an inverse position at any feed price', () => {
+        // 40 COIN-M contracts of 10 USD shorted at 3600, as converted by the binance-coinm adapter
+        const inversePosition = { symbol: 'ETHUSD_PERP', type: 'short', entryPrice: 3600, amount: 400 / 3600, leverage: 5, inverse: true };
+        const coinPnlAt = mark => 400 * (1 / mark - 1 / 3600); // Inverse formula of a short, in ETH
+        [3000, 3600, 4200].forEach(mark => {
+            expect(computePositionMetrics(inversePosition, mark).pnl).toBeCloseTo(coinPnlAt(mark) * mark, 8);
+        });
+        expect(computePositionMetrics(inversePosition, 3000).roePercent).toBeCloseTo(83.33, 2); // 66.67 USD on 80 USD of margin
+    });
+
+    test('should report nothing without a PnL or a mark price', () => {
+        const metrics = computePositionMetrics(shortPosition);
+        expect(metrics.pnl).toBeNull();
+        expect(metrics.pnlSource).toBeNull();
+        expect(metrics.roePercent).toBeNull();
+    });
+});
+
+describe('parseMarkPrices', () => {
+    test('should read arrays of symbol/markPrice objects', () => {
+        const prices = parseMarkPrices([{ symbol: 'BTCUSDT', markPrice: '65000.5' }, { symbol: 'ethusdt', markPrice: 3000 }]);
+        expect(prices.get('BTCUSDT')).toBe(65000.5);
+        expect(prices.get('ETHUSDT')).toBe(3000);
+    });
+
+    test('should read Binance stream messages and plain symbol maps', () => {
+        expect(parseMarkPrices({ stream: '!markPrice@arr', data: [{ e: 'markPriceUpdate', s: 'BTCUSDT', p: '64000' }] }).get('BTCUSDT')).toBe(64000);
+        expect(parseMarkPrices({ BTCUSDT: 65000, note: 'n/a' }).size).toBe(1);
+    });
+});
@@ -0,0 +1,94 @@
+// tests/searchquery.test.js
+
+// Assumes searchquery.js has exposed `searchQuery` on the global object.
+// For Jest with ES Modules: import { parseSearchQuery, matchesSearchQuery, getSearchCompletions } from '../js/searchquery.js';
+
+const { parseSearchQuery, matchesSearchQuery, getSearchCompletions, collectSearchValues } = globalThis.searchQuery || {};
+
+describe('parseSearchQuery and matchesSearchQuery', () => {
+    const now = Date.UTC(2024, 0, 1, 12);
+    const positions = [
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 50000, amount: 0.5, leverage: 20, pnl: -120, user: 'Trader X', timestamp: now - 3600000 },
+        { symbol: 'BTCUSD', type: 'buy', entryPrice: 49000, amount: 1, leverage: 5, pnl: 40, user: 'Trader Y', timestamp: now - 5 * 3600000 },
+        { symbol: 'ETHUSDT', type: 'sell', entryPrice: 3000, amount: 2, leverage: 10, pnl: -5 },
+        { symbol: 'SOLUSDT', type: 'long', entryPrice: 100, amount: 10 }
+    ];
+    const search = text => {
+        const { query, error } = parseSearchQuery(text);
+        expect(error).toBeNull();
+        return positions.filter(position => matchesSearchQuery(query, position, now)).map(position => position.symbol);
+    };
+
+    test('should match a bare word against the symbol, case-insensitively', () => {
+        expect(search('btc')).toEqual(['BTCUSDT', 'BTCUSD']);
+        expect(search('')).toHaveLength(4);
+    });
+
+    test('should combine terms with implicit AND', () => {
+        expect(search('btc side:short leverage>=10 pnl<0 user:"Trader X" age<2h')).toEqual(['BTCUSDT']);
+    });
+
+    test('should support OR, NOT and parentheses', () => {
+        expect(search('eth OR sol')).toEqual(['ETHUSDT', 'SOLUSDT']);
+        expect(search('usdt -side:short')).toEqual(['SOLUSDT']);
+        expect(search('NOT (btc OR eth)')).toEqual(['SOLUSDT']);
+        expect(search('(side:long OR leverage>10) AND usd')).toEqual(['BTCUSDT', 'BTCUSD', 'SOLUSDT']);
+    });
+
+    test('should compare text with contains, equals and not-equals', () => {
+        expect(search('symbol=btcusd')).toEqual(['BTCUSD']);
+        expect(search('symbol:usd quote!=x')).toHaveLength(4);
+        expect(search('user:trader')).toEqual(['BTCUSDT', 'BTCUSD']);
+    });
+
+    test('should treat missing values as matching nothing except !=', () => {
+        expect(search('leverage<100')).toEqual(['BTCUSDT', 'BTCUSD', 'ETHUSDT']);
+        expect(search('user!="Trader X"')).toEqual(['BTCUSD', 'ETHUSDT', 'SOLUSDT']);
+        expect(search('age>=1h')).toEqual(['BTCUSDT', 'BTCUSD']);
+    });
+
+    test('should accept aliases, negative numbers and dates', () => {
+        expect(search('lev=5 entry<=49000')).toEqual(['BTCUSD']);
+        expect(search('pnl>-10 pnl<0')).toEqual(['ETHUSDT']);
+        expect(search('timestamp>2024-01-01T09:00:00Z')).toEqual(['BTCUSDT']);
+    });
+
+    test('should report errors with a code and position', () => {
+        expect(parseSearchQuery('foo:1').error).toEqual({ code: 'unknownField', vars: { field: 'foo' }, start: 0, end: 3 });
+        expect(parseSearchQuery('leverage>=ten').error.code).toBe('invalidNumber');
+        expect(parseSearchQuery('side:up').error.code).toBe('invalidValue');
+        expect(parseSearchQuery('user>"a"').error.code).toBe('unsupportedOperator');
+        expect(parseSearchQuery('age<2 hours').error.code).toBe('invalidDuration');
+        expect(parseSearchQuery('(btc OR eth').error).toEqual({ code: 'missingCloseParen', vars: {}, start: 0, end: 1 });
+        expect(parseSearchQuery('btc)').error.code).toBe('unexpectedCloseParen');
+        expect(parseSearchQuery('btc OR').error.code).toBe('missingTerm');
+        expect(parseSearchQuery('user:"Trader').error.code).toBe('unterminatedQuote');
+        expect(parseSearchQuery('pnl<').error.code).toBe('missingValue');
+    });
+});
+
+describe('getSearchCompletions', () => {
+    const positions = [{ symbol: 'BTCUSDT', user: 'Trader X' }, { symbol: 'BTCUSD', user: 'Trader X' }, { symbol: 'ETHUSDT', user: 'Alice' }];
+    const getKnownValues = field => collectSearchValues(positions, field);
+
+    test('should suggest field names, keywords and symbols for the term at the cursor', () => {
+        const { start, end, items } = getSearchCompletions('btc le', 6, getKnownValues);
+        expect([start, end]).toEqual([4, 6]);
+        expect(items.map(item => item.value)).toEqual(['leverage']);
+        expect(getSearchCompletions('us', 2, getKnownValues).items.map(item => item.value)).toEqual(['user:']);
+        expect(getSearchCompletions('o', 1, getKnownValues).items.map(item => item.value)).toEqual(['OR']);
+        expect(getSearchCompletions('btcu', 4, getKnownValues).items.map(item => item.value)).toEqual(['BTCUSD', 'BTCUSDT']);
+    });
+
+    test('should suggest known values after a field, most common first and quoted when needed', () => {
+        const completions = getSearchCompletions('side:short user:', 16, getKnownValues);
+        expect(completions.start).toBe(16);
+        expect(completions.items.map(item => item.value)).toEqual(['"Trader X"', 'Alice']);
+        expect(getSearchCompletions('side:s', 6, getKnownValues).items.map(item => item.value)).toEqual(['short']);
+    });
+
+    test('should suggest nothing for numeric comparisons or an empty term', () => {
+        expect(getSearchCompletions('leverage>', 9, getKnownValues).items).toHaveLength(0);
+        expect(getSearchCompletions('btc ', 4, getKnownValues).items).toHaveLength(0);
+    });
+});
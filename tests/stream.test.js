@@ -0,0 +1,62 @@
+// tests/stream.test.js
+
+// Assumes stream.js and diff.js have exposed `positionStream` and `positionDiff` on the global object.
+// For Jest with ES Modules: import { computeReconnectDelay, applyStreamMessage } from '../js/stream.js';
+
+const { computeReconnectDelay, applyStreamMessage } = globalThis.positionStream || {};
+
+describe('computeReconnectDelay', () => {
+    const noJitter = () => 0.5; // random() of 0.5 means zero jitter
+
+    test('should double the delay with every failed attempt', () => {
+        expect(computeReconnectDelay(0, 1000, 30000, noJitter)).toBe(1000);
+        expect(computeReconnectDelay(1, 1000, 30000, noJitter)).toBe(2000);
+        expect(computeReconnectDelay(3, 1000, 30000, noJitter)).toBe(8000);
+    });
+
+    test('should never exceed the maximum delay', () => {
+        expect(computeReconnectDelay(10, 1000, 30000, noJitter)).toBe(30000);
+        expect(computeReconnectDelay(10, 1000, 30000, () => 1)).toBe(30000);
+    });
+
+    test('should apply at most 20% jitter', () => {
+        expect(computeReconnectDelay(2, 1000, 30000, () => 0)).toBe(3200);
+        expect(computeReconnectDelay(2, 1000, 30000, () => 1)).toBe(4800);
+    });
+});
+
+describe('applyStreamMessage', () => {
+    const btc = { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 1 };
+    const eth = { symbol: 'ETHUSDT', type: 'short', entryPrice: 3000, amount: 2 };
+
+    test('should replace everything on a snapshot', () => {
+        const positions = new Map([['OLD|long|', { symbol: 'OLD', type: 'long' }]]);
+        expect(applyStreamMessage(positions, { type: 'snapshot', positions: [btc, eth] })).toBe(true);
+        expect(Array.from(positions.values())).toEqual([btc, eth]);
+    });
+
+    test('should add and replace positions on upsert', () => {
+        const positions = new Map([['BTCUSDT|long|', btc]]);
+        const btcResized = { ...btc, amount: 3 };
+        applyStreamMessage(positions, { type: 'upsert', positions: [btcResized, eth] });
+        expect(positions.size).toBe(2);
+        expect(positions.get('BTCUSDT|long|').amount).toBe(3);
+        applyStreamMessage(positions, { type: 'upsert', position: { ...eth, amount: 5 } });
+        expect(positions.get('ETHUSDT|short|').amount).toBe(5);
+    });
+
+    test('should remove positions on delete by key or by position', () => {
+        const positions = new Map([['BTCUSDT|long|', btc], ['ETHUSDT|short|', eth]]);
+        applyStreamMessage(positions, { type: 'delete', keys: ['BTCUSDT|long|'] });
+        expect(positions.has('BTCUSDT|long|')).toBe(false);
+        applyStreamMessage(positions, { type: 'delete', position: eth });
+        expect(positions.size).toBe(0);
+    });
+
+    test('should ignore unknown messages', () => {
+        const positions = new Map();
+        expect(applyStreamMessage(positions, { type: 'heartbeat' })).toBe(false);
+        expect(applyStreamMessage(positions, null)).toBe(false);
+        expect(applyStreamMessage(positions, { type: 'snapshot' })).toBe(false);
+    });
+});
@@ -0,0 +1,91 @@
+// tests/summary.test.js
+
+// Assumes summary.js, pricing.js and diff.js have exposed `portfolioSummary`, `positionPricing` and `positionDiff` on the global object.
+// For Jest with ES Modules: import { summarizePositions, groupPositions } from '../js/summary.js';
+
+const { summarizePositions, groupPositions } = globalThis.portfolioSummary || {};
+
+describe('summarizePositions', () => {
+    const positions = [
+        { symbol: 'BTCUSDT', type: 'long', entryPrice: 50000, amount: 0.5, baseAsset: 'BTC', quoteAsset: 'USDT', leverage: 10, pnl: 150 },
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 52000, amount: 0.2, baseAsset: 'BTC', quoteAsset: 'USDT', leverage: 25, pnl: -50 },
+        { symbol: 'ETHUSD', type: 'sell', entryPrice: 3000, amount: -2, baseAsset: 'ETH', quoteAsset: 'USD', leverage: 5 },
+        { symbol: 'SOLUSDT', type: 'buy', entryPrice: 100, amount: 10, baseAsset: 'SOL', quoteAsset: 'USDT', pnl: 20 }
+    ];
+
+    test('should count positions by side', () => {
+        const summary = summarizePositions(positions);
+        expect(summary.count).toBe(4);
+        expect(summary.longCount).toBe(2);
+        expect(summary.shortCount).toBe(2);
+    });
+
+    test('should total notional per quote asset, largest first', () => {
+        expect(summarizePositions(positions).notionalByQuote).toEqual([
+            { quoteAsset: 'USDT', notional: 36400 },
+            { quoteAsset: 'USD', notional: 6000 }
+        ]);
+    });
+
+    test('should net long and short amounts per base asset', () => {
+        const btc = summarizePositions(positions).exposureByBase.find(exposure => exposure.baseAsset === 'BTC');
+        expect(btc.long).toBe(0.5);
+        expect(btc.short).toBe(0.2);
+        expect(btc.net).toBeCloseTo(0.3, 10);
+        expect(summarizePositions(positions).exposureByBase[0].baseAsset).toBe('SOL');
+    });
+
+    test('should total and average PnL per quote asset over positions with a known PnL', () => {
+        const [usdt] = summarizePositions(positions).pnlByQuote;
+        expect(usdt).toEqual({ quoteAsset: 'USDT', total: 120, count: 3, average: 40 });
+        expect(summarizePositions(positions, position => (position.symbol === 'ETHUSD' ? 10 : null)).pnlByQuote).toEqual([
+            { quoteAsset: 'USD', total: 10, count: 1, average: 10 }
+        ]);
+    });
+
+    test('should list the highest-leverage positions, skipping those without leverage', () => {
+        const top = summarizePositions(positions, undefined, 5).topLeverage;
+        expect(top.map(position => position.leverage)).toEqual([25, 10, 5]);
+    });
+
+    test('should handle an empty list', () => {
+        const summary = summarizePositions([]);
+        expect(summary.count).toBe(0);
+        expect(summary.notionalByQuote).toHaveLength(0);
+        expect(summary.topLeverage).toHaveLength(0);
+    });
+});
+
+describe('groupPositions', () => {
+    const positions = [
+        { symbol: 'ETHUSDT', type: 'long', entryPrice: 3000, amount: 1, quoteAsset: 'USDT', user: 'B', pnl: 10 },
+        { symbol: 'BTCUSDT', type: 'short', entryPrice: 50000, amount: 0.1, quoteAsset: 'USDT', pnl: -30 },
+        { symbol: 'ETHUSDT', type: 'buy', entryPrice: 3100, amount: 2, quoteAsset: 'USDT', user: 'A', pnl: 5 },
+        { symbol: 'SOLUSDT', type: 'sell', entryPrice: 100, amount: 5, quoteAsset: 'USDT', user: 'A', pnl: 40 }
+    ];
+
+    test('should group by a field in key order, keeping the list order within groups', () => {
+        const groups = groupPositions(positions, 'symbol');
+        expect(groups.map(group => group.key)).toEqual(['BTCUSDT', 'ETHUSDT', 'SOLUSDT']);
+        expect(groups[1].positions.map(position => position.entryPrice)).toEqual([3000, 3100]);
+    });
+
+    test('should compute subtotals per group', () => {
+        const eth = groupPositions(positions, 'symbol')[1].subtotals;
+        expect(eth.count).toBe(2);
+        expect(eth.notionalByQuote).toEqual([{ quoteAsset: 'USDT', notional: 9200 }]);
+        expect(eth.pnlByQuote[0].total).toBe(15);
+        expect(eth.topLeverage).toHaveLength(0);
+    });
+
+    test('should group by side and put positions without a value last', () => {
+        expect(groupPositions(positions, 'side').map(group => [group.key, group.positions.length])).toEqual([['long', 2], ['short', 2]]);
+        expect(groupPositions(positions, 'user').map(group => group.key)).toEqual(['A', 'B', '']);
+    });
+
+    test('should order groups by a subtotal', () => {
+        expect(groupPositions(positions, 'symbol', { order: 'notional-desc' }).map(group => group.key)).toEqual(['ETHUSDT', 'BTCUSDT', 'SOLUSDT']);
+        expect(groupPositions(positions, 'symbol', { order: 'pnl-desc' }).map(group => group.key)).toEqual(['SOLUSDT', 'ETHUSDT', 'BTCUSDT']);
+        expect(groupPositions(positions, 'user', { order: 'count-desc' }).map(group => group.key)).toEqual(['A', 'B', '']);
+    });
+});
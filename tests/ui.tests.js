@@ -121,6 +121,16 @@ describe('_sortPositionsLogic from ui.js', () => {
         expect(result[1].timestamp).toBe(1678880000000); // ETHUSDT
     });
 
+    test('should sort by absolute amount High-Low', () => {
+        const result = _sortPositionsLogic([{ symbol: 'A', amount: 2 }, { symbol: 'B', amount: -5 }, { symbol: 'C', amount: 3 }], 'amount-desc');
+        expect(result.map(p => p.symbol)).toEqual(['B', 'C', 'A']);
+    });
+
+    test('should sort by leverage Low-High', () => {
+        const result = _sortPositionsLogic([{ symbol: 'A', leverage: 20 }, { symbol: 'B', leverage: 5 }, { symbol: 'C', leverage: 10 }], 'leverage-asc');
+        expect(result.map(p => p.symbol)).toEqual(['B', 'C', 'A']);
+    });
+
     test('should return original order for "default" sort if input was already a copy', () => {
         // _sortPositionsLogic creates its own copy if it mutates,
         // so we compare against a new copy of the original unsorted array.
@@ -140,21 +150,13 @@ describe('_sortPositionsLogic from ui.js', () => {
             { symbol: 'A', entryPrice: null, timestamp: 100 }, // null price
             { symbol: 'B', entryPrice: 50, timestamp: undefined } // undefined timestamp
         ];
-        // Sort by entryPrice ascending (nulls/0s first)
+        // Missing values come last in either direction
         let result = _sortPositionsLogic([...mixedData], 'entryPrice-asc');
-        expect(result.map(p => p.symbol)).toEqual(['A', 'B', 'C']); // B (0) < A (0) < C (100) - if null/undefined become 0
-                                                                    // Actually, (null||0) - (50||0) = -50 so A, C
-                                                                    // (50||0) - (100||0) = -50 so C, A
-                                                                    // A (0), B (50), C (100) -> if undefined also becomes 0
-                                                                    // A(null->0), B(50), C(100)
-                                                                    // Sort is (A=0) < (B=50) < (C=100)
-                                                                    // Corrected expectation based on (Number(val) || 0) logic
-        expect(result.map(p => p.symbol)).toEqual(['A', 'B', 'C']);
-
+        expect(result.map(p => p.symbol)).toEqual(['B', 'C', 'A']);
+        result = _sortPositionsLogic([...mixedData], 'entryPrice-desc');
+        expect(result.map(p => p.symbol)).toEqual(['C', 'B', 'A']);
 
-        // Sort by timestamp descending (undefined/0s last)
         result = _sortPositionsLogic([...mixedData], 'timestamp-desc');
-        // C (300), A (100), B (undefined -> 0)
         expect(result.map(p => p.symbol)).toEqual(['C', 'A', 'B']);
     });
 });
@@ -0,0 +1,43 @@
+// tests/viewstate.test.js
+
+// Assumes positionlist.js and viewstate.js have exposed `positionList` and `viewState` on the global object.
+// For Jest with ES Modules: import { DEFAULT_VIEW_STATE, encodeViewState, decodeViewState } from '../js/viewstate.js';
+
+const { DEFAULT_VIEW_STATE, encodeViewState, decodeViewState } = globalThis.viewState || {};
+
+describe('encodeViewState and decodeViewState', () => {
+    const state = {
+        typeFilter: 'short',
+        symbolSearch: 'btc side:short',
+        rangeFilters: { leverage: { min: 20 }, pnl: { min: -50, max: 0 }, timestamp: { preset: 'today' } },
+        sortKeys: [{ field: 'pnl', direction: 'desc' }, { field: 'symbol', direction: 'asc' }],
+        groupBy: 'symbol',
+        groupOrder: 'pnl-desc',
+        viewMode: 'table'
+    };
+
+    test('should round-trip a view state', () => {
+        expect(decodeViewState(`#${encodeViewState(state)}`)).toEqual(state);
+    });
+
+    test('should write only values that differ from the defaults', () => {
+        expect(encodeViewState(DEFAULT_VIEW_STATE)).toBe('');
+        expect(encodeViewState({ ...DEFAULT_VIEW_STATE, typeFilter: 'short', rangeFilters: { leverage: { min: 20 } }, sortKeys: [{ field: 'pnl', direction: 'desc' }] }))
+            .toBe('type=short&leverage=20..&sort=pnl-desc');
+        expect(encodeViewState({ ...DEFAULT_VIEW_STATE, groupOrder: 'count-desc' })).toBe(''); // No grouping
+    });
+
+    test('should fill in defaults and drop malformed values', () => {
+        expect(decodeViewState('type=long&leverage=abc..5&amount=..&time=1..2&sort=foo-asc,amount-desc')).toEqual({
+            ...DEFAULT_VIEW_STATE,
+            typeFilter: 'long',
+            rangeFilters: { timestamp: { min: 1, max: 2 } },
+            sortKeys: [{ field: 'amount', direction: 'desc' }]
+        });
+    });
+
+    test('should return null for a hash without view parameters', () => {
+        expect(decodeViewState('#main-content')).toBeNull();
+        expect(decodeViewState('')).toBeNull();
+    });
+});
@@ -0,0 +1,33 @@
+// tests/virtuallist.test.js
+
+// Assumes virtuallist.js has exposed `virtualList` on the global object.
+// For Jest with ES Modules: import { computeRowOffsets, findVisibleRange } from '../js/virtuallist.js';
+
+const { computeRowOffsets, findVisibleRange } = globalThis.virtualList || {};
+
+describe('computeRowOffsets', () => {
+    test('should return the top of every row followed by the total height', () => {
+        expect(computeRowOffsets([40, 100, 60])).toEqual([0, 40, 140, 200]);
+        expect(computeRowOffsets([])).toEqual([0]);
+    });
+});
+
+describe('findVisibleRange', () => {
+    const offsets = computeRowOffsets([40, 100, 60, 100, 100]); // [0, 40, 140, 200, 300, 400]
+
+    test('should find the rows overlapping a range of variable-height rows', () => {
+        expect(findVisibleRange(offsets, 0, 150)).toEqual({ start: 0, end: 3 });
+        expect(findVisibleRange(offsets, 140, 300)).toEqual({ start: 2, end: 4 });
+        expect(findVisibleRange(offsets, 150, 160)).toEqual({ start: 2, end: 3 });
+    });
+
+    test('should clamp ranges that reach past either end', () => {
+        expect(findVisibleRange(offsets, -500, 50)).toEqual({ start: 0, end: 2 });
+        expect(findVisibleRange(offsets, 350, 5000)).toEqual({ start: 4, end: 5 });
+        expect(findVisibleRange(offsets, 900, 1000)).toEqual({ start: 4, end: 5 });
+    });
+
+    test('should return an empty range when there are no rows', () => {
+        expect(findVisibleRange([0], 0, 100)).toEqual({ start: 0, end: 0 });
+    });
+});
@@ -0,0 +1,257 @@
+// tools/mock-server.js
+/**
+ * @file Local mock API for trying out OpenPos without a real exchange backend.
+ * Serves the app itself plus a simulated position feed that changes every second:
+ *   GET  /mock/positions  - REST snapshot (JSON array of positions)
+ *   GET  /mock/stream     - Server-Sent Events stream (snapshot, then upsert/delete messages)
+ *   WS   /mock/ws         - WebSocket stream with the same messages (snapshot sent after subscribe or on connect)
+ * Uses only Node.js built-ins. Usage:
+ *   node tools/mock-server.js [--port 8080] [--drop-every 30]
+ * `--drop-every` closes all stream connections every N seconds to exercise reconnect and REST fallback.
+ * @author GeekNeuron
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const readArg = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 && args[index + 1] ? Number(args[index + 1]) : fallback;
+};
+const PORT = readArg('--port', 8080);
+const DROP_EVERY_SECONDS = readArg('--drop-every', 0);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// --- Simulated positions ---
+
+const SYMBOLS = [
+    { symbol: 'BTCUSDT', baseAsset: 'BTC', price: 65000 },
+    { symbol: 'ETHUSDT', baseAsset: 'ETH', price: 3200 },
+    { symbol: 'SOLUSDT', baseAsset: 'SOL', price: 150 },
+    { symbol: 'BNBUSDT', baseAsset: 'BNB', price: 580 },
+    { symbol: 'XRPUSDT', baseAsset: 'XRP', price: 0.6 }
+];
+const USERS = ['Trader X', 'Trader Y', 'Desk A'];
+
+let nextPositionId = 1;
+let positions = [];
+
+const randomItem = list => list[Math.floor(Math.random() * list.length)];
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+function createRandomPosition() {
+    const market = randomItem(SYMBOLS);
+    const entryPrice = round(market.price * (1 + (Math.random() - 0.5) * 0.02), 4);
+    return {
+        id: nextPositionId++,
+        symbol: market.symbol,
+        type: Math.random() < 0.5 ? 'long' : 'short',
+        entryPrice,
+        amount: round((Math.random() * 20000) / market.price + 0.001, 3),
+        baseAsset: market.baseAsset,
+        quoteAsset: 'USDT',
+        leverage: randomItem([2, 5, 10, 20, 50]),
+        pnl: 0,
+        user: randomItem(USERS),
+        timestamp: Date.now()
+    };
+}
+
+for (let i = 0; i < 12; i++) positions.push(createRandomPosition());
+
+/**
+ * Applies one random change and returns the stream message describing it.
+ * @returns {Object}
+ */
+function simulateTick() {
+    const roll = Math.random();
+    if (roll < 0.1 || positions.length === 0) {
+        const position = createRandomPosition();
+        positions.push(position);
+        return { type: 'upsert', positions: [position] };
+    }
+    if (roll < 0.15 && positions.length > 3) {
+        const position = randomItem(positions);
+        positions = positions.filter(p => p !== position);
+        return { type: 'delete', keys: [`id:${position.id}`] };
+    }
+    const changed = positions.filter(() => Math.random() < 0.3).map(position => {
+        const move = (Math.random() - 0.5) * 0.004 * position.entryPrice * position.amount;
+        position.pnl = round(position.pnl + move);
+        return position;
+    });
+    return { type: 'upsert', positions: changed };
+}
+
+// --- Stream clients ---
+
+const sseClients = new Set();
+const webSocketClients = new Set();
+
+function encodeWebSocketFrame(text, opcode = 0x1) {
+    const payload = Buffer.from(text);
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the first (masked) client frame in a buffer. Enough for small text and close frames.
+ * @returns {{opcode: number, text: string}|null}
+ */
+function decodeWebSocketFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        return null; // Not needed for subscribe messages
+    }
+    const mask = buffer.slice(offset, offset + 4);
+    offset += 4;
+    const payload = buffer.slice(offset, offset + length);
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    return { opcode, text: payload.toString('utf8') };
+}
+
+function broadcast(message) {
+    const text = JSON.stringify(message);
+    sseClients.forEach(response => response.write(`data: ${text}\n\n`));
+    webSocketClients.forEach(socket => socket.write(encodeWebSocketFrame(text)));
+}
+
+function snapshotMessage() {
+    return { type: 'snapshot', positions };
+}
+
+setInterval(() => {
+    const message = simulateTick();
+    if (message.type !== 'upsert' || message.positions.length > 0) broadcast(message);
+}, 1000);
+
+if (DROP_EVERY_SECONDS > 0) {
+    setInterval(() => {
+        console.log(`Dropping ${sseClients.size + webSocketClients.size} stream connection(s).`);
+        sseClients.forEach(response => response.end());
+        sseClients.clear();
+        webSocketClients.forEach(socket => socket.destroy());
+        webSocketClients.clear();
+    }, DROP_EVERY_SECONDS * 1000);
+}
+
+// --- HTTP server ---
+
+function setCorsHeaders(response) {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', '*');
+}
+
+function serveStaticFile(request, response) {
+    let requestPath;
+    try {
+        requestPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) { // Malformed percent-encoding, e.g. "/%E0%A4%A"
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT_DIR, requestPath === '/' ? 'index.html' : requestPath);
+    const relativePath = path.relative(ROOT_DIR, filePath);
+    const isInsideRoot = relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    if (!isInsideRoot || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        response.writeHead(404);
+        response.end('Not found');
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    fs.createReadStream(filePath).pipe(response);
+}
+
+const server = http.createServer((request, response) => {
+    setCorsHeaders(response);
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+    } else if (pathname === '/mock/positions') {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(positions));
+    } else if (pathname === '/mock/stream') {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        response.write(`data: ${JSON.stringify(snapshotMessage())}\n\n`);
+        sseClients.add(response);
+        request.on('close', () => sseClients.delete(response));
+    } else {
+        serveStaticFile(request, response);
+    }
+});
+
+server.on('upgrade', (request, socket) => {
+    if (new URL(request.url, 'http://localhost').pathname !== '/mock/ws') {
+        socket.destroy();
+        return;
+    }
+    const acceptKey = crypto.createHash('sha1')
+        .update(request.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`,
+        '', ''
+    ].join('\r\n'));
+    webSocketClients.add(socket);
+
+    // Send a snapshot right away; (re)subscribing also answers with a fresh snapshot
+    socket.write(encodeWebSocketFrame(JSON.stringify(snapshotMessage())));
+    socket.on('data', buffer => {
+        const frame = decodeWebSocketFrame(buffer);
+        if (!frame) return;
+        if (frame.opcode === 0x8) { // Close
+            webSocketClients.delete(socket);
+            socket.end(encodeWebSocketFrame('', 0x8));
+        } else if (frame.opcode === 0x1) {
+            console.log(`WebSocket message: ${frame.text}`);
+            socket.write(encodeWebSocketFrame(JSON.stringify(snapshotMessage())));
+        }
+    });
+    socket.on('close', () => webSocketClients.delete(socket));
+    socket.on('error', () => webSocketClients.delete(socket));
+});
+
+server.listen(PORT, () => {
+    console.log(`OpenPos mock server running at http://localhost:${PORT}/`);
+    console.log(`  REST:      http://localhost:${PORT}/mock/positions`);
+    console.log(`  SSE:       http://localhost:${PORT}/mock/stream`);
+    console.log(`  WebSocket: ws://localhost:${PORT}/mock/ws`);
+});